@@ -24,6 +24,54 @@ module.exports = {
       env: { NODE_ENV: 'production' },
       env_production: { NODE_ENV: 'production' }
     },
+    {
+      name: 'fixity-worker',
+      script: 'src/workers/fixity/fixity.worker.js',
+      cwd: '/var/www/relicxs-workers',
+      instances: 1,
+      autorestart: true,
+      watch: false,
+      max_memory_restart: '400M',
+      time: true,
+      env: { NODE_ENV: 'production' },
+      env_production: { NODE_ENV: 'production' }
+    },
+    {
+      name: 'deletion-worker',
+      script: 'src/workers/deletion/deletion.worker.js',
+      cwd: '/var/www/relicxs-workers',
+      instances: 1,
+      autorestart: true,
+      watch: false,
+      max_memory_restart: '400M',
+      time: true,
+      env: { NODE_ENV: 'production' },
+      env_production: { NODE_ENV: 'production' }
+    },
+    {
+      name: 'retention-worker',
+      script: 'src/workers/retention/retention.worker.js',
+      cwd: '/var/www/relicxs-workers',
+      instances: 1,
+      autorestart: true,
+      watch: false,
+      max_memory_restart: '400M',
+      time: true,
+      env: { NODE_ENV: 'production' },
+      env_production: { NODE_ENV: 'production' }
+    },
+    {
+      name: 'usage-worker',
+      script: 'src/workers/usage/usage.worker.js',
+      cwd: '/var/www/relicxs-workers',
+      instances: 1,
+      autorestart: true,
+      watch: false,
+      max_memory_restart: '400M',
+      time: true,
+      env: { NODE_ENV: 'production' },
+      env_production: { NODE_ENV: 'production' }
+    },
     {
       name: 'endpoints-server',
       script: 'src/endpoints/server.js',
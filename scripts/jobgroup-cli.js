@@ -9,7 +9,13 @@ const config = require('@config');
 const { logger } = require('@core/logger');
 const { supabase } = require('../src/core/supabase');
 const { runJobgroupArchivist } = require('../src/workers/archivist/handlers/archivist.jobgroup');
-const { fileExists } = require('../src/core/storage');
+const { resolveBucketId } = require('../src/core/buckets');
+
+// Derivatives sent to OpenAI, in order of preference (asset_versions purpose/variant)
+const IMAGE_VERSIONS = [
+  { purpose: 'ai', variant: 'ai' },
+  { purpose: 'viewing', variant: 'processed' },
+];
 
 async function createJobgroupCLI(tenantId, batchId, mode) {
   const validModes = new Set(['instant', 'standard', 'jobgroup']);
@@ -30,22 +36,34 @@ async function createJobgroupCLI(tenantId, batchId, mode) {
     return;
   }
 
+  // The machinist records where each derivative went; newest first
+  const { data: versions, error: e2 } = await supabase
+    .from('asset_versions')
+    .select('asset_id, purpose, variant, storage_path, bucket_name, updated_at')
+    .in('asset_id', assets.map((a) => a.id))
+    .in('purpose', IMAGE_VERSIONS.map((v) => v.purpose))
+    .in('variant', IMAGE_VERSIONS.map((v) => v.variant))
+    .eq('status', 'success')
+    .order('updated_at', { ascending: false });
+  if (e2) throw new Error(`[CLI][JOBGROUP] Failed to fetch asset versions: ${e2.message}`);
+
   const jobs = [];
   for (const a of assets) {
-    const aiKey = `standard/tenant-${tenantId}/asset-${a.id}/ai/ai_version.jpg`;
-    const viewingKey = `standard/tenant-${tenantId}/asset-${a.id}/viewing/viewing.jpg`;
-    let imagePath = null;
-    try {
-      const hasAi = await fileExists(config.b2.processedStandardBucketId, aiKey).catch(() => false);
-      if (hasAi) imagePath = aiKey; else {
-        const hasViewing = await fileExists(config.b2.processedStandardBucketId, viewingKey).catch(() => false);
-        if (hasViewing) imagePath = viewingKey;
-      }
-    } catch (_) {}
-    if (!imagePath) continue;
+    const own = (versions || []).filter((v) => v.asset_id === a.id && v.storage_path);
+    const image = IMAGE_VERSIONS
+      .map((want) => own.find((v) => v.purpose === want.purpose && v.variant === want.variant))
+      .find(Boolean);
+    if (!image) continue;
 
-    const image_url = imagePath; // Assuming downstream will resolve to full URL or storage resolver
-    jobs.push({ tenant_id: tenantId, batch_id: batchId, asset_id: a.id, image_url });
+    // The JSONL builder turns the key into a signed, expiring URL OpenAI can fetch
+    jobs.push({
+      tenant_id: tenantId,
+      batch_id: batchId,
+      asset_id: a.id,
+      processing_type: 'jobgroup',
+      image_key: image.storage_path,
+      bucket_id: resolveBucketId(image.bucket_name) || config.b2.processedStandardBucketId,
+    });
   }
 
   if (!jobs.length) {
@@ -4,6 +4,7 @@
   - Dry-run prints mapping old -> new
   - --commit will copy files from old keys (prefixes 'standard/' or 'files/') to new tenant-first keys
   - Does not delete old files
+  - Skips objects of assets (or tenants) under legal hold: held objects are frozen
 */
 const B2 = require('backblaze-b2');
 const os = require('os');
@@ -11,6 +12,7 @@ const fs = require('fs');
 const path = require('path');
 const storage = require('../src/core/storage');
 const config = require('../src/core/config');
+const { loadRetentionContext, heldAssetIds } = require('../src/core/retention');
 
 const argv = require('minimist')(process.argv.slice(2));
 const doCommit = !!argv.commit;
@@ -45,6 +47,21 @@ function computeNewKey(oldKey) {
   return k; // fallback
 }
 
+// tenant-{t}/[batch-{b}/]asset-{a}/... once the legacy prefix is stripped
+const ASSET_KEY_RE = /^tenant-([^/]+)\/(?:batch-[^/]+\/)?asset-([0-9a-f-]{36})\//i;
+const tenantHolds = new Map();
+const assetHolds = new Map();
+
+async function isHeld(newKey) {
+  const m = newKey.match(ASSET_KEY_RE);
+  if (!m) return false;
+  const [, tenantId, assetId] = m;
+  if (!tenantHolds.has(tenantId)) tenantHolds.set(tenantId, (await loadRetentionContext(tenantId)).tenantHold);
+  if (tenantHolds.get(tenantId)) return true;
+  if (!assetHolds.has(assetId)) assetHolds.set(assetId, (await heldAssetIds([assetId])).has(assetId));
+  return assetHolds.get(assetId);
+}
+
 async function copyObject(bucketId, oldKey, newKey) {
   // download to tmp and upload
   const tmp = path.join(os.tmpdir(), `migrate-${Date.now()}-${Math.random().toString(36).slice(2)}-${path.basename(oldKey)}`);
@@ -76,6 +93,10 @@ async function copyObject(bucketId, oldKey, newKey) {
       if (!oldKey.startsWith('standard/') && !oldKey.startsWith('files/')) continue;
       const newKey = computeNewKey(oldKey);
       if (oldKey === newKey) continue;
+      if (await isHeld(newKey)) {
+        console.log(`${b.name}: ${oldKey} skipped (legal hold)`);
+        continue;
+      }
       console.log(`${b.name}: ${oldKey} => ${newKey}`);
       if (doCommit) {
         try {
@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+/*
+  storage-usage.js
+  - Prints stored bytes and object counts per tenant, by bucket and by purpose
+  - --tenant <id> limits the report to one tenant
+  - --json prints the report as JSON (same shape as GET /admin/storage-usage)
+  - --reconcile rebuilds the totals from bucket listings first (DRY_RUN=true lists only)
+*/
+require('../src/module-aliases');
+
+const { logger } = require('../src/core/logger');
+const { loadStorageUsage, summarizeUsage } = require('../src/core/storage-usage');
+
+const argv = require('minimist')(process.argv.slice(2), { string: ['tenant'], boolean: ['json', 'reconcile'] });
+
+function formatBytes(n) {
+  const units = ['B', 'KiB', 'MiB', 'GiB', 'TiB', 'PiB'];
+  let v = Number(n) || 0;
+  let i = 0;
+  while (Math.abs(v) >= 1024 && i < units.length - 1) {
+    v /= 1024;
+    i += 1;
+  }
+  return i ? `${v.toFixed(2)} ${units[i]}` : `${v} B`;
+}
+
+function printGroup(title, group) {
+  console.log(`  ${title}:`);
+  for (const [name, { bytes, objects }] of Object.entries(group).sort((a, b) => b[1].bytes - a[1].bytes)) {
+    console.log(`    ${name.padEnd(32)} ${formatBytes(bytes).padStart(12)} ${String(objects).padStart(10)} objects`);
+  }
+}
+
+async function main() {
+  if (argv.reconcile) {
+    const { reconcileStorageUsage } = require('../src/workers/usage/usage.reconcile');
+    const summary = await reconcileStorageUsage(logger);
+    if (!argv.json) console.log(`Reconciled ${summary.buckets} buckets: ${summary.rows} totals, ${summary.drifted} corrected`);
+  }
+
+  const report = summarizeUsage(await loadStorageUsage({ tenantId: argv.tenant || null }));
+  if (argv.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+  if (!report.tenants.length) {
+    console.log('No storage usage recorded.');
+    return;
+  }
+
+  for (const t of report.tenants.sort((a, b) => b.bytes - a.bytes)) {
+    console.log(`tenant ${t.tenant_id}: ${formatBytes(t.bytes)} in ${t.objects} objects (reconciled ${t.reconciled_at || 'never'})`);
+    printGroup('by bucket', t.buckets);
+    printGroup('by purpose', t.purposes);
+  }
+  console.log(`Total: ${formatBytes(report.totals.bytes)} in ${report.totals.objects} objects across ${report.tenants.length} tenants`);
+}
+
+main().then(() => process.exit(0)).catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,247 @@
+/**
+ * B2 large-file uploads (b2_start_large_file / b2_upload_part /
+ * b2_finish_large_file) for files above B2_LARGE_FILE_THRESHOLD_MB.
+ *
+ * Parts are streamed from disk, never buffered: each part is hashed with a
+ * ranged read (SHA1 sent as X-Bz-Content-Sha1, so B2 verifies every part)
+ * and then uploaded from a second ranged read. Up to B2_PART_CONCURRENCY
+ * parts are in flight, each worker holding its own part upload URL.
+ *
+ * Progress is resumable: the large file id is kept in a small state file
+ * under B2_UPLOAD_STATE_DIR, and a retry lists the parts B2 already holds
+ * and skips those whose SHA1 matches the local bytes.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const MB = 1024 * 1024;
+const MAX_PARTS = 10000;
+const PART_ATTEMPTS = 3;
+// Streams are sized by Content-Length; lift axios' in-memory body limits
+const AXIOS_STREAM = { maxBodyLength: Infinity, maxContentLength: Infinity };
+
+function numberEnv(name, def) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : def;
+}
+
+/**
+ * Thresholds and part sizing, honouring the limits in the b2_authorize_account
+ * response (recommendedPartSize / absoluteMinimumPartSize).
+ * @param {{ recommendedPartSize?: number, absoluteMinimumPartSize?: number }} [auth]
+ * @returns {{ threshold: number, partSize: number, minPartSize: number, concurrency: number }}
+ */
+function largeFileOptions(auth = {}) {
+  const minPartSize = auth.absoluteMinimumPartSize || 5 * MB;
+  const partSize = Math.max(minPartSize, process.env.B2_PART_SIZE_MB ? numberEnv('B2_PART_SIZE_MB', 100) * MB : (auth.recommendedPartSize || 100 * MB));
+  return {
+    threshold: numberEnv('B2_LARGE_FILE_THRESHOLD_MB', 100) * MB,
+    partSize,
+    minPartSize,
+    concurrency: Math.floor(numberEnv('B2_PART_CONCURRENCY', 3)),
+  };
+}
+
+/**
+ * Whether a file goes through the large-file API. B2 needs at least two
+ * parts, so a file that fits in one part never does.
+ * @param {number} size
+ * @param {{ threshold: number, partSize: number }} opts
+ */
+function useLargeFile(size, { threshold, partSize }) {
+  return size > threshold && size > partSize;
+}
+
+/**
+ * Byte ranges of each part (end inclusive). The part size grows when the
+ * file would otherwise need more than B2's 10,000 parts.
+ * @param {number} size
+ * @param {number} partSize
+ * @returns {{ partNumber: number, start: number, end: number, length: number }[]}
+ */
+function planParts(size, partSize) {
+  const effective = Math.max(partSize, Math.ceil(size / MAX_PARTS));
+  const parts = [];
+  for (let start = 0, partNumber = 1; start < size; start += effective, partNumber += 1) {
+    const end = Math.min(size, start + effective) - 1;
+    parts.push({ partNumber, start, end, length: end - start + 1 });
+  }
+  return parts;
+}
+
+/**
+ * SHA1 of a byte range, streamed.
+ * @param {string} localPath
+ * @param {number} start
+ * @param {number} end inclusive
+ */
+function hashRange(localPath, start, end) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha1');
+    fs.createReadStream(localPath, { start, end })
+      .on('data', (d) => hash.update(d))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+function stateDir() {
+  return process.env.B2_UPLOAD_STATE_DIR || path.join(os.tmpdir(), 'relicxs-b2-uploads');
+}
+
+function statePath(bucketId, fileName) {
+  const key = crypto.createHash('sha1').update(`${bucketId}/${fileName}`).digest('hex');
+  return path.join(stateDir(), `${key}.json`);
+}
+
+function readState(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (_) {
+    return null;
+  }
+}
+
+function writeState(file, state) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(state));
+}
+
+async function listUploadedParts(b2, fileId) {
+  const uploaded = new Map();
+  let startPartNumber = 1;
+  while (startPartNumber) {
+    const { data } = await b2.listParts({ fileId, startPartNumber, maxPartCount: 1000 });
+    for (const part of (data && data.parts) || []) uploaded.set(part.partNumber, part.contentSha1);
+    startPartNumber = data && data.nextPartNumber;
+  }
+  return uploaded;
+}
+
+/**
+ * Cancel the unfinished large file a state file points at and forget it.
+ * Best effort: B2 may already have cancelled or expired it.
+ */
+async function discardLargeFile({ b2, previous, file, fileName, logger }) {
+  if (previous.fileId) {
+    try {
+      await b2.cancelLargeFile({ fileId: previous.fileId });
+      if (logger) logger.info({ fileId: previous.fileId, fileName }, '[B2] Stale unfinished large file cancelled');
+    } catch (err) {
+      if (logger) logger.warn({ err: err.message, fileId: previous.fileId, fileName }, '[B2] Could not cancel stale unfinished large file');
+    }
+  }
+  try { fs.unlinkSync(file); } catch (_) {}
+}
+
+/**
+ * Start a large file, or pick up the unfinished one a previous attempt left
+ * for the same bucket, name and content. One that cannot be resumed is
+ * cancelled first so its parts do not linger on B2.
+ * @returns {Promise<{ fileId: string, uploaded: Map<number, string>, resumed: boolean }>}
+ */
+async function openLargeFile({ b2, bucketId, fileName, contentType, size, partSize, sha1, file, logger }) {
+  const previous = readState(file);
+  if (previous && previous.bucketId === bucketId && previous.fileName === fileName
+      && previous.size === size && previous.partSize === partSize && previous.sha1 === sha1) {
+    try {
+      const uploaded = await listUploadedParts(b2, previous.fileId);
+      return { fileId: previous.fileId, uploaded, resumed: true };
+    } catch (err) {
+      // Cancelled or expired on the B2 side: start over
+      if (logger) logger.warn({ err: err.message, fileName }, '[B2] Unfinished large file not resumable; starting a new one');
+    }
+  }
+  if (previous) await discardLargeFile({ b2, previous, file, fileName, logger });
+  const { data } = await b2.startLargeFile({
+    bucketId,
+    fileName,
+    contentType,
+    // fileInfo is not exposed by the client; large_file_sha1 is B2's convention for the whole-file SHA1
+    axiosOverride: { data: { fileInfo: { large_file_sha1: sha1 } } },
+  });
+  writeState(file, { bucketId, fileName, size, partSize, sha1, fileId: data.fileId, started_at: new Date().toISOString() });
+  return { fileId: data.fileId, uploaded: new Map(), resumed: false };
+}
+
+/**
+ * Upload a file with the B2 large-file API.
+ * @param {{ b2: object, bucketId: string, fileName: string, localPath: string, contentType: string, sha1: string, options: ReturnType<typeof largeFileOptions>, logger?: import('pino').Logger }} params
+ * @returns {Promise<{ fileId: string, parts: number, partsUploaded: number, resumed: boolean }>}
+ */
+async function uploadLargeFile({ b2, bucketId, fileName, localPath, contentType, sha1, options, logger = null }) {
+  const size = fs.statSync(localPath).size;
+  const parts = planParts(size, options.partSize);
+  const partSize = parts[0].length;
+  const file = statePath(bucketId, fileName);
+  const { fileId, uploaded, resumed } = await openLargeFile({ b2, bucketId, fileName, contentType, size, partSize, sha1, file, logger });
+
+  const partSha1Array = new Array(parts.length);
+  const queue = [...parts];
+  let partsUploaded = 0;
+  let failed = false;
+
+  async function uploadPart(target, part, hash) {
+    let lastErr;
+    for (let attempt = 1; attempt <= PART_ATTEMPTS; attempt += 1) {
+      try {
+        if (!target.url) {
+          const { data } = await b2.getUploadPartUrl({ fileId });
+          target.url = data.uploadUrl;
+          target.token = data.authorizationToken;
+        }
+        await b2.uploadPart({
+          uploadUrl: target.url,
+          uploadAuthToken: target.token,
+          partNumber: part.partNumber,
+          data: fs.createReadStream(localPath, { start: part.start, end: part.end }),
+          contentLength: part.length,
+          hash,
+          axios: AXIOS_STREAM,
+        });
+        return;
+      } catch (err) {
+        lastErr = err;
+        // B2 asks clients to fetch a fresh part URL after any failed part upload
+        target.url = null;
+      }
+    }
+    throw lastErr;
+  }
+
+  async function worker() {
+    const target = { url: null, token: null };
+    while (queue.length && !failed) {
+      const part = queue.shift();
+      const hash = await hashRange(localPath, part.start, part.end);
+      partSha1Array[part.partNumber - 1] = hash;
+      if (uploaded.get(part.partNumber) === hash) continue;
+      await uploadPart(target, part, hash);
+      partsUploaded += 1;
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(options.concurrency, parts.length) }, () => worker().catch((err) => {
+    failed = true;
+    throw err;
+  }));
+  // Let every in-flight part settle before surfacing the error, so a retry never races them
+  const results = await Promise.allSettled(workers);
+  const rejected = results.find((r) => r.status === 'rejected');
+  if (rejected) throw rejected.reason;
+
+  await b2.finishLargeFile({ fileId, partSha1Array });
+  try { fs.unlinkSync(file); } catch (_) {}
+  if (logger) logger.info({ fileName, size, parts: parts.length, partsUploaded, resumed }, '[B2] Large file uploaded');
+  return { fileId, parts: parts.length, partsUploaded, resumed };
+}
+
+module.exports = {
+  largeFileOptions,
+  useLargeFile,
+  planParts,
+  hashRange,
+  uploadLargeFile,
+};
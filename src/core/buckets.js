@@ -0,0 +1,41 @@
+/**
+ * Logical bucket labels stored in asset_versions.bucket_name, and their
+ * mapping back to the configured provider bucket ids.
+ */
+const config = require('./config');
+
+function bucketTable() {
+  return [
+    ['B2_landing_bucket', config.b2.landingBucketId],
+    ['B2_processed_standard_bucket', config.b2.processedStandardBucketId],
+    ['B2_processed_archive_bucket', config.b2.processedArchiveBucketId],
+    ['B2_files_bucket', config.b2.filesBucketId],
+    ['AWS_archival', config.aws && config.aws.archiveBucket],
+  ];
+}
+
+/**
+ * Bucket id -> label (unknown ids are returned unchanged).
+ * @param {string} bucketId
+ */
+function resolveBucketName(bucketId) {
+  try {
+    if (!bucketId) return null;
+    const hit = bucketTable().find(([, id]) => id && id === bucketId);
+    return hit ? hit[0] : bucketId;
+  } catch (_) {
+    return bucketId;
+  }
+}
+
+/**
+ * Label -> bucket id (unknown labels are treated as raw ids).
+ * @param {string} bucketName
+ */
+function resolveBucketId(bucketName) {
+  if (!bucketName) return null;
+  const hit = bucketTable().find(([label]) => label === bucketName);
+  return hit ? hit[1] || null : bucketName;
+}
+
+module.exports = { resolveBucketName, resolveBucketId };
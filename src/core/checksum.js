@@ -0,0 +1,50 @@
+/**
+ * Streaming file checksums and comparison against storage-reported hashes.
+ *   - sha256: our integrity record (asset_versions.checksum)
+ *   - sha1:   what B2 stores and verifies (X-Bz-Content-Sha1 / contentSha1)
+ *   - md5:    what S3 reports as a single-part ETag
+ */
+const fs = require('fs');
+const crypto = require('crypto');
+
+const ALGORITHMS = ['sha256', 'sha1', 'md5'];
+
+/**
+ * Hash a file in a single streaming pass.
+ * @param {string} localPath
+ * @param {string[]} [algorithms]
+ * @returns {Promise<Record<string, string>>} hex digests keyed by algorithm
+ */
+function hashFile(localPath, algorithms = ['sha256']) {
+  return new Promise((resolve, reject) => {
+    const hashes = algorithms.map((a) => [a, crypto.createHash(a)]);
+    const stream = fs.createReadStream(localPath);
+    stream.on('data', (d) => { for (const [, h] of hashes) h.update(d); });
+    stream.on('end', () => resolve(Object.fromEntries(hashes.map(([a, h]) => [a, h.digest('hex')]))));
+    stream.on('error', reject);
+  });
+}
+
+/**
+ * Compare local digests with what the storage backend reported.
+ * Every algorithm both sides know must match; `verified` is null when the
+ * backend reported nothing comparable (e.g. multipart ETag).
+ * @param {Record<string, string>} local
+ * @param {Record<string, string|null>} [reported]
+ * @returns {{ verified: boolean|null, algorithm: string|null, expected: string|null, actual: string|null }}
+ */
+function compareChecksums(local, reported) {
+  let checked = null;
+  for (const algorithm of ALGORITHMS) {
+    const expected = local && local[algorithm];
+    const actual = reported && reported[algorithm];
+    if (!expected || !actual) continue;
+    if (String(expected).toLowerCase() !== String(actual).toLowerCase()) {
+      return { verified: false, algorithm, expected, actual };
+    }
+    checked = checked || { verified: true, algorithm, expected, actual };
+  }
+  return checked || { verified: null, algorithm: null, expected: null, actual: null };
+}
+
+module.exports = { ALGORITHMS, hashFile, compareChecksums };
@@ -38,21 +38,68 @@ const SUPABASE_SERVICE_ROLE = optionalEnv('SUPABASE_SERVICE_ROLE');
 const OPENAI_API_KEY = MINIMAL_MODE ? optionalEnv('OPENAI_API_KEY') : requireEnv('OPENAI_API_KEY');
 const OPENAI_DEFAULT_MODEL = optionalEnv('OPENAI_MODEL', 'gpt-4o');
 
-const B2_APPLICATION_KEY_ID = MINIMAL_MODE ? optionalEnv('B2_APPLICATION_KEY_ID') : requireEnv('B2_APPLICATION_KEY_ID');
-const B2_APPLICATION_KEY = MINIMAL_MODE ? optionalEnv('B2_APPLICATION_KEY') : requireEnv('B2_APPLICATION_KEY');
-const B2_LANDING_BUCKET_ID = MINIMAL_MODE ? optionalEnv('B2_LANDING_BUCKET_ID') : requireEnv('B2_LANDING_BUCKET_ID');
-const B2_PROCESSED_STANDARD_BUCKET_ID = MINIMAL_MODE ? optionalEnv('B2_PROCESSED_STANDARD_BUCKET_ID') : requireEnv('B2_PROCESSED_STANDARD_BUCKET_ID');
-const B2_PROCESSED_ARCHIVE_BUCKET_ID = MINIMAL_MODE ? optionalEnv('B2_PROCESSED_ARCHIVE_BUCKET_ID') : requireEnv('B2_PROCESSED_ARCHIVE_BUCKET_ID');
-const B2_FILES_BUCKET_ID = MINIMAL_MODE ? optionalEnv('B2_FILES_BUCKET_ID') : requireEnv('B2_FILES_BUCKET_ID');
+// Storage drivers: each logical bucket is served by b2, s3 (any S3-compatible
+// endpoint), local (a directory tree) or glacier (AWS S3 Deep Archive)
+const STORAGE_DRIVER_NAMES = ['b2', 's3', 'local', 'glacier'];
+function storageDriverEnv(name, def) {
+  const val = String(optionalEnv(name, def)).trim().toLowerCase();
+  if (!STORAGE_DRIVER_NAMES.includes(val)) {
+    throw new Error(`[CONFIG] ${name} must be one of ${STORAGE_DRIVER_NAMES.join(', ')} (got "${val}")`);
+  }
+  return val;
+}
+const STORAGE_DRIVER = storageDriverEnv('STORAGE_DRIVER', 'b2');
+const STORAGE_BUCKET_DRIVERS = {
+  landing: storageDriverEnv('STORAGE_DRIVER_LANDING', STORAGE_DRIVER),
+  processedStandard: storageDriverEnv('STORAGE_DRIVER_PROCESSED_STANDARD', STORAGE_DRIVER),
+  processedArchive: storageDriverEnv('STORAGE_DRIVER_PROCESSED_ARCHIVE', STORAGE_DRIVER),
+  files: storageDriverEnv('STORAGE_DRIVER_FILES', STORAGE_DRIVER),
+  archive: storageDriverEnv('STORAGE_DRIVER_ARCHIVE', STORAGE_DRIVER === 'local' ? 'local' : 'glacier'),
+};
+const USES_B2 = Object.values(STORAGE_BUCKET_DRIVERS).includes('b2');
+
+// B2 credentials are only required when some bucket lives on B2. Bucket ids
+// double as the S3 bucket name or local directory for the other drivers and
+// default to the logical name there.
+function b2Env(name) {
+  return MINIMAL_MODE || !USES_B2 ? optionalEnv(name) : requireEnv(name);
+}
+function bucketEnv(name, bucket, def) {
+  if (STORAGE_BUCKET_DRIVERS[bucket] !== 'b2') return optionalEnv(name, def);
+  return MINIMAL_MODE ? optionalEnv(name) : requireEnv(name);
+}
+
+const B2_APPLICATION_KEY_ID = b2Env('B2_APPLICATION_KEY_ID');
+const B2_APPLICATION_KEY = b2Env('B2_APPLICATION_KEY');
+const B2_LANDING_BUCKET_ID = bucketEnv('B2_LANDING_BUCKET_ID', 'landing', 'landing');
+const B2_PROCESSED_STANDARD_BUCKET_ID = bucketEnv('B2_PROCESSED_STANDARD_BUCKET_ID', 'processedStandard', 'processed-standard');
+const B2_PROCESSED_ARCHIVE_BUCKET_ID = bucketEnv('B2_PROCESSED_ARCHIVE_BUCKET_ID', 'processedArchive', 'processed-archive');
+const B2_FILES_BUCKET_ID = bucketEnv('B2_FILES_BUCKET_ID', 'files', 'files');
 
 // AWS / Glacier
 // AWS is optional; when unset, Glacier features are disabled gracefully
 const AWS_ACCESS_KEY_ID = optionalEnv('AWS_ACCESS_KEY_ID');
 const AWS_SECRET_ACCESS_KEY = optionalEnv('AWS_SECRET_ACCESS_KEY');
 const AWS_REGION = optionalEnv('AWS_REGION');
-const AWS_ARCHIVE_BUCKET = optionalEnv('AWS_ARCHIVE_BUCKET');
+const AWS_ARCHIVE_BUCKET = optionalEnv('AWS_ARCHIVE_BUCKET', STORAGE_BUCKET_DRIVERS.archive === 'glacier' ? undefined : 'archive');
+
+// Generic S3-compatible endpoint (MinIO, R2, Wasabi, ...) for the s3 driver
+const S3_ENDPOINT = optionalEnv('S3_ENDPOINT');
+const S3_REGION = optionalEnv('S3_REGION', 'us-east-1');
+const S3_ACCESS_KEY_ID = optionalEnv('S3_ACCESS_KEY_ID');
+const S3_SECRET_ACCESS_KEY = optionalEnv('S3_SECRET_ACCESS_KEY');
+const S3_FORCE_PATH_STYLE = optionalEnv('S3_FORCE_PATH_STYLE', S3_ENDPOINT ? 'true' : 'false') === 'true';
+const S3_STORAGE_CLASS = optionalEnv('S3_STORAGE_CLASS');
+
+const LOCAL_STORAGE_ROOT = optionalEnv('LOCAL_STORAGE_ROOT', './storage');
 
 const HEALTH_PORT = parseInt(optionalEnv('HEALTH_PORT', '8081'), 10);
+// Signed download URLs (core/storage getSignedUrl); the local driver serves
+// them from the endpoints server and signs them with STORAGE_URL_SECRET
+const SIGNED_URL_TTL_SECONDS = parseInt(optionalEnv('SIGNED_URL_TTL_SECONDS', '3600'), 10);
+const STORAGE_URL_SECRET = optionalEnv('STORAGE_URL_SECRET');
+const STORAGE_PUBLIC_URL = optionalEnv('STORAGE_PUBLIC_URL', `http://localhost:${HEALTH_PORT}`);
+
 const OPENAI_MOCK_DIR = optionalEnv('OPENAI_MOCK_DIR');
 const SAAS_WEBHOOK_URL_JOBGROUP = optionalEnv('SAAS_WEBHOOK_URL_JOBGROUP');
 
@@ -89,6 +136,22 @@ const _config = {
     region: AWS_REGION,
     archiveBucket: AWS_ARCHIVE_BUCKET,
   },
+  storage: {
+    driver: STORAGE_DRIVER,
+    buckets: STORAGE_BUCKET_DRIVERS,
+    s3: {
+      endpoint: S3_ENDPOINT,
+      region: S3_REGION,
+      accessKeyId: S3_ACCESS_KEY_ID,
+      secretAccessKey: S3_SECRET_ACCESS_KEY,
+      forcePathStyle: S3_FORCE_PATH_STYLE,
+      storageClass: S3_STORAGE_CLASS,
+    },
+    localRoot: LOCAL_STORAGE_ROOT,
+    signedUrlTtl: SIGNED_URL_TTL_SECONDS,
+    urlSecret: STORAGE_URL_SECRET,
+    publicUrl: STORAGE_PUBLIC_URL,
+  },
   healthPort: HEALTH_PORT,
   saasWebhookJobgroup: SAAS_WEBHOOK_URL_JOBGROUP,
   openaiMockDirectory: OPENAI_MOCK_DIR || null,
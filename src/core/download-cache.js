@@ -0,0 +1,139 @@
+/**
+ * Bounded on-disk LRU of downloaded objects, shared by every worker process
+ * on the host (machinist, archivist, IIIF). Entries are keyed by
+ * bucket + key + content checksum, so a rewritten object is a new entry and
+ * a stale copy is never served.
+ *
+ * The directory is the index: recency is the file mtime (touched on every
+ * hit) and pruning removes the oldest files until the total fits. Entries
+ * are written to a temp name and renamed, and are copied out on a hit, so a
+ * concurrent prune in another process never leaves a caller with a partial
+ * file.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const MB = 1024 * 1024;
+
+/**
+ * @param {{ dir: string, maxBytes: number }} opts maxBytes 0 disables the cache
+ */
+function createDiskCache({ dir, maxBytes }) {
+  const enabled = maxBytes > 0;
+
+  function entryPath({ bucketId, key, checksum }) {
+    const name = crypto.createHash('sha256').update(`${bucketId}\0${key}\0${String(checksum).toLowerCase()}`).digest('hex');
+    return path.join(dir, name);
+  }
+
+  async function prune() {
+    let names;
+    try {
+      names = await fs.promises.readdir(dir);
+    } catch (_) {
+      return 0;
+    }
+    const entries = [];
+    for (const name of names) {
+      if (name.endsWith('.tmp')) continue;
+      try {
+        const st = await fs.promises.stat(path.join(dir, name));
+        entries.push({ name, size: st.size, mtimeMs: st.mtimeMs });
+      } catch (_) { /* removed by another process */ }
+    }
+    let total = entries.reduce((n, e) => n + e.size, 0);
+    let removed = 0;
+    entries.sort((a, b) => a.mtimeMs - b.mtimeMs);
+    for (const entry of entries) {
+      if (total <= maxBytes) break;
+      await fs.promises.rm(path.join(dir, entry.name), { force: true }).catch(() => {});
+      total -= entry.size;
+      removed += 1;
+    }
+    return removed;
+  }
+
+  return {
+    enabled,
+
+    /**
+     * Copy a cached object to destPath.
+     * @param {{ bucketId: string, key: string, checksum: string }} id
+     * @param {string} destPath
+     * @param {number|null} [expectedSize] a size mismatch is treated as a miss
+     * @returns {Promise<boolean>} true on a hit
+     */
+    async fetch(id, destPath, expectedSize = null) {
+      if (!enabled || !id.checksum) return false;
+      const file = entryPath(id);
+      try {
+        const st = await fs.promises.stat(file);
+        if (expectedSize != null && st.size !== expectedSize) {
+          await fs.promises.rm(file, { force: true });
+          return false;
+        }
+        await fs.promises.copyFile(file, destPath, fs.constants.COPYFILE_FICLONE);
+        const now = new Date();
+        await fs.promises.utimes(file, now, now).catch(() => {});
+        return true;
+      } catch (_) {
+        return false;
+      }
+    },
+
+    /**
+     * Add a local file. Files larger than half the cache are not kept.
+     * @param {{ bucketId: string, key: string, checksum: string }} id
+     * @param {string} srcPath
+     * @returns {Promise<boolean>} true when stored
+     */
+    async store(id, srcPath) {
+      if (!enabled || !id.checksum) return false;
+      const st = await fs.promises.stat(srcPath);
+      if (st.size > maxBytes / 2) return false;
+      await fs.promises.mkdir(dir, { recursive: true, mode: 0o700 });
+      const file = entryPath(id);
+      const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+      try {
+        await fs.promises.copyFile(srcPath, tmp, fs.constants.COPYFILE_FICLONE);
+        await fs.promises.rename(tmp, file);
+      } catch (err) {
+        await fs.promises.rm(tmp, { force: true }).catch(() => {});
+        throw err;
+      }
+      await prune();
+      return true;
+    },
+
+    /**
+     * Drop an entry (e.g. after the object was deleted).
+     * @param {{ bucketId: string, key: string, checksum: string }} id
+     */
+    async remove(id) {
+      if (!id.checksum) return;
+      await fs.promises.rm(entryPath(id), { force: true }).catch(() => {});
+    },
+
+    prune,
+  };
+}
+
+let shared = null;
+
+/**
+ * Host-wide download cache (DOWNLOAD_CACHE_DIR, DOWNLOAD_CACHE_MAX_MB).
+ */
+function getDownloadCache() {
+  if (!shared) {
+    const mb = Number(process.env.DOWNLOAD_CACHE_MAX_MB);
+    shared = createDiskCache({
+      dir: process.env.DOWNLOAD_CACHE_DIR || path.join(os.tmpdir(), 'relicxs-download-cache'),
+      maxBytes: (Number.isFinite(mb) && mb >= 0 ? mb : 1024) * MB,
+    });
+  }
+  return shared;
+}
+
+module.exports = { createDiskCache, getDownloadCache };
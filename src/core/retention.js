@@ -0,0 +1,194 @@
+/**
+ * Retention policies and legal holds.
+ *
+ * A policy sets a minimum and maximum retention in days, overall and per
+ * purpose (the asset_versions purpose, or 'jobgroup' for jobgroup results):
+ *
+ *   { "min_days": 3650, "purposes": { "viewing": { "max_days": 365 }, "ai": { "max_days": 30 } } }
+ *
+ * The tenant's policy is `settings.retention` on its `tenant` row, layered
+ * over RETENTION_DEFAULT_POLICY (same shape, JSON). Overall values are the
+ * defaults for every purpose. Nothing is removed before its minimum;
+ * derivatives past their maximum are expired by the retention sweeper.
+ *
+ * Legal holds block every removal: `asset.legal_hold` for one asset,
+ * `settings.legal_hold: true` for a whole tenant.
+ *
+ * Every path that removes stored data (asset deletion, the retention sweeper,
+ * cleanup jobs, migration scripts) checks here first and records what it did
+ * with recordRetentionAction (table `retention_audit`).
+ */
+const config = require('./config');
+const LegalHoldError = require('../errors/LegalHoldError');
+const RetentionError = require('../errors/RetentionError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseDefaultPolicy() {
+  try {
+    const parsed = JSON.parse(process.env.RETENTION_DEFAULT_POLICY || '{}');
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (_) {
+    throw new Error('[CONFIG] RETENTION_DEFAULT_POLICY must be JSON');
+  }
+}
+
+const DEFAULT_POLICY = parseDefaultPolicy();
+
+const days = (v) => (Number.isFinite(Number(v)) && v !== null && v !== '' && Number(v) >= 0 ? Number(v) : null);
+
+/**
+ * Tenant policy layered over the default: tenant values win, per purpose.
+ * @param {object} [tenantPolicy] settings.retention
+ * @param {object} [defaults]
+ */
+function mergePolicy(tenantPolicy = {}, defaults = DEFAULT_POLICY) {
+  const t = tenantPolicy && typeof tenantPolicy === 'object' ? tenantPolicy : {};
+  const purposes = { ...(defaults.purposes || {}) };
+  for (const [name, p] of Object.entries(t.purposes || {})) purposes[name] = { ...(purposes[name] || {}), ...p };
+  return {
+    min_days: t.min_days !== undefined ? t.min_days : defaults.min_days,
+    max_days: t.max_days !== undefined ? t.max_days : defaults.max_days,
+    purposes,
+  };
+}
+
+/**
+ * Effective retention for one purpose. A maximum below the minimum is
+ * raised to it: the minimum always wins.
+ * @param {object} policy from mergePolicy
+ * @param {string} purpose
+ * @returns {{ minDays: number, maxDays: number|null }}
+ */
+function resolveRetention(policy, purpose) {
+  const p = (policy.purposes && policy.purposes[purpose]) || {};
+  const minDays = days(p.min_days !== undefined ? p.min_days : policy.min_days) || 0;
+  const max = days(p.max_days !== undefined ? p.max_days : policy.max_days);
+  return { minDays, maxDays: max === null ? null : Math.max(max, minDays) };
+}
+
+/**
+ * Longest minimum across the policy: what deleting a whole asset must wait for.
+ * @param {object} policy
+ */
+function assetMinimumDays(policy) {
+  const all = [policy.min_days, ...Object.values(policy.purposes || {}).map((p) => p && p.min_days)];
+  return Math.max(0, ...all.map(days).filter((d) => d !== null));
+}
+
+/**
+ * Where an object stands under a policy. Pure.
+ * @param {{ createdAt: string|Date|null, minDays: number, maxDays: number|null, held?: boolean, now?: number }} p
+ * @returns {{ held: boolean, retainUntil: string|null, expiresAt: string|null, deletable: boolean, expired: boolean }}
+ */
+function retentionState({ createdAt, minDays, maxDays, held = false, now = Date.now() }) {
+  const created = createdAt ? new Date(createdAt).getTime() : NaN;
+  // Without a creation time the minimum cannot be shown to have passed
+  const known = Number.isFinite(created);
+  const retainUntil = known && minDays > 0 ? created + minDays * DAY_MS : null;
+  const expiresAt = known && maxDays !== null ? created + maxDays * DAY_MS : null;
+  const pastMinimum = minDays === 0 || (retainUntil !== null && now >= retainUntil);
+  const deletable = !held && pastMinimum;
+  return {
+    held,
+    retainUntil: retainUntil === null ? null : new Date(retainUntil).toISOString(),
+    expiresAt: expiresAt === null ? null : new Date(expiresAt).toISOString(),
+    deletable,
+    expired: deletable && expiresAt !== null && now >= expiresAt,
+  };
+}
+
+/**
+ * Tenant policy and hold, read uncached: a lookup failure must not read as
+ * "no hold", so it throws.
+ * @param {string} tenantId
+ * @returns {Promise<{ tenantId: string, tenantHold: boolean, policy: object }>}
+ */
+async function loadRetentionContext(tenantId) {
+  if (config.dryRun) return { tenantId, tenantHold: false, policy: mergePolicy() };
+  const { supabase } = require('./supabase');
+  const { data, error } = await supabase.from('tenant').select('settings').eq('id', tenantId).maybeSingle();
+  if (error) throw new Error(`[RETENTION] tenant lookup failed: ${error.message}`);
+  const settings = (data && data.settings && typeof data.settings === 'object') ? data.settings : {};
+  return { tenantId, tenantHold: settings.legal_hold === true, policy: mergePolicy(settings.retention) };
+}
+
+/**
+ * Ids among `assetIds` whose asset is under legal hold.
+ * @param {string[]} assetIds
+ * @returns {Promise<Set<string>>}
+ */
+async function heldAssetIds(assetIds) {
+  const ids = [...new Set((assetIds || []).filter(Boolean))];
+  if (!ids.length || config.dryRun) return new Set();
+  const { supabase } = require('./supabase');
+  const { data, error } = await supabase.from('asset').select('id').in('id', ids).eq('legal_hold', true);
+  if (error) throw new Error(`[RETENTION] legal hold lookup failed: ${error.message}`);
+  return new Set((data || []).map((r) => r.id));
+}
+
+/**
+ * Throw unless a whole asset may be deleted now: no asset or tenant legal
+ * hold, and past the longest minimum retention of the tenant's policy.
+ * @param {{ tenant_id: string, asset_id: string }} target
+ * @param {object|null} asset the asset row (legal_hold, created_at)
+ * @param {{ now?: number }} [opts]
+ * @returns {Promise<{ checked_at: string, asset: boolean, tenant: boolean, retain_until: string|null }>}
+ */
+async function assertDeletionAllowed(target, asset, { now = Date.now() } = {}) {
+  const ctx = await loadRetentionContext(target.tenant_id);
+  const held = { asset: !!(asset && asset.legal_hold), tenant: ctx.tenantHold };
+  if (held.asset || held.tenant) {
+    const scope = held.asset ? 'asset' : 'tenant';
+    throw new LegalHoldError(`Asset ${target.asset_id} is under ${scope} legal hold`, {
+      scope,
+      tenantId: target.tenant_id,
+      assetId: target.asset_id,
+    });
+  }
+  const minDays = assetMinimumDays(ctx.policy);
+  const state = retentionState({ createdAt: asset ? asset.created_at : null, minDays, maxDays: null, now });
+  // An asset row that is already gone leaves nothing to date; its leftovers may go
+  if (asset && !state.deletable) {
+    throw new RetentionError(`Asset ${target.asset_id} is within its ${minDays}-day minimum retention`, {
+      tenantId: target.tenant_id,
+      assetId: target.asset_id,
+      retainUntil: state.retainUntil,
+    });
+  }
+  return { checked_at: new Date(now).toISOString(), ...held, retain_until: state.retainUntil };
+}
+
+/**
+ * Append to the retention audit trail. Throws when the row cannot be written,
+ * so callers stop rather than act unaudited.
+ * @param {object} entry
+ * @param {string} entry.action e.g. 'derivative.expired', 'legal_hold.placed'
+ * @param {string} entry.tenant_id
+ * @param {string} [entry.asset_id]
+ * @param {string} [entry.version_id]
+ * @param {string} [entry.bucket_name]
+ * @param {string} [entry.storage_path]
+ * @param {string} [entry.actor] worker, script or user that acted
+ * @param {object} [entry.detail] stored as jsonb
+ */
+async function recordRetentionAction({ action, tenant_id, asset_id = null, version_id = null, bucket_name = null, storage_path = null, actor = null, detail = null }) {
+  const row = { action, tenant_id, asset_id, version_id, bucket_name, storage_path, actor, detail, created_at: new Date().toISOString() };
+  if (config.dryRun) return row;
+  const { supabase } = require('./supabase');
+  const { error } = await supabase.from('retention_audit').insert(row);
+  if (error) throw new Error(`[RETENTION] audit write failed: ${error.message}`);
+  return row;
+}
+
+module.exports = {
+  DAY_MS,
+  mergePolicy,
+  resolveRetention,
+  assetMinimumDays,
+  retentionState,
+  loadRetentionContext,
+  heldAssetIds,
+  assertDeletionAllowed,
+  recordRetentionAction,
+};
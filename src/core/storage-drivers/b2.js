@@ -0,0 +1,281 @@
+/**
+ * Backblaze B2 storage driver.
+ *  - Streamed uploads, large-file API above B2_LARGE_FILE_THRESHOLD_MB (core/b2-large-file.js)
+ *  - Resumable, SHA1-verified downloads (core/resumable-download.js) through
+ *    the host-wide disk cache (core/download-cache.js)
+ *  - Server-side copies with b2_copy_file (up to 5 GB)
+ *  - Expiring download URLs from b2_get_download_authorization
+ */
+const fs = require('fs');
+const B2 = require('backblaze-b2');
+const fetch = require('node-fetch');
+const { hashFile } = require('../checksum');
+const { largeFileOptions, useLargeFile, uploadLargeFile } = require('../b2-large-file');
+const { downloadResumable } = require('../resumable-download');
+const { getDownloadCache } = require('../download-cache');
+const { normalizeKey, notFound, attachment } = require('./keys');
+
+// b2_copy_file copies objects up to 5 GB in one call
+const MAX_COPY_BYTES = 5 * 1000 * 1000 * 1000;
+
+// Large files report contentSha1 "none"; their whole-file SHA1 is in fileInfo
+function b2ContentSha1(file) {
+  const sha1 = file.contentSha1 && file.contentSha1 !== 'none' ? file.contentSha1 : (file.fileInfo && file.fileInfo.large_file_sha1);
+  return sha1 ? String(sha1).replace(/^unverified:/, '').toLowerCase() : null;
+}
+
+function describe(file) {
+  return {
+    key: file.fileName,
+    size: typeof file.contentLength === 'number' ? file.contentLength : null,
+    contentType: file.contentType || null,
+    sha1: b2ContentSha1(file),
+    md5: file.contentMd5 || null,
+    versionId: file.fileId,
+    modifiedAt: file.uploadTimestamp ? new Date(file.uploadTimestamp).toISOString() : null,
+  };
+}
+
+/**
+ * @param {{ applicationKeyId: string, applicationKey: string }} opts
+ */
+function createB2Driver({ applicationKeyId, applicationKey }) {
+  let client = null;
+  const bucketNames = new Map();
+
+  function getB2() {
+    if (!client) client = new B2({ applicationKeyId, applicationKey });
+    return client;
+  }
+
+  // Authorize once & refresh token when needed
+  async function b2Auth() {
+    return getB2().authorize();
+  }
+
+  async function resolveFile(bucketId, remotePath) {
+    const fileName = normalizeKey(remotePath);
+    const { data } = await getB2().listFileNames({ bucketId, startFileName: fileName, maxFileCount: 1 });
+    const file = (data && data.files && data.files[0]) || null;
+    return file && file.fileName === fileName ? file : null;
+  }
+
+  async function upload(bucketId, remotePath, localPath, { contentType = 'application/octet-stream', checksums = {}, logger = null, cache = false } = {}) {
+    const { data: auth } = await b2Auth();
+    const b2 = getB2();
+
+    const stat = fs.statSync(localPath);
+    const fileName = normalizeKey(remotePath);
+    // The SHA1 is sent up front, so B2 rejects the upload server-side if the bytes differ
+    const sha1 = checksums.sha1 || (await hashFile(localPath, ['sha1'])).sha1;
+
+    let stored;
+    const options = largeFileOptions(auth || {});
+    if (useLargeFile(stat.size, options)) {
+      const large = await uploadLargeFile({ b2, bucketId, fileName, localPath, contentType, sha1, options, logger });
+      stored = {
+        provider: 'b2',
+        fileId: large.fileId,
+        // Large files have no whole-file contentSha1; every part was verified against its SHA1
+        sha1: null,
+        md5: null,
+        sha256: null,
+        parts_verified: large.parts,
+      };
+    } else {
+      const { data: uploadUrlData } = await b2.getUploadUrl({ bucketId });
+      // Streamed from disk: with hash and contentLength given the client never buffers the body
+      const { data } = await b2.uploadFile({
+        uploadUrl: uploadUrlData.uploadUrl,
+        uploadAuthToken: uploadUrlData.authorizationToken,
+        fileName,
+        data: fs.createReadStream(localPath),
+        mime: contentType,
+        contentLength: stat.size,
+        hash: sha1,
+        axios: { maxBodyLength: Infinity, maxContentLength: Infinity },
+      });
+      stored = {
+        provider: 'b2',
+        fileId: (data && data.fileId) || null,
+        sha1: (data && data.contentSha1 && data.contentSha1 !== 'none') ? data.contentSha1 : null,
+        md5: (data && data.contentMd5) || null,
+        sha256: null,
+      };
+    }
+
+    if (cache && checksums.sha1) {
+      // Seed the download cache: later jobs on this host read the object from disk
+      try { await getDownloadCache().store({ bucketId, key: fileName, checksum: checksums.sha1 }, localPath); } catch (_) {}
+    }
+    return stored;
+  }
+
+  async function download(bucketId, remotePath, localPath, opts = {}) {
+    await b2Auth();
+    const b2 = getB2();
+
+    const file = await resolveFile(bucketId, remotePath);
+    if (!file) throw notFound('B2', remotePath);
+    const sha1 = b2ContentSha1(file);
+    const size = typeof file.contentLength === 'number' ? file.contentLength : null;
+
+    const cache = opts.cache === false ? null : getDownloadCache();
+    const cacheId = { bucketId, key: normalizeKey(remotePath), checksum: sha1 };
+    if (cache && await cache.fetch(cacheId, localPath, size)) {
+      if (opts.logger) opts.logger.debug({ remotePath }, '[STORAGE] Served from local download cache');
+      return true;
+    }
+
+    await downloadResumable({
+      fetchRange: async (start) => {
+        const res = await b2.downloadFileById({
+          fileId: file.fileId,
+          responseType: 'stream',
+          ...(start > 0 ? { axiosOverride: { headers: { Range: `bytes=${start}-` } } } : {}),
+        });
+        return { status: res.status, stream: res.data };
+      },
+      localPath,
+      size,
+      sha1,
+      // fileId names the object version, so a partial file is never resumed against a rewrite
+      tag: file.fileId,
+      verify: opts.verify !== false,
+      logger: opts.logger || null,
+    });
+
+    if (cache) {
+      try { await cache.store(cacheId, localPath); } catch (_) { /* cache is best effort */ }
+    }
+    return true;
+  }
+
+  async function exists(bucketId, remotePath) {
+    try {
+      await b2Auth();
+      return !!(await resolveFile(bucketId, remotePath));
+    } catch (_) {
+      return false;
+    }
+  }
+
+  async function head(bucketId, remotePath) {
+    await b2Auth();
+    const file = await resolveFile(bucketId, remotePath);
+    return file ? describe(file) : null;
+  }
+
+  async function list(bucketId, prefix = '', { cursor = null, limit = 1000 } = {}) {
+    await b2Auth();
+    const { data } = await getB2().listFileNames({
+      bucketId,
+      prefix: normalizeKey(prefix),
+      startFileName: cursor || normalizeKey(prefix),
+      maxFileCount: Math.min(limit, 10000),
+    });
+    return {
+      objects: ((data && data.files) || []).filter((f) => f.action === 'upload').map(describe),
+      cursor: (data && data.nextFileName) || null,
+    };
+  }
+
+  // Every version is removed, so nothing of the object survives in the bucket
+  async function remove(bucketId, remotePath) {
+    await b2Auth();
+    const b2 = getB2();
+    const fileName = normalizeKey(remotePath);
+    const versions = [];
+    let startFileId = null;
+    for (;;) {
+      const { data } = await b2.listFileVersions({
+        bucketId,
+        startFileName: fileName,
+        ...(startFileId ? { startFileId } : {}),
+        maxFileCount: 1000,
+        axiosOverride: { data: { prefix: fileName } },
+      });
+      const files = (data && data.files) || [];
+      versions.push(...files.filter((f) => f.fileName === fileName));
+      if (!data || data.nextFileName !== fileName || !data.nextFileId) break;
+      startFileId = data.nextFileId;
+    }
+    for (const version of versions) {
+      await b2.deleteFileVersion({ fileId: version.fileId, fileName });
+    }
+    return versions.length > 0;
+  }
+
+  async function copy(bucketId, srcPath, destPath, { destBucketId = bucketId } = {}) {
+    await b2Auth();
+    const b2 = getB2();
+    const file = await resolveFile(bucketId, srcPath);
+    if (!file) throw notFound('B2', srcPath);
+    if (file.contentLength > MAX_COPY_BYTES) return null;
+    // b2_copy_file is not wrapped by the client
+    const res = await fetch(`${b2.apiUrl}/b2api/v2/b2_copy_file`, {
+      method: 'POST',
+      headers: { Authorization: b2.authorizationToken, 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        sourceFileId: file.fileId,
+        fileName: normalizeKey(destPath),
+        ...(destBucketId !== bucketId ? { destinationBucketId: destBucketId } : {}),
+      }),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(`B2 copy failed (${res.status}): ${data.code || ''} ${data.message || ''}`.trim());
+    return {
+      provider: 'b2',
+      fileId: data.fileId || null,
+      sha1: b2ContentSha1(data),
+      md5: data.contentMd5 || null,
+      sha256: null,
+    };
+  }
+
+  // Download URLs address buckets by name; keys restricted to one bucket report it at authorize
+  async function bucketName(bucketId, auth) {
+    if (auth && auth.allowed && auth.allowed.bucketId === bucketId && auth.allowed.bucketName) return auth.allowed.bucketName;
+    if (!bucketNames.has(bucketId)) {
+      const { data } = await getB2().getBucket({ bucketId });
+      const bucket = data && data.buckets && data.buckets[0];
+      if (!bucket) throw new Error(`B2 bucket not found: ${bucketId}`);
+      bucketNames.set(bucketId, bucket.bucketName);
+    }
+    return bucketNames.get(bucketId);
+  }
+
+  /**
+   * Download URL carrying a download authorization. B2 only grants these for
+   * a file-name prefix, so the token also opens every key that starts with
+   * this one (`viewing.jpg` covers `viewing.jpg.bak`). Signing is refused
+   * while such a key exists; one written under the prefix later is readable
+   * with the token until it expires.
+   */
+  async function signedUrl(bucketId, remotePath, { expiresIn, filename = null }) {
+    const { data: auth } = await b2Auth();
+    const fileName = normalizeKey(remotePath);
+    const { data: listing } = await getB2().listFileNames({ bucketId, prefix: fileName, startFileName: fileName, maxFileCount: 2 });
+    if (((listing && listing.files) || []).some((f) => f.fileName !== fileName)) {
+      const err = new Error(`Other files share the prefix ${fileName}; a B2 download authorization would expose them`);
+      err.code = 'NOT_SERVABLE';
+      throw err;
+    }
+    const disposition = filename ? attachment(filename) : undefined;
+    const { data } = await getB2().getDownloadAuthorization({
+      bucketId,
+      fileNamePrefix: fileName,
+      validDurationInSeconds: expiresIn,
+      b2ContentDisposition: disposition,
+    });
+    const name = await bucketName(bucketId, auth);
+    const encoded = fileName.split('/').map(encodeURIComponent).join('/');
+    const query = new URLSearchParams({ Authorization: data.authorizationToken });
+    if (disposition) query.set('b2ContentDisposition', disposition);
+    return `${auth.downloadUrl}/file/${encodeURIComponent(name)}/${encoded}?${query}`;
+  }
+
+  return { name: 'b2', upload, download, exists, head, list, delete: remove, copy, signedUrl };
+}
+
+module.exports = { createB2Driver, b2ContentSha1 };
@@ -0,0 +1,86 @@
+/**
+ * Storage driver registry and bucket routing.
+ *
+ * Every driver implements the same interface:
+ *   upload(bucketId, key, localPath, { contentType, checksums, logger, cache }) -> { provider, sha1, sha256, md5, ... }
+ *   download(bucketId, key, localPath, { cache, verify, logger })              -> true (throws code NOT_FOUND)
+ *   exists(bucketId, key)                                                      -> boolean
+ *   head(bucketId, key)                                                        -> { key, size, contentType, modifiedAt, ... } | null
+ *   list(bucketId, prefix, { cursor, limit })                                  -> { objects: [{ key, size, modifiedAt }], cursor }
+ *   delete(bucketId, key)                                                      -> boolean (false when absent)
+ *   copy(bucketId, srcKey, destKey, { destBucketId })                          -> upload result, or null when the
+ *                                                                                 backend cannot copy it server-side
+ *   signedUrl(bucketId, key, { expiresIn, filename })                          -> expiring GET URL
+ *
+ * Each logical bucket (landing, processed standard, processed archive, files,
+ * archive) is mapped to a driver by STORAGE_DRIVER / STORAGE_DRIVER_<BUCKET>
+ * (see core/config.js); ids that match no logical bucket use STORAGE_DRIVER.
+ */
+const config = require('../config');
+const { createB2Driver } = require('./b2');
+const { createS3Driver } = require('./s3');
+const { createLocalDriver } = require('./local');
+
+const drivers = new Map();
+
+function logicalBuckets() {
+  return [
+    ['landing', config.b2.landingBucketId],
+    ['processedStandard', config.b2.processedStandardBucketId],
+    ['processedArchive', config.b2.processedArchiveBucketId],
+    ['files', config.b2.filesBucketId],
+    ['archive', config.aws.archiveBucket],
+  ];
+}
+
+function createDriver(name) {
+  switch (name) {
+    case 'b2':
+      return createB2Driver({ applicationKeyId: config.b2.applicationKeyId, applicationKey: config.b2.applicationKey });
+    case 's3':
+      return createS3Driver({ name: 's3', ...config.storage.s3 });
+    case 'glacier':
+      // Archive copies on AWS go straight to Deep Archive
+      return createS3Driver({
+        name: 'glacier',
+        region: config.aws.region,
+        accessKeyId: config.aws.accessKeyId,
+        secretAccessKey: config.aws.secretAccessKey,
+        storageClass: 'DEEP_ARCHIVE',
+      });
+    case 'local':
+      return createLocalDriver({ root: config.storage.localRoot, urlSecret: config.storage.urlSecret, publicUrl: config.storage.publicUrl });
+    default:
+      throw new Error(`Unknown storage driver: ${name}`);
+  }
+}
+
+/**
+ * Driver instance by name (b2, s3, glacier, local); one per process.
+ * @param {string} name
+ */
+function getDriver(name) {
+  if (!drivers.has(name)) drivers.set(name, createDriver(name));
+  return drivers.get(name);
+}
+
+/**
+ * Logical bucket a provider bucket id belongs to, or null.
+ * @param {string} bucketId
+ */
+function logicalBucketFor(bucketId) {
+  if (!bucketId) return null;
+  const hit = logicalBuckets().find(([, id]) => id && id === bucketId);
+  return hit ? hit[0] : null;
+}
+
+/**
+ * Driver that serves a bucket id.
+ * @param {string} bucketId
+ */
+function driverFor(bucketId) {
+  const logical = logicalBucketFor(bucketId);
+  return getDriver((logical && config.storage.buckets[logical]) || config.storage.driver);
+}
+
+module.exports = { getDriver, driverFor, logicalBucketFor };
@@ -0,0 +1,32 @@
+/**
+ * Object key helpers shared by the storage drivers.
+ */
+
+function normalizeKey(key) {
+  return String(key || '').replace(/\\/g, '/');
+}
+
+/**
+ * Error for a missing object. `code` is NOT_FOUND for every driver; the
+ * message keeps the provider prefix (B2_NOT_FOUND, ...).
+ * @param {string} provider
+ * @param {string} key
+ */
+function notFound(provider, key) {
+  const err = new Error(`${provider}_NOT_FOUND`);
+  err.code = 'NOT_FOUND';
+  err.key = normalizeKey(key);
+  return err;
+}
+
+/**
+ * Content-Disposition value that makes a signed URL download as `filename`.
+ * @param {string} filename
+ */
+function attachment(filename) {
+  const name = String(filename).replace(/[\r\n"\\]/g, '_');
+  const ascii = name.replace(/[^\x20-\x7e]/g, '_');
+  return `attachment; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(name)}`;
+}
+
+module.exports = { normalizeKey, notFound, attachment };
@@ -0,0 +1,186 @@
+/**
+ * Local filesystem storage driver for offline development and tests.
+ * Each bucket id is a directory under the root and keys are relative paths
+ * inside it. Writes go to a temp file and are renamed into place, and uploads
+ * report the digests of the bytes actually stored, so checksum verification
+ * behaves as it does against a real backend.
+ *
+ * Signed URLs point at the endpoints server (GET /storage/{bucket}/{key}) and
+ * carry an expiry and an HMAC-SHA256 over bucket, key, expiry and download
+ * name, keyed with STORAGE_URL_SECRET.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { hashFile } = require('../checksum');
+const { normalizeKey, notFound } = require('./keys');
+
+const signPayload = (bucketId, key, expires, filename) => `${bucketId}\n${key}\n${expires}\n${filename || ''}`;
+
+/**
+ * @param {{ root: string, urlSecret?: string, publicUrl?: string }} opts
+ */
+function createLocalDriver({ root, urlSecret = null, publicUrl = null }) {
+  const base = path.resolve(root);
+
+  function bucketDir(bucketId) {
+    const name = String(bucketId || '');
+    if (!name || name === '.' || name === '..' || /[\\/]/.test(name)) {
+      throw new Error(`Invalid local bucket: "${name}"`);
+    }
+    return path.join(base, name);
+  }
+
+  // Keys may not climb out of their bucket
+  function objectPath(bucketId, remotePath) {
+    const key = normalizeKey(remotePath).replace(/^\/+/, '');
+    if (!key || key.split('/').some((part) => part === '..')) {
+      throw new Error(`Invalid object key: "${remotePath}"`);
+    }
+    return path.join(bucketDir(bucketId), ...key.split('/'));
+  }
+
+  async function statOf(file) {
+    try {
+      const st = await fs.promises.stat(file);
+      return st.isFile() ? st : null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  async function writeInto(srcPath, destPath) {
+    await fs.promises.mkdir(path.dirname(destPath), { recursive: true });
+    const tmp = `${destPath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    try {
+      await fs.promises.copyFile(srcPath, tmp);
+      await fs.promises.rename(tmp, destPath);
+    } catch (err) {
+      await fs.promises.rm(tmp, { force: true }).catch(() => {});
+      throw err;
+    }
+  }
+
+  async function upload(bucketId, remotePath, localPath) {
+    const dest = objectPath(bucketId, remotePath);
+    await writeInto(localPath, dest);
+    const digests = await hashFile(dest, ['sha256', 'sha1', 'md5']);
+    return { provider: 'local', ...digests };
+  }
+
+  async function download(bucketId, remotePath, localPath) {
+    const src = objectPath(bucketId, remotePath);
+    if (!(await statOf(src))) throw notFound('LOCAL', remotePath);
+    await writeInto(src, localPath);
+    return true;
+  }
+
+  async function exists(bucketId, remotePath) {
+    return !!(await statOf(objectPath(bucketId, remotePath)));
+  }
+
+  async function head(bucketId, remotePath) {
+    const st = await statOf(objectPath(bucketId, remotePath));
+    if (!st) return null;
+    return {
+      key: normalizeKey(remotePath).replace(/^\/+/, ''),
+      size: st.size,
+      contentType: null,
+      modifiedAt: st.mtime.toISOString(),
+    };
+  }
+
+  async function walk(dir, rel, out) {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (_) {
+      return;
+    }
+    for (const entry of entries) {
+      const key = rel ? `${rel}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) await walk(path.join(dir, entry.name), key, out);
+      else if (entry.isFile() && !entry.name.endsWith('.tmp')) out.push(key);
+    }
+  }
+
+  // Keys are listed in lexicographic order; the cursor is the last key returned
+  async function list(bucketId, prefix = '', { cursor = null, limit = 1000 } = {}) {
+    const wanted = normalizeKey(prefix).replace(/^\/+/, '');
+    const dir = bucketDir(bucketId);
+    // Only walk the deepest directory the prefix names
+    const fixed = wanted.includes('/') ? wanted.slice(0, wanted.lastIndexOf('/')) : '';
+    const keys = [];
+    await walk(fixed ? objectPath(bucketId, fixed) : dir, fixed, keys);
+    const page = keys
+      .filter((k) => k.startsWith(wanted) && (!cursor || k > cursor))
+      .sort()
+      .slice(0, limit + 1);
+    const more = page.length > limit;
+    const objects = [];
+    for (const key of page.slice(0, limit)) {
+      const st = await statOf(path.join(dir, ...key.split('/')));
+      if (st) objects.push({ key, size: st.size, modifiedAt: st.mtime.toISOString() });
+    }
+    return { objects, cursor: more ? page[limit - 1] : null };
+  }
+
+  // Empty parent directories are pruned so deleted prefixes disappear from the tree
+  async function remove(bucketId, remotePath) {
+    const file = objectPath(bucketId, remotePath);
+    if (!(await statOf(file))) return false;
+    await fs.promises.rm(file, { force: true });
+    const top = bucketDir(bucketId);
+    for (let dir = path.dirname(file); dir.startsWith(top + path.sep); dir = path.dirname(dir)) {
+      try {
+        await fs.promises.rmdir(dir);
+      } catch (_) {
+        break;
+      }
+    }
+    return true;
+  }
+
+  async function copy(bucketId, srcPath, destPath, { destBucketId = bucketId } = {}) {
+    const src = objectPath(bucketId, srcPath);
+    if (!(await statOf(src))) throw notFound('LOCAL', srcPath);
+    return upload(destBucketId, destPath, src);
+  }
+
+  function signature(bucketId, key, expires, filename) {
+    if (!urlSecret) throw new Error('STORAGE_URL_SECRET is required for signed URLs on the local driver');
+    return crypto.createHmac('sha256', urlSecret).update(signPayload(bucketId, key, expires, filename)).digest('hex');
+  }
+
+  async function signedUrl(bucketId, remotePath, { expiresIn, filename = null }) {
+    const key = normalizeKey(remotePath).replace(/^\/+/, '');
+    objectPath(bucketId, key);
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const query = new URLSearchParams({ expires: String(expires) });
+    if (filename) query.set('filename', filename);
+    query.set('signature', signature(bucketId, key, expires, filename));
+    const encoded = key.split('/').map(encodeURIComponent).join('/');
+    return `${String(publicUrl || '').replace(/\/+$/, '')}/storage/${encodeURIComponent(bucketId)}/${encoded}?${query}`;
+  }
+
+  /**
+   * Check a signed URL presented to the endpoints server.
+   * @returns {string|null} the object's file path when the URL is valid and unexpired
+   */
+  function verifySignedUrl({ bucketId, key, expires, filename = null, signature: presented }) {
+    const exp = Number(expires);
+    if (!urlSecret || !Number.isInteger(exp) || exp < Date.now() / 1000 || !/^[0-9a-f]{64}$/.test(String(presented || ''))) return null;
+    let file;
+    try {
+      file = objectPath(bucketId, key);
+    } catch (_) {
+      return null;
+    }
+    const expected = Buffer.from(signature(bucketId, key, exp, filename), 'hex');
+    return crypto.timingSafeEqual(expected, Buffer.from(presented, 'hex')) ? file : null;
+  }
+
+  return { name: 'local', root: base, upload, download, exists, head, list, delete: remove, copy, signedUrl, verifySignedUrl };
+}
+
+module.exports = { createLocalDriver };
@@ -0,0 +1,197 @@
+/**
+ * S3 storage driver: AWS S3 / Glacier and S3-compatible services (MinIO,
+ * Cloudflare R2, Wasabi, ...) through a custom endpoint.
+ * Downloads are ranged and resumable (core/resumable-download.js); signed
+ * URLs are SigV4 presigned GETs (./s3-presign.js).
+ */
+const fs = require('fs');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+  DeleteObjectCommand,
+  CopyObjectCommand,
+} = require('@aws-sdk/client-s3');
+const { downloadResumable } = require('../resumable-download');
+const { presignGetUrl, objectUrl } = require('./s3-presign');
+const { normalizeKey, notFound, attachment } = require('./keys');
+
+// CopyObject copies objects up to 5 GB in one call
+const MAX_COPY_BYTES = 5 * 1024 * 1024 * 1024;
+
+function isNotFound(err) {
+  return err && (err.name === 'NotFound' || err.name === 'NoSuchKey' || (err.$metadata && err.$metadata.httpStatusCode === 404));
+}
+
+function etagOf(value) {
+  return String(value || '').replace(/"/g, '');
+}
+
+// A single-part ETag is the MD5 of the body only for unencrypted and SSE-S3
+// objects. SSE-KMS and SSE-C ETags are opaque; multipart ETags carry a "-N" suffix.
+function md5FromEtag(etag, { ServerSideEncryption, SSECustomerAlgorithm } = {}) {
+  if (SSECustomerAlgorithm) return null;
+  if (ServerSideEncryption && ServerSideEncryption !== 'AES256') return null;
+  return /^[0-9a-f]{32}$/i.test(etag) ? etag.toLowerCase() : null;
+}
+
+/**
+ * @param {{
+ *   name?: string,
+ *   endpoint?: string,
+ *   region?: string,
+ *   accessKeyId?: string,
+ *   secretAccessKey?: string,
+ *   forcePathStyle?: boolean,
+ *   storageClass?: string,
+ * }} opts without keys the SDK's default credential chain is used
+ */
+function createS3Driver({ name = 's3', endpoint, region, accessKeyId, secretAccessKey, forcePathStyle = false, storageClass } = {}) {
+  let client = null;
+
+  function getS3() {
+    if (!client) {
+      client = new S3Client({
+        region: region || 'us-east-1',
+        ...(endpoint ? { endpoint } : {}),
+        forcePathStyle,
+        ...(accessKeyId && secretAccessKey ? { credentials: { accessKeyId, secretAccessKey } } : {}),
+      });
+    }
+    return client;
+  }
+
+  async function upload(bucket, remotePath, localPath, { contentType = 'application/octet-stream', checksums = {} } = {}) {
+    const { size } = fs.statSync(localPath);
+    // With ChecksumSHA256 set, S3 verifies the body and rejects a mismatch
+    const res = await getS3().send(new PutObjectCommand({
+      Bucket: bucket,
+      Key: normalizeKey(remotePath),
+      Body: fs.createReadStream(localPath),
+      ContentLength: size,
+      ContentType: contentType,
+      ...(storageClass ? { StorageClass: storageClass } : {}),
+      ...(checksums.sha256 ? { ChecksumSHA256: Buffer.from(checksums.sha256, 'hex').toString('base64') } : {}),
+    }));
+    return {
+      provider: 's3',
+      sha256: res && res.ChecksumSHA256 ? Buffer.from(res.ChecksumSHA256, 'base64').toString('hex') : null,
+      md5: md5FromEtag(etagOf(res && res.ETag), res || {}),
+      sha1: null,
+    };
+  }
+
+  async function head(bucket, remotePath) {
+    const Key = normalizeKey(remotePath);
+    try {
+      const res = await getS3().send(new HeadObjectCommand({ Bucket: bucket, Key }));
+      const etag = etagOf(res.ETag);
+      return {
+        key: Key,
+        size: typeof res.ContentLength === 'number' ? res.ContentLength : null,
+        contentType: res.ContentType || null,
+        sha1: null,
+        md5: md5FromEtag(etag, res),
+        etag,
+        versionId: res.VersionId || null,
+        storageClass: res.StorageClass || null,
+        modifiedAt: res.LastModified ? new Date(res.LastModified).toISOString() : null,
+      };
+    } catch (err) {
+      if (isNotFound(err)) return null;
+      throw err;
+    }
+  }
+
+  async function download(bucket, remotePath, localPath, opts = {}) {
+    const Key = normalizeKey(remotePath);
+    const meta = await head(bucket, Key);
+    if (!meta) throw notFound('S3', Key);
+    await downloadResumable({
+      fetchRange: async (start) => {
+        const obj = await getS3().send(new GetObjectCommand({ Bucket: bucket, Key, ...(start > 0 ? { Range: `bytes=${start}-` } : {}) }));
+        return { status: obj.ContentRange ? 206 : 200, stream: obj.Body };
+      },
+      localPath,
+      size: meta.size,
+      tag: meta.etag,
+      logger: opts.logger || null,
+    });
+    return true;
+  }
+
+  async function exists(bucket, remotePath) {
+    try {
+      return !!(await head(bucket, remotePath));
+    } catch (_) {
+      return false;
+    }
+  }
+
+  async function list(bucket, prefix = '', { cursor = null, limit = 1000 } = {}) {
+    const res = await getS3().send(new ListObjectsV2Command({
+      Bucket: bucket,
+      Prefix: normalizeKey(prefix),
+      MaxKeys: Math.min(limit, 1000),
+      ...(cursor ? { ContinuationToken: cursor } : {}),
+    }));
+    return {
+      objects: (res.Contents || []).map((o) => ({
+        key: o.Key,
+        size: o.Size,
+        etag: etagOf(o.ETag),
+        storageClass: o.StorageClass || null,
+        modifiedAt: o.LastModified ? new Date(o.LastModified).toISOString() : null,
+      })),
+      cursor: res.IsTruncated ? res.NextContinuationToken : null,
+    };
+  }
+
+  async function remove(bucket, remotePath) {
+    if (!(await head(bucket, remotePath))) return false;
+    await getS3().send(new DeleteObjectCommand({ Bucket: bucket, Key: normalizeKey(remotePath) }));
+    return true;
+  }
+
+  async function copy(bucket, srcPath, destPath, { destBucketId = bucket } = {}) {
+    const meta = await head(bucket, srcPath);
+    if (!meta) throw notFound('S3', srcPath);
+    if (meta.size > MAX_COPY_BYTES) return null;
+    const source = `${bucket}/${normalizeKey(srcPath).split('/').map(encodeURIComponent).join('/')}`;
+    const res = await getS3().send(new CopyObjectCommand({
+      Bucket: destBucketId,
+      Key: normalizeKey(destPath),
+      CopySource: source,
+      ...(storageClass ? { StorageClass: storageClass } : {}),
+    }));
+    return {
+      provider: 's3',
+      md5: md5FromEtag(etagOf(res.CopyObjectResult && res.CopyObjectResult.ETag), res),
+      sha1: null,
+      sha256: null,
+    };
+  }
+
+  async function signedUrl(bucket, remotePath, { expiresIn, filename = null }) {
+    if (storageClass === 'DEEP_ARCHIVE' || storageClass === 'GLACIER') {
+      const err = new Error('Archived objects must be restored before they can be downloaded');
+      err.code = 'NOT_SERVABLE';
+      throw err;
+    }
+    // Resolved through the client so the default credential chain (and session tokens) work too
+    const credentials = await getS3().config.credentials();
+    return presignGetUrl({
+      url: objectUrl({ endpoint, region, forcePathStyle, bucket, key: normalizeKey(remotePath) }),
+      region: region || 'us-east-1',
+      credentials,
+      expiresIn,
+      query: filename ? { 'response-content-disposition': attachment(filename) } : {},
+    });
+  }
+
+  return { name, upload, download, exists, head, list, delete: remove, copy, signedUrl };
+}
+
+module.exports = { createS3Driver };
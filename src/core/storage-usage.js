@@ -0,0 +1,197 @@
+/**
+ * Storage usage accounting: bytes and object counts per tenant, bucket and
+ * purpose, kept in the `storage_usage` table.
+ *
+ * Totals move by deltas as objects are written and removed
+ * (recordStorageUsage -> RPC `adjust_storage_usage`, an atomic increment)
+ * and are rebuilt from bucket listings by the reconciliation job
+ * (workers/usage/usage.reconcile.js), which corrects any drift.
+ *
+ * The purpose is the storage area the object key names, so running totals
+ * and listings always agree:
+ *   tenant-{t}/batch-{b}/asset-{a}/{area}/...   area = preservation, viewing, thumbnails, tiles, ...
+ *   tenant-{t}/batch-{b}/asset-{a}/original.*   landing upload
+ *   archive/tenant-{t}/...                      preservation archives
+ *   standard/tenant-{t}/asset-{a}/{area}/...    legacy archivist uploads
+ */
+const config = require('./config');
+const { logger: rootLogger } = require('./logger');
+
+const TENANT_RE = /^(?:(archive|standard)\/)?tenant-([0-9a-f-]{36})\/(.*)$/i;
+const AREAS = {
+  preservation: 'preservation',
+  viewing: 'viewing',
+  thumbnails: 'thumbnail',
+  tiles: 'tiles',
+  ai: 'ai',
+  production: 'production',
+  restoration: 'restoration',
+  metadata: 'metadata',
+};
+const PAGE_SIZE = 1000;
+const METRICS_TTL_MS = parseInt(process.env.STORAGE_USAGE_METRICS_TTL_MS || '60000', 10);
+let gaugesRefreshedAt = 0;
+
+/**
+ * Tenant and purpose of an object key; tenant is null for keys outside any tenant.
+ * @param {string} key
+ * @returns {{ tenantId: string|null, purpose: string }}
+ */
+function classifyKey(key) {
+  const m = String(key || '').replace(/^\/+/, '').match(TENANT_RE);
+  if (!m) return { tenantId: null, purpose: 'other' };
+  const [, root, tenantId, rest] = m;
+  if (root && root.toLowerCase() === 'archive') return { tenantId: tenantId.toLowerCase(), purpose: 'preservation' };
+  const parts = rest.split('/');
+  // Skip batch-{b}/ and asset-{a}/ to reach the storage area
+  while (parts.length > 1 && /^(batch|asset)-/.test(parts[0])) parts.shift();
+  const area = parts.length > 1 ? AREAS[parts[0].toLowerCase()] : null;
+  if (area) return { tenantId: tenantId.toLowerCase(), purpose: area };
+  if (parts.length === 1 && /^original\./i.test(parts[0])) return { tenantId: tenantId.toLowerCase(), purpose: 'original' };
+  return { tenantId: tenantId.toLowerCase(), purpose: 'other' };
+}
+
+/**
+ * Adjust the running totals for one tenant/bucket/purpose. Accounting never
+ * fails the write it follows: errors are logged and left to reconciliation.
+ * Skipped under DRY_RUN.
+ * @param {{ tenant_id: string, bucket_name: string, purpose: string, bytes: number, objects: number }} delta
+ * @param {import('pino').Logger} [logger]
+ * @returns {Promise<boolean>} whether the totals were updated
+ */
+async function recordStorageUsage({ tenant_id, bucket_name, purpose, bytes = 0, objects = 0 }, logger = rootLogger) {
+  if (!tenant_id || !bucket_name || (!bytes && !objects)) return false;
+  if (config.dryRun) return false;
+  try {
+    const { callRpc } = require('./supabase');
+    await callRpc({
+      name: 'adjust_storage_usage',
+      params: { tenant_id, bucket_name, purpose: purpose || 'other', bytes: Math.trunc(bytes) || 0, objects: Math.trunc(objects) || 0 },
+      tenantId: tenant_id,
+    });
+    return true;
+  } catch (err) {
+    logger.warn({ err, tenant_id, bucket_name, purpose, bytes, objects }, '[USAGE] Failed to adjust storage usage');
+    return false;
+  }
+}
+
+/**
+ * Record removed objects, one adjustment per tenant/bucket/purpose.
+ * Objects outside any tenant are ignored.
+ * @param {Array<{ bucket: string, key: string, size: number|null }>} objects bucket is the label
+ * @param {import('pino').Logger} [logger]
+ */
+async function recordObjectsRemoved(objects, logger = rootLogger) {
+  const deltas = new Map();
+  for (const obj of objects || []) {
+    const { tenantId, purpose } = classifyKey(obj.key);
+    if (!tenantId || !obj.bucket) continue;
+    const id = `${tenantId}\0${obj.bucket}\0${purpose}`;
+    const d = deltas.get(id) || { tenant_id: tenantId, bucket_name: obj.bucket, purpose, bytes: 0, objects: 0 };
+    d.bytes -= Number(obj.size) || 0;
+    d.objects -= 1;
+    deltas.set(id, d);
+  }
+  for (const d of deltas.values()) await recordStorageUsage(d, logger);
+}
+
+/**
+ * storage_usage rows, optionally for one tenant.
+ * @param {{ tenantId?: string }} [opts]
+ * @returns {Promise<Array<{ tenant_id: string, bucket_name: string, purpose: string, bytes: number, objects: number, updated_at: string, reconciled_at: string|null }>>}
+ */
+async function loadStorageUsage({ tenantId = null } = {}) {
+  const { supabase } = require('./supabase');
+  const rows = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    let q = supabase
+      .from('storage_usage')
+      .select('tenant_id, bucket_name, purpose, bytes, objects, updated_at, reconciled_at')
+      .order('tenant_id', { ascending: true })
+      .order('bucket_name', { ascending: true })
+      .order('purpose', { ascending: true })
+      .range(offset, offset + PAGE_SIZE - 1);
+    if (tenantId) q = q.eq('tenant_id', tenantId);
+    const { data, error } = await q;
+    if (error) throw new Error(`[USAGE] storage_usage lookup failed: ${error.message}`);
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+  return rows;
+}
+
+/**
+ * Per-tenant report from storage_usage rows: totals, and breakdowns by
+ * bucket and by purpose. Pure; shared by the admin endpoint and the CLI.
+ * @param {object[]} rows from loadStorageUsage
+ * @returns {{ tenants: object[], totals: { bytes: number, objects: number } }}
+ */
+function summarizeUsage(rows) {
+  const tenants = new Map();
+  const totals = { bytes: 0, objects: 0 };
+  const add = (group, key, bytes, objects) => {
+    const cur = group[key] || (group[key] = { bytes: 0, objects: 0 });
+    cur.bytes += bytes;
+    cur.objects += objects;
+  };
+  for (const row of rows || []) {
+    const bytes = Number(row.bytes) || 0;
+    const objects = Number(row.objects) || 0;
+    let t = tenants.get(row.tenant_id);
+    if (!t) {
+      t = { tenant_id: row.tenant_id, bytes: 0, objects: 0, buckets: {}, purposes: {}, updated_at: null, reconciled_at: null };
+      tenants.set(row.tenant_id, t);
+    }
+    t.bytes += bytes;
+    t.objects += objects;
+    add(t.buckets, row.bucket_name, bytes, objects);
+    add(t.purposes, row.purpose, bytes, objects);
+    if (row.updated_at && (!t.updated_at || row.updated_at > t.updated_at)) t.updated_at = row.updated_at;
+    if (row.reconciled_at && (!t.reconciled_at || row.reconciled_at > t.reconciled_at)) t.reconciled_at = row.reconciled_at;
+    totals.bytes += bytes;
+    totals.objects += objects;
+  }
+  return { tenants: [...tenants.values()], totals };
+}
+
+/**
+ * Set the storage gauges from storage_usage rows. Gauges are reset first so
+ * rows that went away stop being reported.
+ * @param {object[]} rows from loadStorageUsage
+ */
+function publishUsageGauges(rows) {
+  const { storageBytes, storageObjects } = require('../metrics/prometheus');
+  storageBytes.reset();
+  storageObjects.reset();
+  for (const row of rows || []) {
+    const labels = { tenant: row.tenant_id, bucket: row.bucket_name, purpose: row.purpose };
+    storageBytes.set(labels, Number(row.bytes) || 0);
+    storageObjects.set(labels, Number(row.objects) || 0);
+  }
+}
+
+/**
+ * Refresh the storage gauges before a scrape, at most once per
+ * STORAGE_USAGE_METRICS_TTL_MS. On failure the last values stay.
+ * @param {import('pino').Logger} [logger]
+ */
+async function refreshUsageGauges(logger = rootLogger) {
+  if (Date.now() - gaugesRefreshedAt < METRICS_TTL_MS) return;
+  gaugesRefreshedAt = Date.now();
+  try {
+    publishUsageGauges(await loadStorageUsage());
+  } catch (err) {
+    logger.warn({ err }, '[USAGE] Failed to refresh storage gauges');
+  }
+}
+
+module.exports = {
+  classifyKey,
+  recordStorageUsage,
+  recordObjectsRemoved,
+  loadStorageUsage,
+  summarizeUsage,
+  publishUsageGauges,
+  refreshUsageGauges,
+};
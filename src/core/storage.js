@@ -1,63 +1,26 @@
 /**
  * STORAGE LAYER (FINAL VERSION)
  * ------------------------------
- * Supports:
- *  - Backblaze B2 (primary)
- *  - AWS S3/Glacier (optional)
- *  - Streaming upload/download
+ * Public storage API used by every worker. Each call is routed to the driver
+ * that serves the bucket (core/storage-drivers):
+ *  - Backblaze B2 (primary): streamed and large-file uploads, resumable
+ *    verified downloads through the host-wide download cache
+ *  - S3-compatible endpoints (MinIO, R2, Wasabi, ...)
+ *  - AWS S3/Glacier (archive)
+ *  - Local filesystem (offline development)
+ * and issues expiring download URLs for any of them (getSignedUrl).
  */
 
 const fs = require("fs");
+const os = require("os");
 const path = require("path");
-const { S3Client, PutObjectCommand, GetObjectCommand, HeadObjectCommand } = require("@aws-sdk/client-s3");
-const B2 = require("backblaze-b2");
+const crypto = require("crypto");
 const config = require("./config");
 const { withRetry } = require("../resilience/retry");
+const { driverFor, getDriver } = require("./storage-drivers");
 
-// ------------------------------
-// B2 CLIENT
-// ------------------------------
-let b2Client = null;
-
-function getB2() {
-  if (!b2Client) {
-    b2Client = new B2({
-      applicationKeyId: config.b2.applicationKeyId,
-      applicationKey: config.b2.applicationKey,
-    });
-  }
-  return b2Client;
-}
-
-// Authorize once & refresh token when needed
-async function b2Auth() {
-  const b2 = getB2();
-  const res = await b2.authorize();
-  return res;
-}
-
-// ------------------------------
-// AWS S3 CLIENT (optional)
-// Used for Glacier or S3 archival
-// ------------------------------
-let s3Client = null;
-
-function getS3() {
-  if (!config.aws.accessKeyId || !config.aws.secretAccessKey) {
-    return null; // Glacier optional
-  }
-
-  if (!s3Client) {
-    s3Client = new S3Client({
-      region: config.aws.region,
-      credentials: {
-        accessKeyId: config.aws.accessKeyId,
-        secretAccessKey: config.aws.secretAccessKey,
-      },
-    });
-  }
-  return s3Client;
-}
+// B2 download authorizations and SigV4 presigned URLs both top out at 7 days
+const MAX_SIGNED_URL_TTL = 7 * 24 * 60 * 60;
 
 // ------------------------------
 // HELPERS
@@ -67,162 +30,123 @@ function detectMimeType(filePath, override) {
   return "application/octet-stream";
 }
 
-function normalizeKey(key) {
-  return String(key || "").replace(/\\/g, "/");
-}
-
 // ------------------------------
-// B2 UPLOAD
+// EXPORTING FINAL API
 // ------------------------------
-async function uploadToB2(bucketId, remotePath, localPath, mimeOverride) {
-  await b2Auth();
-  const b2 = getB2();
 
-  const stat = fs.statSync(localPath);
-  // backblaze-b2 library expects Buffer/string to compute sha1 internally; ReadStream triggers ERR_INVALID_ARG_TYPE
-  // Use Buffer for compatibility. For very large files, consider a large-file upload path.
-  const dataBuf = fs.readFileSync(localPath);
-  const contentType = detectMimeType(localPath, mimeOverride);
-  const fileName = normalizeKey(remotePath);
-
-  const { data: uploadUrlData } = await b2.getUploadUrl({ bucketId });
-
-  // backblaze-b2 supports streaming via data: ReadStream and explicit contentLength
-  return b2.uploadFile({
-    uploadUrl: uploadUrlData.uploadUrl,
-    uploadAuthToken: uploadUrlData.authorizationToken,
-    fileName,
-    data: dataBuf,
-    contentType,
-    contentLength: stat.size,
-  });
+/**
+ * Upload a local file. Returns the checksums the backend reports for the
+ * stored object ({ provider, sha1, sha256, md5 }); pass `opts.checksums`
+ * (hex digests from core/checksum) to have the backend verify them on upload.
+ * Large B2 uploads report `parts_verified` instead of a whole-file sha1 and
+ * log progress to `opts.logger`. `opts.cache` also keeps a copy in the local
+ * download cache for objects other jobs are about to read.
+ */
+async function uploadFile(bucketId, remotePath, localPath, mimeOverride = null, opts = {}) {
+  const driver = driverFor(bucketId);
+  return withRetry(() => driver.upload(bucketId, remotePath, localPath, {
+    contentType: detectMimeType(localPath, mimeOverride),
+    checksums: opts.checksums || {},
+    logger: opts.logger || null,
+    cache: !!opts.cache,
+  }), { maxRetries: 3, baseDelay: 300 });
 }
 
-// ------------------------------
-// B2 DOWNLOAD
-// ------------------------------
-async function resolveB2FileId(bucketId, remotePath) {
-  const b2 = getB2();
-  const { data } = await b2.listFileNames({ bucketId, startFileName: normalizeKey(remotePath), maxFileCount: 1 });
-  const file = (data && data.files && data.files[0]) || null;
-  if (file && file.fileName === normalizeKey(remotePath)) return file.fileId;
-  return null;
+/**
+ * Download an object to localPath. B2 downloads resume from the bytes a
+ * failed attempt already wrote, are checked against the stored SHA1, and go
+ * through the host-wide download cache.
+ * opts: { cache?: false, verify?: false, logger } — fixity audits pass
+ * `cache: false, verify: false` to see exactly what storage returns.
+ */
+async function downloadFile(bucketId, remotePath, localPath, opts = {}) {
+  const driver = driverFor(bucketId);
+  return withRetry(() => driver.download(bucketId, remotePath, localPath, opts), { maxRetries: 3, baseDelay: 300 });
 }
 
-async function downloadFromB2(bucketId, remotePath, localPath) {
-  await b2Auth();
-  const b2 = getB2();
-
-  const fileId = await resolveB2FileId(bucketId, remotePath);
-  if (!fileId) throw new Error('B2_NOT_FOUND');
-  const { data } = await b2.downloadFileById({ fileId, responseType: 'stream' });
-
-  await new Promise((resolve, reject) => {
-    const write = fs.createWriteStream(localPath);
-    data.pipe(write);
-    data.on('end', resolve);
-    data.on('error', reject);
-  });
-  return true;
+async function fileExists(bucketId, remotePath) {
+  const driver = driverFor(bucketId);
+  return withRetry(() => driver.exists(bucketId, remotePath), { maxRetries: 2, baseDelay: 200 });
 }
 
-// ------------------------------
-// B2 EXISTS
-// ------------------------------
-async function b2FileExists(bucketId, remotePath) {
-  try {
-    await b2Auth();
-    const id = await resolveB2FileId(bucketId, remotePath);
-    return !!id;
-  } catch (err) {
-    const code = err && (err.name || err.code || err.status || err.message);
-    if (code && String(code).toLowerCase().includes('not') && String(code).toLowerCase().includes('found')) return false;
-    if (String(err?.message || '').includes('file_not_present')) return false;
-    return false;
-  }
+/**
+ * Size, content type and backend checksums of an object, or null.
+ */
+async function headFile(bucketId, remotePath) {
+  const driver = driverFor(bucketId);
+  return withRetry(() => driver.head(bucketId, remotePath), { maxRetries: 2, baseDelay: 200 });
 }
 
-// ------------------------------
-// AWS S3 UPLOAD (GLACIER / ARCHIVE)
-// ------------------------------
-async function uploadToS3(bucket, remotePath, localPath) {
-  const s3 = getS3();
-  if (!s3) throw new Error("S3_NOT_CONFIGURED");
-
-  const stream = fs.createReadStream(localPath);
-
-  await s3.send(
-    new PutObjectCommand({
-      Bucket: bucket,
-      Key: normalizeKey(remotePath),
-      Body: stream,
-      ContentType: detectMimeType(localPath),
-      StorageClass: "DEEP_ARCHIVE",
-    })
-  );
-
-  return true;
+/**
+ * One page of objects under a prefix: { objects: [{ key, size, modifiedAt }], cursor }.
+ * Pass the returned cursor back for the next page; it is null on the last one.
+ */
+async function listFiles(bucketId, prefix = "", opts = {}) {
+  const driver = driverFor(bucketId);
+  return withRetry(() => driver.list(bucketId, prefix, opts), { maxRetries: 2, baseDelay: 200 });
 }
 
-// ------------------------------
-// EXPORTING FINAL API
-// ------------------------------
-
-async function uploadFile(bucketId, remotePath, localPath, mimeOverride = null) {
-  return withRetry(async () => {
-    if (config.aws.archiveBucket && bucketId === config.aws.archiveBucket) {
-      // Archive to AWS Glacier/S3
-      return uploadToS3(bucketId, remotePath, localPath);
-    }
-    return uploadToB2(bucketId, remotePath, localPath, mimeOverride);
-  }, { maxRetries: 3, baseDelay: 300 });
+/**
+ * Delete an object (every stored version on B2). Resolves false when there
+ * was nothing to delete.
+ */
+async function deleteFile(bucketId, remotePath) {
+  const driver = driverFor(bucketId);
+  return withRetry(() => driver.delete(bucketId, remotePath), { maxRetries: 3, baseDelay: 300 });
 }
 
-async function downloadFile(bucketId, remotePath, localPath) {
-  return withRetry(async () => {
-    if (config.aws.archiveBucket && bucketId === config.aws.archiveBucket) {
-      const s3 = getS3();
-      const obj = await s3.send(
-        new GetObjectCommand({ Bucket: bucketId, Key: normalizeKey(remotePath) })
-      );
-      const stream = obj.Body;
-      const write = fs.createWriteStream(localPath);
-      await new Promise((res, rej) => {
-        stream.pipe(write);
-        stream.on("end", res);
-        stream.on("error", rej);
-      });
-      return true;
-    }
-    return downloadFromB2(bucketId, remotePath, localPath);
-  }, { maxRetries: 3, baseDelay: 300 });
+/**
+ * Copy an object, within a bucket or across buckets. Copies stay on the
+ * backend when both buckets share a driver; otherwise (or above the
+ * backend's server-side copy limit) the bytes go through a temp file.
+ */
+async function copyFile(srcBucketId, srcPath, destBucketId, destPath, opts = {}) {
+  const src = driverFor(srcBucketId);
+  const dest = driverFor(destBucketId);
+  if (src === dest) {
+    const copied = await withRetry(() => src.copy(srcBucketId, srcPath, destPath, { destBucketId }), { maxRetries: 3, baseDelay: 300 });
+    if (copied) return copied;
+  }
+  const tmp = path.join(os.tmpdir(), `relicxs-copy-${crypto.randomBytes(6).toString("hex")}`);
+  try {
+    await downloadFile(srcBucketId, srcPath, tmp, { logger: opts.logger });
+    const meta = await headFile(srcBucketId, srcPath).catch(() => null);
+    return await uploadFile(destBucketId, destPath, tmp, (meta && meta.contentType) || null, { logger: opts.logger });
+  } finally {
+    await fs.promises.rm(tmp, { force: true }).catch(() => {});
+  }
 }
 
-async function fileExists(bucketId, remotePath) {
-  return withRetry(async () => {
-    if (config.aws.archiveBucket && bucketId === config.aws.archiveBucket) {
-      const s3 = getS3();
-      try {
-        await s3.send(new HeadObjectCommand({ Bucket: bucketId, Key: normalizeKey(remotePath) }));
-        return true;
-      } catch (err) {
-        if (err?.$metadata?.httpStatusCode === 404) return false;
-        return false;
-      }
-    }
-    return b2FileExists(bucketId, remotePath);
-  }, { maxRetries: 2, baseDelay: 200 });
+/**
+ * Expiring download URL for an object: a B2 download authorization, an S3
+ * presigned GET, or an HMAC-signed endpoints-server URL for the local driver.
+ * opts: { expiresIn (seconds, default SIGNED_URL_TTL_SECONDS, max 7 days),
+ * filename (served as an attachment with that name) }.
+ * @returns {Promise<{ url: string, expiresAt: string }>}
+ */
+async function getSignedUrl(bucketId, remotePath, opts = {}) {
+  const requested = Number(opts.expiresIn) || config.storage.signedUrlTtl;
+  const expiresIn = Math.min(Math.max(Math.floor(requested), 1), MAX_SIGNED_URL_TTL);
+  const driver = driverFor(bucketId);
+  const url = await withRetry(() => driver.signedUrl(bucketId, remotePath, { expiresIn, filename: opts.filename || null }), { maxRetries: 2, baseDelay: 200 });
+  return { url, expiresAt: new Date(Date.now() + expiresIn * 1000).toISOString() };
 }
 
-async function archiveToGlacier(remotePath, localPath) {
-  return withRetry(async () => {
-    return uploadToS3(config.aws.archiveBucket, remotePath, localPath);
-  }, { maxRetries: 3, baseDelay: 300 });
+async function archiveToGlacier(remotePath, localPath, opts = {}) {
+  if (!config.aws.archiveBucket) throw new Error("S3_NOT_CONFIGURED");
+  return uploadFile(config.aws.archiveBucket, remotePath, localPath, null, { checksums: opts.checksums || {} });
 }
 
 module.exports = {
   uploadFile,
   downloadFile,
   fileExists,
+  headFile,
+  listFiles,
+  deleteFile,
+  copyFile,
+  getSignedUrl,
   archiveToGlacier,
+  getDriver,
+  driverFor,
 };
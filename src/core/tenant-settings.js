@@ -0,0 +1,46 @@
+/**
+ * Per-tenant worker settings.
+ * Reads the `settings` jsonb column of the `tenant` row and caches it
+ * in-process for a short time so every job does not hit Supabase.
+ */
+const config = require('./config');
+const { logger } = require('./logger');
+
+const TTL_MS = parseInt(process.env.TENANT_SETTINGS_TTL_MS || '60000', 10);
+
+const cache = new Map();
+
+/**
+ * Load settings for a tenant. Never throws; returns {} when unavailable.
+ * @param {string} tenantId
+ * @returns {Promise<Record<string, any>>}
+ */
+async function getTenantSettings(tenantId) {
+  if (!tenantId || config.dryRun) return {};
+
+  const hit = cache.get(tenantId);
+  if (hit && Date.now() - hit.at < TTL_MS) return hit.settings;
+
+  let settings = {};
+  try {
+    const { supabase } = require('./supabase');
+    const { data, error } = await supabase
+      .from('tenant')
+      .select('settings')
+      .eq('id', tenantId)
+      .maybeSingle();
+    if (error) throw error;
+    if (data && data.settings && typeof data.settings === 'object') settings = data.settings;
+  } catch (err) {
+    logger.warn({ err, tenant_id: tenantId }, '[TENANT] Failed to load tenant settings; using defaults');
+  }
+
+  cache.set(tenantId, { at: Date.now(), settings });
+  return settings;
+}
+
+function clearTenantSettingsCache() {
+  cache.clear();
+}
+
+module.exports = { getTenantSettings, clearTenantSettingsCache };
@@ -0,0 +1,71 @@
+/**
+ * Small in-process LRU caches for the IIIF endpoints.
+ *   - rendered image responses (byte-bounded)
+ *   - downloaded source files on local disk (entry-bounded; evicted files are removed)
+ */
+const fs = require('fs');
+
+/**
+ * Byte-bounded LRU keyed by string. Map iteration order is insertion order,
+ * so re-inserting on read keeps the most recently used entry last.
+ * @param {{ maxBytes: number, maxEntries?: number, onEvict?: (key: string, value: any) => void }} opts
+ */
+function createLruCache({ maxBytes, maxEntries = Infinity, onEvict }) {
+  const entries = new Map();
+  let bytes = 0;
+
+  function evict() {
+    while ((bytes > maxBytes || entries.size > maxEntries) && entries.size) {
+      const [key, entry] = entries.entries().next().value;
+      entries.delete(key);
+      bytes -= entry.size;
+      if (onEvict) {
+        try { onEvict(key, entry.value); } catch (_) {}
+      }
+    }
+  }
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+    set(key, value, size = 0) {
+      if (size > maxBytes) return false;
+      const prev = entries.get(key);
+      if (prev) {
+        entries.delete(key);
+        bytes -= prev.size;
+      }
+      entries.set(key, { value, size });
+      bytes += size;
+      evict();
+      return true;
+    },
+    delete(key) {
+      const entry = entries.get(key);
+      if (!entry) return false;
+      entries.delete(key);
+      bytes -= entry.size;
+      return true;
+    },
+    stats() {
+      return { entries: entries.size, bytes };
+    },
+  };
+}
+
+const responseCache = createLruCache({
+  maxBytes: parseInt(process.env.IIIF_CACHE_MAX_BYTES || String(128 * 1024 * 1024), 10),
+});
+
+const sourceCache = createLruCache({
+  maxBytes: Infinity,
+  maxEntries: parseInt(process.env.IIIF_SOURCE_CACHE_ENTRIES || '50', 10),
+  onEvict: (_key, source) => fs.promises.rm(source.localPath, { force: true }).catch(() => {}),
+});
+
+module.exports = { createLruCache, responseCache, sourceCache };
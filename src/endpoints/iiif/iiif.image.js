@@ -0,0 +1,98 @@
+/**
+ * IIIF Image API 3.0: info.json and image rendering with Sharp.
+ */
+const sharp = require('sharp');
+const pLimit = require('p-limit');
+const { withTimeout } = require('@safety/with-timeout');
+const LIMITS = require('@safety/runtime-limits');
+const { resolveImageRequest, canonicalKey } = require('./iiif.params');
+const { responseCache } = require('./iiif.cache');
+
+const MAX_SIZE = parseInt(process.env.IIIF_MAX_SIZE || '4000', 10);
+const IMAGE_LIMITS = {
+  maxWidth: MAX_SIZE,
+  maxHeight: MAX_SIZE,
+  maxArea: MAX_SIZE * MAX_SIZE,
+};
+const TILE_SIZE = parseInt(process.env.MACHINIST_TILE_SIZE || '512', 10);
+
+const renderLimit = pLimit(parseInt(process.env.IIIF_RENDER_CONCURRENCY || '2', 10));
+
+/**
+ * Build the Image API 3.0 info.json for a source.
+ * @param {string} serviceId absolute URI of the image service (…/iiif/{id})
+ * @param {{ width: number, height: number }} source
+ */
+function buildImageInfo(serviceId, source) {
+  const sizes = [];
+  for (let f = 1; f <= 64; f *= 2) {
+    const w = Math.floor(source.width / f);
+    const h = Math.floor(source.height / f);
+    if (w < 64 || h < 64) break;
+    if (w <= IMAGE_LIMITS.maxWidth && h <= IMAGE_LIMITS.maxHeight) sizes.unshift({ width: w, height: h });
+  }
+  const scaleFactors = [];
+  for (let f = 1; Math.max(source.width, source.height) / f >= TILE_SIZE / 2; f *= 2) scaleFactors.push(f);
+  return {
+    '@context': 'http://iiif.io/api/image/3/context.json',
+    id: serviceId,
+    type: 'ImageService3',
+    protocol: 'http://iiif.io/api/image',
+    profile: 'level2',
+    width: source.width,
+    height: source.height,
+    maxWidth: IMAGE_LIMITS.maxWidth,
+    maxHeight: IMAGE_LIMITS.maxHeight,
+    maxArea: IMAGE_LIMITS.maxArea,
+    sizes,
+    tiles: [{ width: TILE_SIZE, scaleFactors: scaleFactors.length ? scaleFactors : [1] }],
+    extraQualities: ['color', 'gray', 'bitonal'],
+    extraFormats: ['webp'],
+    extraFeatures: ['mirroring', 'rotationArbitrary', 'sizeUpscaling'],
+  };
+}
+
+async function render(source, r) {
+  // Pass 1: orient, crop, scale. Sharp allows a single rotate() per pipeline,
+  // so the IIIF rotation runs on the raw pixels in a second pipeline.
+  const { data, info } = await sharp(source.localPath)
+    .rotate()
+    .extract(r.region)
+    .resize({ width: r.size.width, height: r.size.height, fit: 'fill' })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  let img = sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } });
+  if (r.rotation.mirror) img = img.flop();
+  if (r.rotation.degrees) {
+    const opaque = r.format === 'jpg';
+    img = img.rotate(r.rotation.degrees, { background: opaque ? '#ffffff' : { r: 0, g: 0, b: 0, alpha: 0 } });
+  }
+  if (r.quality === 'gray') img = img.grayscale();
+  if (r.quality === 'bitonal') img = img.grayscale().threshold(128);
+  if (r.format === 'png') img = img.png();
+  else if (r.format === 'webp') img = img.webp({ quality: 85 });
+  else img = img.flatten({ background: '#ffffff' }).jpeg({ quality: 85 });
+  return img.toBuffer();
+}
+
+/**
+ * Render (or serve from cache) an image request.
+ * @param {string} id
+ * @param {{ localPath: string, width: number, height: number, versionId: string }} source
+ * @param {{ region: string, size: string, rotation: string, qualityFormat: string }} segments
+ * @returns {Promise<{ body: Buffer, contentType: string, canonical: string }>}
+ */
+async function renderImage(id, source, segments) {
+  const r = resolveImageRequest(segments, source, IMAGE_LIMITS);
+  const canonical = canonicalKey(id, r);
+  const cacheKey = `${source.versionId}:${canonical}`;
+  const hit = responseCache.get(cacheKey);
+  if (hit) return { body: hit, contentType: r.contentType, canonical };
+
+  const body = await renderLimit(() => withTimeout(render(source, r), LIMITS.SHARP_TIMEOUT_MS, 'IIIF render timeout'));
+  responseCache.set(cacheKey, body, body.length);
+  return { body, contentType: r.contentType, canonical };
+}
+
+module.exports = { IMAGE_LIMITS, buildImageInfo, renderImage };
@@ -0,0 +1,189 @@
+/**
+ * IIIF Image API 3.0 request parsing.
+ * Pure functions: turn the {region}/{size}/{rotation}/{quality}.{format}
+ * path segments into concrete pixel operations for a source of known size.
+ * https://iiif.io/api/image/3.0/#4-image-requests
+ */
+
+const QUALITIES = ['default', 'color', 'gray', 'bitonal'];
+const FORMATS = {
+  jpg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+};
+
+class IiifError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'IiifError';
+    this.status = status;
+  }
+}
+
+function toNumber(s, { integer = false } = {}) {
+  if (!/^\d+(\.\d+)?$/.test(String(s))) throw new IiifError(`Invalid number: ${s}`);
+  const n = Number(s);
+  if (integer && !Number.isInteger(n)) throw new IiifError(`Invalid integer: ${s}`);
+  return n;
+}
+
+/**
+ * @param {string} region
+ * @param {{ width: number, height: number }} src
+ * @returns {{ left: number, top: number, width: number, height: number }}
+ */
+function parseRegion(region, src) {
+  if (region === 'full') return { left: 0, top: 0, width: src.width, height: src.height };
+  if (region === 'square') {
+    const side = Math.min(src.width, src.height);
+    return { left: Math.floor((src.width - side) / 2), top: Math.floor((src.height - side) / 2), width: side, height: side };
+  }
+  const pct = region.startsWith('pct:');
+  const parts = (pct ? region.slice(4) : region).split(',');
+  if (parts.length !== 4) throw new IiifError(`Invalid region: ${region}`);
+  let [x, y, w, h] = parts.map((p) => toNumber(p, { integer: !pct }));
+  if (pct) {
+    x = Math.round((x / 100) * src.width);
+    y = Math.round((y / 100) * src.height);
+    w = Math.round((w / 100) * src.width);
+    h = Math.round((h / 100) * src.height);
+  }
+  if (w <= 0 || h <= 0) throw new IiifError(`Region has zero size: ${region}`);
+  if (x >= src.width || y >= src.height) throw new IiifError(`Region outside image: ${region}`);
+  // Clip to the image bounds (spec 4.1)
+  return { left: x, top: y, width: Math.min(w, src.width - x), height: Math.min(h, src.height - y) };
+}
+
+/**
+ * @param {string} size
+ * @param {{ width: number, height: number }} region
+ * @param {{ maxWidth: number, maxHeight: number, maxArea: number }} limits
+ * @returns {{ width: number, height: number }}
+ */
+function parseSize(size, region, limits) {
+  const upscale = size.startsWith('^');
+  const s = upscale ? size.slice(1) : size;
+  const aspect = region.width / region.height;
+  let width;
+  let height;
+
+  if (s === 'max') {
+    width = region.width;
+    height = region.height;
+    const scale = Math.min(
+      limits.maxWidth / width,
+      limits.maxHeight / height,
+      Math.sqrt(limits.maxArea / (width * height)),
+      upscale ? Infinity : 1
+    );
+    if (scale < 1 || upscale) {
+      width = Math.max(1, Math.floor(width * scale));
+      height = Math.max(1, Math.floor(height * scale));
+    }
+  } else if (s.startsWith('pct:')) {
+    const n = toNumber(s.slice(4));
+    if (n <= 0) throw new IiifError(`Invalid size: ${size}`);
+    if (n > 100 && !upscale) throw new IiifError(`Upscaling requires ^: ${size}`);
+    width = Math.max(1, Math.round((region.width * n) / 100));
+    height = Math.max(1, Math.round((region.height * n) / 100));
+  } else {
+    const confined = s.startsWith('!');
+    const parts = (confined ? s.slice(1) : s).split(',');
+    if (parts.length !== 2) throw new IiifError(`Invalid size: ${size}`);
+    const w = parts[0] === '' ? null : toNumber(parts[0], { integer: true });
+    const h = parts[1] === '' ? null : toNumber(parts[1], { integer: true });
+    if ((w === null && h === null) || w === 0 || h === 0) throw new IiifError(`Invalid size: ${size}`);
+    if (confined) {
+      if (w === null || h === null) throw new IiifError(`Invalid size: ${size}`);
+      const scale = Math.min(w / region.width, h / region.height);
+      width = Math.max(1, Math.floor(region.width * scale));
+      height = Math.max(1, Math.floor(region.height * scale));
+    } else if (w === null) {
+      height = h;
+      width = Math.max(1, Math.round(h * aspect));
+    } else if (h === null) {
+      width = w;
+      height = Math.max(1, Math.round(w / aspect));
+    } else {
+      width = w;
+      height = h;
+    }
+  }
+
+  if (!upscale && (width > region.width || height > region.height)) {
+    throw new IiifError(`Upscaling requires ^: ${size}`);
+  }
+  if (width > limits.maxWidth || height > limits.maxHeight || width * height > limits.maxArea) {
+    throw new IiifError(`Requested size exceeds server limits: ${size}`);
+  }
+  return { width, height };
+}
+
+/**
+ * @param {string} rotation
+ * @returns {{ degrees: number, mirror: boolean }}
+ */
+function parseRotation(rotation) {
+  const mirror = rotation.startsWith('!');
+  const degrees = toNumber(mirror ? rotation.slice(1) : rotation);
+  if (degrees < 0 || degrees > 360) throw new IiifError(`Invalid rotation: ${rotation}`);
+  return { degrees: degrees % 360, mirror };
+}
+
+/**
+ * @param {string} qualityFormat e.g. "default.jpg"
+ * @returns {{ quality: string, format: string, contentType: string }}
+ */
+function parseQualityFormat(qualityFormat) {
+  const dot = qualityFormat.lastIndexOf('.');
+  if (dot <= 0) throw new IiifError(`Invalid quality/format: ${qualityFormat}`);
+  const quality = qualityFormat.slice(0, dot);
+  const format = qualityFormat.slice(dot + 1).toLowerCase();
+  if (!QUALITIES.includes(quality)) throw new IiifError(`Unsupported quality: ${quality}`);
+  if (!FORMATS[format]) throw new IiifError(`Unsupported format: ${format}`);
+  return { quality, format, contentType: FORMATS[format] };
+}
+
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (err) {
+    throw new IiifError(`Malformed request segment: ${segment}`);
+  }
+}
+
+/**
+ * Resolve a full image request against the source dimensions.
+ * @param {{ region: string, size: string, rotation: string, qualityFormat: string }} segments
+ * @param {{ width: number, height: number }} src
+ * @param {{ maxWidth: number, maxHeight: number, maxArea: number }} limits
+ */
+function resolveImageRequest(segments, src, limits) {
+  const region = parseRegion(decodeSegment(segments.region), src);
+  const size = parseSize(decodeSegment(segments.size), region, limits);
+  const rotation = parseRotation(decodeSegment(segments.rotation));
+  const { quality, format, contentType } = parseQualityFormat(decodeSegment(segments.qualityFormat));
+  return { region, size, rotation, quality, format, contentType };
+}
+
+/**
+ * Canonical cache key for a resolved request (IIIF canonical URI form).
+ * @param {string} id
+ * @param {ReturnType<typeof resolveImageRequest>} r
+ */
+function canonicalKey(id, r) {
+  const rot = `${r.rotation.mirror ? '!' : ''}${r.rotation.degrees}`;
+  return `${id}/${r.region.left},${r.region.top},${r.region.width},${r.region.height}/${r.size.width},${r.size.height}/${rot}/${r.quality}.${r.format}`;
+}
+
+module.exports = {
+  QUALITIES,
+  FORMATS,
+  IiifError,
+  parseRegion,
+  parseSize,
+  parseRotation,
+  parseQualityFormat,
+  resolveImageRequest,
+  canonicalKey,
+};
@@ -0,0 +1,105 @@
+/**
+ * IIIF Presentation API 3.0 manifests for a single asset or a whole batch.
+ * Pure builders; the endpoint loads asset / asset_versions / ai_description
+ * rows and passes them in.
+ * https://iiif.io/api/presentation/3.0/
+ */
+
+function langMap(value, lang = 'none') {
+  if (value == null || value === '') return undefined;
+  return { [lang]: [String(value)] };
+}
+
+function metadataEntry(label, value) {
+  if (value == null || value === '' || (Array.isArray(value) && !value.length)) return null;
+  const text = Array.isArray(value) ? value.join(', ') : String(value);
+  return { label: { en: [label] }, value: { none: [text] } };
+}
+
+/**
+ * Canvas for one asset, painted with its IIIF image service.
+ * @param {object} params
+ * @param {string} params.baseUrl public base of the endpoints server
+ * @param {string} params.manifestId
+ * @param {{ id: string, width: number, height: number }} params.asset
+ * @param {{ title?: string }} [params.description]
+ */
+function buildCanvas({ baseUrl, manifestId, asset, description }) {
+  const service = `${baseUrl}/iiif/${asset.id}`;
+  const canvasId = `${manifestId.replace(/\/manifest$/, '')}/canvas/${asset.id}`;
+  const serviceRef = [{ id: service, type: 'ImageService3', profile: 'level2' }];
+  const canvas = {
+    id: canvasId,
+    type: 'Canvas',
+    width: asset.width,
+    height: asset.height,
+    thumbnail: [{ id: `${service}/full/200,/0/default.jpg`, type: 'Image', format: 'image/jpeg', service: serviceRef }],
+    items: [{
+      id: `${canvasId}/page`,
+      type: 'AnnotationPage',
+      items: [{
+        id: `${canvasId}/page/painting`,
+        type: 'Annotation',
+        motivation: 'painting',
+        target: canvasId,
+        body: {
+          id: `${service}/full/max/0/default.jpg`,
+          type: 'Image',
+          format: 'image/jpeg',
+          width: asset.width,
+          height: asset.height,
+          service: serviceRef,
+        },
+      }],
+    }],
+  };
+  const label = langMap(description && description.title);
+  if (label) canvas.label = label;
+  return canvas;
+}
+
+/**
+ * Manifest for a single asset.
+ * @param {object} params
+ * @param {string} params.baseUrl
+ * @param {{ id: string, width: number, height: number }} params.asset
+ * @param {{ title?: string, description?: string, keywords?: string[], subject?: string }} [params.description]
+ */
+function buildAssetManifest({ baseUrl, asset, description = {} }) {
+  const id = `${baseUrl}/iiif/presentation/asset/${asset.id}/manifest`;
+  const manifest = {
+    '@context': 'http://iiif.io/api/presentation/3/context.json',
+    id,
+    type: 'Manifest',
+    label: langMap(description.title || asset.id),
+    items: [buildCanvas({ baseUrl, manifestId: id, asset, description })],
+  };
+  const summary = langMap(description.description);
+  if (summary) manifest.summary = summary;
+  const metadata = [
+    metadataEntry('Subject', description.subject),
+    metadataEntry('Keywords', description.keywords),
+  ].filter(Boolean);
+  if (metadata.length) manifest.metadata = metadata;
+  return manifest;
+}
+
+/**
+ * Manifest for a batch: one canvas per asset, in the given order.
+ * @param {object} params
+ * @param {string} params.baseUrl
+ * @param {{ id: string, name?: string }} params.batch
+ * @param {{ asset: { id: string, width: number, height: number }, description?: object }[]} params.entries
+ */
+function buildBatchManifest({ baseUrl, batch, entries }) {
+  const id = `${baseUrl}/iiif/presentation/batch/${batch.id}/manifest`;
+  return {
+    '@context': 'http://iiif.io/api/presentation/3/context.json',
+    id,
+    type: 'Manifest',
+    label: langMap(batch.name || batch.id),
+    items: entries.map(({ asset, description }) => buildCanvas({ baseUrl, manifestId: id, asset, description })),
+  };
+}
+
+module.exports = { buildCanvas, buildAssetManifest, buildBatchManifest };
@@ -0,0 +1,114 @@
+/**
+ * IIIF source images: pick the best stored version of an asset, download it
+ * once through core/storage and keep it on local disk for subsequent requests.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { supabase } = require('../../core/supabase');
+const { downloadFile } = require('../../core/storage');
+const { resolveBucketId } = require('../../core/buckets');
+const { sourceCache } = require('./iiif.cache');
+const { IiifError } = require('./iiif.params');
+
+const CACHE_DIR = process.env.IIIF_CACHE_DIR || path.join(os.tmpdir(), 'relicxs-iiif');
+// Preference order of asset_versions.variant used as the IIIF source. The
+// processed viewing derivative is watermarked and scrubbed; the original is
+// neither, so serving it needs an explicit IIIF_SOURCE_VARIANTS=original,...
+const SOURCE_VARIANTS = String(process.env.IIIF_SOURCE_VARIANTS || 'processed')
+  .split(',').map((v) => v.trim()).filter(Boolean);
+// Formats sharp decodes without an external decoder
+const READABLE_MIMES = ['image/jpeg', 'image/png', 'image/tiff', 'image/webp'];
+// Originals under these purposes sit in processed-standard; preservation may be cold
+const PURPOSE_ORDER = ['viewing', 'production', 'restoration', 'preservation'];
+
+const inflight = new Map();
+
+/**
+ * Choose the version row to serve. Pure; exported for tests.
+ * @param {object[]} rows asset_versions rows
+ * @returns {object|null}
+ */
+function pickSourceVersion(rows) {
+  const usable = (rows || []).filter((r) => r
+    && r.status === 'success'
+    && r.storage_path
+    && r.bucket_name !== 'AWS_archival'
+    && READABLE_MIMES.includes(String(r.mime_type || '').toLowerCase()));
+  for (const variant of SOURCE_VARIANTS) {
+    const candidates = usable
+      .filter((r) => r.variant === variant)
+      .sort((a, b) => {
+        const pa = PURPOSE_ORDER.indexOf(a.purpose);
+        const pb = PURPOSE_ORDER.indexOf(b.purpose);
+        return (pa === -1 ? 99 : pa) - (pb === -1 ? 99 : pb);
+      });
+    if (candidates.length) return candidates[0];
+  }
+  return null;
+}
+
+async function loadVersions(assetId) {
+  const { data, error } = await supabase
+    .from('asset_versions')
+    .select('id, asset_id, purpose, variant, type, status, mime_type, storage_path, bucket_name, width, height, updated_at')
+    .eq('asset_id', assetId);
+  if (error) throw new Error(`[IIIF] asset_versions lookup failed: ${error.message}`);
+  return data || [];
+}
+
+/**
+ * Where a version's downloaded source is kept on local disk.
+ * @param {string} assetId
+ * @param {{ id: string, updated_at?: string, storage_path: string }} row
+ */
+function sourceCachePath(assetId, row) {
+  const name = crypto.createHash('sha1').update(`${assetId}:${row.id}:${row.updated_at || ''}`).digest('hex');
+  return path.join(CACHE_DIR, `${name}${path.posix.extname(row.storage_path) || '.img'}`);
+}
+
+async function fetchSource(assetId, row) {
+  const sharp = require('sharp');
+  await fs.promises.mkdir(CACHE_DIR, { recursive: true, mode: 0o700 });
+  const localPath = sourceCachePath(assetId, row);
+  const bucketId = resolveBucketId(row.bucket_name);
+  if (!bucketId) throw new IiifError('Source bucket not configured', 503);
+  await downloadFile(bucketId, row.storage_path, localPath);
+  const meta = await sharp(localPath).metadata();
+  // Requests address the auto-oriented image; orientations 5-8 swap the axes
+  const swap = (meta.orientation || 1) >= 5;
+  return {
+    localPath,
+    width: swap ? meta.height : meta.width,
+    height: swap ? meta.width : meta.height,
+    versionId: row.id,
+  };
+}
+
+/**
+ * Resolve and (if needed) download the source image for an asset.
+ * @param {string} assetId
+ * @returns {Promise<{ localPath: string, width: number, height: number, versionId: string }>}
+ */
+async function getSourceImage(assetId) {
+  if (!/^[0-9a-f-]{36}$/i.test(assetId)) throw new IiifError('Unknown identifier', 404);
+  const row = pickSourceVersion(await loadVersions(assetId));
+  if (!row) throw new IiifError('No servable image for identifier', 404);
+
+  const key = `${assetId}:${row.id}:${row.updated_at || ''}`;
+  const cached = sourceCache.get(key);
+  if (cached) return cached;
+  if (inflight.has(key)) return inflight.get(key);
+
+  const p = fetchSource(assetId, row)
+    .then((source) => {
+      sourceCache.set(key, source);
+      return source;
+    })
+    .finally(() => inflight.delete(key));
+  inflight.set(key, p);
+  return p;
+}
+
+module.exports = { pickSourceVersion, loadVersions, getSourceImage, sourceCachePath };
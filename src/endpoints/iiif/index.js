@@ -0,0 +1,176 @@
+/**
+ * IIIF routes for the endpoints server.
+ *   GET /iiif/{id}                                      -> 303 to info.json
+ *   GET /iiif/{id}/info.json                            Image API 3.0 info
+ *   GET /iiif/{id}/{region}/{size}/{rotation}/{quality}.{format}
+ *   GET /iiif/presentation/asset/{assetId}/manifest     Presentation 3.0
+ *   GET /iiif/presentation/batch/{batchId}/manifest
+ * {id} is the asset id. Routes are public when IIIF_PUBLIC=true, otherwise
+ * they require the same bearer tokens as the admin endpoints.
+ */
+const { supabase } = require('../../core/supabase');
+const { logger } = require('../../core/logger');
+const { IiifError } = require('./iiif.params');
+const { getSourceImage, pickSourceVersion } = require('./iiif.source');
+const { buildImageInfo, renderImage } = require('./iiif.image');
+const { buildAssetManifest, buildBatchManifest } = require('./iiif.presentation');
+
+const IIIF_PUBLIC = process.env.IIIF_PUBLIC === 'true';
+const MANIFEST_MAX_ASSETS = parseInt(process.env.IIIF_MANIFEST_MAX_ASSETS || '500', 10);
+const UUID_RE = /^[0-9a-f-]{36}$/i;
+
+const CORS = { 'Access-Control-Allow-Origin': '*' };
+
+function baseUrlFor(req) {
+  if (process.env.IIIF_BASE_URL) return process.env.IIIF_BASE_URL.replace(/\/+$/, '');
+  const proto = String(req.headers['x-forwarded-proto'] || 'http').split(',')[0].trim();
+  return `${proto}://${req.headers.host}`;
+}
+
+function sendJson(res, status, body, contentType = 'application/json') {
+  res.writeHead(status, { ...CORS, 'Content-Type': contentType });
+  res.end(JSON.stringify(body));
+}
+
+async function loadDescriptions(assetIds) {
+  if (!assetIds.length) return new Map();
+  const { data, error } = await supabase
+    .from('ai_description')
+    .select('asset_id, title, description, subject, keywords')
+    .in('asset_id', assetIds);
+  if (error) throw new Error(`[IIIF] ai_description lookup failed: ${error.message}`);
+  return new Map((data || []).map((d) => [d.asset_id, d]));
+}
+
+/**
+ * Canvas size for an asset: prefer the stored version dimensions, fall back
+ * to downloading the source when they were never recorded.
+ */
+async function canvasAsset(assetId, versions) {
+  const row = pickSourceVersion(versions);
+  if (!row) return null;
+  if (row.width && row.height) return { id: assetId, width: row.width, height: row.height };
+  const source = await getSourceImage(assetId);
+  return { id: assetId, width: source.width, height: source.height };
+}
+
+async function assetManifest(req, assetId) {
+  const { data: versions, error } = await supabase
+    .from('asset_versions')
+    .select('id, asset_id, purpose, variant, type, status, mime_type, storage_path, bucket_name, width, height, updated_at')
+    .eq('asset_id', assetId);
+  if (error) throw new Error(`[IIIF] asset_versions lookup failed: ${error.message}`);
+  const asset = await canvasAsset(assetId, versions || []);
+  if (!asset) throw new IiifError('No servable image for asset', 404);
+  const descriptions = await loadDescriptions([assetId]);
+  return buildAssetManifest({ baseUrl: baseUrlFor(req), asset, description: descriptions.get(assetId) || {} });
+}
+
+async function batchManifest(req, batchId) {
+  const { data: batch } = await supabase.from('batch').select('*').eq('id', batchId).maybeSingle();
+  if (!batch) throw new IiifError('Unknown batch', 404);
+  const { data: assets, error } = await supabase
+    .from('asset')
+    .select('id')
+    .eq('batch_id', batchId)
+    .limit(MANIFEST_MAX_ASSETS);
+  if (error) throw new Error(`[IIIF] asset lookup failed: ${error.message}`);
+  const ids = (assets || []).map((a) => a.id);
+
+  const { data: versions, error: vErr } = ids.length
+    ? await supabase
+      .from('asset_versions')
+      .select('id, asset_id, purpose, variant, type, status, mime_type, storage_path, bucket_name, width, height, updated_at')
+      .in('asset_id', ids)
+    : { data: [], error: null };
+  if (vErr) throw new Error(`[IIIF] asset_versions lookup failed: ${vErr.message}`);
+  const byAsset = new Map();
+  for (const v of versions || []) {
+    if (!byAsset.has(v.asset_id)) byAsset.set(v.asset_id, []);
+    byAsset.get(v.asset_id).push(v);
+  }
+  const descriptions = await loadDescriptions(ids);
+
+  const entries = [];
+  for (const id of ids) {
+    try {
+      const asset = await canvasAsset(id, byAsset.get(id) || []);
+      if (asset) entries.push({ asset, description: descriptions.get(id) || {} });
+    } catch (err) {
+      logger.warn({ err, asset_id: id }, '[IIIF] Skipping asset in batch manifest');
+    }
+  }
+  return buildBatchManifest({ baseUrl: baseUrlFor(req), batch: { id: batchId, name: batch.name || batch.title }, entries });
+}
+
+/**
+ * Handle a /iiif/* request. Returns false when the path is not an IIIF route.
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ * @param {{ isAuthorized: (req: any) => boolean }} ctx
+ */
+async function handleIiifRequest(req, res, { isAuthorized }) {
+  const pathname = req.url.split('?')[0];
+  if (!pathname.startsWith('/iiif/')) return false;
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, { ...CORS, 'Access-Control-Allow-Headers': 'Authorization', 'Access-Control-Allow-Methods': 'GET, OPTIONS' });
+    res.end();
+    return true;
+  }
+  if (req.method !== 'GET') return false;
+  if (!IIIF_PUBLIC && !isAuthorized(req)) {
+    sendJson(res, 401, { error: 'unauthorized' });
+    return true;
+  }
+
+  const parts = pathname.slice('/iiif/'.length).split('/').filter(Boolean);
+  try {
+    if (parts[0] === 'presentation') {
+      const [, kind, id, leaf] = parts;
+      if (parts.length !== 4 || leaf !== 'manifest' || !UUID_RE.test(id || '')) throw new IiifError('Not found', 404);
+      const manifest = kind === 'asset' ? await assetManifest(req, id)
+        : kind === 'batch' ? await batchManifest(req, id)
+          : null;
+      if (!manifest) throw new IiifError('Not found', 404);
+      sendJson(res, 200, manifest, 'application/ld+json;profile="http://iiif.io/api/presentation/3/context.json"');
+      return true;
+    }
+
+    const id = parts[0];
+    if (parts.length === 1) {
+      res.writeHead(303, { ...CORS, Location: `${baseUrlFor(req)}/iiif/${id}/info.json` });
+      res.end();
+      return true;
+    }
+    if (parts.length === 2 && parts[1] === 'info.json') {
+      const source = await getSourceImage(id);
+      sendJson(res, 200, buildImageInfo(`${baseUrlFor(req)}/iiif/${id}`, source), 'application/ld+json;profile="http://iiif.io/api/image/3/context.json"');
+      return true;
+    }
+    if (parts.length === 5) {
+      const source = await getSourceImage(id);
+      const [, region, size, rotation, qualityFormat] = parts;
+      const out = await renderImage(id, source, { region, size, rotation, qualityFormat });
+      res.writeHead(200, {
+        ...CORS,
+        'Content-Type': out.contentType,
+        'Cache-Control': 'public, max-age=86400',
+        Link: `<${baseUrlFor(req)}/iiif/${out.canonical}>;rel="canonical"`,
+      });
+      res.end(out.body);
+      return true;
+    }
+    throw new IiifError('Not found', 404);
+  } catch (err) {
+    if (err instanceof IiifError) {
+      sendJson(res, err.status, { error: err.message });
+    } else {
+      logger.error({ err, url: req.url }, '[IIIF] Request failed');
+      sendJson(res, 500, { error: 'server_error' });
+    }
+    return true;
+  }
+}
+
+module.exports = { handleIiifRequest };
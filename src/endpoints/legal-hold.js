@@ -0,0 +1,128 @@
+/**
+ * Per-asset legal hold for the endpoints server (bearer token).
+ *   GET /admin/assets/{assetId}/legal-hold[?tenant_id=]
+ *       -> { asset_id, tenant_id, legal_hold, legal_hold_reason, legal_hold_at,
+ *            tenant_legal_hold, retention: { min_days, retain_until, deletable } }
+ *   PUT /admin/assets/{assetId}/legal-hold
+ *       { "legal_hold": true|false, "reason": "...", "requested_by": "...", "tenant_id": "..." }
+ * Placing and releasing a hold are written to the retention audit trail.
+ */
+const { URL } = require('url');
+const { loadRetentionContext, assetMinimumDays, retentionState, recordRetentionAction } = require('../core/retention');
+
+const UUID_RE = /^[0-9a-f-]{36}$/i;
+const ROUTE = /^\/admin\/assets\/([0-9a-f-]{36})\/legal-hold$/i;
+const MAX_BODY_BYTES = 64 * 1024;
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+async function readJson(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) return null;
+    chunks.push(chunk);
+  }
+  try {
+    const body = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+    return body && typeof body === 'object' ? body : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+async function loadAsset(assetId) {
+  const { supabase } = require('../core/supabase');
+  const { data, error } = await supabase
+    .from('asset')
+    .select('id, tenant_id, created_at, deleted_at, legal_hold, legal_hold_reason, legal_hold_at')
+    .eq('id', assetId)
+    .maybeSingle();
+  if (error) throw new Error(`[LEGAL-HOLD] asset lookup failed: ${error.message}`);
+  return data || null;
+}
+
+async function describe(asset) {
+  const ctx = await loadRetentionContext(asset.tenant_id);
+  const minDays = assetMinimumDays(ctx.policy);
+  const state = retentionState({ createdAt: asset.created_at, minDays, maxDays: null, held: !!asset.legal_hold || ctx.tenantHold });
+  return {
+    asset_id: asset.id,
+    tenant_id: asset.tenant_id,
+    legal_hold: !!asset.legal_hold,
+    legal_hold_reason: asset.legal_hold_reason || null,
+    legal_hold_at: asset.legal_hold_at || null,
+    tenant_legal_hold: ctx.tenantHold,
+    retention: { min_days: minDays, retain_until: state.retainUntil, deletable: state.deletable },
+  };
+}
+
+async function setHold(asset, body) {
+  const hold = body.legal_hold;
+  const changedAt = new Date().toISOString();
+  const { supabase } = require('../core/supabase');
+  const { error } = await supabase.from('asset').update({
+    legal_hold: hold,
+    legal_hold_reason: hold ? (body.reason || null) : null,
+    legal_hold_at: hold ? changedAt : null,
+  }).eq('id', asset.id);
+  if (error) throw new Error(`[LEGAL-HOLD] asset update failed: ${error.message}`);
+
+  await recordRetentionAction({
+    action: hold ? 'legal_hold.placed' : 'legal_hold.released',
+    tenant_id: asset.tenant_id,
+    asset_id: asset.id,
+    actor: body.requested_by || 'admin-api',
+    detail: { reason: body.reason || null, previous: !!asset.legal_hold },
+  });
+  return { ...asset, legal_hold: hold, legal_hold_reason: hold ? (body.reason || null) : null, legal_hold_at: hold ? changedAt : null };
+}
+
+/**
+ * Handle a legal-hold route. Returns false when the path is not one.
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ * @param {{ isAuthorized: (req: any) => boolean }} ctx
+ */
+async function handleLegalHoldRequest(req, res, { isAuthorized }) {
+  const u = new URL(req.url, 'http://localhost');
+  const m = u.pathname.match(ROUTE);
+  if (!m || (req.method !== 'GET' && req.method !== 'PUT')) return false;
+  if (!isAuthorized(req)) {
+    sendJson(res, 403, { error: 'forbidden' });
+    return true;
+  }
+  try {
+    const body = req.method === 'PUT' ? await readJson(req) : null;
+    if (req.method === 'PUT' && (!body || typeof body.legal_hold !== 'boolean')) {
+      sendJson(res, 400, { error: 'invalid_body', message: 'legal_hold (boolean) is required' });
+      return true;
+    }
+    const tenantId = (body && body.tenant_id) || u.searchParams.get('tenant_id');
+    if (tenantId && !UUID_RE.test(tenantId)) {
+      sendJson(res, 400, { error: 'invalid_tenant_id' });
+      return true;
+    }
+
+    const asset = await loadAsset(m[1]);
+    // A tenant mismatch looks like a missing asset
+    if (!asset || (tenantId && asset.tenant_id !== tenantId)) {
+      sendJson(res, 404, { error: 'asset_not_found' });
+      return true;
+    }
+    if (req.method === 'PUT' && asset.deleted_at) {
+      sendJson(res, 409, { error: 'asset_deleted' });
+      return true;
+    }
+    sendJson(res, 200, await describe(req.method === 'PUT' ? await setHold(asset, body) : asset));
+  } catch (err) {
+    sendJson(res, 500, { error: err.message });
+  }
+  return true;
+}
+
+module.exports = { handleLegalHoldRequest };
@@ -218,6 +218,7 @@ const server = http.createServer(async (req, res) => {
 
   if (req.method === 'GET' && req.url === '/metrics') {
     try {
+      if (!MINIMAL_MODE) await require('../core/storage-usage').refreshUsageGauges();
       const metrics = await registry.metrics();
       res.writeHead(200, { 'Content-Type': registry.contentType });
       res.end(metrics);
@@ -364,6 +365,69 @@ const server = http.createServer(async (req, res) => {
     return;
   }
 
+  // PREMIS / METS preservation metadata per asset
+  //   GET /admin/assets/{assetId}/premis.xml
+  //   GET /admin/assets/{assetId}/mets.xml   (?refresh=true re-exports first)
+  if (req.method === 'GET' && req.url.startsWith('/admin/assets/')) {
+    if (!isAuthorized(req)) {
+      res.writeHead(403, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ error: 'forbidden' }));
+    }
+    const { URL } = require('url');
+    const u = new URL(req.url, `http://localhost:${PORT}`);
+    const m = u.pathname.match(/^\/admin\/assets\/([0-9a-f-]{36})\/(premis|mets)\.xml$/i);
+    if (m) {
+      try {
+        const { getPreservationDocument } = require('../preservation/premis.export');
+        const { logger } = require('../core/logger');
+        const xml = await getPreservationDocument({
+          logger,
+          assetId: m[1],
+          kind: m[2].toLowerCase(),
+          refresh: u.searchParams.get('refresh') === 'true',
+        });
+        if (!xml) {
+          res.writeHead(404, { 'Content-Type': 'application/json' });
+          return res.end(JSON.stringify({ error: 'asset_not_found' }));
+        }
+        res.writeHead(200, { 'Content-Type': 'application/xml; charset=utf-8' });
+        return res.end(xml);
+      } catch (err) {
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ error: err.message }));
+      }
+    }
+  }
+
+  // Per-asset legal hold (see ./legal-hold)
+  if (req.url.startsWith('/admin/assets/')) {
+    const { handleLegalHoldRequest } = require('./legal-hold');
+    if (await handleLegalHoldRequest(req, res, { isAuthorized })) return;
+  }
+
+  // Storage usage per tenant (see ./storage-usage)
+  if (req.url.startsWith('/admin/storage-usage')) {
+    const { handleStorageUsageRequest } = require('./storage-usage');
+    if (await handleStorageUsageRequest(req, res, { isAuthorized })) return;
+  }
+
+  // Signed download URLs per asset version, and the local-driver object route (see ./signed-urls)
+  if (req.url.startsWith('/admin/asset-versions/') || req.url.startsWith('/storage/')) {
+    const { handleSignedUrlRequest } = require('./signed-urls');
+    if (await handleSignedUrlRequest(req, res, { isAuthorized })) return;
+  }
+
+  // IIIF Image API 3.0 + Presentation manifests (see ./iiif)
+  if (req.url.startsWith('/iiif/')) {
+    try {
+      const { handleIiifRequest } = require('./iiif');
+      if (await handleIiifRequest(req, res, { isAuthorized })) return;
+    } catch (err) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ error: err.message }));
+    }
+  }
+
   res.writeHead(404);
   res.end();
 });
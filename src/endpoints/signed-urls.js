@@ -0,0 +1,156 @@
+/**
+ * Signed download URLs for the endpoints server.
+ *   GET /admin/asset-versions/{versionId}/signed-url   (bearer token)
+ *       ?expires_in=<seconds>  ?download=true  ?tenant_id=<uuid>
+ *       -> { version_id, asset_id, url, expires_at }
+ *   GET /storage/{bucket}/{key}?expires=&signature=[&filename=]
+ *       serves objects on the local storage driver to holders of a signed URL
+ */
+const fs = require('fs');
+const path = require('path');
+const { URL } = require('url');
+const { getSignedUrl, driverFor } = require('../core/storage');
+const { resolveBucketId } = require('../core/buckets');
+const { attachment } = require('../core/storage-drivers/keys');
+
+const UUID_RE = /^[0-9a-f-]{36}$/i;
+const VERSION_ROUTE = /^\/admin\/asset-versions\/([0-9a-f-]{36})\/signed-url$/i;
+
+// Content types for the local driver, which stores none
+const LOCAL_MIME = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.tif': 'image/tiff',
+  '.tiff': 'image/tiff',
+  '.json': 'application/json',
+  '.xml': 'application/xml',
+  '.pdf': 'application/pdf',
+};
+
+class SignedUrlError extends Error {
+  constructor(message, status, code) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Signed URL for an asset_versions row. Only successfully stored versions
+ * are signed; `download` serves the file as an attachment named after it.
+ * @param {{ id: string, asset_id: string, status: string, storage_path: string, bucket_name: string }} version
+ * @param {{ expiresIn?: number, download?: boolean }} [opts]
+ */
+async function signVersionUrl(version, { expiresIn, download = false } = {}) {
+  if (version.status !== 'success' || !version.storage_path) {
+    throw new SignedUrlError('Version is not available for download', 409, 'version_not_available');
+  }
+  const bucketId = resolveBucketId(version.bucket_name);
+  if (!bucketId) throw new SignedUrlError('Storage bucket not configured', 503, 'bucket_not_configured');
+  try {
+    const { url, expiresAt } = await getSignedUrl(bucketId, version.storage_path, {
+      expiresIn,
+      filename: download ? path.posix.basename(version.storage_path) : null,
+    });
+    return { version_id: version.id, asset_id: version.asset_id, url, expires_at: expiresAt };
+  } catch (err) {
+    const cause = err.cause || err;
+    if (cause.code === 'NOT_SERVABLE') throw new SignedUrlError(cause.message, 409, 'not_servable');
+    throw err;
+  }
+}
+
+async function versionUrl(req, res, versionId) {
+  const u = new URL(req.url, 'http://localhost');
+  const tenantId = u.searchParams.get('tenant_id');
+  if (tenantId && !UUID_RE.test(tenantId)) return sendJson(res, 400, { error: 'invalid_tenant_id' });
+  const expiresIn = u.searchParams.has('expires_in') ? parseInt(u.searchParams.get('expires_in'), 10) : undefined;
+  if (expiresIn !== undefined && !(expiresIn > 0)) return sendJson(res, 400, { error: 'invalid_expires_in' });
+
+  const { supabase } = require('../core/supabase');
+  const { data: version, error } = await supabase
+    .from('asset_versions')
+    .select('id, tenant_id, asset_id, status, storage_path, bucket_name')
+    .eq('id', versionId)
+    .maybeSingle();
+  if (error) throw new Error(`[SIGNED-URL] asset_versions lookup failed: ${error.message}`);
+  // A tenant mismatch looks like a missing version
+  if (!version || (tenantId && version.tenant_id !== tenantId)) return sendJson(res, 404, { error: 'version_not_found' });
+
+  return sendJson(res, 200, await signVersionUrl(version, { expiresIn, download: u.searchParams.get('download') === 'true' }));
+}
+
+async function serveLocalObject(req, res, pathname) {
+  const u = new URL(req.url, 'http://localhost');
+  let parts;
+  try {
+    parts = pathname.slice('/storage/'.length).split('/').map((p) => decodeURIComponent(p));
+  } catch (_) {
+    return sendJson(res, 400, { error: 'invalid_path' });
+  }
+  const [bucketId, ...rest] = parts;
+  const key = rest.join('/');
+  const driver = bucketId && key ? driverFor(bucketId) : null;
+  const filename = u.searchParams.get('filename');
+  const file = driver && driver.verifySignedUrl && driver.verifySignedUrl({
+    bucketId,
+    key,
+    expires: u.searchParams.get('expires'),
+    filename,
+    signature: u.searchParams.get('signature'),
+  });
+  if (!file) return sendJson(res, 403, { error: 'invalid_or_expired_signature' });
+
+  let stat;
+  try {
+    stat = await fs.promises.stat(file);
+  } catch (_) {
+    return sendJson(res, 404, { error: 'not_found' });
+  }
+  res.writeHead(200, {
+    'Content-Type': LOCAL_MIME[path.extname(file).toLowerCase()] || 'application/octet-stream',
+    'Content-Length': stat.size,
+    ...(filename ? { 'Content-Disposition': attachment(filename) } : {}),
+  });
+  if (req.method === 'HEAD') return res.end();
+  fs.createReadStream(file).on('error', () => res.destroy()).pipe(res);
+}
+
+/**
+ * Handle a signed-URL route. Returns false when the path is not one.
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ * @param {{ isAuthorized: (req: any) => boolean }} ctx
+ */
+async function handleSignedUrlRequest(req, res, { isAuthorized }) {
+  const pathname = req.url.split('?')[0];
+  try {
+    if (req.method === 'GET' && VERSION_ROUTE.test(pathname)) {
+      if (!isAuthorized(req)) {
+        sendJson(res, 403, { error: 'forbidden' });
+        return true;
+      }
+      await versionUrl(req, res, pathname.match(VERSION_ROUTE)[1]);
+      return true;
+    }
+    if ((req.method === 'GET' || req.method === 'HEAD') && pathname.startsWith('/storage/')) {
+      await serveLocalObject(req, res, pathname);
+      return true;
+    }
+  } catch (err) {
+    if (err instanceof SignedUrlError) sendJson(res, err.status, { error: err.code, message: err.message });
+    else sendJson(res, 500, { error: err.message });
+    return true;
+  }
+  return false;
+}
+
+module.exports = { handleSignedUrlRequest, signVersionUrl, SignedUrlError };
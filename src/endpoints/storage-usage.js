@@ -0,0 +1,45 @@
+/**
+ * Storage usage report for the endpoints server (bearer token).
+ *   GET /admin/storage-usage[?tenant_id=]
+ *       -> { tenants: [{ tenant_id, bytes, objects, buckets: { <bucket>: { bytes, objects } },
+ *            purposes: { <purpose>: { bytes, objects } }, updated_at, reconciled_at }],
+ *            totals: { bytes, objects } }
+ * Figures are the running totals in storage_usage (core/storage-usage.js).
+ */
+const { URL } = require('url');
+const { loadStorageUsage, summarizeUsage } = require('../core/storage-usage');
+
+const UUID_RE = /^[0-9a-f-]{36}$/i;
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Handle the storage-usage route. Returns false when the path is not one.
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ * @param {{ isAuthorized: (req: any) => boolean }} ctx
+ */
+async function handleStorageUsageRequest(req, res, { isAuthorized }) {
+  const u = new URL(req.url, 'http://localhost');
+  if (u.pathname !== '/admin/storage-usage' || req.method !== 'GET') return false;
+  if (!isAuthorized(req)) {
+    sendJson(res, 403, { error: 'forbidden' });
+    return true;
+  }
+  const tenantId = u.searchParams.get('tenant_id');
+  if (tenantId && !UUID_RE.test(tenantId)) {
+    sendJson(res, 400, { error: 'invalid_tenant_id' });
+    return true;
+  }
+  try {
+    sendJson(res, 200, summarizeUsage(await loadStorageUsage({ tenantId })));
+  } catch (err) {
+    sendJson(res, 500, { error: err.message });
+  }
+  return true;
+}
+
+module.exports = { handleStorageUsageRequest };
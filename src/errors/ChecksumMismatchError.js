@@ -0,0 +1,13 @@
+class ChecksumMismatchError extends Error {
+  constructor(message, { algorithm = null, expected = null, actual = null, path = null } = {}) {
+    super(message);
+    this.name = "ChecksumMismatchError";
+    this.code = "CHECKSUM_MISMATCH";
+    this.algorithm = algorithm;
+    this.expected = expected;
+    this.actual = actual;
+    this.path = path;
+  }
+}
+
+module.exports = ChecksumMismatchError;
@@ -0,0 +1,12 @@
+class LegalHoldError extends Error {
+  constructor(message, { scope = null, tenantId = null, assetId = null } = {}) {
+    super(message);
+    this.name = "LegalHoldError";
+    this.code = "LEGAL_HOLD";
+    this.scope = scope;
+    this.tenantId = tenantId;
+    this.assetId = assetId;
+  }
+}
+
+module.exports = LegalHoldError;
@@ -0,0 +1,13 @@
+class RetentionError extends Error {
+  constructor(message, { tenantId = null, assetId = null, retainUntil = null } = {}) {
+    super(message);
+    this.name = "RetentionError";
+    this.code = "RETENTION_PERIOD";
+    this.scope = "retention";
+    this.tenantId = tenantId;
+    this.assetId = assetId;
+    this.retainUntil = retainUntil;
+  }
+}
+
+module.exports = RetentionError;
@@ -22,9 +22,36 @@
  * @property {('individual'|'standard'|'batch')} processing_type
  */
 
+/**
+ * @typedef {Object} EmbedMetadataJob
+ * Queued by the archivist after each ai_description upsert; the machinist
+ * writes the description into the stored download derivatives.
+ * @property {'machinist.embed-metadata'} job_type
+ * @property {string} tenant_id
+ * @property {string} asset_id
+ * @property {string} [batch_id]
+ */
+
+/**
+ * @typedef {Object} DeleteAssetJob
+ * Removes an asset everywhere (storage objects in every bucket, version,
+ * description and jobgroup rows) and issues a signed deletion certificate.
+ * Refused while the asset or its tenant is under legal hold.
+ * @property {'deletion.asset'} job_type
+ * @property {string} tenant_id
+ * @property {string} asset_id
+ * @property {string} [batch_id] used when the asset row is already gone
+ * @property {string} [reason] e.g. 'erasure_request'
+ * @property {string} [requested_by]
+ * @property {string} [requested_at] ISO timestamp of the original request
+ * @property {('tombstone'|'delete')} [asset_row] default 'tombstone'
+ */
+
 const JOB_TYPES = {
 	AI_ANALYSIS: 'ai_analysis',
 	IMAGE_PROCESSING: 'image_processing',
+	EMBED_METADATA: 'machinist.embed-metadata',
+	DELETE_ASSET: 'deletion.asset',
 };
 
 module.exports = { JOB_TYPES };
@@ -45,11 +45,34 @@ const dlqFailures = new client.Counter({
   labelNames: ['worker', 'reason'],
 });
 
+// Fixity audit outcomes (verified / failed / missing / unverified)
+const fixityChecks = new client.Counter({
+  name: 'relicxs_fixity_checks_total',
+  help: 'Preservation objects re-read and checked by the fixity worker',
+  labelNames: ['result'],
+});
+
+// Stored bytes / objects per tenant, bucket and purpose (from storage_usage)
+const storageBytes = new client.Gauge({
+  name: 'relicxs_storage_bytes',
+  help: 'Bytes stored per tenant, bucket and purpose',
+  labelNames: ['tenant', 'bucket', 'purpose'],
+});
+
+const storageObjects = new client.Gauge({
+  name: 'relicxs_storage_objects',
+  help: 'Objects stored per tenant, bucket and purpose',
+  labelNames: ['tenant', 'bucket', 'purpose'],
+});
+
 // Register all
 registry.registerMetric(runningJobs);
 registry.registerMetric(jobDuration);
 registry.registerMetric(queueDepth);
 registry.registerMetric(dlqFailures);
+registry.registerMetric(fixityChecks);
+registry.registerMetric(storageBytes);
+registry.registerMetric(storageObjects);
 
 module.exports = {
   registry,
@@ -57,4 +80,7 @@ module.exports = {
   jobDuration,
   queueDepth,
   dlqFailures,
+  fixityChecks,
+  storageBytes,
+  storageObjects,
 };
@@ -0,0 +1,96 @@
+/**
+ * PREMIS preservation events.
+ * Pipeline steps record what happened to each file in `preservation_events`;
+ * premis.export turns them into PREMIS / METS documents per asset.
+ * Recording is best-effort and never fails the step that triggered it.
+ */
+const config = require('../core/config');
+const { supabase } = require('../core/supabase');
+const { logger: rootLogger } = require('../core/logger');
+
+// Subset of http://id.loc.gov/vocabulary/preservation/eventType we emit
+const PREMIS_EVENT_TYPES = {
+  INGESTION: 'ingestion',
+  VALIDATION: 'validation',
+  CREATION: 'creation',
+  REPLICATION: 'replication',
+  PACKING: 'packing',
+  FIXITY_CHECK: 'fixity check',
+  METADATA_MODIFICATION: 'metadata modification',
+  DELETION: 'deletion',
+};
+
+const DEFAULT_AGENT = 'relicxs-workers/machinist';
+
+/**
+ * Record one event for the job's asset.
+ * @param {object} job needs tenant_id and asset_id
+ * @param {object} event
+ * @param {string} event.type one of PREMIS_EVENT_TYPES
+ * @param {'success'|'failure'|'warning'} [event.outcome]
+ * @param {string} [event.detail] human-readable description
+ * @param {string} [event.object] storage path (or variant) the event applies to
+ * @param {string} [event.agent]
+ * @param {object} [event.extra] stored as jsonb (checksums, counts, error message)
+ * @param {import('pino').Logger} [logger]
+ */
+async function recordPreservationEvent(job, { type, outcome = 'success', detail = null, object = null, agent = DEFAULT_AGENT, extra = null }, logger = rootLogger) {
+  if (!job || !job.asset_id || config.dryRun) return null;
+  const row = {
+    tenant_id: job.tenant_id || null,
+    batch_id: job.batch_id || null,
+    asset_id: job.asset_id,
+    event_type: type,
+    event_datetime: new Date().toISOString(),
+    outcome,
+    detail,
+    object_identifier: object,
+    agent,
+    extra,
+  };
+  try {
+    const { error } = await supabase.from('preservation_events').insert(row);
+    if (error) throw new Error(error.message);
+    return row;
+  } catch (err) {
+    logger.warn({ err, asset_id: job.asset_id, event_type: type }, '[PREMIS] Failed to record preservation event');
+    return null;
+  }
+}
+
+/**
+ * Run a step and record a success or failure event for it. The step's
+ * result or error passes through unchanged.
+ * @template T
+ * @param {object} job
+ * @param {import('pino').Logger} logger
+ * @param {{ type: string, detail?: string, object?: string, agent?: string }} event
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+async function withPreservationEvent(job, logger, event, fn) {
+  try {
+    const result = await fn();
+    await recordPreservationEvent(job, event, logger);
+    return result;
+  } catch (err) {
+    await recordPreservationEvent(job, { ...event, outcome: 'failure', extra: { error: err && err.message ? err.message : String(err) } }, logger);
+    throw err;
+  }
+}
+
+/**
+ * Events for an asset, oldest first.
+ * @param {string} assetId
+ */
+async function listPreservationEvents(assetId) {
+  const { data, error } = await supabase
+    .from('preservation_events')
+    .select('*')
+    .eq('asset_id', assetId)
+    .order('event_datetime', { ascending: true });
+  if (error) throw new Error(`[PREMIS] preservation_events lookup failed: ${error.message}`);
+  return data || [];
+}
+
+module.exports = { PREMIS_EVENT_TYPES, recordPreservationEvent, withPreservationEvent, listPreservationEvents };
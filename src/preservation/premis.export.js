@@ -0,0 +1,94 @@
+/**
+ * Export PREMIS and METS documents for an asset and store them next to
+ * metadata/manifest.json in the files bucket.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../core/config');
+const { supabase } = require('../core/supabase');
+const { uploadFile, downloadFile, fileExists } = require('../core/storage');
+const { listPreservationEvents } = require('./premis.events');
+const { buildPremisXml, buildMetsXml } = require('./premis.xml');
+const { version: agentVersion } = require('../../package.json');
+
+const DOCUMENTS = { premis: 'premis.xml', mets: 'mets.xml' };
+
+function filesBucketId() {
+  return config.b2.filesBucketId || config.b2.processedStandardBucketId;
+}
+
+function metadataPath(asset, name) {
+  return path.posix.join(`tenant-${asset.tenant_id}`, `batch-${asset.batch_id || 'unknown'}`, `asset-${asset.id}`, 'metadata', name);
+}
+
+async function loadAsset(assetId) {
+  const { data, error } = await supabase.from('asset').select('*').eq('id', assetId).maybeSingle();
+  if (error) throw new Error(`[PREMIS] asset lookup failed: ${error.message}`);
+  return data || null;
+}
+
+/**
+ * Build both documents from the current rows and upload them.
+ * @param {{ logger: import('pino').Logger, assetId: string }} params
+ * @returns {Promise<{ premis: string, mets: string, premisPath: string, metsPath: string } | null>} null when the asset is unknown
+ */
+async function exportPreservationMetadata({ logger, assetId }) {
+  const asset = await loadAsset(assetId);
+  if (!asset) return null;
+
+  const { data: versions, error } = await supabase
+    .from('asset_versions')
+    .select('*')
+    .eq('asset_id', assetId);
+  if (error) throw new Error(`[PREMIS] asset_versions lookup failed: ${error.message}`);
+  const events = await listPreservationEvents(assetId);
+
+  const premis = buildPremisXml({ asset, versions: versions || [], events, agentVersion });
+  const mets = buildMetsXml({ asset: { id: asset.id, title: asset.title || asset.name }, versions: versions || [], premisHref: DOCUMENTS.premis });
+  const premisPath = metadataPath(asset, DOCUMENTS.premis);
+  const metsPath = metadataPath(asset, DOCUMENTS.mets);
+
+  const tmp = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'relicxs-premis-'));
+  try {
+    for (const [name, body, remote] of [[DOCUMENTS.premis, premis, premisPath], [DOCUMENTS.mets, mets, metsPath]]) {
+      const local = path.join(tmp, name);
+      await fs.promises.writeFile(local, body, 'utf8');
+      await uploadFile(filesBucketId(), remote, local, 'application/xml');
+    }
+  } finally {
+    await fs.promises.rm(tmp, { recursive: true, force: true }).catch(() => {});
+  }
+
+  logger.info({ asset_id: assetId, events: events.length, premisPath, metsPath }, '[PREMIS] Exported PREMIS and METS');
+  return { premis, mets, premisPath, metsPath };
+}
+
+/**
+ * Stored document for the admin endpoint; exports first when it does not
+ * exist yet or when `refresh` is set.
+ * @param {{ logger: import('pino').Logger, assetId: string, kind: 'premis'|'mets', refresh?: boolean }} params
+ * @returns {Promise<string|null>} XML, or null when the asset is unknown
+ */
+async function getPreservationDocument({ logger, assetId, kind, refresh = false }) {
+  const name = DOCUMENTS[kind];
+  if (!name) throw new Error(`[PREMIS] unknown document ${kind}`);
+  const asset = await loadAsset(assetId);
+  if (!asset) return null;
+
+  const remote = metadataPath(asset, name);
+  if (!refresh && await fileExists(filesBucketId(), remote)) {
+    const tmp = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'relicxs-premis-'));
+    try {
+      const local = path.join(tmp, name);
+      await downloadFile(filesBucketId(), remote, local);
+      return await fs.promises.readFile(local, 'utf8');
+    } finally {
+      await fs.promises.rm(tmp, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+  const exported = await exportPreservationMetadata({ logger, assetId });
+  return exported ? exported[kind] : null;
+}
+
+module.exports = { exportPreservationMetadata, getPreservationDocument };
@@ -0,0 +1,231 @@
+/**
+ * PREMIS 3.0 and METS documents for one asset. Pure builders: the export
+ * loads the asset, its asset_versions rows and preservation_events and
+ * passes them in.
+ *   https://www.loc.gov/standards/premis/
+ *   https://www.loc.gov/standards/mets/
+ */
+const crypto = require('crypto');
+
+const AGENT_NAME = 'relicxs-workers';
+const EVENT_TYPE_AUTHORITY = 'http://id.loc.gov/vocabulary/preservation/eventType';
+const EVENT_TYPE_CODES = {
+  ingestion: 'ing',
+  validation: 'val',
+  creation: 'cre',
+  replication: 'rep',
+  packing: 'pac',
+  'fixity check': 'fix',
+  'metadata modification': 'mem',
+};
+const DIGEST_NAMES = { sha256: 'SHA-256', sha1: 'SHA-1', md5: 'MD5' };
+
+function xmlEscape(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+    // Control characters are not allowed in XML 1.0
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+function el(name, content, attrs = {}) {
+  const a = Object.entries(attrs)
+    .filter(([, v]) => v !== undefined && v !== null && v !== '')
+    .map(([k, v]) => ` ${k}="${xmlEscape(v)}"`)
+    .join('');
+  return `<${name}${a}>${content}</${name}>`;
+}
+
+function indent(lines, depth) {
+  const pad = '  '.repeat(depth);
+  return lines.filter(Boolean).map((l) => pad + l).join('\n');
+}
+
+/** Versions that describe a stored file, in a stable order. */
+function storedVersions(versions) {
+  return (versions || [])
+    .filter((v) => v && v.status === 'success' && v.storage_path)
+    .sort((a, b) => `${a.purpose}/${a.variant}/${a.storage_path}`.localeCompare(`${b.purpose}/${b.variant}/${b.storage_path}`));
+}
+
+function objectLocation(v) {
+  return v.bucket_name ? `${v.bucket_name}/${v.storage_path}` : v.storage_path;
+}
+
+function eventIdentifier(event) {
+  if (event.id) return String(event.id);
+  return crypto.createHash('sha1')
+    .update(`${event.asset_id}:${event.event_type}:${event.event_datetime}:${event.object_identifier || ''}`)
+    .digest('hex');
+}
+
+function premisObject(v, original) {
+  const algorithm = String(v.checksum_algorithm || 'sha256').toLowerCase();
+  const characteristics = [
+    '<premis:compositionLevel>0</premis:compositionLevel>',
+    v.checksum ? el('premis:fixity', [
+      el('premis:messageDigestAlgorithm', xmlEscape(DIGEST_NAMES[algorithm] || algorithm)),
+      el('premis:messageDigest', xmlEscape(v.checksum)),
+      el('premis:messageDigestOriginator', AGENT_NAME),
+    ].join('')) : null,
+    v.file_size != null ? el('premis:size', xmlEscape(v.file_size)) : null,
+    el('premis:format', el('premis:formatDesignation', el('premis:formatName', xmlEscape(v.mime_type || 'application/octet-stream')))),
+  ];
+  const relationship = original && v !== original && v.variant !== 'original'
+    ? el('premis:relationship', [
+      el('premis:relationshipType', 'derivation'),
+      el('premis:relationshipSubType', 'has source'),
+      el('premis:relatedObjectIdentifier', [
+        el('premis:relatedObjectIdentifierType', 'local'),
+        el('premis:relatedObjectIdentifierValue', xmlEscape(original.storage_path)),
+      ].join('')),
+    ].join(''))
+    : null;
+  return [
+    '<premis:object xsi:type="premis:file">',
+    indent([
+      el('premis:objectIdentifier', el('premis:objectIdentifierType', 'local') + el('premis:objectIdentifierValue', xmlEscape(v.storage_path))),
+      el('premis:objectCharacteristics', characteristics.filter(Boolean).join('')),
+      el('premis:storage', el('premis:contentLocation', el('premis:contentLocationType', 'storage') + el('premis:contentLocationValue', xmlEscape(objectLocation(v))))),
+      relationship,
+    ], 1),
+    '</premis:object>',
+  ].join('\n');
+}
+
+function premisEvent(event) {
+  const code = EVENT_TYPE_CODES[event.event_type];
+  const type = el('premis:eventType', xmlEscape(event.event_type), code
+    ? { authority: 'eventType', authorityURI: EVENT_TYPE_AUTHORITY, valueURI: `${EVENT_TYPE_AUTHORITY}/${code}` }
+    : {});
+  return [
+    '<premis:event>',
+    indent([
+      el('premis:eventIdentifier', el('premis:eventIdentifierType', 'local') + el('premis:eventIdentifierValue', xmlEscape(eventIdentifier(event)))),
+      type,
+      el('premis:eventDateTime', xmlEscape(event.event_datetime)),
+      event.detail ? el('premis:eventDetailInformation', el('premis:eventDetail', xmlEscape(event.detail))) : null,
+      el('premis:eventOutcomeInformation', el('premis:eventOutcome', xmlEscape(event.outcome || 'success'))
+        + (event.extra && event.extra.error ? el('premis:eventOutcomeDetail', el('premis:eventOutcomeDetailNote', xmlEscape(event.extra.error))) : '')),
+      el('premis:linkingAgentIdentifier', el('premis:linkingAgentIdentifierType', 'local') + el('premis:linkingAgentIdentifierValue', xmlEscape(event.agent || AGENT_NAME))),
+      event.object_identifier
+        ? el('premis:linkingObjectIdentifier', el('premis:linkingObjectIdentifierType', 'local') + el('premis:linkingObjectIdentifierValue', xmlEscape(event.object_identifier)))
+        : null,
+    ], 1),
+    '</premis:event>',
+  ].join('\n');
+}
+
+function premisAgent(name, version) {
+  return [
+    '<premis:agent>',
+    indent([
+      el('premis:agentIdentifier', el('premis:agentIdentifierType', 'local') + el('premis:agentIdentifierValue', xmlEscape(name))),
+      el('premis:agentName', xmlEscape(name)),
+      el('premis:agentType', 'software'),
+      version ? el('premis:agentVersion', xmlEscape(version)) : null,
+    ], 1),
+    '</premis:agent>',
+  ].join('\n');
+}
+
+/**
+ * @param {object} params
+ * @param {{ id: string }} params.asset
+ * @param {object[]} params.versions asset_versions rows
+ * @param {object[]} params.events preservation_events rows
+ * @param {string} [params.agentVersion]
+ * @returns {string}
+ */
+function buildPremisXml({ asset, versions, events, agentVersion }) {
+  const files = storedVersions(versions);
+  const original = files.find((v) => v.variant === 'original' && v.purpose !== 'preservation') || files.find((v) => v.variant === 'original');
+  const agents = Array.from(new Set([AGENT_NAME, ...(events || []).map((e) => e.agent).filter(Boolean)]));
+  const body = [
+    ...files.map((v) => premisObject(v, original)),
+    ...(events || []).map(premisEvent),
+    ...agents.map((a) => premisAgent(a, a === AGENT_NAME ? agentVersion : null)),
+  ];
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<!-- PREMIS record for asset ${xmlEscape(asset.id)} -->`,
+    '<premis:premis xmlns:premis="http://www.loc.gov/premis/v3" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"'
+      + ' xsi:schemaLocation="http://www.loc.gov/premis/v3 https://www.loc.gov/standards/premis/premis.xsd" version="3.0">',
+    indent(body.join('\n').split('\n'), 1),
+    '</premis:premis>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * METS document: one fileGrp per purpose/variant, PREMIS referenced as digiprovMD.
+ * @param {object} params
+ * @param {{ id: string, title?: string }} params.asset
+ * @param {object[]} params.versions
+ * @param {string} [params.premisHref] location of the PREMIS document (default premis.xml next to mets.xml)
+ * @param {string} [params.createdAt]
+ * @returns {string}
+ */
+function buildMetsXml({ asset, versions, premisHref = 'premis.xml', createdAt = new Date().toISOString() }) {
+  const files = storedVersions(versions).map((v, i) => ({ v, id: `FILE-${i + 1}` }));
+  const groups = new Map();
+  for (const f of files) {
+    const use = `${f.v.purpose || 'unknown'}/${f.v.variant || 'unknown'}`;
+    if (!groups.has(use)) groups.set(use, []);
+    groups.get(use).push(f);
+  }
+
+  const fileSec = [];
+  for (const [use, entries] of groups) {
+    fileSec.push(`<mets:fileGrp USE="${xmlEscape(use)}">`);
+    for (const { v, id } of entries) {
+      const algorithm = String(v.checksum_algorithm || 'sha256').toLowerCase();
+      fileSec.push('  ' + el('mets:file', el('mets:FLocat', '', {
+        LOCTYPE: 'OTHER',
+        OTHERLOCTYPE: 'STORAGE',
+        'xlink:href': objectLocation(v),
+      }), {
+        ID: id,
+        MIMETYPE: v.mime_type,
+        SIZE: v.file_size,
+        CREATED: v.created_at,
+        CHECKSUM: v.checksum,
+        CHECKSUMTYPE: v.checksum ? DIGEST_NAMES[algorithm] : null,
+        ADMID: 'AMD-1',
+      }));
+    }
+    fileSec.push('</mets:fileGrp>');
+  }
+
+  const root = el('mets:mets', '', {
+    'xmlns:mets': 'http://www.loc.gov/METS/',
+    'xmlns:xlink': 'http://www.w3.org/1999/xlink',
+    'xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance',
+    'xsi:schemaLocation': 'http://www.loc.gov/METS/ https://www.loc.gov/standards/mets/mets.xsd',
+    OBJID: asset.id,
+    LABEL: asset.title,
+    TYPE: 'Image',
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    root.slice(0, root.indexOf('></mets:mets>') + 1),
+    indent([
+      el('mets:metsHdr', el('mets:agent', el('mets:name', AGENT_NAME), { ROLE: 'CREATOR', TYPE: 'OTHER', OTHERTYPE: 'SOFTWARE' }), { CREATEDATE: createdAt }),
+      el('mets:amdSec', el('mets:digiprovMD', el('mets:mdRef', '', { LOCTYPE: 'URL', 'xlink:href': premisHref, MDTYPE: 'PREMIS', MIMETYPE: 'application/xml' }), { ID: 'PREMIS-1' }), { ID: 'AMD-1' }),
+      '<mets:fileSec>',
+      ...fileSec.map((l) => `  ${l}`),
+      '</mets:fileSec>',
+      '<mets:structMap TYPE="physical">',
+      '  ' + el('mets:div', files.map(({ id }) => el('mets:fptr', '', { FILEID: id })).join(''), { TYPE: 'asset', LABEL: asset.title || asset.id }),
+      '</mets:structMap>',
+    ], 1),
+    '</mets:mets>',
+    '',
+  ].join('\n');
+}
+
+module.exports = { xmlEscape, buildPremisXml, buildMetsXml };
@@ -10,6 +10,9 @@ const ARCHIVIST_QUEUE_INSTANT = 'jobs:archivist:instant';
 const ARCHIVIST_QUEUE_STANDARD = 'jobs:archivist:standard';
 const ARCHIVIST_QUEUE_JOBGROUP = 'jobs:archivist:jobgroup';
 
+// Asset deletion has a single queue: erasure requests are not prioritised
+const DELETION_QUEUE = 'jobs:deletion';
+
 // Explicit maps per worker type for router convenience
 const MACHINIST = {
   INSTANT: MACHINIST_QUEUE_INSTANT,
@@ -24,5 +27,6 @@ const ARCHIVIST = {
 module.exports = {
   MACHINIST_QUEUE_INSTANT, MACHINIST_QUEUE_STANDARD,
   ARCHIVIST_QUEUE_INSTANT, ARCHIVIST_QUEUE_STANDARD, ARCHIVIST_QUEUE_JOBGROUP,
+  DELETION_QUEUE,
   MACHINIST, ARCHIVIST,
 };
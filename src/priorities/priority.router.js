@@ -2,7 +2,7 @@
  * Resolve queue for a given job based on priority.
  */
 const { PRIORITY, getJobPriority } = require('../jobs/job.priority');
-const { MACHINIST, ARCHIVIST } = require('./priority.constants');
+const { MACHINIST, ARCHIVIST, DELETION_QUEUE } = require('./priority.constants');
 const { validateJobHasBaseFields } = require('./priority.validation');
 
 /**
@@ -29,6 +29,8 @@ function resolveQueueForJob(job) {
     return ARCHIVIST.JOBGROUP;
   }
 
+  if (type.startsWith('deletion')) return DELETION_QUEUE;
+
   throw new Error(`[PRIORITY_ROUTER] Unknown job type: ${type}`);
 }
 
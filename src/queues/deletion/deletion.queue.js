@@ -0,0 +1,42 @@
+/**
+ * Asset deletion queue helpers.
+ */
+const { logger } = require('../../core/logger');
+const { DELETION_QUEUE } = require('../../priorities/priority.constants');
+const { JOB_TYPES } = require('../../jobs/job.types');
+const { pushJob, popJob, requeueJob, getRedisClient } = require('../../core/redis');
+const { queueDepth } = require('../../metrics/prometheus');
+
+const log = logger.child({ component: 'queue:deletion' });
+
+function validateJob(job) {
+  if (!job || typeof job !== 'object') throw new Error('Invalid job: not an object');
+  if (!job.tenant_id) throw new Error('Invalid job: missing tenant_id');
+  if (!job.asset_id) throw new Error('Invalid job: missing asset_id');
+  if (job.job_type !== JOB_TYPES.DELETE_ASSET) throw new Error(`Invalid job: job_type must be ${JOB_TYPES.DELETE_ASSET}`);
+}
+
+async function enqueue(job) {
+  validateJob(job);
+  log.info({ tenant_id: job.tenant_id, asset_id: job.asset_id, reason: job.reason }, 'Enqueue asset deletion');
+  await pushJob(DELETION_QUEUE, job);
+  try {
+    const redis = await getRedisClient();
+    const depth = await redis.lLen(DELETION_QUEUE);
+    queueDepth.labels('deletion', 'standard').set(depth);
+  } catch (_) {}
+}
+
+async function dequeue() {
+  const job = await popJob(DELETION_QUEUE);
+  if (job) log.info({ tenant_id: job.tenant_id, asset_id: job.asset_id }, 'Dequeue asset deletion');
+  return job;
+}
+
+async function requeue(job) {
+  validateJob(job);
+  log.warn({ tenant_id: job.tenant_id, asset_id: job.asset_id }, 'Requeue asset deletion');
+  await requeueJob(DELETION_QUEUE, job);
+}
+
+module.exports = { enqueue, dequeue, requeue };
@@ -0,0 +1,3 @@
+module.exports = {
+  deletionQueue: require('./deletion.queue'),
+};
@@ -10,6 +10,10 @@ module.exports = {
   SHARP_TIMEOUT_MS: 30_000, // 30 seconds max for heavy images
   SHARP_MAX_PIXELS: 20000 * 20000, // 400 million pixels
   SHARP_MAX_DIMENSION: 20000, // width/height
+  TILES_TIMEOUT_MS: 180_000, // full deep-zoom pyramid of a 12000px scan
+
+  // RAW / HEIF / JPEG 2000 external decoder safety
+  DECODE_TIMEOUT_MS: 60_000, // RAW demosaic is slower than a sharp resize
 
   // EXIFTool safety
   EXIF_TIMEOUT_MS: 10_000, // kill after 10 seconds
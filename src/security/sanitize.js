@@ -1,6 +1,11 @@
 const ValidationError = require('@errors/ValidationError');
 
-const EXT_WHITELIST = ['jpg', 'jpeg', 'png', 'tiff', 'tif']; // allow short TIFF extension
+const EXT_WHITELIST = [
+  'jpg', 'jpeg', 'png', 'tiff', 'tif', // allow short TIFF extension
+  'webp', 'heic', 'heif',
+  'jp2', 'j2k', 'jpf', 'jpx', // JPEG 2000
+  'dng', 'cr2', 'cr3', 'nef', 'arw', 'orf', 'rw2', 'raf', // camera RAW
+];
 const SAFE_EXTS = new Set(EXT_WHITELIST);
 const FILENAME_RE = /^[A-Za-z0-9_.-]+$/;
 
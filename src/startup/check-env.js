@@ -31,14 +31,25 @@ async function runStartupChecks() {
     req(config.redis.port, 'REDIS_PORT');
     // password can be optional for local dev
   }
-  req(config.b2.applicationKeyId, 'B2_APPLICATION_KEY_ID');
-  req(config.b2.applicationKey, 'B2_APPLICATION_KEY');
-  req(config.b2.landingBucketId, 'B2_LANDING_BUCKET_ID');
-  req(config.b2.processedStandardBucketId, 'B2_PROCESSED_STANDARD_BUCKET_ID');
-  req(config.b2.processedArchiveBucketId, 'B2_PROCESSED_ARCHIVE_BUCKET_ID');
-  req(config.b2.filesBucketId, 'B2_FILES_BUCKET_ID');
+  // Only buckets on B2 need B2 credentials and ids; other drivers default their ids
+  const drivers = config.storage.buckets;
+  const usesB2 = Object.values(drivers).includes('b2');
+  if (usesB2) {
+    req(config.b2.applicationKeyId, 'B2_APPLICATION_KEY_ID');
+    req(config.b2.applicationKey, 'B2_APPLICATION_KEY');
+  }
+  if (drivers.landing === 'b2') req(config.b2.landingBucketId, 'B2_LANDING_BUCKET_ID');
+  if (drivers.processedStandard === 'b2') req(config.b2.processedStandardBucketId, 'B2_PROCESSED_STANDARD_BUCKET_ID');
+  if (drivers.processedArchive === 'b2') req(config.b2.processedArchiveBucketId, 'B2_PROCESSED_ARCHIVE_BUCKET_ID');
+  if (drivers.files === 'b2') req(config.b2.filesBucketId, 'B2_FILES_BUCKET_ID');
+  if (Object.values(drivers).includes('s3') && !config.storage.s3.endpoint && !config.storage.s3.accessKeyId) {
+    log.warn('s3 storage driver without S3_ENDPOINT or S3_ACCESS_KEY_ID; using AWS defaults');
+  }
+  if (Object.values(drivers).includes('local')) {
+    log.warn({ root: config.storage.localRoot, drivers }, 'Local filesystem storage in use (development only)');
+  }
   // AWS is optional; if missing, Glacier features are disabled
-  if (!(config.aws && config.aws.accessKeyId && config.aws.secretAccessKey && config.aws.region && config.aws.archiveBucket)) {
+  if (drivers.archive === 'glacier' && !(config.aws && config.aws.accessKeyId && config.aws.secretAccessKey && config.aws.region && config.aws.archiveBucket)) {
     log.warn('AWS archive not configured; Glacier features disabled');
   }
   if (missing.length) {
@@ -84,7 +95,7 @@ async function runStartupChecks() {
   try {
     execSync('exiftool -ver', { stdio: 'ignore' });
   } catch (_) {
-    log.warn('exiftool not found on PATH; EXIF extraction will be skipped. Install via brew (macOS) or apt (Debian/Ubuntu).');
+    log.warn('exiftool not found on PATH; EXIF extraction falls back to core tags only and metadata write-back is unavailable. Install via brew (macOS) or apt (Debian/Ubuntu).');
   }
 
   log.info('Startup checks completed');
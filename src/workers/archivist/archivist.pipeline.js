@@ -11,6 +11,7 @@ const { buildMessages, ALLOWED_TAGS } = require('./archivist.prompt');
 const { runArchivistChat } = require('./archivist.openai');
 const { upsertAiDescription, updateAiDescriptionNotes } = require('./data/archivist.db');
 const { runJobgroupArchivist } = require('./handlers/archivist.jobgroup');
+const { queueMetadataWriteback } = require('./archivist.writeback');
 const wrap = require('../../errors/wrap');
 const { withRetry } = require('../../resilience/retry');
 const { sanitizeString, sanitizeJson } = require('../../security/sanitize');
@@ -178,6 +179,8 @@ async function runArchivistPipeline(logger, job) {
 
     // Step 7 — Upsert into DB
     await upsertAiDescription(payload);
+    // Exported files should carry the new cataloguing
+    await queueMetadataWriteback(logger, { tenantId, assetId, batchId: job.batch_id || null });
 
     // Step 8 — End timer
     const end = Date.now();
@@ -0,0 +1,26 @@
+/**
+ * Catalogue write-back trigger.
+ * After an ai_description upsert the machinist is asked to embed the new
+ * title / description / keywords / location into the stored download files
+ * (see machinist.embed.js).
+ */
+const config = require('../../core/config');
+const { JOB_TYPES } = require('../../jobs/job.types');
+
+/**
+ * Queue a `machinist.embed-metadata` job. Best effort: the description is
+ * already saved and the next upsert queues another write-back.
+ * @param {import('pino').Logger} logger
+ * @param {{ tenantId: string, assetId: string, batchId?: string|null }} params
+ */
+async function queueMetadataWriteback(logger, { tenantId, assetId, batchId = null }) {
+  if (config.dryRun || process.env.EMBED_AI_METADATA === 'false') return;
+  try {
+    const { standardQueue } = require('../../queues/machinist');
+    await standardQueue.enqueue({ job_type: JOB_TYPES.EMBED_METADATA, tenant_id: tenantId, asset_id: assetId, batch_id: batchId });
+  } catch (err) {
+    logger.warn({ err, tenant_id: tenantId, asset_id: assetId }, '[ARCHIVIST] Failed to queue metadata write-back');
+  }
+}
+
+module.exports = { queueMetadataWriteback };
@@ -1,38 +1,92 @@
 require('../..//module-aliases');
 const { supabase } = require('../../core/supabase');
+const { loadRetentionContext, resolveRetention, retentionState, heldAssetIds, recordRetentionAction } = require('../../core/retention');
 
+const ACTOR = 'jobgroup-cleanup';
+
+/**
+ * Delete the results of finished jobgroups past their tenant's 'jobgroup'
+ * maximum retention, or JOBGROUP_RETENTION_DAYS when the policy sets none.
+ * Retention is enforced per tenant: nothing is removed for a tenant under
+ * legal hold or before its 'jobgroup' minimum retention, and results of
+ * assets under legal hold are kept. A group is done once nothing is left to
+ * keep (notes.cleaned_at) and is not selected again; a cleanup is audited
+ * only when it removed something or the kept results changed.
+ */
 async function cleanupJobgroups() {
-  const days = parseInt(process.env.JOBGROUP_RETENTION_DAYS || '30', 10);
-  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  const defaultDays = parseInt(process.env.JOBGROUP_RETENTION_DAYS || '30', 10);
+  const now = Date.now();
 
+  // Every finished group not yet cleaned: a tenant's maximum may be shorter than the default
   const { data: groups, error } = await supabase
     .from('jobgroups')
-    .select('id, created_at, status, notes')
-    .lt('created_at', cutoff)
-    .in('status', ['completed', 'failed', 'expired', 'cancelled']);
+    .select('id, tenant_id, created_at, status, notes')
+    .in('status', ['completed', 'failed', 'expired', 'cancelled'])
+    .is('notes->>cleaned_at', null);
   if (error) throw new Error(`[CLEANUP] query failed: ${error.message}`);
 
   if (!groups || !groups.length) {
-    return { groupsChecked: 0, groupsUpdated: 0, resultsDeleted: 0 };
+    return { groupsChecked: 0, groupsUpdated: 0, resultsDeleted: 0, groupsHeld: 0 };
   }
 
+  const contexts = new Map();
   let deletedResults = 0;
+  let updated = 0;
+  let held = 0;
   for (const g of groups) {
-    const { error: e1 } = await supabase
+    if (!contexts.has(g.tenant_id)) contexts.set(g.tenant_id, await loadRetentionContext(g.tenant_id));
+    const ctx = contexts.get(g.tenant_id);
+    const { minDays, maxDays } = resolveRetention(ctx.policy, 'jobgroup');
+    const state = retentionState({ createdAt: g.created_at, minDays, maxDays: maxDays !== null ? maxDays : defaultDays, held: ctx.tenantHold, now });
+    if (!state.expired) {
+      // Due but held or inside the minimum, as opposed to simply not due yet
+      if (state.expiresAt && now >= Date.parse(state.expiresAt)) held += 1;
+      continue;
+    }
+
+    const { data: results, error: e0 } = await supabase
+      .from('jobgroup_results')
+      .select('asset_id')
+      .eq('jobgroup_id', g.id);
+    if (e0) throw new Error(`[CLEANUP] results lookup failed: ${e0.message}`);
+    const keep = [...await heldAssetIds((results || []).map((r) => r.asset_id))];
+
+    let del = supabase
       .from('jobgroup_results')
-      .delete()
+      .delete({ count: 'exact' })
       .eq('jobgroup_id', g.id);
+    if (keep.length) del = del.or(`asset_id.is.null,asset_id.not.in.(${keep.join(',')})`);
+    const { error: e1, count } = await del;
     if (e1) throw new Error(`[CLEANUP] delete results failed: ${e1.message}`);
+    deletedResults += (count || 0);
 
-    const notes = Object.assign({}, g.notes || {}, { cleaned_at: new Date().toISOString(), cleaned_by: 'jobgroup-cleanup' });
+    // A group holding results for held assets stays open so they go once the
+    // hold is lifted; it is audited again only when something changed
+    const notes = Object.assign({}, g.notes || {});
+    const keptBefore = (notes.kept_for_legal_hold || []).slice().sort().join(',');
+    if (count || keep.slice().sort().join(',') !== keptBefore) {
+      await recordRetentionAction({
+        action: 'jobgroup_results.expired',
+        tenant_id: g.tenant_id,
+        actor: ACTOR,
+        detail: { jobgroup_id: g.id, deleted: count || 0, kept_for_legal_hold: keep },
+      });
+    }
+    if (keep.length) {
+      notes.kept_for_legal_hold = keep;
+    } else {
+      delete notes.kept_for_legal_hold;
+      Object.assign(notes, { cleaned_at: new Date().toISOString(), cleaned_by: ACTOR });
+    }
     const { error: e2 } = await supabase
       .from('jobgroups')
       .update({ notes })
       .eq('id', g.id);
     if (e2) throw new Error(`[CLEANUP] update jobgroup failed: ${e2.message}`);
+    updated += 1;
   }
 
-  return { groupsChecked: groups.length, groupsUpdated: groups.length, resultsDeleted: deletedResults };
+  return { groupsChecked: groups.length, groupsUpdated: updated, resultsDeleted: deletedResults, groupsHeld: held };
 }
 
 module.exports = cleanupJobgroups;
@@ -13,6 +13,7 @@ const {
   getJobgroupResultsCount,
 } = require('../data/archivist.db');
 const { safeJsonParse, normalizeAiPayloadFromModel } = require('../archivist.utils');
+const { queueMetadataWriteback } = require('../archivist.writeback');
 const { emitJobgroupCompleted, emitJobgroupFailed } = require('@events/jobgroup.events');
 const { writeJobgroupAudit } = require('@logs/jobgroup-logger');
 const { withRedis } = require('../../../core/redis');
@@ -77,6 +78,7 @@ async function processOneOutputObject(obj, jobgroup, logger, client) {
     const parsed = safeJsonParse(content) || {};
     const payload = normalizeAiPayloadFromModel(parsed, { tenantId, assetId, batchId });
     await upsertAiDescription(payload);
+    await queueMetadataWriteback(logger, { tenantId, assetId, batchId });
 
     await upsertJobgroupResult({
       jobgroupId: jobgroup.id,
@@ -2,11 +2,32 @@ const fs = require("fs");
 const path = require("path");
 const { sanitizeString } = require("@security/sanitize");
 const { buildSystemPrompt } = require("../archivist.prompt");
+const { getSignedUrl } = require("../../../core/storage");
+
+// OpenAI fetches the images at some point inside the 24h completion window
+const IMAGE_URL_TTL_SECONDS = parseInt(process.env.JOBGROUP_IMAGE_URL_TTL_SECONDS || String(48 * 60 * 60), 10);
+
+/**
+ * URL OpenAI can fetch for a job's image. Full http(s) and data: URLs are
+ * used as given; a storage key (`image_key`, or a bare key in `image_url`)
+ * is turned into a signed, expiring URL on `bucket_id` (default: processed
+ * standard bucket).
+ */
+async function resolveImageUrl(job) {
+  const { image_url, image_key, bucket_id } = job;
+  if (image_url && /^(https?:|data:)/i.test(image_url)) return image_url;
+  const key = image_key || image_url;
+  if (!key) return null;
+  const bucketId = bucket_id || require('../../../core/config').b2.processedStandardBucketId;
+  const { url } = await getSignedUrl(bucketId, key, { expiresIn: IMAGE_URL_TTL_SECONDS });
+  return url;
+}
 
 /**
  * Build a JSONL batch file for OpenAI Batch API — renamed to "jobgroup"
  * Each line is a single chat.completions request.
- * Uses image URLs (NOT base64) because JSONL cannot exceed size limits.
+ * Uses image URLs (NOT base64) because JSONL cannot exceed size limits;
+ * storage keys are resolved to signed URLs (see resolveImageUrl).
  */
 
 async function buildJobgroupJsonlFile({ jobs, workDir }) {
@@ -28,14 +49,23 @@ async function buildJobgroupJsonlFile({ jobs, workDir }) {
       tenant_id,
       asset_id,
       jobgroup_id,
-      image_url
+      image_url,
+      image_key
     } = job;
 
-    if (!tenant_id || !asset_id || !image_url) {
+    if (!tenant_id || !asset_id || !(image_url || image_key)) {
       console.warn("Skipping invalid jobgroup item:", job);
       continue;
     }
 
+    let url;
+    try {
+      url = await resolveImageUrl(job);
+    } catch (err) {
+      console.warn("Skipping jobgroup item; could not sign image URL:", { asset_id, error: err.message });
+      continue;
+    }
+
     count++;
 
     const customId = `asset-${asset_id}`;
@@ -49,7 +79,7 @@ async function buildJobgroupJsonlFile({ jobs, workDir }) {
         role: "user",
         content: [
           { type: "text", text: "Please analyze the following image." },
-          { type: "image_url", image_url: { url: image_url, detail: "high" } }
+          { type: "image_url", image_url: { url, detail: "high" } }
         ]
       }
     ];
@@ -89,5 +119,6 @@ async function buildJobgroupJsonlFile({ jobs, workDir }) {
 }
 
 module.exports = {
-  buildJobgroupJsonlFile
+  buildJobgroupJsonlFile,
+  resolveImageUrl
 };
\ No newline at end of file
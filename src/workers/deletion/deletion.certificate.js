@@ -0,0 +1,158 @@
+/**
+ * Deletion certificates: a signed record of what an asset deletion removed
+ * (objects with their sizes and hashes, database rows) and when.
+ *
+ * The signature covers the canonical JSON of the certificate without its
+ * `signature` field (object keys sorted, no whitespace). With
+ * DELETION_CERT_PRIVATE_KEY (an Ed25519 private key, PEM) certificates are
+ * Ed25519-signed and anyone holding the public key can verify them; with
+ * only DELETION_CERT_SECRET they carry an HMAC-SHA256 instead.
+ */
+const crypto = require('crypto');
+
+const CERTIFICATE_VERSION = 1;
+
+/**
+ * JSON with object keys sorted at every level, so the signed bytes do not
+ * depend on property order.
+ * @param {any} value
+ * @returns {string}
+ */
+function canonicalJson(value) {
+  if (value === null || typeof value !== 'object') return JSON.stringify(value === undefined ? null : value);
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  const keys = Object.keys(value).filter((k) => value[k] !== undefined).sort();
+  return `{${keys.map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+}
+
+function fingerprint(buf) {
+  return crypto.createHash('sha256').update(buf).digest('hex').slice(0, 16);
+}
+
+// PEM keys in .env files usually have their newlines escaped
+function readPem(value) {
+  return value ? String(value).replace(/\\n/g, '\n') : null;
+}
+
+/**
+ * Signer configured from the environment, or null when none is.
+ * @returns {{ algorithm: 'ed25519'|'hmac-sha256', keyId: string, sign: (data: Buffer) => string } | null}
+ */
+function certificateSigner() {
+  const pem = readPem(process.env.DELETION_CERT_PRIVATE_KEY);
+  if (pem) {
+    const privateKey = crypto.createPrivateKey(pem);
+    if (privateKey.asymmetricKeyType !== 'ed25519') throw new Error('[DELETION] DELETION_CERT_PRIVATE_KEY must be an Ed25519 key');
+    const spki = crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'der' });
+    return {
+      algorithm: 'ed25519',
+      keyId: process.env.DELETION_CERT_KEY_ID || fingerprint(spki),
+      sign: (data) => crypto.sign(null, data, privateKey).toString('base64'),
+    };
+  }
+  const secret = process.env.DELETION_CERT_SECRET;
+  if (secret) {
+    return {
+      algorithm: 'hmac-sha256',
+      keyId: process.env.DELETION_CERT_KEY_ID || fingerprint(secret),
+      sign: (data) => crypto.createHmac('sha256', secret).update(data).digest('base64'),
+    };
+  }
+  return null;
+}
+
+/**
+ * Assemble an unsigned certificate.
+ * @param {object} p
+ * @param {{ tenant_id: string, batch_id?: string, asset_id: string }} p.target
+ * @param {object} p.job the deletion job (reason, requested_by, requested_at)
+ * @param {object[]} p.objects deleted objects from deletion.objects
+ * @param {Record<string, number|string>} p.records per-table outcome
+ * @param {string} p.startedAt
+ * @param {object} [p.legalHold] what was checked before deleting
+ * @param {boolean} [p.dryRun]
+ * @param {string} [p.certificateId] kept from the pending certificate when finalizing
+ */
+function buildDeletionCertificate({ target, job, objects, records, startedAt, legalHold = null, dryRun = false, certificateId = null }) {
+  return {
+    version: CERTIFICATE_VERSION,
+    certificate_id: certificateId || crypto.randomUUID(),
+    tenant_id: target.tenant_id,
+    batch_id: target.batch_id || null,
+    asset_id: target.asset_id,
+    reason: job.reason || null,
+    requested_by: job.requested_by || null,
+    requested_at: job.requested_at || null,
+    started_at: startedAt,
+    completed_at: new Date().toISOString(),
+    dry_run: dryRun || undefined,
+    legal_hold: legalHold,
+    objects: objects.map((o) => ({
+      bucket: o.bucket,
+      key: o.key,
+      size: o.size,
+      sha256: o.sha256,
+      sha1: o.sha1,
+      md5: o.md5,
+      deleted_at: o.deleted_at || null,
+    })),
+    totals: {
+      objects: objects.length,
+      bytes: objects.reduce((n, o) => n + (o.size || 0), 0),
+    },
+    records,
+  };
+}
+
+/**
+ * Sign a certificate.
+ * @param {object} certificate from buildDeletionCertificate
+ * @param {ReturnType<typeof certificateSigner>} [signer]
+ */
+function signCertificate(certificate, signer = certificateSigner()) {
+  if (!signer) throw new Error('[DELETION] No certificate signing key: set DELETION_CERT_PRIVATE_KEY or DELETION_CERT_SECRET');
+  const { signature: _ignored, ...body } = certificate;
+  return {
+    ...body,
+    signature: {
+      algorithm: signer.algorithm,
+      key_id: signer.keyId,
+      value: signer.sign(Buffer.from(canonicalJson(body))),
+    },
+  };
+}
+
+/**
+ * Check a certificate's signature.
+ * @param {object} certificate
+ * @param {{ publicKey?: string|import('crypto').KeyObject, secret?: string }} keys
+ *   Ed25519 certificates need the public key (PEM); HMAC ones the secret
+ * @returns {boolean}
+ */
+function verifyDeletionCertificate(certificate, { publicKey = null, secret = null } = {}) {
+  const { signature, ...body } = certificate || {};
+  if (!signature || typeof signature.value !== 'string') return false;
+  const data = Buffer.from(canonicalJson(body));
+  const presented = Buffer.from(signature.value, 'base64');
+  try {
+    if (signature.algorithm === 'ed25519' && publicKey) {
+      const key = typeof publicKey === 'string' ? crypto.createPublicKey(readPem(publicKey)) : publicKey;
+      return crypto.verify(null, data, key, presented);
+    }
+    if (signature.algorithm === 'hmac-sha256' && secret) {
+      const expected = crypto.createHmac('sha256', secret).update(data).digest();
+      return expected.length === presented.length && crypto.timingSafeEqual(expected, presented);
+    }
+  } catch (_) {
+    return false;
+  }
+  return false;
+}
+
+module.exports = {
+  canonicalJson,
+  certificateSigner,
+  buildDeletionCertificate,
+  signCertificate,
+  verifyDeletionCertificate,
+};
@@ -0,0 +1,160 @@
+/**
+ * Storage side of asset deletion: find every object an asset left behind,
+ * in every bucket, and remove it. The object list is taken before anything
+ * is deleted so the certificate can say what was removed and its hashes.
+ */
+const config = require('../../core/config');
+const { listFiles, headFile, deleteFile } = require('../../core/storage');
+const { resolveBucketId, resolveBucketName } = require('../../core/buckets');
+const { getDownloadCache } = require('../../core/download-cache');
+const { recordObjectsRemoved } = require('../../core/storage-usage');
+
+const LIST_PAGE_SIZE = 1000;
+
+/**
+ * Key prefixes an asset's objects can live under.
+ *   tenant-{t}/batch-{b}/asset-{a}/   landing original, derivatives, manifests, PREMIS/METS
+ *   archive/tenant-{t}/asset-{a}/     preservation archives
+ *   standard/tenant-{t}/asset-{a}/    legacy archivist uploads
+ * @param {{ tenant_id: string, batch_id?: string, asset_id: string }} target
+ */
+function assetPrefixes({ tenant_id, batch_id, asset_id }) {
+  return [
+    `tenant-${tenant_id}/batch-${batch_id || 'unknown'}/asset-${asset_id}/`,
+    `archive/tenant-${tenant_id}/asset-${asset_id}/`,
+    `standard/tenant-${tenant_id}/asset-${asset_id}/`,
+  ];
+}
+
+/**
+ * Every configured bucket id, plus any the asset's version rows name.
+ * @param {object[]} [versions] asset_versions rows
+ */
+function deletionBuckets(versions = []) {
+  const ids = [
+    config.b2.landingBucketId,
+    config.b2.processedStandardBucketId,
+    config.b2.processedArchiveBucketId,
+    config.b2.filesBucketId,
+    config.aws && config.aws.archiveBucket,
+    process.env.GLACIER_BUCKET_ID,
+    ...versions.map((v) => resolveBucketId(v.bucket_name)),
+  ];
+  return [...new Set(ids.filter(Boolean))];
+}
+
+// sha256 recorded at upload time, keyed by bucket + key
+function recordedChecksums(versions) {
+  const map = new Map();
+  for (const v of versions) {
+    const algorithm = String(v.checksum_algorithm || 'sha256').toLowerCase();
+    if (!v.storage_path || !v.checksum || algorithm !== 'sha256') continue;
+    map.set(`${resolveBucketId(v.bucket_name)}\0${v.storage_path}`, String(v.checksum).toLowerCase());
+  }
+  return map;
+}
+
+async function listPrefix(bucketId, prefix) {
+  const out = [];
+  let cursor = null;
+  do {
+    const page = await listFiles(bucketId, prefix, { cursor, limit: LIST_PAGE_SIZE });
+    out.push(...page.objects);
+    cursor = page.cursor;
+  } while (cursor);
+  return out;
+}
+
+/**
+ * Inventory of an asset's stored objects across all buckets.
+ * Version rows pointing outside the standard prefixes are included when
+ * the object still exists.
+ * @param {{ tenant_id: string, batch_id?: string, asset_id: string }} target
+ * @param {{ versions?: object[] }} [opts]
+ * @returns {Promise<Array<{ bucketId: string, bucket: string, key: string, size: number|null, sha256: string|null, sha1: string|null, md5: string|null }>>}
+ */
+async function collectAssetObjects(target, { versions = [] } = {}) {
+  const sums = recordedChecksums(versions);
+  const found = new Map();
+  const add = (bucketId, obj) => {
+    const id = `${bucketId}\0${obj.key}`;
+    if (found.has(id)) return;
+    found.set(id, {
+      bucketId,
+      bucket: resolveBucketName(bucketId),
+      key: obj.key,
+      size: typeof obj.size === 'number' ? obj.size : null,
+      sha256: sums.get(id) || null,
+      sha1: obj.sha1 || null,
+      md5: obj.md5 || null,
+    });
+  };
+
+  for (const bucketId of deletionBuckets(versions)) {
+    for (const prefix of assetPrefixes(target)) {
+      for (const obj of await listPrefix(bucketId, prefix)) add(bucketId, obj);
+    }
+  }
+
+  for (const v of versions) {
+    const bucketId = resolveBucketId(v.bucket_name);
+    if (!bucketId || !v.storage_path || found.has(`${bucketId}\0${v.storage_path}`)) continue;
+    const meta = await headFile(bucketId, v.storage_path);
+    if (meta) add(bucketId, { ...meta, key: v.storage_path });
+  }
+
+  return [...found.values()].sort((a, b) => (a.bucket + a.key).localeCompare(b.bucket + b.key));
+}
+
+/**
+ * Inventory for a resumed deletion: the objects recorded in its pending
+ * certificate, plus any found since. Recorded entries win, since their
+ * checksums may have come from version rows that are gone by now.
+ * @param {object[]} recorded `objects` of the pending certificate
+ * @param {object[]} fresh from collectAssetObjects
+ * @returns {object[]}
+ */
+function mergeInventory(recorded, fresh) {
+  const found = new Map();
+  for (const o of recorded) {
+    const bucketId = resolveBucketId(o.bucket);
+    found.set(`${bucketId}\0${o.key}`, { bucketId, bucket: o.bucket, key: o.key, size: o.size, sha256: o.sha256, sha1: o.sha1, md5: o.md5 });
+  }
+  for (const o of fresh) {
+    const id = `${o.bucketId}\0${o.key}`;
+    if (!found.has(id)) found.set(id, o);
+  }
+  return [...found.values()].sort((a, b) => (a.bucket + a.key).localeCompare(b.bucket + b.key));
+}
+
+/**
+ * Delete inventoried objects, drop their download-cache entries and take
+ * them off the tenant's storage usage. Every object is attempted; if any
+ * delete fails the whole call throws after the loop, so a retried job picks
+ * up only what is left.
+ * @param {object[]} objects from collectAssetObjects
+ * @param {import('pino').Logger} logger
+ * @returns {Promise<object[]>} the objects with `deleted_at` and `existed`
+ */
+async function deleteAssetObjects(objects, logger) {
+  const cache = getDownloadCache();
+  const removed = [];
+  const failures = [];
+  for (const obj of objects) {
+    try {
+      const existed = await deleteFile(obj.bucketId, obj.key);
+      removed.push({ ...obj, deleted_at: new Date().toISOString(), existed });
+      if (obj.sha1) await cache.remove({ bucketId: obj.bucketId, key: obj.key, checksum: obj.sha1 });
+    } catch (err) {
+      logger.error({ err, bucket: obj.bucket, key: obj.key }, '[DELETION] Failed to delete object');
+      failures.push(obj.key);
+    }
+  }
+  await recordObjectsRemoved(removed.filter((obj) => obj.existed !== false), logger);
+  if (failures.length) {
+    throw new Error(`[DELETION] ${failures.length} object(s) could not be deleted: ${failures.slice(0, 5).join(', ')}`);
+  }
+  return removed;
+}
+
+module.exports = { assetPrefixes, deletionBuckets, collectAssetObjects, mergeInventory, deleteAssetObjects };
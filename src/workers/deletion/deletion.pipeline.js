@@ -0,0 +1,285 @@
+/**
+ * Asset deletion (right to erasure).
+ *
+ * Removes every stored object of an asset across all buckets, deletes its
+ * asset_versions, ai_description and jobgroup_results rows, tombstones (or
+ * deletes) the asset row and issues a signed deletion certificate. Assets
+ * under legal hold (their own or their tenant's) or still inside their
+ * minimum retention (core/retention.js) are refused before anything is
+ * touched.
+ *
+ * The inventory is stored as a pending certificate before the first delete
+ * and signed once everything is gone; a retried job resumes from it.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../../core/config');
+const { supabase } = require('../../core/supabase');
+const { uploadFile } = require('../../core/storage');
+const { withRetry } = require('../../resilience/retry');
+const { sourceCachePath } = require('../../endpoints/iiif/iiif.source');
+const { PREMIS_EVENT_TYPES, recordPreservationEvent } = require('../../preservation/premis.events');
+const { assertDeletionAllowed, recordRetentionAction } = require('../../core/retention');
+const LegalHoldError = require('../../errors/LegalHoldError');
+const RetentionError = require('../../errors/RetentionError');
+const ValidationError = require('../../errors/ValidationError');
+const { collectAssetObjects, mergeInventory, deleteAssetObjects } = require('./deletion.objects');
+const { certificateSigner, buildDeletionCertificate, signCertificate } = require('./deletion.certificate');
+
+const AGENT = 'relicxs-workers/deletion';
+const UUID_RE = /^[0-9a-f-]{36}$/i;
+// Rows removed outright; the asset row itself is tombstoned unless asked otherwise
+const ASSET_TABLES = ['jobgroup_results', 'ai_description', 'asset_versions'];
+
+async function loadAsset(assetId) {
+  const { data, error } = await supabase.from('asset').select('*').eq('id', assetId).maybeSingle();
+  if (error) throw new Error(`[DELETION] asset lookup failed: ${error.message}`);
+  return data || null;
+}
+
+async function loadVersions(assetId) {
+  const { data, error } = await supabase
+    .from('asset_versions')
+    .select('id, asset_id, storage_path, bucket_name, checksum, checksum_algorithm, updated_at')
+    .eq('asset_id', assetId);
+  if (error) throw new Error(`[DELETION] asset_versions lookup failed: ${error.message}`);
+  return data || [];
+}
+
+async function countRows(table, assetId) {
+  const { count, error } = await supabase.from(table).select('*', { count: 'exact', head: true }).eq('asset_id', assetId);
+  if (error) throw new Error(`[DELETION] ${table} count failed: ${error.message}`);
+  return count || 0;
+}
+
+async function deleteRows(table, assetId) {
+  const { count, error } = await supabase.from(table).delete({ count: 'exact' }).eq('asset_id', assetId);
+  if (error) throw new Error(`[DELETION] ${table} delete failed: ${error.message}`);
+  return count || 0;
+}
+
+// Downloaded IIIF sources on this host; the endpoints server stops serving
+// the asset as soon as its version rows are gone
+async function dropLocalCopies(assetId, versions) {
+  for (const v of versions) {
+    if (!v.storage_path) continue;
+    await fs.promises.rm(sourceCachePath(assetId, v), { force: true }).catch(() => {});
+  }
+}
+
+// Latest certificate row of the asset: a pending one left by an interrupted
+// run, or the signed one of a finished deletion
+async function loadCertificateRow(assetId) {
+  const { data, error } = await supabase
+    .from('deletion_certificates')
+    .select('id, status, certificate')
+    .eq('asset_id', assetId)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (error) throw new Error(`[DELETION] deletion_certificates lookup failed: ${error.message}`);
+  return data || null;
+}
+
+/**
+ * Persist the unsigned certificate of a deletion about to start: the object
+ * inventory with its hashes and the row counts. Written before anything is
+ * deleted, so a run that fails half way is resumed from it.
+ */
+async function storePendingCertificate(pending) {
+  const { error } = await supabase.from('deletion_certificates').upsert({
+    id: pending.certificate_id,
+    tenant_id: pending.tenant_id,
+    asset_id: pending.asset_id,
+    status: 'pending',
+    certificate: pending,
+    signature_algorithm: null,
+    key_id: null,
+    created_at: pending.started_at,
+  }, { onConflict: 'id' });
+  if (error) throw new Error(`[DELETION] pending certificate insert failed: ${error.message}`);
+}
+
+/**
+ * Persist a signed certificate: its deletion_certificates row (replacing the
+ * pending one), plus a JSON copy in the files bucket outside the asset's prefix.
+ */
+async function storeCertificate(certificate, workDir, logger) {
+  // Upsert: a retry after a failed upload must not trip over its own row
+  const { error } = await supabase.from('deletion_certificates').upsert({
+    id: certificate.certificate_id,
+    tenant_id: certificate.tenant_id,
+    asset_id: certificate.asset_id,
+    status: 'signed',
+    certificate,
+    signature_algorithm: certificate.signature.algorithm,
+    key_id: certificate.signature.key_id,
+    created_at: certificate.completed_at,
+  }, { onConflict: 'id' });
+  if (error) throw new Error(`[DELETION] deletion_certificates upsert failed: ${error.message}`);
+
+  if (!config.b2.filesBucketId) {
+    logger.warn({ certificate_id: certificate.certificate_id }, '[DELETION] No files bucket configured; certificate kept in the database only');
+    return null;
+  }
+  const key = `deletion-certificates/tenant-${certificate.tenant_id}/${certificate.certificate_id}.json`;
+  const local = path.join(workDir, `deletion-certificate-${certificate.certificate_id}.json`);
+  await fs.promises.writeFile(local, JSON.stringify(certificate, null, 2));
+  try {
+    await uploadFile(config.b2.filesBucketId, key, local, 'application/json', { logger });
+  } finally {
+    await fs.promises.rm(local, { force: true }).catch(() => {});
+  }
+  return key;
+}
+
+async function finishAssetRow(asset, certificate, { hardDelete }) {
+  if (!asset) return;
+  if (hardDelete) {
+    const { error: evErr } = await supabase.from('preservation_events').delete().eq('asset_id', asset.id);
+    if (evErr) throw new Error(`[DELETION] preservation_events delete failed: ${evErr.message}`);
+    const { error } = await supabase.from('asset').delete().eq('id', asset.id);
+    if (error) throw new Error(`[DELETION] asset delete failed: ${error.message}`);
+    return;
+  }
+  // The tombstone keeps the id and tenant/batch links; descriptive fields are cleared
+  const { error } = await supabase.from('asset').update({
+    status: 'deleted',
+    name: null,
+    title: null,
+    storage_path: null,
+    deleted_at: certificate.completed_at,
+    deletion_certificate_id: certificate.certificate_id,
+  }).eq('id', asset.id);
+  if (error) throw new Error(`[DELETION] asset tombstone failed: ${error.message}`);
+}
+
+/**
+ * Run a deletion job.
+ * @param {import('pino').Logger} logger
+ * @param {import('../../jobs/job.types').DeleteAssetJob} job
+ * @param {{ workDir?: string }} [opts]
+ * @returns {Promise<{ status: 'deleted'|'already_deleted'|'dry_run', certificate: object|null }>}
+ */
+async function runAssetDeletion(logger, job, { workDir = os.tmpdir() } = {}) {
+  if (!job || !UUID_RE.test(String(job.asset_id || ''))) throw new ValidationError('INVALID_ASSET_ID', 'asset_id', 'Deletion job needs a valid asset_id');
+  if (!job.tenant_id) throw new ValidationError('MISSING_TENANT_ID', 'tenant_id', 'Deletion job needs a tenant_id');
+  const log = logger.child({ tenant_id: job.tenant_id, asset_id: job.asset_id });
+  const startedAt = new Date().toISOString();
+
+  // Fail before deleting anything if the result could not be certified
+  const signer = certificateSigner();
+  if (!signer) throw new Error('[DELETION] No certificate signing key: set DELETION_CERT_PRIVATE_KEY or DELETION_CERT_SECRET');
+
+  const asset = config.dryRun ? null : await loadAsset(job.asset_id);
+  if (asset && asset.tenant_id !== job.tenant_id) {
+    throw new ValidationError('TENANT_MISMATCH', 'tenant_id', 'Asset belongs to another tenant');
+  }
+  if (asset && asset.deleted_at) {
+    log.info({ certificate_id: asset.deletion_certificate_id }, '[DELETION] Asset already deleted');
+    return { status: 'already_deleted', certificate: null };
+  }
+
+  const target = { tenant_id: job.tenant_id, batch_id: (asset && asset.batch_id) || job.batch_id || null, asset_id: job.asset_id };
+  const hardDelete = job.asset_row === 'delete';
+  const previous = config.dryRun ? null : await loadCertificateRow(job.asset_id);
+  if (previous && previous.status === 'signed' && !asset) {
+    log.info({ certificate_id: previous.id }, '[DELETION] Asset already deleted');
+    return { status: 'already_deleted', certificate: null };
+  }
+  // A deletion already under way is finished from its stored certificate
+  // rather than checked again and left half done
+  const pending = previous && previous.status === 'pending' ? previous.certificate : null;
+
+  let legalHold = previous ? previous.certificate.legal_hold : null;
+  if (!previous) {
+    try {
+      legalHold = await assertDeletionAllowed(target, asset);
+    } catch (err) {
+      if (err instanceof LegalHoldError || err instanceof RetentionError) {
+        const detail = err instanceof LegalHoldError
+          ? `Deletion refused: ${err.scope} legal hold`
+          : `Deletion refused: minimum retention until ${err.retainUntil}`;
+        const extra = { reason: job.reason || null, requested_by: job.requested_by || null };
+        await recordPreservationEvent(target, { type: PREMIS_EVENT_TYPES.DELETION, outcome: 'failure', detail, agent: AGENT, extra }, log);
+        await recordRetentionAction({ action: 'asset.deletion_refused', tenant_id: target.tenant_id, asset_id: target.asset_id, actor: AGENT, detail: { ...extra, refused: err.code, retain_until: err.retainUntil || null } })
+          .catch((auditErr) => log.warn({ err: auditErr }, '[DELETION] Failed to audit refusal'));
+      }
+      throw err;
+    }
+  }
+
+  // Signed but the asset row not yet finished: only that step is left
+  let signed = previous && previous.status === 'signed' ? previous.certificate : null;
+  if (!signed) {
+    const versions = config.dryRun ? [] : await loadVersions(job.asset_id);
+    const found = await collectAssetObjects(target, { versions });
+    const objects = pending ? mergeInventory(pending.objects, found) : found;
+    log.info({ objects: objects.length, resumed: Boolean(pending) }, '[DELETION] Inventoried stored objects');
+
+    if (config.dryRun) {
+      const certificate = signCertificate(buildDeletionCertificate({ target, job, objects, records: {}, startedAt, legalHold, dryRun: true }), signer);
+      log.warn({ objects: objects.length }, '[DELETION] DRY_RUN enabled — nothing deleted');
+      return { status: 'dry_run', certificate };
+    }
+
+    const records = { ...(pending ? pending.records : {}) };
+    for (const table of ASSET_TABLES) records[table] = Math.max(records[table] || 0, await countRows(table, job.asset_id));
+    // Certified before it is applied: the tombstone references the stored certificate
+    records.asset = asset ? (hardDelete ? 'deleted' : 'tombstoned') : 'absent';
+    const inventory = buildDeletionCertificate({
+      target,
+      job,
+      objects,
+      records,
+      startedAt: pending ? pending.started_at : startedAt,
+      legalHold,
+      certificateId: pending ? pending.certificate_id : null,
+    });
+    await storePendingCertificate(inventory);
+
+    const removed = await deleteAssetObjects(objects, log);
+    await dropLocalCopies(job.asset_id, versions);
+    for (const table of ASSET_TABLES) await deleteRows(table, job.asset_id);
+
+    signed = signCertificate(buildDeletionCertificate({
+      target,
+      job,
+      objects: removed,
+      records,
+      startedAt: inventory.started_at,
+      legalHold,
+      certificateId: inventory.certificate_id,
+    }), signer);
+  }
+
+  const certificateKey = await withRetry(() => storeCertificate(signed, workDir, log), {
+    maxRetries: 3,
+    baseDelay: 500,
+    logger: log,
+    context: { step: 'deletion-certificate' },
+  });
+  await finishAssetRow(asset, signed, { hardDelete });
+  await recordRetentionAction({
+    action: 'asset.deleted',
+    tenant_id: target.tenant_id,
+    asset_id: target.asset_id,
+    actor: job.requested_by || AGENT,
+    detail: { certificate_id: signed.certificate_id, reason: job.reason || null, totals: signed.totals },
+  }).catch((err) => log.warn({ err }, '[DELETION] Failed to audit deletion; the certificate is the record'));
+
+  if (asset && !hardDelete) {
+    await recordPreservationEvent(target, {
+      type: PREMIS_EVENT_TYPES.DELETION,
+      detail: `Asset deleted: ${signed.totals.objects} object(s), certificate ${signed.certificate_id}`,
+      agent: AGENT,
+      extra: { certificate_id: signed.certificate_id, certificate_key: certificateKey, totals: signed.totals, records: signed.records },
+    }, log);
+  }
+
+  log.info({ certificate_id: signed.certificate_id, objects: signed.totals.objects, bytes: signed.totals.bytes }, '[DELETION] Asset deleted');
+  return { status: 'deleted', certificate: signed };
+}
+
+module.exports = { runAssetDeletion };
@@ -0,0 +1,77 @@
+require('../../module-aliases');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { initializeWorkerEnvironment } = require('../../startup/initialize');
+const { getRedisClient } = require('../../core/redis');
+const { DELETION_QUEUE } = require('../../priorities/priority.constants');
+const { DLQ_QUEUE } = require('../dlq/dlq.constants');
+const { certificateSigner } = require('./deletion.certificate');
+const { runAssetDeletion } = require('./deletion.pipeline');
+
+const BRPOP_TIMEOUT_SECONDS = 30;
+// Error codes that refuse a deletion rather than fail it
+const REFUSALS = ['LEGAL_HOLD', 'RETENTION_PERIOD'];
+
+/**
+ * Blocking loop consuming asset deletion jobs, one at a time.
+ * Jobs refused for a legal hold or a minimum retention period are logged
+ * and dropped rather than sent to the DLQ: retrying them cannot succeed
+ * until the hold is lifted or the period ends, and the refusal is recorded
+ * as a PREMIS event and in the retention audit trail.
+ * @param {import('pino').Logger} logger
+ */
+async function startDeletionWorker(logger) {
+  const redis = await getRedisClient();
+  logger.info({ queue: DELETION_QUEUE, timeout: BRPOP_TIMEOUT_SECONDS }, '[DELETION] Starting blocking worker loop');
+
+  /* eslint-disable no-constant-condition */
+  while (true) {
+    try {
+      const result = await redis.brPop(DELETION_QUEUE, BRPOP_TIMEOUT_SECONDS);
+      if (!result) continue;
+      const element = Array.isArray(result) ? result[1] : result.element;
+
+      let job;
+      try {
+        job = JSON.parse(element);
+      } catch (parseErr) {
+        logger.error({ err: parseErr, raw: element }, '[DELETION] Failed to parse job JSON');
+        await redis.rPush(DLQ_QUEUE, element);
+        continue;
+      }
+
+      const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'deletion-'));
+      try {
+        await runAssetDeletion(logger, job, { workDir });
+      } catch (jobErr) {
+        if (jobErr && REFUSALS.includes(jobErr.code)) {
+          logger.warn({ tenant_id: job.tenant_id, asset_id: job.asset_id, scope: jobErr.scope, retain_until: jobErr.retainUntil }, '[DELETION] Refused: legal hold or retention period');
+        } else {
+          logger.error({ err: jobErr, tenant_id: job && job.tenant_id, asset_id: job && job.asset_id }, '[DELETION] Error while processing job, moving to failed queue');
+          await redis.rPush(DLQ_QUEUE, element);
+        }
+      } finally {
+        fs.rmSync(workDir, { recursive: true, force: true });
+      }
+    } catch (loopErr) {
+      logger.error({ err: loopErr }, '[DELETION] Unexpected error in worker loop, will retry after delay');
+      await new Promise((resolve) => setTimeout(resolve, 5000));
+    }
+  }
+  /* eslint-enable no-constant-condition */
+}
+
+(async () => {
+  try {
+    const { logger } = await initializeWorkerEnvironment({ componentName: 'deletion-worker' });
+    if (!certificateSigner()) {
+      logger.warn('[DELETION] No certificate signing key (DELETION_CERT_PRIVATE_KEY / DELETION_CERT_SECRET); deletion jobs will fail');
+    }
+    await startDeletionWorker(logger);
+  } catch (err) {
+    console.error('[DELETION] Fatal error during startup:', err);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,50 @@
+/**
+ * Pure helpers for the fixity audit: which rows are due and how a recomputed
+ * digest compares with the checksum recorded at upload time.
+ */
+const { ALGORITHMS } = require('../../core/checksum');
+
+const FIXITY_STATUS = {
+  VERIFIED: 'verified',
+  FAILED: 'failed',
+  MISSING: 'missing',
+  // No usable checksum was recorded at upload; nothing to compare against
+  UNVERIFIED: 'unverified',
+};
+
+/**
+ * ISO timestamp before which a version is due for another check.
+ * @param {number} intervalDays
+ * @param {number} [now]
+ */
+function fixityCutoff(intervalDays, now = Date.now()) {
+  return new Date(now - intervalDays * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Algorithm to recompute for a row, or null when its checksum cannot be checked.
+ * @param {{ checksum?: string, checksum_algorithm?: string }} row
+ */
+function fixityAlgorithm(row) {
+  const algorithm = String((row && row.checksum_algorithm) || 'sha256').toLowerCase();
+  if (!row || !row.checksum || !ALGORITHMS.includes(algorithm)) return null;
+  return algorithm;
+}
+
+/**
+ * Compare a recomputed digest with the recorded one.
+ * @param {{ checksum?: string, checksum_algorithm?: string }} row
+ * @param {Record<string, string>|null} hashes hex digests, null when the object is missing
+ * @returns {{ status: string, algorithm: string|null, expected: string|null, actual: string|null }}
+ */
+function evaluateFixity(row, hashes) {
+  const algorithm = fixityAlgorithm(row);
+  const expected = (row && row.checksum) || null;
+  if (!hashes) return { status: FIXITY_STATUS.MISSING, algorithm, expected, actual: null };
+  if (!algorithm) return { status: FIXITY_STATUS.UNVERIFIED, algorithm: null, expected, actual: null };
+  const actual = hashes[algorithm] || null;
+  const ok = !!actual && actual.toLowerCase() === String(expected).toLowerCase();
+  return { status: ok ? FIXITY_STATUS.VERIFIED : FIXITY_STATUS.FAILED, algorithm, expected, actual };
+}
+
+module.exports = { FIXITY_STATUS, fixityCutoff, fixityAlgorithm, evaluateFixity };
@@ -0,0 +1,88 @@
+require('../../module-aliases');
+
+const http = require('http');
+const { initializeWorkerEnvironment } = require('../../startup/initialize');
+const { withRedis } = require('../../core/redis');
+const { registry } = require('../../metrics/prometheus');
+const { runFixityCycle } = require('./fixity.audit');
+
+const POLL_INTERVAL_MS = parseInt(process.env.FIXITY_POLL_INTERVAL_MS || '3600000', 10);
+const METRICS_PORT = parseInt(process.env.FIXITY_METRICS_PORT || '9465', 10);
+const LOCK_KEY = 'fixity_audit_lock';
+const LOCK_TTL_SEC = parseInt(process.env.FIXITY_LOCK_TTL_SEC || '3600', 10);
+
+async function acquireLock(logger) {
+  try {
+    const res = await withRedis((c) => c.set(LOCK_KEY, String(Date.now()), { NX: true, EX: LOCK_TTL_SEC }));
+    return res === 'OK';
+  } catch (err) {
+    logger.warn({ err }, '[FIXITY] Failed to acquire lock; skipping cycle');
+    return false;
+  }
+}
+
+async function releaseLock(logger) {
+  try {
+    await withRedis((c) => c.del(LOCK_KEY));
+  } catch (err) {
+    logger.warn({ err }, '[FIXITY] Failed to release lock');
+  }
+}
+
+/**
+ * Counters live in this process, so it serves its own /metrics for Prometheus.
+ */
+function startMetricsServer(logger) {
+  if (!METRICS_PORT) return;
+  http.createServer(async (req, res) => {
+    if (req.method === 'GET' && req.url === '/metrics') {
+      try {
+        const metrics = await registry.metrics();
+        res.writeHead(200, { 'Content-Type': registry.contentType });
+        res.end(metrics);
+      } catch (err) {
+        res.writeHead(500);
+        res.end(`# metrics error: ${err.message}\n`);
+      }
+      return;
+    }
+    res.writeHead(404);
+    res.end();
+  }).listen(METRICS_PORT, () => logger.info({ port: METRICS_PORT }, '[FIXITY] Metrics listening'));
+}
+
+/**
+ * Rolling schedule: every interval, check the batch of preservation versions
+ * that are due. The Redis lock keeps several instances from auditing the same rows.
+ */
+async function startFixityWorker(logger) {
+  logger.info({ intervalMs: POLL_INTERVAL_MS }, '[FIXITY] Fixity worker started');
+
+  /* eslint-disable no-constant-condition */
+  while (true) {
+    if (await acquireLock(logger)) {
+      try {
+        await runFixityCycle(logger);
+      } catch (err) {
+        logger.error({ err }, '[FIXITY] Cycle failed');
+      } finally {
+        await releaseLock(logger);
+      }
+    } else {
+      logger.debug('[FIXITY] Another instance holds the lock');
+    }
+    await new Promise((r) => setTimeout(r, POLL_INTERVAL_MS));
+  }
+  /* eslint-enable no-constant-condition */
+}
+
+(async () => {
+  try {
+    const { logger } = await initializeWorkerEnvironment({ componentName: 'fixity-worker' });
+    startMetricsServer(logger);
+    await startFixityWorker(logger);
+  } catch (err) {
+    console.error('[FIXITY] Fatal error during startup:', err);
+    process.exit(1);
+  }
+})();
@@ -1,33 +1,28 @@
 /**
  * Hardened preservation archive creator for MACHINIST.
- * Creates a deterministic .tar.gz archive of the workDir,
- * computes SHA256 checksum, checks idempotency, uploads to B2,
- * records asset version, and ensures safety.
+ * Creates a deterministic .tar.gz archive of the workDir (plain, or as a
+ * validated BagIt bag), computes SHA256 checksum, checks idempotency,
+ * uploads to B2, records asset version, and ensures safety.
  */
 
 const fs = require('fs');
+const os = require('os');
 const fse = require('fs-extra');
 const path = require('path');
-const crypto = require('crypto');
 const tar = require('tar');
 const { uploadFile } = require('../../core/storage');
+const { hashFile, compareChecksums } = require('../../core/checksum');
+const ChecksumMismatchError = require('../../errors/ChecksumMismatchError');
 const config = require('../../core/config');
 const { callRpc, supabase } = require('../../core/supabase');
 const { sendToDLQ } = require('../../resilience/dlq');
 const LIMITS = require('@safety/runtime-limits');
+const { getTenantSettings } = require('../../core/tenant-settings');
+const { BAGIT_VERSION, listFiles, buildBag, validateBag } = require('./machinist.bagit');
+const { PREMIS_EVENT_TYPES, recordPreservationEvent } = require('../../preservation/premis.events');
+
+const PACKAGINGS = ['tar', 'bagit'];
 
-/**
- * Compute SHA256 checksum of a file
- */
-function computeChecksum(localPath) {
-  return new Promise((resolve, reject) => {
-    const hash = crypto.createHash('sha256');
-    const stream = fs.createReadStream(localPath);
-    stream.on('data', (d) => hash.update(d));
-    stream.on('end', () => resolve(hash.digest('hex')));
-    stream.on('error', reject);
-  });
-}
 
 /**
  * Check if we already have a preservation archive version
@@ -60,10 +55,26 @@ function buildManifest(job, fileCount, checksum) {
   };
 }
 
+/**
+ * Archive packaging: job.archive_packaging, then tenant settings, then
+ * ARCHIVE_PACKAGING (tar|bagit, default tar).
+ * @param {{ job?: object, tenantSettings?: object }} params
+ * @returns {'tar'|'bagit'}
+ */
+function resolveArchivePackaging({ job = {}, tenantSettings = {} } = {}) {
+  const candidates = [job && job.archive_packaging, tenantSettings && tenantSettings.archive_packaging, process.env.ARCHIVE_PACKAGING];
+  for (const c of candidates) {
+    const v = String(c || '').trim().toLowerCase();
+    if (PACKAGINGS.includes(v)) return v;
+  }
+  return 'tar';
+}
+
 /**
  * Hardened archive creator
  */
 async function archiveAssetToGlacier(logger, job, workDir) {
+  let bagRoot = null;
   try {
     const { tenant_id, asset_id } = job;
 
@@ -85,9 +96,66 @@ async function archiveAssetToGlacier(logger, job, workDir) {
       throw new Error("Nothing to archive — workDir is empty");
     }
 
-    // 3. Build deterministic archive path
-    const archiveName = "preservation.tar.gz";
-    const archiveLocal = path.join(workDir, archiveName);
+    const packaging = resolveArchivePackaging({ job, tenantSettings: await getTenantSettings(tenant_id) });
+
+    // 3-5. Package: BagIt bag, or the legacy tar of workDir plus manifest.json
+    let archiveName;
+    let archiveLocal;
+    let tarFiles;
+    let bag = null;
+    if (packaging === 'bagit') {
+      archiveName = "preservation-bag.tar.gz";
+      bagRoot = await fs.promises.mkdtemp(path.join(os.tmpdir(), "relicxs-bag-"));
+      const bagName = `asset-${asset_id}`;
+      const bagDir = path.join(bagRoot, bagName);
+      const payload = (await listFiles(workDir)).map((rel) => ({ source: path.join(workDir, rel), name: rel }));
+
+      logger.info({ bagDir, files: payload.length }, "[ARCHIVE] Building BagIt bag");
+      bag = await buildBag({
+        bagDir,
+        payload,
+        info: [
+          ['Source-Organization', process.env.BAGIT_SOURCE_ORGANIZATION],
+          ['External-Identifier', asset_id],
+          ['Internal-Sender-Identifier', `tenant-${tenant_id}/batch-${job.batch_id || 'none'}/asset-${asset_id}`],
+          ['Bag-Group-Identifier', job.batch_id],
+          ['Bag-Software-Agent', 'relicxs-workers machinist'],
+        ],
+      });
+      // Validate before anything leaves the machine
+      await validateBag(bagDir);
+
+      archiveLocal = path.join(bagRoot, archiveName);
+      await tar.c({ gzip: true, file: archiveLocal, cwd: bagRoot, portable: true, noMtime: true }, [bagName]);
+      tarFiles = [bagName];
+    } else {
+      archiveName = "preservation.tar.gz";
+      archiveLocal = path.join(workDir, archiveName);
+
+      // Build manifest.json inside temp directory
+      const manifestPath = path.join(workDir, "manifest.json");
+      fs.writeFileSync(manifestPath, JSON.stringify(
+        buildManifest(job, files.length, null),
+        null,
+        2
+      ));
+
+      // Include manifest.json in archive processing set
+      tarFiles = await fse.readdir(workDir);
+
+      logger.info({ archiveLocal }, "[ARCHIVE] Creating tar.gz package");
+
+      await tar.c(
+        {
+          gzip: true,
+          file: archiveLocal,
+          cwd: workDir,
+          portable: true,
+          noMtime: true,
+        },
+        tarFiles
+      );
+    }
     const archiveRemote = path.posix.join(
       "archive",
       `tenant-${tenant_id}`,
@@ -96,31 +164,6 @@ async function archiveAssetToGlacier(logger, job, workDir) {
       archiveName
     );
 
-    // 4. Build manifest.json inside temp directory
-    const manifestPath = path.join(workDir, "manifest.json");
-    fs.writeFileSync(manifestPath, JSON.stringify(
-      buildManifest(job, files.length, null),
-      null,
-      2
-    ));
-
-    // Include manifest.json in archive processing set
-    const tarFiles = await fse.readdir(workDir);
-
-    // 5. Create tar.gz archive
-    logger.info({ archiveLocal }, "[ARCHIVE] Creating tar.gz package");
-
-    await tar.c(
-      {
-        gzip: true,
-        file: archiveLocal,
-        cwd: workDir,
-        portable: true,
-        noMtime: true,
-      },
-      tarFiles
-    );
-
     // 6. Validate archive size
     const stats = fs.statSync(archiveLocal);
     if (stats.size > LIMITS.MAX_ARCHIVE_BYTES) {
@@ -129,24 +172,32 @@ async function archiveAssetToGlacier(logger, job, workDir) {
 
     // 7. Compute checksum
     logger.info("[ARCHIVE] Computing SHA256 checksum");
-    const checksum = await computeChecksum(archiveLocal);
+    const hashes = await hashFile(archiveLocal, ['sha256', 'sha1', 'md5']);
+    const checksum = hashes.sha256;
 
-    // Update manifest with checksum
-    fs.writeFileSync(
-      manifestPath,
-      JSON.stringify(buildManifest(job, tarFiles.length, checksum), null, 2)
-    );
+    if (!bag) {
+      // Update manifest with checksum
+      fs.writeFileSync(
+        path.join(workDir, "manifest.json"),
+        JSON.stringify(buildManifest(job, tarFiles.length, checksum), null, 2)
+      );
+    }
 
     // 8. Upload to Glacier (via B2 bucket)
     logger.info({ archiveRemote }, "[ARCHIVE] Uploading archive to storage");
 
     const usedBucketId = process.env.GLACIER_BUCKET_ID || process.env.B2_PROCESSED_ARCHIVE_BUCKET_ID;
-    await uploadFile(
+    const stored = await uploadFile(
       usedBucketId,
       archiveRemote,
       archiveLocal,
-      "application/gzip"
+      "application/gzip",
+      { checksums: hashes, logger }
     );
+    const check = compareChecksums(hashes, stored);
+    if (check.verified === false) {
+      throw new ChecksumMismatchError(`Archive checksum mismatch after upload (${check.algorithm})`, { ...check, path: archiveRemote });
+    }
 
     // 9. Record asset version
     logger.info("[ARCHIVE] Recording preservation asset_version");
@@ -190,11 +241,25 @@ async function archiveAssetToGlacier(logger, job, workDir) {
       tenantId: tenant_id,
     });
 
+    await recordPreservationEvent(job, {
+      type: PREMIS_EVENT_TYPES.PACKING,
+      detail: bag
+        ? `BagIt ${BAGIT_VERSION} bag validated and archived (Payload-Oxum ${bag.payloadOxum}); SHA-256 ${checksum}`
+        : `tar.gz archive of ${tarFiles.length} entries; SHA-256 ${checksum}`,
+      object: archiveRemote,
+      extra: { packaging, sha256: checksum },
+    }, logger);
     logger.info("[ARCHIVE] Preservation archive completed successfully");
-    return { status: "complete", path: archiveRemote, checksum };
+    return { status: "complete", path: archiveRemote, checksum, packaging };
 
   } catch (err) {
     logger.error({ err, asset_id: job.asset_id }, "[ARCHIVE] Failed to create preservation archive");
+    await recordPreservationEvent(job, {
+      type: PREMIS_EVENT_TYPES.PACKING,
+      outcome: "failure",
+      detail: "Preservation archive could not be created or stored",
+      extra: { error: err.message },
+    }, logger);
 
     // Send to DLQ
     try {
@@ -202,7 +267,9 @@ async function archiveAssetToGlacier(logger, job, workDir) {
     } catch (_) {}
 
     throw err;
+  } finally {
+    if (bagRoot) await fs.promises.rm(bagRoot, { recursive: true, force: true }).catch(() => {});
   }
 }
 
-module.exports = { archiveAssetToGlacier };
+module.exports = { archiveAssetToGlacier, resolveArchivePackaging };
@@ -0,0 +1,199 @@
+/**
+ * BagIt (RFC 8493) packaging for preservation archives.
+ *
+ *   {bag}/bagit.txt
+ *   {bag}/bag-info.txt
+ *   {bag}/manifest-sha256.txt      one line per payload file under data/
+ *   {bag}/tagmanifest-sha256.txt   bagit.txt, bag-info.txt, manifest-sha256.txt
+ *   {bag}/data/...
+ *
+ * Only fs and core/checksum are used so bags can be built and validated
+ * without storage or database access.
+ */
+const fs = require('fs');
+const path = require('path');
+const { hashFile } = require('../../core/checksum');
+
+const BAGIT_VERSION = '1.0';
+const ALGORITHM = 'sha256';
+const MANIFEST = `manifest-${ALGORITHM}.txt`;
+const TAG_MANIFEST = `tagmanifest-${ALGORITHM}.txt`;
+
+class BagValidationError extends Error {
+  constructor(message, problems = []) {
+    super(message);
+    this.name = 'BagValidationError';
+    this.code = 'BAG_INVALID';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Manifest paths: forward slashes, with CR, LF and % percent-encoded (RFC 8493 §2.1.3).
+ * @param {string} relPath
+ */
+function encodeManifestPath(relPath) {
+  return String(relPath).split(path.sep).join('/')
+    .replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+}
+
+function decodeManifestPath(p) {
+  return String(p).replace(/%0A/gi, '\n').replace(/%0D/gi, '\r').replace(/%25/g, '%');
+}
+
+/**
+ * bag-info.txt body. Long values are kept on one line; labels are emitted in the given order.
+ * @param {Array<[string, string|number]>} entries
+ */
+function formatBagInfo(entries) {
+  return entries
+    .filter(([, v]) => v !== undefined && v !== null && v !== '')
+    .map(([k, v]) => `${k}: ${String(v).replace(/\r?\n/g, ' ')}`)
+    .join('\n') + '\n';
+}
+
+function parseBagInfo(text) {
+  const out = {};
+  let last = null;
+  for (const line of String(text).split(/\r?\n/)) {
+    if (!line) continue;
+    if (/^\s/.test(line) && last) { out[last] += ` ${line.trim()}`; continue; }
+    const i = line.indexOf(':');
+    if (i === -1) continue;
+    last = line.slice(0, i).trim();
+    out[last] = line.slice(i + 1).trim();
+  }
+  return out;
+}
+
+function parseManifest(text) {
+  return String(text).split(/\r?\n/).filter(Boolean).map((line) => {
+    const m = line.match(/^(\S+)\s+(.+)$/);
+    return m ? { checksum: m[1].toLowerCase(), path: decodeManifestPath(m[2]) } : { checksum: null, path: line };
+  });
+}
+
+/** All regular files under dir, as paths relative to base, sorted for stable manifests. */
+async function listFiles(dir, base = dir) {
+  const out = [];
+  for (const entry of await fs.promises.readdir(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) out.push(...await listFiles(full, base));
+    else if (entry.isFile()) out.push(path.relative(base, full));
+  }
+  return out.sort();
+}
+
+async function manifestFor(bagDir, relPaths) {
+  const lines = [];
+  for (const rel of relPaths) {
+    const { sha256 } = await hashFile(path.join(bagDir, rel), [ALGORITHM]);
+    lines.push(`${sha256}  ${encodeManifestPath(rel)}`);
+  }
+  return lines.join('\n') + (lines.length ? '\n' : '');
+}
+
+/**
+ * Build a bag in bagDir (which must not exist yet) from a list of payload files.
+ * @param {object} params
+ * @param {string} params.bagDir
+ * @param {{ source: string, name: string }[]} params.payload files copied to data/{name}
+ * @param {Array<[string, string|number]>} [params.info] extra bag-info.txt entries
+ * @returns {Promise<{ bagDir: string, payloadOxum: string, fileCount: number }>}
+ */
+async function buildBag({ bagDir, payload, info = [] }) {
+  const dataDir = path.join(bagDir, 'data');
+  await fs.promises.mkdir(dataDir, { recursive: true });
+
+  let bytes = 0;
+  for (const { source, name } of payload) {
+    const target = path.join(dataDir, name);
+    if (path.relative(dataDir, target).startsWith('..')) throw new BagValidationError(`Payload path escapes data/: ${name}`);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await fs.promises.copyFile(source, target);
+    bytes += (await fs.promises.stat(target)).size;
+  }
+
+  const payloadFiles = (await listFiles(dataDir)).map((rel) => path.join('data', rel));
+  const payloadOxum = `${bytes}.${payloadFiles.length}`;
+
+  await fs.promises.writeFile(path.join(bagDir, 'bagit.txt'), `BagIt-Version: ${BAGIT_VERSION}\nTag-File-Character-Encoding: UTF-8\n`);
+  await fs.promises.writeFile(path.join(bagDir, 'bag-info.txt'), formatBagInfo([
+    ...info,
+    ['Bagging-Date', new Date().toISOString().slice(0, 10)],
+    ['Payload-Oxum', payloadOxum],
+  ]));
+  await fs.promises.writeFile(path.join(bagDir, MANIFEST), await manifestFor(bagDir, payloadFiles));
+  await fs.promises.writeFile(path.join(bagDir, TAG_MANIFEST), await manifestFor(bagDir, ['bagit.txt', 'bag-info.txt', MANIFEST]));
+
+  return { bagDir, payloadOxum, fileCount: payloadFiles.length };
+}
+
+async function checkManifest(bagDir, name, problems) {
+  const entries = parseManifest(await fs.promises.readFile(path.join(bagDir, name), 'utf8'));
+  for (const entry of entries) {
+    const full = path.join(bagDir, entry.path);
+    if (!entry.checksum || path.relative(bagDir, full).startsWith('..')) {
+      problems.push(`${name}: malformed line for ${entry.path}`);
+      continue;
+    }
+    if (!fs.existsSync(full)) {
+      problems.push(`${name}: missing ${entry.path}`);
+      continue;
+    }
+    const { sha256 } = await hashFile(full, [ALGORITHM]);
+    if (sha256 !== entry.checksum) problems.push(`${name}: checksum mismatch for ${entry.path}`);
+  }
+  return entries;
+}
+
+/**
+ * Validate a bag: required tag files, every manifest entry present with a
+ * matching digest, no unlisted payload files, Payload-Oxum consistent.
+ * @param {string} bagDir
+ * @throws {BagValidationError}
+ */
+async function validateBag(bagDir) {
+  const problems = [];
+  for (const required of ['bagit.txt', MANIFEST]) {
+    if (!fs.existsSync(path.join(bagDir, required))) problems.push(`missing ${required}`);
+  }
+  if (!fs.existsSync(path.join(bagDir, 'data'))) problems.push('missing data/ directory');
+  if (problems.length) throw new BagValidationError('Invalid bag', problems);
+
+  const declaration = parseBagInfo(await fs.promises.readFile(path.join(bagDir, 'bagit.txt'), 'utf8'));
+  if (!declaration['BagIt-Version']) problems.push('bagit.txt: missing BagIt-Version');
+  if (String(declaration['Tag-File-Character-Encoding'] || '').toUpperCase() !== 'UTF-8') problems.push('bagit.txt: encoding must be UTF-8');
+
+  const listed = new Set((await checkManifest(bagDir, MANIFEST, problems)).map((e) => e.path));
+  const payloadFiles = (await listFiles(path.join(bagDir, 'data'))).map((rel) => ['data', ...rel.split(path.sep)].join('/'));
+  for (const f of payloadFiles) {
+    if (!listed.has(f)) problems.push(`${MANIFEST}: payload file not listed: ${f}`);
+  }
+
+  if (fs.existsSync(path.join(bagDir, TAG_MANIFEST))) await checkManifest(bagDir, TAG_MANIFEST, problems);
+
+  if (fs.existsSync(path.join(bagDir, 'bag-info.txt'))) {
+    const info = parseBagInfo(await fs.promises.readFile(path.join(bagDir, 'bag-info.txt'), 'utf8'));
+    if (info['Payload-Oxum']) {
+      let bytes = 0;
+      for (const f of payloadFiles) bytes += (await fs.promises.stat(path.join(bagDir, f))).size;
+      if (info['Payload-Oxum'] !== `${bytes}.${payloadFiles.length}`) problems.push(`bag-info.txt: Payload-Oxum ${info['Payload-Oxum']} != ${bytes}.${payloadFiles.length}`);
+    }
+  }
+
+  if (problems.length) throw new BagValidationError(`Invalid bag: ${problems[0]}`, problems);
+  return { valid: true, fileCount: payloadFiles.length };
+}
+
+module.exports = {
+  BAGIT_VERSION,
+  BagValidationError,
+  encodeManifestPath,
+  formatBagInfo,
+  parseBagInfo,
+  parseManifest,
+  listFiles,
+  buildBag,
+  validateBag,
+};
@@ -0,0 +1,125 @@
+/**
+ * Colour management helpers.
+ * Reads the embedded ICC profile that sharp exposes as `metadata().icc`
+ * (header + `desc` tag, ICC v2 textDescriptionType or v4 mluc) and decides
+ * whether a derivative needs an explicit conversion to 8-bit sRGB.
+ * Pure: no sharp calls here, so it can run on any metadata object.
+ *   https://www.color.org/specification/ICC.1-2022-05.pdf
+ */
+
+const DEVICE_CLASSES = {
+  scnr: 'input',
+  mntr: 'display',
+  prtr: 'output',
+  link: 'devicelink',
+  spac: 'colorspace',
+  abst: 'abstract',
+  nmcl: 'namedcolor',
+};
+
+function sig(buf, offset) {
+  return buf.toString('latin1', offset, offset + 4);
+}
+
+function readDescription(buf, offset, size) {
+  if (offset + 12 > buf.length || offset + size > buf.length) return null;
+  const type = sig(buf, offset);
+  if (type === 'desc') {
+    const count = buf.readUInt32BE(offset + 8);
+    if (!count || offset + 12 + count > buf.length) return null;
+    return buf.toString('latin1', offset + 12, offset + 12 + count).replace(/\0+$/, '').trim() || null;
+  }
+  if (type === 'mluc') {
+    const records = buf.readUInt32BE(offset + 8);
+    const recordSize = buf.readUInt32BE(offset + 12);
+    let chosen = null;
+    for (let i = 0; i < records; i++) {
+      const r = offset + 16 + i * recordSize;
+      if (r + 12 > buf.length) break;
+      const lang = buf.toString('latin1', r, r + 2);
+      const len = buf.readUInt32BE(r + 4);
+      const start = offset + buf.readUInt32BE(r + 8);
+      if (start + len > buf.length) continue;
+      if (!chosen || lang === 'en') chosen = { start, len };
+      if (lang === 'en') break;
+    }
+    if (!chosen) return null;
+    // UTF-16BE; swap into a copy for Node's utf16le decoder
+    const bytes = Buffer.from(buf.subarray(chosen.start, chosen.start + chosen.len));
+    bytes.swap16();
+    return bytes.toString('utf16le').replace(/\0+$/, '').trim() || null;
+  }
+  return null;
+}
+
+/**
+ * Parse the parts of an ICC profile we record.
+ * @param {Buffer} buf
+ * @returns {null | { description: string|null, version: string, deviceClass: string, colorSpace: string, pcs: string, size: number }}
+ */
+function parseIccProfile(buf) {
+  if (!Buffer.isBuffer(buf) || buf.length < 132 || sig(buf, 36) !== 'acsp') return null;
+  const major = buf[8];
+  const minor = buf[9] >> 4;
+  const tagCount = buf.readUInt32BE(128);
+  let description = null;
+  for (let i = 0; i < tagCount; i++) {
+    const entry = 132 + i * 12;
+    if (entry + 12 > buf.length) break;
+    if (sig(buf, entry) === 'desc') {
+      description = readDescription(buf, buf.readUInt32BE(entry + 4), buf.readUInt32BE(entry + 8));
+      break;
+    }
+  }
+  const rawClass = sig(buf, 12);
+  return {
+    description,
+    version: `${major}.${minor}`,
+    deviceClass: DEVICE_CLASSES[rawClass] || rawClass.trim(),
+    colorSpace: sig(buf, 16).trim(),
+    pcs: sig(buf, 20).trim(),
+    size: buf.readUInt32BE(0),
+  };
+}
+
+/**
+ * Colour facts for an image from sharp metadata, and whether its viewing
+ * derivatives need converting: a non-sRGB embedded profile, 16-bit samples,
+ * CMYK or Lab all do. Untagged 8-bit RGB is taken to be sRGB already.
+ * @param {{ icc?: Buffer, space?: string, depth?: string, channels?: number }} meta
+ * @returns {{ profile: string|null, embedded_profile: boolean, profile_color_space: string|null, profile_class: string|null, profile_version: string|null, space: string|null, bit_depth: number|null, needs_conversion: boolean }}
+ */
+function describeColor(meta = {}) {
+  const icc = meta.icc ? parseIccProfile(meta.icc) : null;
+  const bitDepth = meta.depth === 'ushort' ? 16 : meta.depth === 'uchar' ? 8 : meta.depth === 'float' ? 32 : null;
+  const space = meta.space || null;
+  const srgbProfile = !icc || /\bsRGB\b/i.test(icc.description || '');
+  const needsConversion = !srgbProfile
+    || (bitDepth != null && bitDepth > 8)
+    || ['cmyk', 'rgb16', 'grey16', 'lab', 'labs', 'scrgb'].includes(space);
+  return {
+    profile: icc ? icc.description : null,
+    embedded_profile: !!meta.icc,
+    profile_color_space: icc ? icc.colorSpace : null,
+    profile_class: icc ? icc.deviceClass : null,
+    profile_version: icc ? icc.version : null,
+    space,
+    bit_depth: bitDepth,
+    needs_conversion: needsConversion,
+  };
+}
+
+/**
+ * Version-row metadata with the colour facts of the stored file added: the
+ * name of its embedded ICC profile (null when untagged). Converted
+ * derivatives already carry `converted_from`, the source profile or space.
+ * @param {{ icc?: Buffer }} meta sharp metadata of the stored file
+ * @param {Record<string, any>|null} [metadata] what the caller records
+ * @returns {Record<string, any>}
+ */
+function withColorMetadata(meta, metadata = null) {
+  const icc = meta && meta.icc ? parseIccProfile(meta.icc) : null;
+  return { ...(metadata || {}), icc_profile: icc ? icc.description : null };
+}
+
+module.exports = { parseIccProfile, describeColor, withColorMetadata };
@@ -60,6 +60,7 @@ function normalizeExif(exif) {
 
   // Color / bit depth
   const color_space = pick('ColorSpace', 'ProfileDescription');
+  const icc_profile = pick('ProfileDescription', 'ICCProfileName');
   let bit_depth = null;
   if (typeof exif.BitsPerSample === 'number') bit_depth = exif.BitsPerSample;
   else if (Array.isArray(exif.BitsPerSample)) {
@@ -79,7 +80,7 @@ function normalizeExif(exif) {
     capture: { date_time_original, create_date, timezone_offset },
     camera: { camera_make, camera_model, lens_make, lens_model },
     exposure: { exposure_time, f_number, iso, focal_length, exposure_program, metering_mode, flash },
-    image: { image_width, image_height, orientation, color_space, bit_depth },
+    image: { image_width, image_height, orientation, color_space, icc_profile, bit_depth },
     software: { software, processing_software },
     file: { mime_type },
   };
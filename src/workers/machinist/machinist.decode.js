@@ -0,0 +1,126 @@
+/**
+ * Working-image preparation for inputs Sharp cannot always read directly.
+ *   - RAW (DNG, CR2, CR3, NEF, ARW, ORF, RW2, RAF): dcraw -> 16-bit TIFF,
+ *     falling back to the embedded JPEG preview via exiftool
+ *   - HEIC/HEIF: sharp when libvips has HEVC support, else heif-convert
+ *   - JPEG 2000: sharp when libvips has openjpeg, else opj_decompress
+ * The original file is never modified; derivatives are generated from the
+ * returned working path while the original is uploaded as-is.
+ *
+ * Binaries can be overridden with DCRAW_BIN, HEIF_CONVERT_BIN, OPJ_DECOMPRESS_BIN
+ * and EXIFTOOL_BIN.
+ */
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const sharp = require('sharp');
+const { withTimeout } = require('@safety/with-timeout');
+const LIMITS = require('@safety/runtime-limits');
+
+const BIN = {
+  dcraw: process.env.DCRAW_BIN || 'dcraw',
+  heifConvert: process.env.HEIF_CONVERT_BIN || 'heif-convert',
+  opjDecompress: process.env.OPJ_DECOMPRESS_BIN || 'opj_decompress',
+  exiftool: process.env.EXIFTOOL_BIN || 'exiftool',
+};
+
+/**
+ * Run a binary with an argument array (no shell). When `stdoutPath` is set the
+ * child's stdout is written to that file.
+ * @param {string} cmd
+ * @param {string[]} args
+ * @param {{ stdoutPath?: string }} [opts]
+ */
+function run(cmd, args, opts = {}) {
+  const child = spawn(cmd, args, { stdio: ['ignore', opts.stdoutPath ? 'pipe' : 'ignore', 'pipe'] });
+  let stderr = '';
+  child.stderr.on('data', (d) => { if (stderr.length < 4096) stderr += d; });
+  const done = new Promise((resolve, reject) => {
+    let out = null;
+    if (opts.stdoutPath) {
+      out = fs.createWriteStream(opts.stdoutPath);
+      child.stdout.pipe(out);
+    }
+    child.on('error', reject);
+    child.on('close', (code) => {
+      const finish = () => (code === 0 ? resolve() : reject(new Error(`${cmd} exit code ${code}: ${stderr.trim()}`)));
+      if (out && !out.writableFinished) out.on('finish', finish); else finish();
+    });
+  });
+  return withTimeout(done, LIMITS.DECODE_TIMEOUT_MS, `${cmd} decode timed out`)
+    .catch((err) => {
+      try { child.kill('SIGKILL'); } catch (_) {}
+      throw err;
+    });
+}
+
+async function nonEmpty(p) {
+  try { return (await fs.promises.stat(p)).size > 0; } catch (_) { return false; }
+}
+
+async function sharpReadable(inputPath) {
+  try {
+    const meta = await sharp(inputPath).metadata();
+    return !!(meta && meta.width && meta.height);
+  } catch (_) {
+    return false;
+  }
+}
+
+async function decodeRaw(logger, inputPath, workDir) {
+  const tiffOut = path.join(workDir, 'working.tif');
+  try {
+    // -w camera white balance, -T TIFF, -6 16-bit, -c to stdout
+    await run(BIN.dcraw, ['-w', '-T', '-6', '-c', inputPath], { stdoutPath: tiffOut });
+    if (await nonEmpty(tiffOut)) return { path: tiffOut, decoder: 'dcraw' };
+  } catch (err) {
+    logger.warn({ err }, '[MACHINIST][DECODE] dcraw failed; trying embedded preview');
+  }
+  for (const tag of ['-JpgFromRaw', '-PreviewImage']) {
+    const jpgOut = path.join(workDir, 'working.jpg');
+    try {
+      await run(BIN.exiftool, ['-b', tag, inputPath], { stdoutPath: jpgOut });
+      if (await nonEmpty(jpgOut)) return { path: jpgOut, decoder: `exiftool${tag}` };
+    } catch (err) {
+      logger.warn({ err, tag }, '[MACHINIST][DECODE] exiftool preview extraction failed');
+    }
+  }
+  throw new Error('raw_decode_failed');
+}
+
+/**
+ * Produce a Sharp-readable working image for the input.
+ * @param {object} params
+ * @param {import('pino').Logger} params.logger
+ * @param {string} params.inputPath downloaded original
+ * @param {string} params.workDir
+ * @param {{ extension: string, kind?: string }} params.detected result of detectMime()
+ * @returns {Promise<{ path: string, decoded: boolean, decoder: string|null }>}
+ */
+async function prepareWorkingImage({ logger, inputPath, workDir, detected }) {
+  const kind = detected && detected.kind;
+
+  if (kind === 'raw') {
+    const out = await decodeRaw(logger, inputPath, workDir);
+    logger.info({ format: detected.extension, decoder: out.decoder }, '[MACHINIST][DECODE] RAW decoded to working image');
+    return { path: out.path, decoded: true, decoder: out.decoder };
+  }
+
+  if ((kind === 'heif' || kind === 'jpeg2000') && !(await sharpReadable(inputPath))) {
+    const pngOut = path.join(workDir, 'working.png');
+    try {
+      if (kind === 'heif') await run(BIN.heifConvert, [inputPath, pngOut]);
+      else await run(BIN.opjDecompress, ['-i', inputPath, '-o', pngOut]);
+    } catch (err) {
+      logger.error({ err, format: detected.extension }, '[MACHINIST][DECODE] External decode failed');
+      throw new Error(`${kind}_decode_failed`);
+    }
+    if (!(await nonEmpty(pngOut))) throw new Error(`${kind}_decode_failed`);
+    logger.info({ format: detected.extension }, '[MACHINIST][DECODE] Decoded to working PNG');
+    return { path: pngOut, decoded: true, decoder: kind === 'heif' ? 'heif-convert' : 'opj_decompress' };
+  }
+
+  return { path: inputPath, decoded: false, decoder: null };
+}
+
+module.exports = { prepareWorkingImage };
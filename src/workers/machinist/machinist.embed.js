@@ -0,0 +1,250 @@
+/**
+ * Catalogue write-back: embeds the asset's ai_description into the files
+ * customers download (viewing derivatives and production print masters) so
+ * exported copies carry their cataloguing:
+ *   dc:title, dc:description, dc:subject (keywords)
+ *   Iptc4xmpCore:Location, photoshop:City / Country (spatial coverage)
+ *   IPTC IIM equivalents for JPEG and TIFF
+ *
+ * Runs inside the machinist pipeline when a description already exists, and
+ * as a `machinist.embed-metadata` job queued by the archivist after every
+ * ai_description upsert, which rewrites the stored files in place.
+ * Tenant settings `embed_metadata: false` (or EMBED_AI_METADATA=false) turns
+ * it off; location is left out when the privacy policy withholds GPS.
+ */
+const path = require('path');
+const os = require('os');
+
+// Formats exiftool can write XMP into; IPTC IIM only for JPEG and TIFF
+const EMBEDDABLE = {
+  'image/jpeg': { iptc: true },
+  'image/tiff': { iptc: true },
+  'image/png': { iptc: false },
+  'image/webp': { iptc: false },
+};
+
+// IPTC IIM field lengths (IIM 4.2)
+const IIM_MAX = { ObjectName: 64, 'Caption-Abstract': 2000, Keywords: 64, City: 32, 'Country-PrimaryLocationName': 64 };
+
+function text(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+function line(value) {
+  const t = text(value);
+  return t ? t.replace(/\s+/g, ' ') : null;
+}
+
+/**
+ * Fields to embed from an ai_description row, or null when it has none.
+ * @param {object|null} description ai_description row
+ * @param {{ withLocation?: boolean }} [opts]
+ * @returns {null | { title: string|null, description: string|null, keywords: string[], city: string|null, country: string|null }}
+ */
+function catalogueFields(description, { withLocation = true } = {}) {
+  if (!description) return null;
+  const keywords = [...new Set((Array.isArray(description.keywords) ? description.keywords : []).map(line).filter(Boolean))];
+  const spatial = (withLocation && description.spatial_coverage) || {};
+  const fields = {
+    title: line(description.title),
+    description: text(description.description),
+    keywords,
+    city: line(spatial.city),
+    country: line(spatial.country),
+  };
+  if (!fields.title && !fields.description && !keywords.length && !fields.city && !fields.country) return null;
+  return fields;
+}
+
+/**
+ * exiftool arguments writing the fields. Empty fields are cleared so a
+ * re-run never leaves values from an older description behind.
+ * @param {ReturnType<typeof catalogueFields>} fields
+ * @param {{ iptc?: boolean }} [opts]
+ * @returns {string[]}
+ */
+function exiftoolEmbedArgs(fields, { iptc = false } = {}) {
+  const args = [];
+  const set = (tag, value) => args.push(`-${tag}=${value == null ? '' : value}`);
+  const list = (tag, values) => { if (values.length) values.forEach((v) => set(tag, v)); else set(tag, null); };
+  const iim = (tag, value) => (value == null ? null : value.slice(0, IIM_MAX[tag]));
+  const location = [fields.city, fields.country].filter(Boolean).join(', ') || null;
+
+  set('XMP-dc:Title', fields.title);
+  set('XMP-dc:Description', fields.description);
+  list('XMP-dc:Subject', fields.keywords);
+  set('XMP-iptcCore:Location', location);
+  set('XMP-photoshop:City', fields.city);
+  set('XMP-photoshop:Country', fields.country);
+  if (iptc) {
+    args.unshift('-charset', 'iptc=UTF8');
+    set('IPTC:CodedCharacterSet', 'UTF8');
+    set('IPTC:ObjectName', iim('ObjectName', fields.title));
+    set('IPTC:Caption-Abstract', iim('Caption-Abstract', fields.description));
+    list('IPTC:Keywords', fields.keywords.map((k) => iim('Keywords', k)));
+    set('IPTC:City', iim('City', fields.city));
+    set('IPTC:Country-PrimaryLocationName', iim('Country-PrimaryLocationName', fields.country));
+  }
+  return args;
+}
+
+/**
+ * Whether write-back is on for a tenant.
+ * @param {Record<string, any>} [tenantSettings]
+ */
+function embedEnabled(tenantSettings = {}) {
+  return tenantSettings.embed_metadata !== false && process.env.EMBED_AI_METADATA !== 'false';
+}
+
+/**
+ * Load the asset's current description as embeddable fields.
+ * @param {{ job: object, tenantSettings?: Record<string, any>, policy?: { strip: string[] } }} params
+ * @returns {Promise<null | { fields: NonNullable<ReturnType<typeof catalogueFields>>, record: object }>}
+ */
+async function loadCatalogue({ job, tenantSettings = {}, policy = null }) {
+  if (!embedEnabled(tenantSettings)) return null;
+  const { supabase } = require('../../core/supabase');
+  const { data, error } = await supabase
+    .from('ai_description')
+    .select('*')
+    .eq('tenant_id', job.tenant_id)
+    .eq('asset_id', job.asset_id)
+    .maybeSingle();
+  if (error) throw new Error(`[MACHINIST][EMBED] ai_description lookup failed: ${error.message}`);
+  const fields = catalogueFields(data, { withLocation: !(policy && policy.strip.includes('gps')) });
+  if (!fields) return null;
+  const record = {
+    description_id: data.id || null,
+    description_updated_at: data.updated_at || null,
+    fields: Object.keys(fields).filter((k) => (Array.isArray(fields[k]) ? fields[k].length : fields[k])),
+    embedded_at: new Date().toISOString(),
+  };
+  return { fields, record };
+}
+
+/**
+ * Embed fields into local files. Formats without XMP support are skipped.
+ * Sets `embedded` on each file written. In strict mode a failed write
+ * throws; otherwise it is logged and the file goes out without the fields.
+ * @param {{ logger: import('pino').Logger, files: { localPath: string, contentType: string }[], catalogue: Awaited<ReturnType<typeof loadCatalogue>>, strict?: boolean }} params
+ * @returns {Promise<number>} files written
+ */
+async function embedFiles({ logger, files, catalogue, strict = false }) {
+  if (!catalogue) return 0;
+  const { writeExifTags } = require('./machinist.exif');
+  let written = 0;
+  for (const file of files) {
+    const format = EMBEDDABLE[file.contentType];
+    if (!format) continue;
+    try {
+      await writeExifTags(file.localPath, exiftoolEmbedArgs(catalogue.fields, format));
+      file.embedded = catalogue.record;
+      written += 1;
+    } catch (err) {
+      if (strict) throw err;
+      logger.warn({ err, file: path.basename(file.localPath) }, '[MACHINIST][EMBED] Could not embed description; continuing');
+    }
+  }
+  return written;
+}
+
+/**
+ * Viewing outputs (and their alternate formats) that customers download.
+ * @param {{ viewing?: object|null }} derivatives generateDerivatives() result
+ */
+function downloadFiles(derivatives) {
+  if (!derivatives || !derivatives.viewing) return [];
+  return [derivatives.viewing, ...(derivatives.viewing.alternates || [])];
+}
+
+function isDownloadRow(row) {
+  if (row.purpose === 'viewing') return String(row.variant || '').startsWith('processed');
+  return row.purpose === 'production' && row.variant === 'print';
+}
+
+/**
+ * `machinist.embed-metadata` job: rewrite the stored download files with the
+ * current description and update their version rows.
+ * @param {import('pino').Logger} logger
+ * @param {{ tenant_id: string, asset_id: string, batch_id?: string }} job
+ */
+async function processEmbedMetadataJob(logger, job) {
+  if (!job || !job.tenant_id || !job.asset_id) throw new Error('MACHINIST: embed-metadata job needs tenant_id and asset_id');
+  const config = require('../../core/config');
+  const fse = require('fs-extra');
+  const { supabase } = require('../../core/supabase');
+  const { downloadFile } = require('../../core/storage');
+  const { resolveBucketId } = require('../../core/buckets');
+  const { getTenantSettings } = require('../../core/tenant-settings');
+  const { resolvePrivacyPolicy } = require('./machinist.privacy');
+  const { uploadAndRecord } = require('./machinist.upload');
+  const { PREMIS_EVENT_TYPES, recordPreservationEvent } = require('../../preservation/premis.events');
+  const { sendToDLQ } = require('../../resilience/dlq');
+  const wrap = require('../../errors/wrap');
+  const { withRetry } = require('../../resilience/retry');
+
+  const workDir = path.join(os.tmpdir(), `machinist-embed-${job.tenant_id}-${job.asset_id}-${Date.now()}`);
+  try {
+    const tenantSettings = await getTenantSettings(job.tenant_id);
+    const catalogue = await loadCatalogue({ job, tenantSettings, policy: resolvePrivacyPolicy({ tenantSettings }) });
+    if (!catalogue || config.dryRun) {
+      logger.info({ asset_id: job.asset_id, dryRun: config.dryRun }, '[MACHINIST][EMBED] Nothing to embed');
+      return { status: 'skipped' };
+    }
+
+    const { data: rows, error } = await supabase
+      .from('asset_versions')
+      .select('id, purpose, variant, type, storage_path, bucket_name, mime_type, metadata')
+      .eq('asset_id', job.asset_id)
+      .eq('status', 'success')
+      .in('purpose', ['viewing', 'production']);
+    if (error) throw new Error(`[MACHINIST][EMBED] asset_versions lookup failed: ${error.message}`);
+
+    await fse.ensureDir(workDir);
+    const updated = [];
+    for (const row of (rows || []).filter(isDownloadRow)) {
+      if (!EMBEDDABLE[row.mime_type]) continue;
+      const bucketId = resolveBucketId(row.bucket_name);
+      const file = { localPath: path.join(workDir, `${row.variant}${path.posix.extname(row.storage_path)}`), contentType: row.mime_type };
+      await wrap(() => withRetry(() => downloadFile(bucketId, row.storage_path, file.localPath), { logger, maxRetries: 2, baseDelay: 500, context: { step: 'embed-download' } }), logger, { step: 'embed-download' });
+      await embedFiles({ logger, files: [file], catalogue, strict: true });
+      const versionJob = { ...job, file_purpose: row.purpose };
+      await wrap(() => withRetry(() => uploadAndRecord({
+        logger,
+        job: versionJob,
+        bucketId,
+        remotePath: row.storage_path,
+        localPath: file.localPath,
+        contentType: row.mime_type,
+        versionType: row.type,
+        purpose: row.purpose,
+        variant: row.variant,
+        metadata: { ...(row.metadata || {}), embedded_description: catalogue.record },
+      }), { logger, maxRetries: 2, baseDelay: 500, context: { step: 'embed-upload' } }), logger, { step: 'embed-upload' });
+      await recordPreservationEvent(versionJob, {
+        type: PREMIS_EVENT_TYPES.METADATA_MODIFICATION,
+        detail: `Catalogue description embedded as XMP/IPTC (${catalogue.record.fields.join(', ')})`,
+        object: row.storage_path,
+      }, logger);
+      updated.push(row.storage_path);
+    }
+    logger.info({ asset_id: job.asset_id, files: updated.length }, '[MACHINIST][EMBED] Description embedded into download files');
+    return { status: 'complete', files: updated };
+  } catch (err) {
+    logger.error({ err, tenant_id: job.tenant_id, asset_id: job.asset_id }, '[MACHINIST][EMBED] Write-back failed');
+    try { await sendToDLQ(job, err.message || String(err), logger); } catch (e) { logger.error({ e }, '[MACHINIST] sendToDLQ failed'); }
+    throw err;
+  } finally {
+    try { await require('fs').promises.rm(workDir, { recursive: true, force: true }); } catch (_) {}
+  }
+}
+
+module.exports = {
+  catalogueFields,
+  exiftoolEmbedArgs,
+  embedEnabled,
+  loadCatalogue,
+  embedFiles,
+  downloadFiles,
+  processEmbedMetadataJob,
+};
@@ -0,0 +1,254 @@
+/**
+ * Pure-JS EXIF reader used when exiftool is not installed.
+ * Reads the TIFF structure of an EXIF block (IFD0, the Exif sub-IFD and the
+ * GPS IFD) and returns the core tags under exiftool's names and in
+ * exiftool's print format, so normalizeExif() treats both sources alike.
+ * Maker notes, XMP and IPTC are not read.
+ */
+const fs = require('fs');
+
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+const MAX_ENTRIES = 512;
+
+const IFD0_TAGS = {
+  0x010e: 'ImageDescription',
+  0x010f: 'Make',
+  0x0110: 'Model',
+  0x0112: 'Orientation',
+  0x0131: 'Software',
+  0x0132: 'ModifyDate',
+  0x013b: 'Artist',
+  0x8298: 'Copyright',
+};
+
+const EXIF_TAGS = {
+  0x829a: 'ExposureTime',
+  0x829d: 'FNumber',
+  0x8822: 'ExposureProgram',
+  0x8827: 'ISO',
+  0x9003: 'DateTimeOriginal',
+  0x9004: 'CreateDate',
+  0x9010: 'OffsetTime',
+  0x9011: 'OffsetTimeOriginal',
+  0x9207: 'MeteringMode',
+  0x920a: 'FocalLength',
+  0xa001: 'ColorSpace',
+  0xa002: 'ExifImageWidth',
+  0xa003: 'ExifImageHeight',
+  0xa430: 'OwnerName',
+  0xa431: 'SerialNumber',
+  0xa433: 'LensMake',
+  0xa434: 'LensModel',
+  0xa435: 'LensSerialNumber',
+};
+
+const GPS_TAGS = {
+  0x0001: 'GPSLatitudeRef',
+  0x0002: 'GPSLatitude',
+  0x0003: 'GPSLongitudeRef',
+  0x0004: 'GPSLongitude',
+  0x0005: 'GPSAltitudeRef',
+  0x0006: 'GPSAltitude',
+};
+
+const EXIF_IFD_POINTER = 0x8769;
+const GPS_IFD_POINTER = 0x8825;
+
+const ORIENTATION = {
+  1: 'Horizontal (normal)',
+  2: 'Mirror horizontal',
+  3: 'Rotate 180',
+  4: 'Mirror vertical',
+  5: 'Mirror horizontal and rotate 270 CW',
+  6: 'Rotate 90 CW',
+  7: 'Mirror horizontal and rotate 90 CW',
+  8: 'Rotate 270 CW',
+};
+const EXPOSURE_PROGRAM = {
+  0: 'Not Defined', 1: 'Manual', 2: 'Program AE', 3: 'Aperture-priority AE', 4: 'Shutter speed priority AE',
+  5: 'Creative (Slow speed)', 6: 'Action (High speed)', 7: 'Portrait', 8: 'Landscape',
+};
+const METERING_MODE = {
+  0: 'Unknown', 1: 'Average', 2: 'Center-weighted average', 3: 'Spot', 4: 'Multi-spot', 5: 'Multi-segment', 6: 'Partial', 255: 'Other',
+};
+const COLOR_SPACE = { 1: 'sRGB', 2: 'Adobe RGB', 0xffff: 'Uncalibrated' };
+
+/**
+ * Read the raw IFD entries at `offset` into `{ tag: value }`.
+ * Values outside the buffer are skipped rather than trusted.
+ */
+function readIfd(tiff, offset, little, seen) {
+  const entries = {};
+  if (offset < 8 || offset + 2 > tiff.length || seen.has(offset)) return entries;
+  seen.add(offset);
+  const u16 = (o) => (little ? tiff.readUInt16LE(o) : tiff.readUInt16BE(o));
+  const u32 = (o) => (little ? tiff.readUInt32LE(o) : tiff.readUInt32BE(o));
+  const s32 = (o) => (little ? tiff.readInt32LE(o) : tiff.readInt32BE(o));
+  const count = Math.min(u16(offset), MAX_ENTRIES);
+
+  for (let i = 0; i < count; i += 1) {
+    const entry = offset + 2 + i * 12;
+    if (entry + 12 > tiff.length) break;
+    const tag = u16(entry);
+    const type = u16(entry + 2);
+    const n = u32(entry + 4);
+    const size = TYPE_SIZES[type];
+    if (!size || n === 0 || n > 65535) continue;
+    const dataAt = size * n <= 4 ? entry + 8 : u32(entry + 8);
+    if (dataAt + size * n > tiff.length) continue;
+
+    let value;
+    if (type === 2) {
+      value = tiff.toString('latin1', dataAt, dataAt + n).replace(/\0[\s\S]*$/, '').trim();
+    } else if (type === 7) {
+      value = tiff.subarray(dataAt, dataAt + n);
+    } else {
+      const values = [];
+      for (let j = 0; j < n; j += 1) {
+        const at = dataAt + j * size;
+        if (type === 1) values.push(tiff[at]);
+        else if (type === 3) values.push(u16(at));
+        else if (type === 4) values.push(u32(at));
+        else if (type === 9) values.push(s32(at));
+        else if (type === 5) values.push(u32(at + 4) ? u32(at) / u32(at + 4) : null);
+        else if (type === 10) values.push(s32(at + 4) ? s32(at) / s32(at + 4) : null);
+      }
+      value = n === 1 ? values[0] : values;
+    }
+    entries[tag] = value;
+  }
+  return entries;
+}
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+function formatExposureTime(seconds) {
+  if (!(seconds > 0)) return null;
+  if (seconds < 0.25001) return `1/${Math.round(1 / seconds)}`;
+  return String(round(seconds, 1));
+}
+
+function formatCoordinate(dms, ref) {
+  if (!Array.isArray(dms) || dms.length !== 3 || dms.some((v) => v == null)) return null;
+  const [deg, min, sec] = dms;
+  return `${deg} deg ${min}' ${sec.toFixed(2)}" ${ref || ''}`.trim();
+}
+
+function named(table, value) {
+  return value == null ? null : table[value] || String(value);
+}
+
+/**
+ * Parse an EXIF block (TIFF structure, optionally prefixed with `Exif\0\0`).
+ * @param {Buffer} buf
+ * @returns {Record<string, any>} exiftool-style tags; {} when unreadable
+ */
+function parseExifBuffer(buf) {
+  if (!Buffer.isBuffer(buf) || buf.length < 8) return {};
+  const tiff = buf.subarray(0, 6).toString('latin1') === 'Exif\0\0' ? buf.subarray(6) : buf;
+  if (tiff.length < 8) return {};
+  const order = tiff.toString('latin1', 0, 2);
+  if (order !== 'II' && order !== 'MM') return {};
+  const little = order === 'II';
+  if ((little ? tiff.readUInt16LE(2) : tiff.readUInt16BE(2)) !== 42) return {};
+
+  const seen = new Set();
+  const ifd0 = readIfd(tiff, little ? tiff.readUInt32LE(4) : tiff.readUInt32BE(4), little, seen);
+  const exif = typeof ifd0[EXIF_IFD_POINTER] === 'number' ? readIfd(tiff, ifd0[EXIF_IFD_POINTER], little, seen) : {};
+  const gps = typeof ifd0[GPS_IFD_POINTER] === 'number' ? readIfd(tiff, ifd0[GPS_IFD_POINTER], little, seen) : {};
+
+  const out = {};
+  const collect = (entries, tags) => {
+    for (const [tag, name] of Object.entries(tags)) {
+      const value = entries[tag];
+      if (value === undefined || value === null || value === '' || Buffer.isBuffer(value)) continue;
+      out[name] = value;
+    }
+  };
+  collect(ifd0, IFD0_TAGS);
+  collect(exif, EXIF_TAGS);
+  collect(gps, GPS_TAGS);
+
+  for (const name of ['Orientation', 'ExposureTime', 'FNumber', 'ISO', 'FocalLength', 'ExposureProgram', 'MeteringMode', 'ColorSpace']) {
+    if (Array.isArray(out[name])) out[name] = out[name][0];
+    if (out[name] != null && typeof out[name] !== 'number') delete out[name];
+  }
+  if (out.Orientation != null) out.Orientation = named(ORIENTATION, out.Orientation);
+  if (out.ExposureTime != null) out.ExposureTime = formatExposureTime(out.ExposureTime);
+  if (out.FNumber != null) out.FNumber = round(out.FNumber, 1);
+  if (out.FocalLength != null) out.FocalLength = `${out.FocalLength.toFixed(1)} mm`;
+  if (out.ExposureProgram != null) out.ExposureProgram = named(EXPOSURE_PROGRAM, out.ExposureProgram);
+  if (out.MeteringMode != null) out.MeteringMode = named(METERING_MODE, out.MeteringMode);
+  if (out.ColorSpace != null) out.ColorSpace = named(COLOR_SPACE, out.ColorSpace);
+
+  const lat = formatCoordinate(out.GPSLatitude, out.GPSLatitudeRef);
+  const lon = formatCoordinate(out.GPSLongitude, out.GPSLongitudeRef);
+  delete out.GPSLatitudeRef;
+  delete out.GPSLongitudeRef;
+  if (lat) out.GPSLatitude = lat; else delete out.GPSLatitude;
+  if (lon) out.GPSLongitude = lon; else delete out.GPSLongitude;
+  if (typeof out.GPSAltitude === 'number') {
+    out.GPSAltitude = `${round(out.GPSAltitude, 1)} m ${gps[0x0005] === 1 ? 'Below' : 'Above'} Sea Level`;
+  } else {
+    delete out.GPSAltitude;
+  }
+  delete out.GPSAltitudeRef;
+  return out;
+}
+
+/**
+ * EXIF block of a JPEG (APP1 `Exif\0\0`), scanning markers up to the image
+ * data.
+ * @param {Buffer} jpeg
+ * @returns {Buffer|null}
+ */
+function jpegExifSegment(jpeg) {
+  if (!Buffer.isBuffer(jpeg) || jpeg.length < 4 || jpeg[0] !== 0xff || jpeg[1] !== 0xd8) return null;
+  let at = 2;
+  while (at + 4 <= jpeg.length) {
+    if (jpeg[at] !== 0xff) return null;
+    const marker = jpeg[at + 1];
+    if (marker === 0xda || marker === 0xd9) return null;
+    const length = jpeg.readUInt16BE(at + 2);
+    if (length < 2) return null;
+    const body = jpeg.subarray(at + 4, at + 2 + length);
+    if (marker === 0xe1 && body.subarray(0, 6).toString('latin1') === 'Exif\0\0') return body;
+    at += 2 + length;
+  }
+  return null;
+}
+
+/**
+ * Core EXIF for a file without exiftool. The EXIF block comes from sharp,
+ * which finds it in every format it reads, or failing that from the JPEG
+ * APP1 segment. Image geometry and MIME type are added from sharp.
+ * @param {string} filePath
+ * @returns {Promise<Record<string, any>>}
+ */
+async function readExifFallback(filePath) {
+  let exifBlock = null;
+  const out = {};
+  try {
+    const sharp = require('sharp');
+    const meta = await sharp(filePath).metadata();
+    exifBlock = meta.exif || null;
+    if (meta.width) out.ImageWidth = meta.width;
+    if (meta.height) out.ImageHeight = meta.height;
+    if (meta.format) out.MIMEType = meta.format === 'jpeg' ? 'image/jpeg' : `image/${meta.format}`;
+  } catch (_) {
+    // sharp unavailable or unreadable file: try the JPEG container directly
+  }
+  if (!exifBlock) {
+    const fd = await fs.promises.open(filePath, 'r');
+    try {
+      const head = Buffer.alloc(256 * 1024);
+      const { bytesRead } = await fd.read(head, 0, head.length, 0);
+      exifBlock = jpegExifSegment(head.subarray(0, bytesRead));
+    } finally {
+      await fd.close();
+    }
+  }
+  return { ...parseExifBuffer(exifBlock), ...out };
+}
+
+module.exports = { parseExifBuffer, jpegExifSegment, readExifFallback };
@@ -1,69 +1,66 @@
 /**
- * Extract EXIF metadata using ExifTool (child_process.exec)
+ * EXIF read / write through the shared exiftool process
+ * (machinist.exiftool.js). Arguments are passed as an array, never through
+ * a shell. Without exiftool, reads fall back to the pure-JS parser in
+ * machinist.exif.fallback.js.
  */
-const { exec, execSync } = require('child_process');
 const fs = require('fs');
-const { withTimeout } = require('@safety/with-timeout');
-const LIMITS = require('@safety/runtime-limits');
+const path = require('path');
+const { getExiftool } = require('./machinist.exiftool');
+const { readExifFallback } = require('./machinist.exif.fallback');
 
 /**
- * Run exiftool and return parsed JSON metadata object for the input file.
+ * Return exiftool's metadata object for the input file. When exiftool is not
+ * installed only core EXIF is returned (see machinist.exif.fallback.js).
  * @param {string} inputPath
  * @returns {Promise<Record<string, any>>}
  */
-function extractExifMetadata(inputPath) {
-  return new Promise((resolve, reject) => {
-    if (!inputPath || typeof inputPath !== 'string') {
-      return reject(new Error('[MACHINIST][EXIF] inputPath must be a string'));
-    }
+async function extractExifMetadata(inputPath) {
+  if (!inputPath || typeof inputPath !== 'string') {
+    throw new Error('[MACHINIST][EXIF] inputPath must be a string');
+  }
+  if (!fs.existsSync(inputPath)) {
+    throw new Error(`[MACHINIST][EXIF] file not found: ${inputPath}`);
+  }
 
-    if (!fs.existsSync(inputPath)) {
-      return reject(new Error(`[MACHINIST][EXIF] file not found: ${inputPath}`));
-    }
-
-    // Gate: if exiftool binary is not available on the host, skip gracefully
-    let hasExiftool = false;
-    try {
-      execSync('exiftool -ver', { stdio: 'ignore' });
-      hasExiftool = true;
-    } catch (_) {
-      hasExiftool = false;
-    }
-    if (!hasExiftool) {
-      // Soft-skip: return empty metadata without error so pipelines continue
-      return resolve({});
-    }
-
-    // Run exiftool with JSON output using a timeout guard
-    let buffer = '';
-    const child = exec(`exiftool -json ${inputPath}`);
+  let result;
+  try {
+    // Absolute path: a name starting with '-' must not read as an option
+    result = await getExiftool().run(['-json', path.resolve(inputPath)]);
+  } catch (err) {
+    if (err.code === 'EXIFTOOL_MISSING') return readExifFallback(inputPath);
+    throw new Error(`[MACHINIST][EXIF] exiftool execution failed: ${err.message}`);
+  }
+  if (!result.stdout) {
+    throw new Error(`[MACHINIST][EXIF] exiftool returned no metadata: ${result.stderr || 'no output'}`);
+  }
+  try {
+    const parsed = JSON.parse(result.stdout);
+    return Array.isArray(parsed) ? parsed[0] || {} : parsed;
+  } catch (parseErr) {
+    throw new Error(`[MACHINIST][EXIF] Failed to parse exiftool JSON: ${parseErr.message}`);
+  }
+}
 
-    withTimeout(
-      new Promise((res, rej) => {
-        child.stdout.on('data', (d) => (buffer += d));
-        child.on('exit', (code) => {
-          if (code !== 0) return rej(new Error(`Exiftool exit code ${code}`));
-          return res(buffer);
-        });
-        child.on('error', rej);
-      }),
-      LIMITS.EXIF_TIMEOUT_MS,
-      'EXIFTool timed out'
-    )
-      .then((out) => {
-        try {
-          const parsed = JSON.parse(out);
-          const meta = Array.isArray(parsed) ? parsed[0] || {} : parsed;
-          return resolve(meta);
-        } catch (parseErr) {
-          return reject(new Error(`[MACHINIST][EXIF] Failed to parse exiftool JSON: ${parseErr.message}`));
-        }
-      })
-      .catch((err) => {
-        try { child.kill('SIGKILL'); } catch (_) {}
-        return reject(new Error(`[MACHINIST][EXIF] exiftool execution failed: ${err.message}`));
-      });
-  });
+/**
+ * Rewrite tags in place with exiftool.
+ * Unlike extraction this fails when exiftool is missing: callers rely on
+ * the write having happened.
+ * @param {string} filePath
+ * @param {string[]} tagArgs e.g. ['-gps:all=', '-XMP-dc:Title=Harbour']
+ * @returns {Promise<void>}
+ */
+async function writeExifTags(filePath, tagArgs) {
+  let result;
+  try {
+    result = await getExiftool().run(['-overwrite_original', '-q', '-q', '-m', ...tagArgs, path.resolve(filePath)]);
+  } catch (err) {
+    throw new Error(`[MACHINIST][EXIF] exiftool write failed: ${err.message}`);
+  }
+  // stay_open has no exit code per command; failures are reported on stderr
+  if (/^Error/m.test(result.stderr)) {
+    throw new Error(`[MACHINIST][EXIF] exiftool write failed: ${result.stderr}`);
+  }
 }
 
-module.exports = { extractExifMetadata };
+module.exports = { extractExifMetadata, writeExifTags };
@@ -0,0 +1,227 @@
+/**
+ * Long-lived exiftool process (`-stay_open True -@ -`).
+ * Starting exiftool costs far more than reading one file, so a single
+ * process serves every read and write. Arguments are written one per line
+ * to its argument file (stdin) — never through a shell — and each command
+ * ends with `-execute{n}`; the reply is complete once `{ready{n}}` has been
+ * seen on stdout and on stderr (via `-echo4`).
+ *
+ * Commands run one at a time from a FIFO queue. A command that exceeds its
+ * timeout kills the process, which is restarted for the next command; an
+ * unexpected exit is handled the same way. When the binary is missing,
+ * requests fail with code EXIFTOOL_MISSING so callers can fall back.
+ */
+const { spawn } = require('child_process');
+const { TimeoutError } = require('../../safety/with-timeout');
+const LIMITS = require('../../safety/runtime-limits');
+
+const MAX_STDERR = 8192;
+
+function missingError(bin) {
+  const err = new Error(`[MACHINIST][EXIFTOOL] exiftool not found (${bin})`);
+  err.code = 'EXIFTOOL_MISSING';
+  return err;
+}
+
+/**
+ * Escape a tag value for `-ec` (C-style escapes are decoded when writing).
+ * @param {string} arg
+ */
+function escapeAssignment(arg) {
+  const eq = arg.indexOf('=');
+  const value = arg.slice(eq + 1).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/\r/g, '\\r');
+  return `${arg.slice(0, eq + 1)}${value}`;
+}
+
+/**
+ * Lines to send for one command. The argument file is line based, so a tag
+ * value containing a newline is sent C-escaped with `-ec`; any other
+ * argument containing one is refused.
+ * @param {string[]} args
+ * @param {number} id
+ * @returns {string}
+ */
+function commandLines(args, id) {
+  if (!Array.isArray(args) || args.some((a) => typeof a !== 'string')) {
+    throw new Error('[MACHINIST][EXIFTOOL] arguments must be an array of strings');
+  }
+  const isAssignment = (a) => /^-[^=\s]+=/.test(a);
+  let lines = args;
+  if (args.some((a) => /[\r\n]/.test(a))) {
+    if (args.some((a) => /[\r\n]/.test(a) && !isAssignment(a))) {
+      throw new Error('[MACHINIST][EXIFTOOL] only tag values may contain line breaks');
+    }
+    lines = ['-ec', ...args.map((a) => (isAssignment(a) ? escapeAssignment(a) : a))];
+  }
+  return `${[...lines, '-echo4', `{ready${id}}`, `-execute${id}`].join('\n')}\n`;
+}
+
+/**
+ * Create a managed exiftool process. Nothing is spawned until the first
+ * command.
+ * @param {{ bin?: string, timeoutMs?: number, maxQueue?: number, spawnProcess?: typeof spawn }} [opts]
+ */
+function createExiftool({
+  bin = process.env.EXIFTOOL_BIN || 'exiftool',
+  timeoutMs = LIMITS.EXIF_TIMEOUT_MS,
+  maxQueue = 100,
+  spawnProcess = spawn,
+} = {}) {
+  const queue = [];
+  let child = null;
+  let current = null;
+  let seq = 0;
+  let missing = false;
+  let closing = false;
+  let starts = 0;
+
+  function settle(request, err, value) {
+    clearTimeout(request.timer);
+    if (current === request) current = null;
+    if (err) request.reject(err);
+    else request.resolve(value);
+    setImmediate(pump);
+  }
+
+  function stop(proc) {
+    if (!proc) return;
+    if (child === proc) child = null;
+    try { proc.kill('SIGKILL'); } catch (_) {}
+  }
+
+  function checkDone() {
+    const request = current;
+    if (!request) return;
+    const marker = `{ready${request.id}}`;
+    const out = request.stdout.indexOf(marker);
+    const err = request.stderr.indexOf(marker);
+    if (out === -1 || err === -1) return;
+    settle(request, null, {
+      stdout: request.stdout.slice(0, out).trim(),
+      stderr: request.stderr.slice(0, err).trim(),
+    });
+  }
+
+  function start() {
+    const proc = spawnProcess(bin, ['-stay_open', 'True', '-@', '-'], { stdio: ['pipe', 'pipe', 'pipe'] });
+    starts += 1;
+    child = proc;
+    proc.stdout.setEncoding('utf8');
+    proc.stderr.setEncoding('utf8');
+    proc.stdout.on('data', (d) => {
+      if (proc !== child || !current) return;
+      current.stdout += d;
+      checkDone();
+    });
+    proc.stderr.on('data', (d) => {
+      if (proc !== child || !current) return;
+      // Keep the tail: the ready marker comes last
+      current.stderr = (current.stderr + d).slice(-MAX_STDERR);
+      checkDone();
+    });
+    proc.stdin.on('error', () => {});
+    proc.on('error', (err) => {
+      if (proc !== child) return;
+      child = null;
+      if (err.code === 'ENOENT') {
+        missing = true;
+        const pending = [current, ...queue.splice(0)].filter(Boolean);
+        pending.forEach((r) => settle(r, missingError(bin)));
+        return;
+      }
+      if (current) settle(current, new Error(`[MACHINIST][EXIFTOOL] process error: ${err.message}`));
+    });
+    proc.on('exit', (code, signal) => {
+      if (proc !== child) return;
+      child = null;
+      if (current) settle(current, new Error(`[MACHINIST][EXIFTOOL] process exited (${signal || code}) during command`));
+    });
+    // Idle process must not hold the event loop open; pending commands hold it via their timers
+    proc.unref();
+    [proc.stdin, proc.stdout, proc.stderr].forEach((s) => s && typeof s.unref === 'function' && s.unref());
+  }
+
+  function shutdown() {
+    closing = false;
+    const proc = child;
+    if (!proc) return;
+    child = null;
+    try {
+      proc.stdin.write('-stay_open\nFalse\n');
+      proc.stdin.end();
+    } catch (_) {
+      stop(proc);
+    }
+  }
+
+  function pump() {
+    if (current) return;
+    if (!queue.length) {
+      if (closing) shutdown();
+      return;
+    }
+    if (missing) {
+      queue.splice(0).forEach((r) => r.reject(missingError(bin)));
+      return;
+    }
+    const request = queue.shift();
+    current = request;
+    try {
+      if (!child) start();
+      request.timer = setTimeout(() => {
+        stop(child);
+        settle(request, new TimeoutError(`[MACHINIST][EXIFTOOL] command timed out after ${timeoutMs}ms`));
+      }, timeoutMs);
+      child.stdin.write(request.payload);
+    } catch (err) {
+      settle(request, err);
+    }
+  }
+
+  /**
+   * Run one exiftool command.
+   * @param {string[]} args e.g. ['-json', '/tmp/in.jpg']
+   * @returns {Promise<{ stdout: string, stderr: string }>}
+   */
+  function run(args) {
+    return new Promise((resolve, reject) => {
+      if (missing) return reject(missingError(bin));
+      if (queue.length >= maxQueue) return reject(new Error('[MACHINIST][EXIFTOOL] command queue full'));
+      const id = ++seq;
+      let payload;
+      try {
+        payload = commandLines(args, id);
+      } catch (err) {
+        return reject(err);
+      }
+      queue.push({ id, payload, resolve, reject, stdout: '', stderr: '', timer: null });
+      return pump();
+    });
+  }
+
+  /**
+   * Ask exiftool to exit once queued commands are done.
+   */
+  function close() {
+    closing = true;
+    pump();
+  }
+
+  return {
+    run,
+    close,
+    stats: () => ({ running: Boolean(child), queued: queue.length, busy: Boolean(current), starts, missing }),
+  };
+}
+
+let shared = null;
+
+/**
+ * Process-wide exiftool instance.
+ */
+function getExiftool() {
+  if (!shared) shared = createExiftool();
+  return shared;
+}
+
+module.exports = { createExiftool, getExiftool, commandLines };
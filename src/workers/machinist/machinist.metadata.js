@@ -5,6 +5,9 @@
  *   - Normalized EXIF (already sanitized upstream)
  *   - AI metadata (optional)
  *   - System metadata (tenant, asset, version timestamps)
+ *   - Placeholders (BlurHash, LQIP, palette) and quality metrics when computed
+ *   - Source colour: embedded ICC profile, colour space, bit depth
+ *   - Privacy audit: the policy applied and the fields it withheld
  *   - Stable key ordering for reproducibility
  */
 
@@ -21,6 +24,10 @@ const ORDER = [
   "checksum_algorithm",
   "created_at",
   "source",
+  "placeholders",
+  "quality",
+  "color",
+  "privacy",
   "exif",
   "ai",
 ];
@@ -40,17 +47,21 @@ function sortKeys(obj) {
 /**
  * Create merged metadata block (EXIF + AI).
  */
-async function mergeMetadata({ exif = {}, ai = null, job }) {
+async function mergeMetadata({ exif = {}, ai = null, job, checksum = null, placeholders = null, quality = null, color = null, privacy = null }) {
   const now = new Date().toISOString();
 
   const merged = {
     tenant_id: job?.tenant_id || null,
     asset_id: job?.asset_id || null,
     batch_id: job?.batch_id || null,
-    checksum: null, // filled in later if needed
+    checksum, // sha256 of the original, when known
     checksum_algorithm: "sha256",
     created_at: now,
     source: "machinist",
+    placeholders,
+    quality,
+    color,
+    privacy,
     exif: sortKeys(exif || {}),
     ai: ai ? sortKeys(ai) : null,
   };
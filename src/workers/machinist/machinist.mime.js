@@ -1,22 +1,143 @@
-function detectMime(buffer) {
+/**
+ * Magic-byte format detection for machinist inputs.
+ * Covers JPEG/PNG/TIFF, WebP, HEIC/HEIF, JPEG 2000 and common camera RAW.
+ * TIFF-based RAW (DNG, NEF, ARW) is told apart from plain TIFF by reading IFD0.
+ */
+
+// Formats libvips can usually decode directly
+const RASTER = 'raster';
+// HEIF / JPEG 2000: sharp when the libvips build supports it, else an external decoder
+const HEIF = 'heif';
+const JPEG2000 = 'jpeg2000';
+// Camera RAW: always decoded to a working image, original kept untouched
+const RAW = 'raw';
+
+const FORMATS = {
+  jpg: { mime: 'image/jpeg', kind: RASTER },
+  png: { mime: 'image/png', kind: RASTER },
+  tiff: { mime: 'image/tiff', kind: RASTER },
+  webp: { mime: 'image/webp', kind: RASTER },
+  heic: { mime: 'image/heic', kind: HEIF },
+  heif: { mime: 'image/heif', kind: HEIF },
+  jp2: { mime: 'image/jp2', kind: JPEG2000 },
+  jpx: { mime: 'image/jpx', kind: JPEG2000 },
+  j2k: { mime: 'image/x-jp2-codestream', kind: JPEG2000 },
+  dng: { mime: 'image/x-adobe-dng', kind: RAW },
+  cr2: { mime: 'image/x-canon-cr2', kind: RAW },
+  cr3: { mime: 'image/x-canon-cr3', kind: RAW },
+  nef: { mime: 'image/x-nikon-nef', kind: RAW },
+  arw: { mime: 'image/x-sony-arw', kind: RAW },
+  orf: { mime: 'image/x-olympus-orf', kind: RAW },
+  rw2: { mime: 'image/x-panasonic-rw2', kind: RAW },
+  raf: { mime: 'image/x-fuji-raf', kind: RAW },
+};
+
+const HEIC_BRANDS = new Set(['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis']);
+const HEIF_BRANDS = new Set(['mif1', 'msf1']);
+
+function result(extension) {
+  const f = FORMATS[extension];
+  return { mime: f.mime, extension, kind: f.kind };
+}
+
+function ascii(b, start, end) {
+  return b.toString('latin1', start, Math.min(end, b.length));
+}
+
+/**
+ * Read IFD0 of a TIFF-structured buffer and return the tags we care about.
+ * @param {Buffer} b
+ * @returns {{ dng: boolean, make: string }}
+ */
+function readTiffIfd0(b) {
+  const out = { dng: false, make: '' };
+  try {
+    const le = b[0] === 0x49;
+    const u16 = (o) => (le ? b.readUInt16LE(o) : b.readUInt16BE(o));
+    const u32 = (o) => (le ? b.readUInt32LE(o) : b.readUInt32BE(o));
+    const ifd = u32(4);
+    if (ifd + 2 > b.length) return out;
+    const count = u16(ifd);
+    for (let i = 0; i < count; i++) {
+      const entry = ifd + 2 + i * 12;
+      if (entry + 12 > b.length) break;
+      const tag = u16(entry);
+      if (tag === 0xc612) out.dng = true; // DNGVersion
+      if (tag === 0x010f) { // Make (ASCII)
+        const len = u32(entry + 4);
+        const start = len <= 4 ? entry + 8 : u32(entry + 8);
+        out.make = ascii(b, start, start + len).replace(/\0.*$/s, '').trim().toUpperCase();
+      }
+    }
+  } catch (_) { /* truncated header: treat as plain TIFF */ }
+  return out;
+}
+
+/**
+ * Detect the real image format from magic bytes.
+ * @param {Buffer} buffer
+ * @param {string} [hintExt] declared extension, used only to separate TIFF-based RAW from scanner TIFF
+ * @returns {{ mime: string|null, extension: string|null, kind?: string }}
+ */
+function detectMime(buffer, hintExt) {
   if (!buffer || buffer.length < 12) return { mime: null, extension: null };
   const b = buffer;
+  const hint = String(hintExt || '').replace(/^\./, '').toLowerCase();
   // JPEG: FF D8 FF
-  if (b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff) return { mime: 'image/jpeg', extension: 'jpg' };
+  if (b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff) return result('jpg');
   // PNG: 89 50 4E 47 0D 0A 1A 0A
-  if (b[0] === 0x89 && b[1] === 0x50 && b[2] === 0x4e && b[3] === 0x47 && b[4] === 0x0d && b[5] === 0x0a && b[6] === 0x1a && b[7] === 0x0a) return { mime: 'image/png', extension: 'png' };
-  // TIFF: II*\0 or MM\0*
-  if (b[0] === 0x49 && b[1] === 0x49 && b[2] === 0x2a && b[3] === 0x00) return { mime: 'image/tiff', extension: 'tiff' };
-  if (b[0] === 0x4d && b[1] === 0x4d && b[2] === 0x00 && b[3] === 0x2a) return { mime: 'image/tiff', extension: 'tiff' };
+  if (b[0] === 0x89 && b[1] === 0x50 && b[2] === 0x4e && b[3] === 0x47 && b[4] === 0x0d && b[5] === 0x0a && b[6] === 0x1a && b[7] === 0x0a) return result('png');
+  // WebP: RIFF....WEBP
+  if (ascii(b, 0, 4) === 'RIFF' && ascii(b, 8, 12) === 'WEBP') return result('webp');
+  // Fujifilm RAF
+  if (ascii(b, 0, 15) === 'FUJIFILMCCD-RAW') return result('raf');
+  // Olympus ORF (IIRO / IIRS / MMOR) and Panasonic RW2 (IIU\0)
+  if (ascii(b, 0, 4) === 'IIRO' || ascii(b, 0, 4) === 'IIRS' || ascii(b, 0, 4) === 'MMOR') return result('orf');
+  if (b[0] === 0x49 && b[1] === 0x49 && b[2] === 0x55 && b[3] === 0x00) return result('rw2');
+  // JPEG 2000: JP2 signature box, or raw J2K codestream (SOC + SIZ)
+  if (b[0] === 0x00 && b[1] === 0x00 && b[2] === 0x00 && b[3] === 0x0c && ascii(b, 4, 8) === 'jP  ') {
+    return ascii(b, 20, 24) === 'jpx ' ? result('jpx') : result('jp2');
+  }
+  if (b[0] === 0xff && b[1] === 0x4f && b[2] === 0xff && b[3] === 0x51) return result('j2k');
+  // ISO-BMFF: HEIC/HEIF, Canon CR3
+  if (ascii(b, 4, 8) === 'ftyp') {
+    const brand = ascii(b, 8, 12);
+    if (brand === 'crx ') return result('cr3');
+    if (HEIC_BRANDS.has(brand)) return result('heic');
+    if (HEIF_BRANDS.has(brand)) return hint === 'heic' ? result('heic') : result('heif');
+  }
+  // TIFF: II*\0 or MM\0* (plain TIFF, or TIFF-based RAW)
+  const isTiffLE = b[0] === 0x49 && b[1] === 0x49 && b[2] === 0x2a && b[3] === 0x00;
+  const isTiffBE = b[0] === 0x4d && b[1] === 0x4d && b[2] === 0x00 && b[3] === 0x2a;
+  if (isTiffLE || isTiffBE) {
+    // Canon CR2: 'CR' + major version 2 right after the header
+    if (b[8] === 0x43 && b[9] === 0x52 && b[10] === 0x02) return result('cr2');
+    const ifd0 = readTiffIfd0(b);
+    if (ifd0.dng) return result('dng');
+    if (hint !== 'tif' && hint !== 'tiff') {
+      if (ifd0.make.startsWith('NIKON')) return result('nef');
+      if (ifd0.make.startsWith('SONY')) return result('arw');
+      if (hint === 'nef' || hint === 'arw') return result(hint);
+    }
+    return result('tiff');
+  }
   return { mime: null, extension: null };
 }
 
 function validateMime(mime) {
-  const allowed = new Set(['image/jpeg', 'image/png', 'image/tiff']);
+  const allowed = new Set(Object.values(FORMATS).map((f) => f.mime));
   if (!mime || !allowed.has(mime)) throw new Error('UNSUPPORTED_MIME');
   return true;
 }
 
+/**
+ * True when the detected format is camera RAW (needs a decoded working image).
+ * @param {{ kind?: string }} det
+ */
+function isRawFormat(det) {
+  return !!det && det.kind === RAW;
+}
+
 function correctExtension(p, extension) {
   const path = require('path');
   const posix = path.posix || path;
@@ -25,4 +146,4 @@ function correctExtension(p, extension) {
   return posix.join(dir, `${base}.${extension.replace(/^\./, '')}`);
 }
 
-module.exports = { detectMime, validateMime, correctExtension };
+module.exports = { FORMATS, detectMime, validateMime, isRawFormat, correctExtension };
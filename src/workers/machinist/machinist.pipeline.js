@@ -8,7 +8,19 @@ const fse = require('fs-extra');
 const pLimit = require('p-limit');
 const { extractExifMetadata } = require('./machinist.exif');
 const { generateDerivatives } = require('./machinist.sharp');
-const { uploadAndRecordPreservation, uploadAndRecordViewing, uploadAndRecordAI, uploadAndRecordThumbnail, uploadMetadata } = require('./machinist.upload');
+const { prepareWorkingImage } = require('./machinist.decode');
+const { uploadAndRecord, uploadAndRecordPreservation, uploadDerivativeSet, uploadTileSet, uploadRestorationSet, uploadAndRecordProduction } = require('./machinist.upload');
+const { resolveDerivativeProfile } = require('./machinist.profiles');
+const { resolveTileOptions, generateTiles } = require('./machinist.tiles');
+const { resolveWatermark, prepareWatermark } = require('./machinist.watermark');
+const { computePlaceholders } = require('./machinist.placeholders');
+const { describeColor } = require('./machinist.color');
+const { resolveQualityThresholds, assessQuality, flagAssetForReview } = require('./machinist.quality');
+const { resolveRestorationProfile, generateRestoration } = require('./machinist.restoration');
+const { resolveProductionOptions, generateProductionMaster } = require('./machinist.production');
+const { resolvePrivacyPolicy, applyPrivacyPolicy, scrubFile } = require('./machinist.privacy');
+const { loadCatalogue, embedFiles, downloadFiles } = require('./machinist.embed');
+const { getTenantSettings } = require('../../core/tenant-settings');
 const { archiveAssetToGlacier } = require('./machinist.archive');
 const { downloadFile } = require('../../core/storage');
 const config = require('../../core/config');
@@ -19,6 +31,9 @@ const { validateMachinistJob, validateImageBuffer, detectMime, correctExtension
 const { normalizeExif, enforceResolution, normalizeFilename } = require('./machinist.consistency');
 const sharp = require('sharp');
 const { mergeMetadata } = require('./machinist.metadata');
+const { hashFile } = require('../../core/checksum');
+const { PREMIS_EVENT_TYPES, withPreservationEvent } = require('../../preservation/premis.events');
+const { exportPreservationMetadata } = require('../../preservation/premis.export');
 const { sendToDLQ } = require('../../resilience/dlq');
 const { logFailure } = require('../../resilience/logging');
 const ValidationError = require('../../errors/ValidationError');
@@ -80,31 +95,57 @@ async function runMachinistPipeline(logger, job) {
     }
     let ext = sanitizeExt((job.original_extension || job.extension || job.input_extension || 'jpg'));
     if (!ext) throw new Error('[MACHINIST][PIPELINE] Unsafe or unsupported extension');
+    // Resolve the derivative profile up front so a bad profile fails before any upload
+    const tenantSettings = await getTenantSettings(tenantId);
+    const profile = resolveDerivativeProfile({ job, tenantSettings });
+    const tileOptions = resolveTileOptions({ job, tenantSettings });
+    const watermarkSpec = resolveWatermark({ job, tenantSettings });
+    const qualityThresholds = resolveQualityThresholds({ job, tenantSettings });
+    const restorationProfile = resolveRestorationProfile({ job, tenantSettings });
+    const productionOptions = resolveProductionOptions({ job, tenantSettings });
+    const privacyPolicy = resolvePrivacyPolicy({ tenantSettings });
     // Download from landing bucket root (no extra 'landing/' prefix)
     const landingPath = path.posix.join(`tenant-${tenantId}`, `batch-${batchId}`, `asset-${assetId}`, `original.${ext}`);
     inputLocalPath = path.join(workDir, `original.${ext}`);
-    await wrap(() => withRetry(() => downloadFile(config.b2.landingBucketId || config.b2.processedStandardBucketId, landingPath, inputLocalPath), { logger, maxRetries: 2, baseDelay: 500, context: { step: 'download-original' } }), logger, { step: 'download-original' });
+    await withPreservationEvent(job, logger, { type: PREMIS_EVENT_TYPES.INGESTION, detail: 'Original downloaded from landing storage', object: landingPath },
+      () => wrap(() => withRetry(() => downloadFile(config.b2.landingBucketId || config.b2.processedStandardBucketId, landingPath, inputLocalPath), { logger, maxRetries: 2, baseDelay: 500, context: { step: 'download-original' } }), logger, { step: 'download-original' }));
 
     // Phase 2: buffer validation and mime detection
     const fileBuf = fs.readFileSync(inputLocalPath);
-    await validateImageBuffer(fileBuf);
-    const det = detectMime(fileBuf);
+    const det = await withPreservationEvent(job, logger, { type: PREMIS_EVENT_TYPES.VALIDATION, detail: 'Signature, MIME type and decodability checked', object: landingPath }, async () => {
+      await validateImageBuffer(fileBuf, { extension: ext });
+      return detectMime(fileBuf, ext);
+    });
     if (det && det.extension && ext !== det.extension) {
       // Correct remote original naming extension, keep local file as-is
       logger.warn({ expected: ext, detected: det.extension }, '[MACHINIST] Correcting original extension for remote path');
       ext = det.extension;
     }
+    // RAW / HEIF / JPEG 2000 are decoded to a working image; the original stays untouched
+    const working = await prepareWorkingImage({ logger, inputPath: inputLocalPath, workDir, detected: det });
+    const watermark = await prepareWatermark({ logger, spec: watermarkSpec, workDir });
     // Enforce resolution limits via sharp metadata
-    const sharpMeta = await sharp(fileBuf).metadata();
+    const sharpMeta = await sharp(working.path).metadata();
     enforceResolution(sharpMeta.width, sharpMeta.height);
+    // Source ICC profile / space / depth; derivatives are converted to sRGB from it
+    const color = describeColor(sharpMeta);
+    // BlurHash / LQIP / palette for the manifest and the viewing row (best effort)
+    const placeholders = await computePlaceholders({ logger, inputPath: working.path });
+    // Sharpness / exposure / blank / skew; flags are recorded in asset.quality_review
+    const quality = await assessQuality({ logger, inputPath: working.path, thresholds: qualityThresholds });
+    const originalMime = det.mime;
+    if (working.decoded) {
+      try { job._decodedDimensions = { width: sharpMeta.width, height: sharpMeta.height }; } catch (_) {}
+    }
 
     // 2. Extract EXIF metadata (normalized)
     let exif = {};
     let _exifBitDepth = null;
     let _exifColorSpace = null;
     let _exifMimeType = null;
+    let rawExif = null;
     try {
-      const rawExif = await extractExifMetadata(inputLocalPath);
+      rawExif = await extractExifMetadata(inputLocalPath);
       // Derive color space and bit depth from raw EXIF when available
       try {
         const bits = rawExif?.BitsPerSample || rawExif?.BitDepth || rawExif?.BitsPerPixel || null;
@@ -127,6 +168,11 @@ async function runMachinistPipeline(logger, job) {
     } catch (err) {
       logger.warn({ err }, '[MACHINIST] EXIF extraction failed, continuing with empty EXIF');
     }
+    // exiftool may be missing or silent about the profile; sharp saw it
+    if (color.profile && exif.image && !exif.image.icc_profile) exif.image.icc_profile = color.profile;
+    // GPS, serials, owner... leave the public manifest; the restricted record keeps them
+    const privacy = await applyPrivacyPolicy({ logger, job, workDir, policy: privacyPolicy, exif, rawExif });
+    exif = privacy.exif;
     // Attach EXIF-derived fallbacks for downstream upload recording
     try { job._exifBitDepth = _exifBitDepth; job._exifColorSpace = _exifColorSpace; job._exifMimeType = _exifMimeType; } catch (_) {}
     // We will attach merged metadata later and upload only manifest.json to files bucket
@@ -134,7 +180,8 @@ async function runMachinistPipeline(logger, job) {
     // Phase 2: merged manifest.json (EXIF + AI)
     try {
       const aiMetadata = job.ai_metadata || null; // Future-proof: AI pipeline injects this.
-      const merged = await mergeMetadata({ exif, ai: aiMetadata, job });
+      const { sha256: originalChecksum } = await hashFile(inputLocalPath);
+      const merged = await mergeMetadata({ exif, ai: aiMetadata, job, checksum: originalChecksum, placeholders, quality, color, privacy: privacy.audit });
 
       const manifestLocal = path.join(workDir, 'manifest.json');
       await fse.writeJson(manifestLocal, merged, { spaces: 2 });
@@ -199,7 +246,7 @@ async function runMachinistPipeline(logger, job) {
       const bucketId = config.b2.processedArchiveBucketId || config.b2.processedStandardBucketId;
       const exists = await fileExists(bucketId, origRemote).catch(() => false);
       if (!exists) {
-        await wrap(() => withRetry(() => uploadAndRecordPreservation({ logger, job, bucketId, remotePath: origRemote, localPath: inputLocalPath }), { logger, maxRetries: 2, baseDelay: 500, context: { step: 'upload-preservation' } }), logger, { step: 'upload-preservation' });
+        await wrap(() => withRetry(() => uploadAndRecordPreservation({ logger, job, bucketId, remotePath: origRemote, localPath: inputLocalPath, contentType: originalMime }), { logger, maxRetries: 2, baseDelay: 500, context: { step: 'upload-preservation' } }), logger, { step: 'upload-preservation' });
       } else {
         logger.info({ origRemote }, '[MACHINIST][PIPELINE] Preservation original exists; skipping upload');
       }
@@ -210,7 +257,7 @@ async function runMachinistPipeline(logger, job) {
       const exists = await fileExists(config.b2.processedStandardBucketId, origViewRemote).catch(() => false);
       if (!exists) {
         // For original under viewing, we want purpose=viewing, variant=original
-        await wrap(() => withRetry(() => uploadAndRecord({ logger, job, bucketId: config.b2.processedStandardBucketId, remotePath: origViewRemote, localPath: inputLocalPath, contentType: 'application/octet-stream', versionType: 'viewing', purpose: 'viewing', variant: 'original' }), { logger, maxRetries: 2, baseDelay: 500, context: { step: 'upload-viewing-original' } }), logger, { step: 'upload-viewing-original' });
+        await wrap(() => withRetry(() => uploadAndRecord({ logger, job, bucketId: config.b2.processedStandardBucketId, remotePath: origViewRemote, localPath: inputLocalPath, contentType: originalMime, versionType: 'viewing', purpose: 'viewing', variant: 'original' }), { logger, maxRetries: 2, baseDelay: 500, context: { step: 'upload-viewing-original' } }), logger, { step: 'upload-viewing-original' });
       } else {
         logger.info({ origViewRemote }, '[MACHINIST][PIPELINE] Viewing original exists; skipping upload');
       }
@@ -220,7 +267,7 @@ async function runMachinistPipeline(logger, job) {
       const { fileExists } = require('../../core/storage');
       const prodExists = await fileExists(config.b2.processedStandardBucketId, origProdRemote).catch(() => false);
       if (!prodExists) {
-        await wrap(() => withRetry(() => uploadAndRecord({ logger, job, bucketId: config.b2.processedStandardBucketId, remotePath: origProdRemote, localPath: inputLocalPath, contentType: 'application/octet-stream', versionType: 'production', purpose: 'production', variant: 'original' }), { logger, maxRetries: 2, baseDelay: 500, context: { step: 'upload-production-original' } }), logger, { step: 'upload-production-original' });
+        await wrap(() => withRetry(() => uploadAndRecord({ logger, job, bucketId: config.b2.processedStandardBucketId, remotePath: origProdRemote, localPath: inputLocalPath, contentType: originalMime, versionType: 'production', purpose: 'production', variant: 'original' }), { logger, maxRetries: 2, baseDelay: 500, context: { step: 'upload-production-original' } }), logger, { step: 'upload-production-original' });
       } else {
         logger.info({ origProdRemote }, '[MACHINIST][PIPELINE] Production original exists; skipping upload');
       }
@@ -230,7 +277,7 @@ async function runMachinistPipeline(logger, job) {
       const { fileExists } = require('../../core/storage');
       const restExists = await fileExists(config.b2.processedStandardBucketId, origRestRemote).catch(() => false);
       if (!restExists) {
-        await wrap(() => withRetry(() => uploadAndRecord({ logger, job, bucketId: config.b2.processedStandardBucketId, remotePath: origRestRemote, localPath: inputLocalPath, contentType: 'application/octet-stream', versionType: 'restoration', purpose: 'restoration', variant: 'original' }), { logger, maxRetries: 2, baseDelay: 500, context: { step: 'upload-restoration-original' } }), logger, { step: 'upload-restoration-original' });
+        await wrap(() => withRetry(() => uploadAndRecord({ logger, job, bucketId: config.b2.processedStandardBucketId, remotePath: origRestRemote, localPath: inputLocalPath, contentType: originalMime, versionType: 'restoration', purpose: 'restoration', variant: 'original' }), { logger, maxRetries: 2, baseDelay: 500, context: { step: 'upload-restoration-original' } }), logger, { step: 'upload-restoration-original' });
       } else {
         logger.info({ origRestRemote }, '[MACHINIST][PIPELINE] Restoration original exists; skipping upload');
       }
@@ -241,55 +288,55 @@ async function runMachinistPipeline(logger, job) {
 
     // 4. Generate derivatives via Sharp
     const filePurpose = (job.file_purpose || 'viewing').toLowerCase();
-    const derivatives = await wrap(() => withRetry(() => generateDerivatives({ logger, job, inputPath: inputLocalPath, workDir, sharpLimit }), { logger, maxRetries: 2, baseDelay: 500, context: { step: 'sharp-derivatives' } }), logger, { step: 'sharp-derivatives' });
+    const derivatives = await withPreservationEvent(job, logger, { type: PREMIS_EVENT_TYPES.CREATION, detail: `Derivatives generated with profile ${profile.name}` },
+      () => wrap(() => withRetry(() => sharpLimit(() => generateDerivatives({ logger, job, inputPath: working.path, workDir, profile, watermark })), { logger, maxRetries: 2, baseDelay: 500, context: { step: 'sharp-derivatives' } }), logger, { step: 'sharp-derivatives' }));
+
+    // Re-processed assets already have a description: embed it into the download files
+    let catalogue = null;
+    try {
+      catalogue = await loadCatalogue({ job, tenantSettings, policy: privacyPolicy });
+      await embedFiles({ logger, files: downloadFiles(derivatives), catalogue });
+    } catch (err) {
+      logger.warn({ err }, '[MACHINIST][EMBED] Description write-back skipped');
+    }
 
     // 5. Upload derivatives and record versions
-    if (derivatives.viewing) {
-      const viewingRemote = path.posix.join(`tenant-${tenantId}`, `batch-${batchId}`,
-        `asset-${assetId}`,
-        'viewing',
-        `${normalizeFilename('viewing')}.jpg`
-      );
-      try {
-        // derivative viewing: purpose=viewing, variant=processed
-        await wrap(() => withRetry(() => uploadAndRecord({ logger, job, bucketId: config.b2.processedStandardBucketId, remotePath: viewingRemote, localPath: derivatives.viewing.localPath, contentType: 'image/jpeg', versionType: 'viewing', purpose: 'viewing', variant: 'processed' }), { logger, maxRetries: 2, baseDelay: 500, context: { step: 'upload-viewing' } }), logger, { step: 'upload-viewing' });
-        versions.viewing = { path: viewingRemote };
-      } catch (e) {
-        logger.error({ err: e }, '[MACHINIST] Viewing derivative failed (continuing)');
-        try { await sendToDLQ(job, 'derivative_upload_failed:' + (e && e.message ? e.message : String(e)), logger); } catch (_) {}
-      }
+    Object.assign(versions, await uploadDerivativeSet({ logger, job, derivatives, bucketId: config.b2.processedStandardBucketId, placeholders }));
+
+    // 5a. Production purpose: full-resolution print TIFF at the requested DPI / ICC
+    if (filePurpose === 'production' && productionOptions.enabled) {
+      const master = await withPreservationEvent(job, logger, { type: PREMIS_EVENT_TYPES.CREATION, detail: `Print master generated at ${productionOptions.dpi} dpi (${productionOptions.color_space})` },
+        () => wrap(() => sharpLimit(() => generateProductionMaster({ logger, inputPath: working.path, workDir, options: productionOptions })), logger, { step: 'production-master' }));
+      // Print masters keep source EXIF; remove what the privacy policy withholds
+      const stripped = await wrap(() => scrubFile({ logger, filePath: master.localPath, policy: privacyPolicy }), logger, { step: 'production-privacy' });
+      master.metadata.privacy = { policy: privacyPolicy.name, stripped };
+      await embedFiles({ logger, files: [master], catalogue });
+      if (master.embedded) master.metadata.embedded_description = master.embedded;
+      const printRemote = path.posix.join(`tenant-${tenantId}`, `batch-${batchId}`, `asset-${assetId}`, 'production', path.basename(master.localPath));
+      await wrap(() => withRetry(() => uploadAndRecordProduction({ logger, job, bucketId: config.b2.processedStandardBucketId, remotePath: printRemote, localPath: master.localPath, contentType: master.contentType, metadata: master.metadata }), { logger, maxRetries: 2, baseDelay: 500, context: { step: 'upload-production-master' } }), logger, { step: 'upload-production-master' });
+      versions.production = { path: printRemote };
     }
 
-    if (derivatives.ai) {
-      const aiRemote = path.posix.join(`tenant-${tenantId}`, `batch-${batchId}`,
-        `asset-${assetId}`,
-        'ai',
-        `${normalizeFilename('ai')}.jpg`
-      );
+    // 5b. Optional deep-zoom tile pyramid (DZI / IIIF level-0)
+    if (tileOptions.layouts.length) {
       try {
-        await wrap(() => withRetry(() => uploadAndRecordAI({ logger, job, bucketId: config.b2.processedStandardBucketId, remotePath: aiRemote, localPath: derivatives.ai.localPath }), { logger, maxRetries: 2, baseDelay: 500, context: { step: 'upload-ai' } }), logger, { step: 'upload-ai' });
-        versions.ai = { path: aiRemote };
-      } catch (e) {
-        logger.error({ err: e }, '[MACHINIST] AI derivative failed (continuing)');
-        try { await sendToDLQ(job, 'derivative_upload_failed:' + (e && e.message ? e.message : String(e)), logger); } catch (_) {}
+        const tilesPrefix = path.posix.join(`tenant-${tenantId}`, `batch-${batchId}`, `asset-${assetId}`, 'tiles');
+        const tileSets = await sharpLimit(() => generateTiles({ logger, inputPath: working.path, workDir, tilesPrefix, options: tileOptions, watermark }));
+        const tiles = await uploadTileSet({ logger, job, tileSets, bucketId: config.b2.processedStandardBucketId });
+        if (tiles.length) versions.tiles = tiles;
+      } catch (err) {
+        logger.warn({ err }, '[MACHINIST][PIPELINE] Tile pyramid failed; continuing');
       }
     }
 
-    if (Array.isArray(derivatives.thumbnails)) {
-      versions.thumbnails = [];
-      for (const tn of derivatives.thumbnails) {
-        const tnRemote = path.posix.join(`tenant-${tenantId}`, `batch-${batchId}`,
-          `asset-${assetId}`,
-          'thumbnails',
-          `${normalizeFilename(`thumb-${tn.size}`)}.jpg`
-        );
-        try {
-          await wrap(() => withRetry(() => uploadAndRecordThumbnail({ logger, job, bucketId: config.b2.processedStandardBucketId, remotePath: tnRemote, localPath: tn.localPath, size: tn.size }), { logger, maxRetries: 2, baseDelay: 500, context: { step: 'upload-thumb', size: tn.size } }), logger, { step: 'upload-thumb' });
-          versions.thumbnails.push({ path: tnRemote, size: tn.size });
-        } catch (e) {
-          logger.error({ err: e, size: tn.size }, '[MACHINIST] Thumbnail derivative failed (continuing)');
-          try { await sendToDLQ(job, 'derivative_upload_failed:' + (e && e.message ? e.message : String(e)), logger); } catch (_) {}
-        }
+    // 5c. Restoration purpose: enhanced working copy and before/after comparison
+    if (filePurpose === 'restoration' && restorationProfile.enabled) {
+      try {
+        const restoration = await withPreservationEvent(job, logger, { type: PREMIS_EVENT_TYPES.CREATION, detail: 'Restoration copy and before/after comparison generated' },
+          () => sharpLimit(() => generateRestoration({ logger, inputPath: working.path, workDir, profile: restorationProfile, skewAngle: quality ? quality.skew_angle : undefined })));
+        versions.restoration = await uploadRestorationSet({ logger, job, restoration, bucketId: config.b2.processedStandardBucketId });
+      } catch (err) {
+        logger.warn({ err }, '[MACHINIST][PIPELINE] Restoration derivatives failed; continuing');
       }
     }
 
@@ -302,10 +349,20 @@ async function runMachinistPipeline(logger, job) {
       }
     }
 
+    // 6b. PREMIS / METS next to metadata/manifest.json
+    try {
+      await exportPreservationMetadata({ logger, assetId });
+    } catch (err) {
+      logger.warn({ err }, '[MACHINIST][PIPELINE] PREMIS/METS export failed; continuing');
+    }
+
+    // 6c. Quality flags are recorded on the asset for review (cleared when it passes)
+    await flagAssetForReview({ logger, job, quality });
+
     // 7. Clean workDir
     try { await fs.rm(workDir, { recursive: true, force: true }); } catch (err) { logger.warn({ err }, '[MACHINIST][PIPELINE] Failed to clean workDir'); }
 
-    return { status: 'complete', versions };
+    return { status: quality && quality.status === 'review' ? 'review' : 'complete', versions, quality };
   } catch (err) {
     logger.error({ err, tenant_id: job && job.tenant_id, asset_id: job && job.asset_id, batch_id: job && job.batch_id }, '[MACHINIST][PIPELINE] Pipeline failed');
     // Attempt cleanup
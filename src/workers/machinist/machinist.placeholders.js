@@ -0,0 +1,176 @@
+/**
+ * Image placeholders computed from the working image so clients can paint
+ * something before any derivative is fetched:
+ *   - BlurHash string (https://blurha.sh)
+ *   - LQIP: a tiny JPEG as a data: URI
+ *   - dominant colour palette, most common first
+ *
+ * The encoders below are pure (raw pixel buffers in, strings out); only
+ * computePlaceholders touches sharp.
+ */
+const BLURHASH_X = parseInt(process.env.PLACEHOLDER_BLURHASH_X || '4', 10);
+const BLURHASH_Y = parseInt(process.env.PLACEHOLDER_BLURHASH_Y || '3', 10);
+const LQIP_SIZE = parseInt(process.env.PLACEHOLDER_LQIP_SIZE || '16', 10);
+const PALETTE_SIZE = parseInt(process.env.PLACEHOLDER_PALETTE_SIZE || '5', 10);
+
+const BASE83 = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~';
+
+function encode83(value, length) {
+  let out = '';
+  for (let i = 1; i <= length; i++) {
+    out += BASE83[Math.floor(value / Math.pow(83, length - i)) % 83];
+  }
+  return out;
+}
+
+function sRGBToLinear(value) {
+  const v = value / 255;
+  return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+}
+
+function linearToSRGB(value) {
+  const v = Math.max(0, Math.min(1, value));
+  return v <= 0.0031308
+    ? Math.trunc(v * 12.92 * 255 + 0.5)
+    : Math.trunc((1.055 * Math.pow(v, 1 / 2.4) - 0.055) * 255 + 0.5);
+}
+
+function signPow(value, exp) {
+  return Math.sign(value) * Math.pow(Math.abs(value), exp);
+}
+
+/**
+ * BlurHash for a raw interleaved pixel buffer (RGB or RGBA).
+ * @param {Uint8Array|Buffer} pixels
+ * @param {number} width
+ * @param {number} height
+ * @param {{ channels?: number, componentsX?: number, componentsY?: number }} [opts]
+ * @returns {string}
+ */
+function encodeBlurhash(pixels, width, height, { channels = 3, componentsX = BLURHASH_X, componentsY = BLURHASH_Y } = {}) {
+  if (componentsX < 1 || componentsX > 9 || componentsY < 1 || componentsY > 9) {
+    throw new Error('[MACHINIST][PLACEHOLDERS] BlurHash components must be between 1 and 9');
+  }
+  if (pixels.length < width * height * channels) {
+    throw new Error('[MACHINIST][PLACEHOLDERS] pixel buffer smaller than width * height * channels');
+  }
+
+  // Linearize once; the basis loop visits every pixel per component
+  const linear = new Float64Array(width * height * 3);
+  for (let i = 0, p = 0; i < width * height; i++, p += channels) {
+    linear[i * 3] = sRGBToLinear(pixels[p]);
+    linear[i * 3 + 1] = sRGBToLinear(pixels[p + 1]);
+    linear[i * 3 + 2] = sRGBToLinear(pixels[p + 2]);
+  }
+
+  const factors = [];
+  for (let y = 0; y < componentsY; y++) {
+    for (let x = 0; x < componentsX; x++) {
+      const normalisation = x === 0 && y === 0 ? 1 : 2;
+      let r = 0; let g = 0; let b = 0;
+      for (let j = 0; j < height; j++) {
+        const by = Math.cos((Math.PI * y * j) / height);
+        for (let i = 0; i < width; i++) {
+          const basis = Math.cos((Math.PI * x * i) / width) * by;
+          const o = (j * width + i) * 3;
+          r += basis * linear[o];
+          g += basis * linear[o + 1];
+          b += basis * linear[o + 2];
+        }
+      }
+      const scale = normalisation / (width * height);
+      factors.push([r * scale, g * scale, b * scale]);
+    }
+  }
+
+  const [dc, ...ac] = factors;
+  let hash = encode83((componentsX - 1) + (componentsY - 1) * 9, 1);
+  let maximum = 1;
+  if (ac.length) {
+    const actualMax = Math.max(...ac.map((f) => Math.max(Math.abs(f[0]), Math.abs(f[1]), Math.abs(f[2]))));
+    const quantisedMax = Math.max(0, Math.min(82, Math.floor(actualMax * 166 - 0.5)));
+    maximum = (quantisedMax + 1) / 166;
+    hash += encode83(quantisedMax, 1);
+  } else {
+    hash += encode83(0, 1);
+  }
+  hash += encode83((linearToSRGB(dc[0]) << 16) + (linearToSRGB(dc[1]) << 8) + linearToSRGB(dc[2]), 4);
+  for (const f of ac) {
+    const q = f.map((c) => Math.max(0, Math.min(18, Math.floor(signPow(c / maximum, 0.5) * 9 + 9.5))));
+    hash += encode83(q[0] * 19 * 19 + q[1] * 19 + q[2], 2);
+  }
+  return hash;
+}
+
+function toHex([r, g, b]) {
+  return `#${[r, g, b].map((c) => c.toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Dominant colours by 4-bit-per-channel histogram. Buckets whose mean colour
+ * is close to one already picked are folded into it so the palette is not
+ * five shades of the same sky. Transparent pixels are ignored.
+ * @param {Uint8Array|Buffer} pixels
+ * @param {{ channels?: number, count?: number }} [opts]
+ * @returns {{ hex: string, rgb: number[], share: number }[]}
+ */
+function dominantPalette(pixels, { channels = 3, count = PALETTE_SIZE } = {}) {
+  const buckets = new Map();
+  let total = 0;
+  for (let p = 0; p + 2 < pixels.length; p += channels) {
+    if (channels === 4 && pixels[p + 3] < 128) continue;
+    const key = ((pixels[p] >> 4) << 8) | ((pixels[p + 1] >> 4) << 4) | (pixels[p + 2] >> 4);
+    const b = buckets.get(key) || { n: 0, r: 0, g: 0, b: 0 };
+    b.n += 1; b.r += pixels[p]; b.g += pixels[p + 1]; b.b += pixels[p + 2];
+    buckets.set(key, b);
+    total += 1;
+  }
+  if (!total) return [];
+
+  const picked = [];
+  for (const b of [...buckets.values()].sort((x, y) => y.n - x.n)) {
+    const rgb = [Math.round(b.r / b.n), Math.round(b.g / b.n), Math.round(b.b / b.n)];
+    const near = picked.find((c) => Math.hypot(c.rgb[0] - rgb[0], c.rgb[1] - rgb[1], c.rgb[2] - rgb[2]) < 48);
+    if (near) { near.n += b.n; continue; }
+    if (picked.length < count) picked.push({ rgb, n: b.n });
+  }
+  return picked
+    .sort((x, y) => y.n - x.n)
+    .map(({ rgb, n }) => ({ hex: toHex(rgb), rgb, share: Math.round((n / total) * 1000) / 1000 }));
+}
+
+/**
+ * Compute all placeholders for an image. Best effort: a failure is logged
+ * and null returned so derivatives are never held up by it.
+ * @param {{ logger: import('pino').Logger, inputPath: string }} params
+ * @returns {Promise<null | { blurhash: string, blurhash_components: number[], lqip: string, dominant_color: string|null, palette: object[] }>}
+ */
+async function computePlaceholders({ logger, inputPath }) {
+  const sharp = require('sharp');
+  try {
+    // 8-bit sRGB samples whatever the source depth / profile
+    const small = await sharp(inputPath).rotate().resize(32, 32, { fit: 'inside' }).removeAlpha().toColourspace('srgb').raw()
+      .toBuffer({ resolveWithObject: true });
+    const blurhash = encodeBlurhash(small.data, small.info.width, small.info.height, { channels: small.info.channels });
+
+    const sample = await sharp(inputPath).rotate().resize(64, 64, { fit: 'inside' }).ensureAlpha().toColourspace('srgb').raw()
+      .toBuffer({ resolveWithObject: true });
+    const palette = dominantPalette(sample.data, { channels: sample.info.channels });
+
+    const lqip = await sharp(inputPath).rotate().resize(LQIP_SIZE, LQIP_SIZE, { fit: 'inside' })
+      .flatten({ background: '#ffffff' }).jpeg({ quality: 50 }).toBuffer();
+
+    return {
+      blurhash,
+      blurhash_components: [BLURHASH_X, BLURHASH_Y],
+      lqip: `data:image/jpeg;base64,${lqip.toString('base64')}`,
+      dominant_color: palette.length ? palette[0].hex : null,
+      palette,
+    };
+  } catch (err) {
+    logger.warn({ err }, '[MACHINIST][PLACEHOLDERS] Placeholder generation failed; continuing');
+    return null;
+  }
+}
+
+module.exports = { encodeBlurhash, dominantPalette, computePlaceholders };
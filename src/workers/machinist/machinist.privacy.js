@@ -0,0 +1,281 @@
+/**
+ * Privacy policy for public metadata.
+ * Where a photograph was taken and which device took it never reach the
+ * public manifest: normalizeExif (machinist.consistency.js) leaves GPS and
+ * IPTC location, serial numbers and the owner name out, and they are read
+ * here from the raw EXIF into a restricted record in the preservation bucket
+ * only. The policy names categories removed from files that keep source
+ * metadata, and may also withhold the creator from the manifest:
+ *   gps      GPS position and IPTC location (city, sub-location, ...)
+ *   serials  camera body / lens / internal serial numbers
+ *   owner    camera owner name
+ *   creator  creator, artist and copyright holder
+ *
+ * Policy comes from tenant settings `privacy` (a preset name, an object, or
+ * false) -> PRIVACY_POLICY; jobs cannot weaken it.
+ *
+ * Derivatives written by sharp carry no source metadata; production masters
+ * keep EXIF for print workflows, so they are scrubbed with exiftool, failing
+ * closed when it is unavailable.
+ */
+const path = require('path');
+const ValidationError = require('../../errors/ValidationError');
+
+// Identifying fields by restricted-record path, and the raw EXIF tags they come from
+const PRIVATE_FIELDS = {
+  camera: {
+    body_serial: ['SerialNumber', 'BodySerialNumber', 'CameraSerialNumber', 'InternalSerialNumber'],
+    lens_serial: ['LensSerialNumber'],
+    owner_name: ['OwnerName', 'CameraOwnerName'],
+  },
+  location: {
+    gps_latitude: ['GPSLatitude'],
+    gps_longitude: ['GPSLongitude'],
+    gps_altitude: ['GPSAltitude'],
+    gps_date_time: ['GPSDateTime'],
+    city: ['City'],
+    sublocation: ['Sub-location', 'Location'],
+    state: ['Province-State', 'State'],
+    country: ['Country-PrimaryLocationName', 'Country'],
+  },
+};
+
+// Normalized EXIF paths the policy withholds from the manifest, and the exiftool tags per category
+const CATEGORIES = {
+  gps: {
+    fields: [],
+    tags: ['gps:all', 'XMP-exif:GPS*', 'IPTC:City', 'IPTC:Sub-location', 'IPTC:Province-State', 'IPTC:Country-PrimaryLocationName',
+      'XMP-photoshop:City', 'XMP-photoshop:State', 'XMP-photoshop:Country', 'XMP-iptcCore:Location', 'XMP-iptcExt:LocationShown', 'XMP-iptcExt:LocationCreated'],
+  },
+  serials: {
+    fields: [],
+    tags: ['SerialNumber', 'BodySerialNumber', 'CameraSerialNumber', 'InternalSerialNumber', 'LensSerialNumber', 'XMP-aux:SerialNumber', 'XMP-aux:LensSerialNumber'],
+  },
+  owner: {
+    fields: [],
+    tags: ['OwnerName', 'CameraOwnerName', 'XMP-aux:OwnerName'],
+  },
+  creator: {
+    fields: ['identity.creator', 'identity.copyright'],
+    tags: ['Artist', 'Copyright', 'XPAuthor', 'IPTC:By-line', 'IPTC:CopyrightNotice', 'XMP-dc:Creator', 'XMP-dc:Rights'],
+  },
+};
+
+const PRESETS = {
+  none: [],
+  standard: ['gps', 'serials', 'owner'],
+  strict: Object.keys(CATEGORIES),
+};
+
+function invalid(field, message) {
+  return new ValidationError('INVALID_PRIVACY_POLICY', `privacy.${field}`, message);
+}
+
+/**
+ * Resolve the tenant's privacy policy.
+ * @param {{ tenantSettings?: Record<string, any> }} params
+ * @returns {{ name: string, strip: string[], restricted_record: boolean }}
+ */
+function resolvePrivacyPolicy({ tenantSettings = {} }) {
+  let layer = tenantSettings.privacy;
+  if (layer === undefined || layer === null) layer = process.env.PRIVACY_POLICY || 'standard';
+  if (layer === false) layer = 'none';
+  if (typeof layer === 'string') {
+    if (!PRESETS[layer]) throw invalid('name', `privacy must be one of: ${Object.keys(PRESETS).join(', ')}`);
+    return { name: layer, strip: [...PRESETS[layer]], restricted_record: true };
+  }
+  if (typeof layer !== 'object' || Array.isArray(layer)) throw invalid('name', 'privacy must be a preset name, an object or false');
+
+  const preset = layer.preset != null ? String(layer.preset) : 'standard';
+  if (!PRESETS[preset]) throw invalid('preset', `privacy.preset must be one of: ${Object.keys(PRESETS).join(', ')}`);
+  const strip = layer.strip != null ? layer.strip : PRESETS[preset];
+  if (!Array.isArray(strip)) throw invalid('strip', 'privacy.strip must be an array');
+  for (const c of strip) {
+    if (!CATEGORIES[c]) throw invalid('strip', `privacy.strip entries must be one of: ${Object.keys(CATEGORIES).join(', ')}`);
+  }
+  return {
+    name: layer.strip != null ? 'custom' : preset,
+    strip: [...new Set(strip)],
+    restricted_record: layer.restricted_record !== false,
+  };
+}
+
+/**
+ * Identifying values from raw EXIF, shaped like normalized EXIF groups.
+ * @param {Record<string, any>} rawExif exiftool output
+ * @returns {Record<string, Record<string, any>>}
+ */
+function extractPrivateExif(rawExif) {
+  const out = {};
+  if (!rawExif || typeof rawExif !== 'object') return out;
+  for (const [group, fields] of Object.entries(PRIVATE_FIELDS)) {
+    for (const [key, tags] of Object.entries(fields)) {
+      const tag = tags.find((t) => rawExif[t] !== undefined && rawExif[t] !== null && String(rawExif[t]).trim() !== '');
+      if (tag) out[group] = { ...(out[group] || {}), [key]: rawExif[tag] };
+    }
+  }
+  return out;
+}
+
+/**
+ * Split EXIF into what may be published and what is restricted. Identifying
+ * values from the raw EXIF are always restricted; the policy may withhold
+ * more of the normalized EXIF (creator).
+ * @param {Record<string, any>} exif normalized EXIF
+ * @param {ReturnType<typeof resolvePrivacyPolicy>} policy
+ * @param {Record<string, any>} [rawExif] exiftool output
+ * @returns {{ public: Record<string, any>, restricted: Record<string, any>, removed: string[] }}
+ */
+function splitExif(exif, policy, rawExif = null) {
+  const pub = JSON.parse(JSON.stringify(exif || {}));
+  const restricted = extractPrivateExif(rawExif);
+  const removed = [];
+  for (const [group, fields] of Object.entries(restricted)) {
+    for (const key of Object.keys(fields)) removed.push(`${group}.${key}`);
+  }
+  for (const category of policy.strip) {
+    for (const field of CATEGORIES[category].fields) {
+      const [group, key] = field.split('.');
+      if (!pub[group] || pub[group][key] === undefined) continue;
+      restricted[group] = { ...(restricted[group] || {}), [key]: pub[group][key] };
+      removed.push(field);
+      delete pub[group][key];
+    }
+  }
+  return { public: pub, restricted, removed };
+}
+
+/**
+ * exiftool arguments that delete the policy's tags in place.
+ * @param {ReturnType<typeof resolvePrivacyPolicy>} policy
+ * @returns {string[]}
+ */
+function exiftoolStripArgs(policy) {
+  const args = [];
+  for (const category of policy.strip) {
+    for (const tag of CATEGORIES[category].tags) args.push(`-${tag}=`);
+  }
+  return args;
+}
+
+/**
+ * Remove the policy's tags from a file that keeps source metadata. Files
+ * without EXIF / XMP / IPTC are left alone; otherwise this throws when
+ * exiftool is missing or fails, as the file must not be published.
+ * @param {{ logger: import('pino').Logger, filePath: string, policy: ReturnType<typeof resolvePrivacyPolicy> }} params
+ * @returns {Promise<string[]>} categories stripped
+ */
+async function scrubFile({ logger, filePath, policy }) {
+  if (!policy || !policy.strip.length) return [];
+  const sharp = require('sharp');
+  const meta = await sharp(filePath).metadata();
+  if (!meta.exif && !meta.xmp && !meta.iptc) return [];
+  const { writeExifTags } = require('./machinist.exif');
+  try {
+    await writeExifTags(filePath, exiftoolStripArgs(policy));
+  } catch (err) {
+    throw new Error(`[MACHINIST][PRIVACY] Could not scrub ${path.basename(filePath)}: ${err.message}`);
+  }
+  logger.info({ file: path.basename(filePath), categories: policy.strip }, '[MACHINIST][PRIVACY] Private metadata removed');
+  return [...policy.strip];
+}
+
+/**
+ * Storage key of the restricted record, next to the preservation original.
+ * @param {{ tenant_id: string, batch_id: string, asset_id: string }} job
+ */
+function restrictedRecordPath(job) {
+  return path.posix.join(`tenant-${job.tenant_id}`, `batch-${job.batch_id}`, `asset-${job.asset_id}`, 'preservation', 'metadata', 'restricted.json');
+}
+
+/**
+ * Audit block for the manifest: which policy ran and what it removed.
+ * @param {ReturnType<typeof resolvePrivacyPolicy>} policy
+ * @param {{ removed: string[], restrictedPath?: string|null }} result
+ */
+function privacyAudit(policy, { removed, restrictedPath = null }) {
+  return {
+    policy: policy.name,
+    categories: policy.strip,
+    fields_removed: removed,
+    restricted_record: restrictedPath,
+    applied_at: new Date().toISOString(),
+  };
+}
+
+/**
+ * Write the restricted values to the preservation bucket and record the row.
+ * Returns the storage key, or null when there is nothing to keep or no
+ * preservation bucket is configured (the values never go to a public bucket).
+ * @param {{ logger: import('pino').Logger, job: object, workDir: string, policy: ReturnType<typeof resolvePrivacyPolicy>, restricted: Record<string, any> }} params
+ * @returns {Promise<string|null>}
+ */
+async function storeRestrictedRecord({ logger, job, workDir, policy, restricted }) {
+  if (!policy.restricted_record || !Object.keys(restricted).length) return null;
+  const config = require('../../core/config');
+  if (!config.b2.processedArchiveBucketId) {
+    logger.warn('[MACHINIST][PRIVACY] No preservation bucket configured; restricted metadata not stored');
+    return null;
+  }
+  const fse = require('fs-extra');
+  const { uploadAndRecord } = require('./machinist.upload');
+  const localPath = path.join(workDir, 'restricted.json');
+  await fse.writeJson(localPath, { asset_id: job.asset_id, policy: policy.name, categories: policy.strip, exif: restricted }, { spaces: 2 });
+  const remotePath = restrictedRecordPath(job);
+  await uploadAndRecord({
+    logger,
+    job,
+    bucketId: config.b2.processedArchiveBucketId,
+    remotePath,
+    localPath,
+    contentType: 'application/json',
+    versionType: 'preservation',
+    purpose: 'preservation',
+    variant: 'restricted_metadata',
+    metadata: { privacy: { policy: policy.name, categories: policy.strip } },
+  });
+  return remotePath;
+}
+
+/**
+ * Apply the policy to normalized EXIF before it goes into the manifest:
+ * keep the identifying values from the raw EXIF and anything the policy
+ * withholds in the restricted record, and log a PREMIS event. Storing the
+ * record is best effort; the audit shows `restricted_record: null` when it
+ * did not happen.
+ * @param {{ logger: import('pino').Logger, job: object, workDir: string, policy: ReturnType<typeof resolvePrivacyPolicy>, exif: Record<string, any>, rawExif?: Record<string, any> }} params
+ * @returns {Promise<{ exif: Record<string, any>, audit: ReturnType<typeof privacyAudit> }>}
+ */
+async function applyPrivacyPolicy({ logger, job, workDir, policy, exif, rawExif = null }) {
+  const split = splitExif(exif, policy, rawExif);
+  let restrictedPath = null;
+  try {
+    const wrap = require('../../errors/wrap');
+    const { withRetry } = require('../../resilience/retry');
+    restrictedPath = await wrap(() => withRetry(() => storeRestrictedRecord({ logger, job, workDir, policy, restricted: split.restricted }), { logger, maxRetries: 2, baseDelay: 500, context: { step: 'upload-restricted-metadata' } }), logger, { step: 'upload-restricted-metadata' });
+  } catch (err) {
+    logger.warn({ err }, '[MACHINIST][PRIVACY] Failed to store restricted metadata; continuing');
+  }
+  if (split.removed.length) {
+    const { PREMIS_EVENT_TYPES, recordPreservationEvent } = require('../../preservation/premis.events');
+    await recordPreservationEvent(job, {
+      type: PREMIS_EVENT_TYPES.METADATA_MODIFICATION,
+      detail: `Privacy policy ${policy.name} withheld ${split.removed.join(', ')} from public metadata`,
+      extra: { fields_removed: split.removed, restricted_record: restrictedPath },
+    }, logger);
+  }
+  return { exif: split.public, audit: privacyAudit(policy, { removed: split.removed, restrictedPath }) };
+}
+
+module.exports = {
+  PRIVACY_CATEGORIES: Object.keys(CATEGORIES),
+  resolvePrivacyPolicy,
+  extractPrivateExif,
+  splitExif,
+  exiftoolStripArgs,
+  scrubFile,
+  restrictedRecordPath,
+  privacyAudit,
+  storeRestrictedRecord,
+  applyPrivacyPolicy,
+};
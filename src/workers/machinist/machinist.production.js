@@ -0,0 +1,206 @@
+/**
+ * Print-ready production masters (file_purpose 'production').
+ * Renders one full-resolution TIFF at a declared DPI with an embedded ICC
+ * profile, optionally resized to a physical print size and/or converted to CMYK.
+ *
+ * Options come from job.production over tenant settings `production`:
+ *   {
+ *     dpi: 300,
+ *     width_in: 16, height_in: 20,   // or width_mm / height_mm; fit inside, aspect kept
+ *     allow_upscale: false,          // otherwise small sources keep their pixels
+ *     compression: 'lzw',            // none | lzw | deflate | zstd | jpeg
+ *     bit_depth: 8,                  // 8 | 16 (16-bit is RGB only)
+ *     color_space: 'srgb',           // srgb | p3 | cmyk
+ *     icc_profile: null,             // built-in name or an .icc key in the files bucket
+ *   }
+ * `production: false` leaves production jobs with the standard derivatives only.
+ */
+const path = require('path');
+const fse = require('fs-extra');
+const ValidationError = require('../../errors/ValidationError');
+const { withTimeout } = require('../../safety/with-timeout');
+const LIMITS = require('../../safety/runtime-limits');
+
+const COMPRESSIONS = ['none', 'lzw', 'deflate', 'zstd', 'jpeg'];
+const COLOR_SPACES = ['srgb', 'p3', 'cmyk'];
+const BUILTIN_ICC = ['srgb', 'p3', 'cmyk'];
+const MM_PER_INCH = 25.4;
+
+const DEFAULT_PRODUCTION = {
+  enabled: true,
+  dpi: parseInt(process.env.PRODUCTION_DPI || '300', 10),
+  width_in: null,
+  height_in: null,
+  allow_upscale: false,
+  compression: process.env.PRODUCTION_TIFF_COMPRESSION || 'lzw',
+  bit_depth: 8,
+  color_space: 'srgb',
+  icc_profile: null,
+};
+
+function invalid(field, message) {
+  return new ValidationError('INVALID_PRODUCTION_OPTIONS', `production.${field}`, message);
+}
+
+function positive(field, value) {
+  if (value == null || value === '') return null;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0 || n > 10000) throw invalid(field, `production.${field} must be a positive number`);
+  return n;
+}
+
+/**
+ * Resolve production options for a job.
+ * @param {{ job: object, tenantSettings?: Record<string, any> }} params
+ * @returns {typeof DEFAULT_PRODUCTION}
+ */
+function resolveProductionOptions({ job, tenantSettings = {} }) {
+  const out = { ...DEFAULT_PRODUCTION };
+  for (const layer of [tenantSettings.production, job && job.production]) {
+    if (layer === false) out.enabled = false;
+    else if (layer && typeof layer === 'object' && !Array.isArray(layer)) Object.assign(out, layer);
+    else if (layer != null && layer !== true) throw invalid('enabled', 'production must be an object or false');
+  }
+  out.enabled = out.enabled !== false;
+
+  const dpi = Number(out.dpi);
+  if (!Number.isInteger(dpi) || dpi < 72 || dpi > 2400) throw invalid('dpi', 'production.dpi must be an integer between 72 and 2400');
+  out.dpi = dpi;
+
+  // Physical size in inches; millimetres are converted
+  const widthMm = positive('width_mm', out.width_mm);
+  const heightMm = positive('height_mm', out.height_mm);
+  out.width_in = positive('width_in', out.width_in) || (widthMm ? widthMm / MM_PER_INCH : null);
+  out.height_in = positive('height_in', out.height_in) || (heightMm ? heightMm / MM_PER_INCH : null);
+  delete out.width_mm;
+  delete out.height_mm;
+
+  out.compression = String(out.compression).toLowerCase();
+  if (!COMPRESSIONS.includes(out.compression)) throw invalid('compression', `production.compression must be one of: ${COMPRESSIONS.join(', ')}`);
+  out.bit_depth = Number(out.bit_depth);
+  if (![8, 16].includes(out.bit_depth)) throw invalid('bit_depth', 'production.bit_depth must be 8 or 16');
+  out.color_space = String(out.color_space).toLowerCase();
+  if (!COLOR_SPACES.includes(out.color_space)) throw invalid('color_space', `production.color_space must be one of: ${COLOR_SPACES.join(', ')}`);
+  if (out.color_space === 'cmyk' && out.bit_depth === 16) throw invalid('bit_depth', '16-bit output is only supported for RGB');
+  if (out.compression === 'jpeg' && out.bit_depth === 16) throw invalid('compression', 'JPEG compression cannot store 16-bit samples');
+
+  if (out.icc_profile != null && out.icc_profile !== '') {
+    const icc = String(out.icc_profile);
+    if (!BUILTIN_ICC.includes(icc.toLowerCase()) && (icc.includes('..') || icc.startsWith('/') || !/\.ic[cm]$/i.test(icc))) {
+      throw invalid('icc_profile', `production.icc_profile must be one of ${BUILTIN_ICC.join(', ')} or a relative .icc storage key`);
+    }
+    out.icc_profile = BUILTIN_ICC.includes(icc.toLowerCase()) ? icc.toLowerCase() : icc;
+  } else {
+    out.icc_profile = out.color_space;
+  }
+  out.allow_upscale = !!out.allow_upscale;
+  return out;
+}
+
+/**
+ * Output pixels for a print size at a DPI. Without a physical size the
+ * source pixels are kept. Sources too small for the size are only enlarged
+ * with allowUpscale; otherwise they print smaller at the declared DPI.
+ * @param {{ width: number, height: number, dpi: number, widthIn?: number|null, heightIn?: number|null, allowUpscale?: boolean }} params
+ * @returns {{ width: number, height: number, resized: boolean, upscaled: boolean, print_width_in: number, print_height_in: number }}
+ */
+function printGeometry({ width, height, dpi, widthIn = null, heightIn = null, allowUpscale = false }) {
+  let scale = 1;
+  if (widthIn || heightIn) {
+    const sx = widthIn ? (widthIn * dpi) / width : Infinity;
+    const sy = heightIn ? (heightIn * dpi) / height : Infinity;
+    scale = Math.min(sx, sy);
+    if (scale > 1 && !allowUpscale) scale = 1;
+  }
+  const w = Math.max(1, Math.round(width * scale));
+  const h = Math.max(1, Math.round(height * scale));
+  const round2 = (x) => Math.round(x * 100) / 100;
+  return {
+    width: w,
+    height: h,
+    resized: w !== width || h !== height,
+    upscaled: scale > 1,
+    print_width_in: round2(w / dpi),
+    print_height_in: round2(h / dpi),
+  };
+}
+
+async function resolveIccPath(options, workDir) {
+  if (BUILTIN_ICC.includes(options.icc_profile)) return options.icc_profile;
+  const config = require('../../core/config');
+  const { downloadFile } = require('../../core/storage');
+  const local = path.join(workDir, `production${path.posix.extname(options.icc_profile).toLowerCase()}`);
+  await downloadFile(config.b2.filesBucketId || config.b2.processedStandardBucketId, options.icc_profile, local);
+  return local;
+}
+
+/**
+ * Render the production TIFF into workDir/production/print.tif.
+ * @param {object} params
+ * @param {import('pino').Logger} params.logger
+ * @param {string} params.inputPath working image
+ * @param {string} params.workDir
+ * @param {ReturnType<typeof resolveProductionOptions>} params.options
+ * @returns {Promise<null | { localPath: string, contentType: string, width: number, height: number, metadata: object }>}
+ */
+async function generateProductionMaster({ logger, inputPath, workDir, options }) {
+  if (!options || !options.enabled) return null;
+  const sharp = require('sharp');
+  const outDir = path.join(workDir, 'production');
+  await fse.ensureDir(outDir);
+
+  const meta = await sharp(inputPath).metadata();
+  const swap = (meta.orientation || 1) >= 5;
+  const geometry = printGeometry({
+    width: swap ? meta.height : meta.width,
+    height: swap ? meta.width : meta.height,
+    dpi: options.dpi,
+    widthIn: options.width_in,
+    heightIn: options.height_in,
+    allowUpscale: options.allow_upscale,
+  });
+  const icc = await resolveIccPath(options, workDir);
+
+  let pipeline = sharp(inputPath).rotate();
+  if (geometry.resized) pipeline = pipeline.resize(geometry.width, geometry.height, { fit: 'fill', kernel: 'lanczos3' });
+  if (options.color_space === 'cmyk') pipeline = pipeline.toColourspace('cmyk');
+  else if (options.bit_depth === 16) pipeline = pipeline.toColourspace('rgb16');
+  const pixelsPerMm = options.dpi / MM_PER_INCH;
+  pipeline = pipeline
+    .withMetadata({ density: options.dpi, icc })
+    .tiff({
+      compression: options.compression,
+      ...(options.compression === 'lzw' || options.compression === 'deflate' || options.compression === 'zstd' ? { predictor: 'horizontal' } : {}),
+      ...(options.compression === 'jpeg' ? { quality: 95 } : {}),
+      xres: pixelsPerMm,
+      yres: pixelsPerMm,
+      resolutionUnit: 'inch',
+    });
+
+  const localPath = path.join(outDir, 'print.tif');
+  const info = await withTimeout(pipeline.toFile(localPath), LIMITS.SHARP_TIMEOUT_MS, 'Sharp processing timeout');
+  logger.info({ width: info.width, height: info.height, dpi: options.dpi, color_space: options.color_space, bit_depth: options.bit_depth }, '[MACHINIST][PRODUCTION] Print master rendered');
+
+  return {
+    localPath,
+    contentType: 'image/tiff',
+    width: info.width,
+    height: info.height,
+    metadata: {
+      dpi: options.dpi,
+      print_width_in: geometry.print_width_in,
+      print_height_in: geometry.print_height_in,
+      upscaled: geometry.upscaled,
+      compression: options.compression,
+      bit_depth: options.bit_depth,
+      color_space: options.color_space,
+      icc_profile: options.icc_profile,
+    },
+  };
+}
+
+module.exports = {
+  resolveProductionOptions,
+  printGeometry,
+  generateProductionMaster,
+};
@@ -0,0 +1,275 @@
+/**
+ * MACHINIST DERIVATIVE PROFILES
+ * -----------------------------
+ * A profile describes the derivative set produced for an asset:
+ *   - viewing     (single output)
+ *   - ai          (single output)
+ *   - thumbnails  (list of sizes)
+ * Each output sets its size, fit mode, quality, format and the file
+ * purposes that produce it.
+ *
+ * Resolution order: job.derivative_profile -> tenant settings ->
+ * MACHINIST_DERIVATIVE_PROFILE env -> 'default'.
+ * A profile may be a name or an inline object ({ extends, viewing, ... }).
+ *
+ * Viewing and thumbnail outputs may also list `alt_formats` (webp, avif)
+ * rendered alongside the primary file; `job.output_formats` overrides them.
+ */
+
+const ValidationError = require('../../errors/ValidationError');
+const LIMITS = require('../../safety/runtime-limits');
+
+const ALL_PURPOSES = ['preservation', 'viewing', 'production', 'restoration'];
+const FITS = ['cover', 'contain', 'fill', 'inside', 'outside'];
+
+const OUTPUT_FORMATS = {
+  jpeg: { extension: 'jpg', mime: 'image/jpeg' },
+  png: { extension: 'png', mime: 'image/png' },
+  webp: { extension: 'webp', mime: 'image/webp' },
+  avif: { extension: 'avif', mime: 'image/avif' },
+  tiff: { extension: 'tif', mime: 'image/tiff' },
+};
+
+// Formats that can be produced alongside the primary output
+const ALT_FORMATS = ['jpeg', 'webp', 'avif'];
+
+// AVIF quantizer scale differs from JPEG/WebP; sharp's own default is 50
+const DEFAULT_ALT_QUALITY = { avif: 50 };
+
+const WHITE = { r: 255, g: 255, b: 255 };
+
+/**
+ * Built-in profiles. `default` reproduces the historical hardcoded set.
+ */
+const DERIVATIVE_PROFILES = {
+  default: {
+    viewing: { width: 2000, height: null, fit: 'inside', withoutEnlargement: true, quality: 85, format: 'jpeg', purposes: ALL_PURPOSES },
+    ai: { width: 768, height: 768, fit: 'contain', background: WHITE, quality: 80, format: 'jpeg', purposes: ['preservation', 'viewing'] },
+    thumbnails: {
+      fit: 'inside',
+      quality: 80,
+      format: 'jpeg',
+      purposes: ALL_PURPOSES,
+      sizes: [
+        { label: 'small', width: 200 },
+        { label: 'medium', width: 400 },
+        { label: 'large', width: 800 },
+      ],
+    },
+  },
+  archive: {
+    extends: 'default',
+    viewing: { width: 4000, quality: 90 },
+    thumbnails: {
+      sizes: [
+        { label: 'small', width: 200 },
+        { label: 'medium', width: 400 },
+        { label: 'large', width: 800 },
+        { label: 'xlarge', width: 1600 },
+      ],
+    },
+  },
+  marketplace: {
+    extends: 'default',
+    viewing: { width: 1600, height: 1600, fit: 'cover' },
+    thumbnails: {
+      fit: 'cover',
+      sizes: [
+        { label: 'small', width: 200, height: 200 },
+        { label: 'medium', width: 400, height: 400 },
+        { label: 'large', width: 800, height: 800 },
+      ],
+    },
+  },
+};
+
+function isPlainObject(v) {
+  return !!v && typeof v === 'object' && !Array.isArray(v);
+}
+
+/**
+ * Shallow-merge each output block of `override` over `base`.
+ * Arrays (sizes, purposes) are replaced, not concatenated.
+ */
+function mergeProfile(base, override) {
+  const out = {};
+  for (const key of ['viewing', 'ai', 'thumbnails']) {
+    const b = base[key];
+    const o = override[key];
+    if (o === null) out[key] = null; // explicit opt-out
+    else if (isPlainObject(o)) out[key] = { ...(b || {}), ...o };
+    else out[key] = b ? { ...b } : null;
+  }
+  return out;
+}
+
+function lookupNamedProfile(name, customProfiles, seen = []) {
+  const key = String(name || '').toLowerCase();
+  if (seen.includes(key)) {
+    throw new ValidationError('INVALID_DERIVATIVE_PROFILE', 'derivative_profile', `Circular profile inheritance: ${[...seen, key].join(' -> ')}`);
+  }
+  const def = (customProfiles && isPlainObject(customProfiles[key]) && customProfiles[key]) || DERIVATIVE_PROFILES[key];
+  if (!def) {
+    throw new ValidationError('UNKNOWN_DERIVATIVE_PROFILE', 'derivative_profile', `Unknown derivative profile: ${name}`);
+  }
+  return expandProfile(def, customProfiles, [...seen, key]);
+}
+
+function expandProfile(def, customProfiles, seen = []) {
+  if (!def.extends) return mergeProfile({}, def);
+  const base = lookupNamedProfile(def.extends, customProfiles, seen);
+  return mergeProfile(base, def);
+}
+
+function assertDimension(field, value) {
+  if (value == null) return;
+  if (!Number.isInteger(value) || value <= 0 || value > LIMITS.SHARP_MAX_DIMENSION) {
+    throw new ValidationError('INVALID_DERIVATIVE_PROFILE', field, `${field} must be an integer between 1 and ${LIMITS.SHARP_MAX_DIMENSION}`);
+  }
+}
+
+function normalizeAlternates(field, spec, primaryFormat) {
+  const list = Array.isArray(spec.alt_formats) ? spec.alt_formats.map((f) => String(f).toLowerCase()) : [];
+  const altQuality = isPlainObject(spec.alt_quality) ? spec.alt_quality : {};
+  const out = [];
+  for (const format of list) {
+    if (!ALT_FORMATS.includes(format)) {
+      throw new ValidationError('INVALID_DERIVATIVE_PROFILE', `${field}.alt_formats`, `${field}.alt_formats must be a subset of: ${ALT_FORMATS.join(', ')}`);
+    }
+    if (format === primaryFormat || out.some((a) => a.format === format)) continue;
+    const quality = Number(altQuality[format] != null ? altQuality[format] : (DEFAULT_ALT_QUALITY[format] || spec.quality || 80));
+    if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+      throw new ValidationError('INVALID_DERIVATIVE_PROFILE', `${field}.alt_quality`, `${field}.alt_quality.${format} must be an integer between 1 and 100`);
+    }
+    out.push({ format, quality, extension: OUTPUT_FORMATS[format].extension, contentType: OUTPUT_FORMATS[format].mime });
+  }
+  return out;
+}
+
+function normalizeOutput(field, spec, fallbackLabel) {
+  const fit = spec.fit || 'inside';
+  if (!FITS.includes(fit)) {
+    throw new ValidationError('INVALID_DERIVATIVE_PROFILE', `${field}.fit`, `${field}.fit must be one of: ${FITS.join(', ')}`);
+  }
+  const format = String(spec.format || 'jpeg').toLowerCase();
+  if (!OUTPUT_FORMATS[format]) {
+    throw new ValidationError('INVALID_DERIVATIVE_PROFILE', `${field}.format`, `${field}.format must be one of: ${Object.keys(OUTPUT_FORMATS).join(', ')}`);
+  }
+  const quality = spec.quality == null ? 80 : Number(spec.quality);
+  if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+    throw new ValidationError('INVALID_DERIVATIVE_PROFILE', `${field}.quality`, `${field}.quality must be an integer between 1 and 100`);
+  }
+  assertDimension(`${field}.width`, spec.width);
+  assertDimension(`${field}.height`, spec.height);
+  if (!spec.width && !spec.height) {
+    throw new ValidationError('INVALID_DERIVATIVE_PROFILE', field, `${field} requires width and/or height`);
+  }
+  const purposes = Array.isArray(spec.purposes) ? spec.purposes.map((p) => String(p).toLowerCase()) : ALL_PURPOSES;
+  for (const p of purposes) {
+    if (!ALL_PURPOSES.includes(p)) {
+      throw new ValidationError('INVALID_DERIVATIVE_PROFILE', `${field}.purposes`, `Unknown purpose in ${field}.purposes: ${p}`);
+    }
+  }
+  return {
+    label: spec.label || fallbackLabel,
+    width: spec.width || null,
+    height: spec.height || null,
+    fit,
+    withoutEnlargement: !!spec.withoutEnlargement,
+    background: spec.background || WHITE,
+    quality,
+    format,
+    extension: OUTPUT_FORMATS[format].extension,
+    contentType: OUTPUT_FORMATS[format].mime,
+    alternates: field === 'ai' ? [] : normalizeAlternates(field, spec, format),
+    purposes,
+  };
+}
+
+function normalizeProfile(name, expanded) {
+  const out = { name, viewing: null, ai: null, thumbnails: [] };
+  if (expanded.viewing) out.viewing = normalizeOutput('viewing', expanded.viewing, 'viewing');
+  if (expanded.ai) out.ai = normalizeOutput('ai', expanded.ai, 'ai');
+  if (expanded.thumbnails) {
+    const { sizes, ...shared } = expanded.thumbnails;
+    const list = Array.isArray(sizes) ? sizes : [];
+    const labels = new Set();
+    for (const size of list) {
+      const label = String((size && size.label) || '').trim();
+      if (!label || !/^[a-z0-9-]+$/i.test(label) || labels.has(label)) {
+        throw new ValidationError('INVALID_DERIVATIVE_PROFILE', 'thumbnails.sizes', 'Each thumbnail size needs a unique alphanumeric label');
+      }
+      labels.add(label);
+      out.thumbnails.push(normalizeOutput(`thumbnails.${label}`, { ...shared, ...size }, label));
+    }
+  }
+  return out;
+}
+
+/**
+ * Resolve the derivative profile for a job.
+ * @param {{ job: object, tenantSettings?: Record<string, any> }} params
+ * @returns {{ name: string, viewing: object|null, ai: object|null, thumbnails: object[] }}
+ */
+function resolveDerivativeProfile({ job, tenantSettings = {} }) {
+  const custom = isPlainObject(tenantSettings.derivative_profiles) ? tenantSettings.derivative_profiles : null;
+  const spec = (job && job.derivative_profile)
+    || tenantSettings.derivative_profile
+    || process.env.MACHINIST_DERIVATIVE_PROFILE
+    || 'default';
+
+  let name;
+  let expanded;
+  if (typeof spec === 'string') {
+    name = spec.toLowerCase();
+    expanded = lookupNamedProfile(spec, custom);
+  } else if (isPlainObject(spec)) {
+    name = spec.name || 'custom';
+    expanded = expandProfile({ extends: spec.extends || 'default', ...spec }, custom);
+  } else {
+    throw new ValidationError('INVALID_DERIVATIVE_PROFILE', 'derivative_profile', 'derivative_profile must be a name or an object');
+  }
+
+  // Job-level modern format request applies to viewing + thumbnails
+  if (job && job.output_formats != null) {
+    if (!Array.isArray(job.output_formats)) {
+      throw new ValidationError('INVALID_DERIVATIVE_PROFILE', 'output_formats', 'output_formats must be an array');
+    }
+    for (const key of ['viewing', 'thumbnails']) {
+      if (expanded[key]) expanded[key] = { ...expanded[key], alt_formats: job.output_formats };
+    }
+  }
+  return normalizeProfile(name, expanded);
+}
+
+/**
+ * Outputs of a profile that apply to the given file purpose.
+ * @param {ReturnType<typeof resolveDerivativeProfile>} profile
+ * @param {string} purpose
+ */
+function outputsForPurpose(profile, purpose) {
+  const p = String(purpose || 'viewing').toLowerCase();
+  const applies = (o) => !!o && o.purposes.includes(p);
+  return {
+    viewing: applies(profile.viewing) ? profile.viewing : null,
+    ai: applies(profile.ai) ? profile.ai : null,
+    thumbnails: profile.thumbnails.filter(applies),
+  };
+}
+
+/**
+ * Version variant for an alternate-format output, e.g. processed -> processed_webp.
+ * @param {string} variant
+ * @param {string} format
+ */
+function formatVariant(variant, format) {
+  return `${variant}_${format}`;
+}
+
+module.exports = {
+  DERIVATIVE_PROFILES,
+  OUTPUT_FORMATS,
+  formatVariant,
+  resolveDerivativeProfile,
+  outputsForPurpose,
+};
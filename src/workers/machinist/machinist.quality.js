@@ -0,0 +1,264 @@
+/**
+ * Image-quality assessment (machinist step after validation).
+ * Measures the working image on a greyscale copy scaled to QUALITY_ANALYSIS_SIZE:
+ *   - sharpness: variance of the 3x3 Laplacian (low = blurry)
+ *   - clipping: share of pixels crushed to black / blown to white
+ *   - ink ratio: share of pixels that differ from the background (low = blank page)
+ *   - skew: projection-profile estimate of the text/line angle, in degrees
+ *
+ * Thresholds come from job.quality -> tenant settings `quality` -> env.
+ * Assets that trip any threshold are flagged for review instead of
+ * succeeding silently. The metric functions are pure.
+ */
+const ValidationError = require('../../errors/ValidationError');
+
+const ANALYSIS_SIZE = parseInt(process.env.QUALITY_ANALYSIS_SIZE || '1024', 10);
+const SKEW_RANGE = 15;
+const SKEW_STEP = 0.25;
+
+const DEFAULT_THRESHOLDS = {
+  enabled: process.env.QUALITY_CHECKS !== 'false',
+  min_sharpness: Number(process.env.QUALITY_MIN_SHARPNESS || '40'),
+  max_clipping: Number(process.env.QUALITY_MAX_CLIPPING || '0.5'),
+  min_ink_ratio: Number(process.env.QUALITY_MIN_INK_RATIO || '0.002'),
+  max_skew: Number(process.env.QUALITY_MAX_SKEW || '2'),
+};
+
+/**
+ * Resolve thresholds for a job. `quality: false` turns the step off.
+ * @param {{ job: object, tenantSettings?: Record<string, any> }} params
+ * @returns {{ enabled: boolean, min_sharpness: number, max_clipping: number, min_ink_ratio: number, max_skew: number }}
+ */
+function resolveQualityThresholds({ job, tenantSettings = {} }) {
+  const layers = [tenantSettings.quality, job && job.quality];
+  const out = { ...DEFAULT_THRESHOLDS };
+  for (const layer of layers) {
+    if (layer === false) out.enabled = false;
+    else if (layer && typeof layer === 'object') Object.assign(out, layer);
+  }
+  out.enabled = out.enabled !== false;
+  for (const key of ['min_sharpness', 'max_clipping', 'min_ink_ratio', 'max_skew']) {
+    const n = Number(out[key]);
+    if (!Number.isFinite(n) || n < 0) {
+      throw new ValidationError('INVALID_QUALITY_THRESHOLD', `quality.${key}`, `quality.${key} must be a non-negative number`);
+    }
+    out[key] = n;
+  }
+  return out;
+}
+
+/**
+ * Variance of the 3x3 Laplacian over a greyscale buffer.
+ * @param {Uint8Array|Buffer} gray
+ * @param {number} width
+ * @param {number} height
+ */
+function laplacianVariance(gray, width, height) {
+  if (width < 3 || height < 3) return 0;
+  let sum = 0;
+  let sumSq = 0;
+  let n = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const v = gray[i - width] + gray[i + width] + gray[i - 1] + gray[i + 1] - 4 * gray[i];
+      sum += v;
+      sumSq += v * v;
+      n += 1;
+    }
+  }
+  const mean = sum / n;
+  return sumSq / n - mean * mean;
+}
+
+/**
+ * Histogram-based exposure figures.
+ * @param {Uint8Array|Buffer} gray
+ * @returns {{ mean: number, stddev: number, shadows: number, highlights: number, background: number, ink_ratio: number }}
+ */
+function exposureStats(gray) {
+  const hist = new Array(256).fill(0);
+  for (let i = 0; i < gray.length; i++) hist[gray[i]] += 1;
+  const total = gray.length || 1;
+  let sum = 0;
+  let sumSq = 0;
+  for (let v = 0; v < 256; v++) { sum += v * hist[v]; sumSq += v * v * hist[v]; }
+  const mean = sum / total;
+
+  // Background = most common level; "ink" is anything clearly away from it
+  let background = 0;
+  for (let v = 1; v < 256; v++) if (hist[v] > hist[background]) background = v;
+  let ink = 0;
+  for (let v = 0; v < 256; v++) if (Math.abs(v - background) > 40) ink += hist[v];
+
+  let shadows = 0;
+  let highlights = 0;
+  for (let v = 0; v <= 4; v++) shadows += hist[v];
+  for (let v = 251; v < 256; v++) highlights += hist[v];
+
+  const round = (x) => Math.round(x * 10000) / 10000;
+  return {
+    mean: round(mean),
+    stddev: round(Math.sqrt(Math.max(0, sumSq / total - mean * mean))),
+    shadows: round(shadows / total),
+    highlights: round(highlights / total),
+    background,
+    ink_ratio: round(ink / total),
+  };
+}
+
+/**
+ * Estimate skew from ink pixels: the angle whose row projection is the most
+ * peaked (sum of squared bin counts). Positive means content is rotated
+ * clockwise; rotate by the negated angle to straighten. Returns null when
+ * there is too little or too much ink, or no line structure, to tell.
+ * @param {Uint8Array|Buffer} gray
+ * @param {number} width
+ * @param {number} height
+ * @param {{ background?: number, range?: number, step?: number }} [opts]
+ * @returns {number|null}
+ */
+function estimateSkew(gray, width, height, { background = 255, range = SKEW_RANGE, step = SKEW_STEP } = {}) {
+  const xs = [];
+  const ys = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (Math.abs(gray[y * width + x] - background) > 40) { xs.push(x); ys.push(y); }
+    }
+  }
+  const ratio = xs.length / (width * height || 1);
+  if (xs.length < 50 || ratio > 0.5) return null;
+  // A sample of the ink is enough to find the peak; keeps dense pages cheap
+  const stride = Math.ceil(xs.length / 100000);
+
+  const diag = Math.ceil(Math.hypot(width, height));
+  let best = 0;
+  let bestScore = -1;
+  let totalScore = 0;
+  let angles = 0;
+  for (let a = -range; a <= range + 1e-9; a += step) {
+    const rad = (a * Math.PI) / 180;
+    const sin = Math.sin(rad);
+    const cos = Math.cos(rad);
+    const bins = new Float64Array(diag * 2 + 1);
+    for (let k = 0; k < xs.length; k += stride) bins[Math.round(ys[k] * cos - xs[k] * sin) + diag] += 1;
+    let score = 0;
+    for (let b = 0; b < bins.length; b++) score += bins[b] * bins[b];
+    totalScore += score;
+    angles += 1;
+    if (score > bestScore) { bestScore = score; best = a; }
+  }
+  // Photographs have no dominant line direction: every angle scores about the same
+  if (bestScore < 1.1 * (totalScore / angles)) return null;
+  return Math.round(best * 100) / 100;
+}
+
+/**
+ * Flags for a set of metrics against thresholds.
+ * @param {{ sharpness: number, shadows: number, highlights: number, ink_ratio: number, skew_angle: number|null }} metrics
+ * @param {ReturnType<typeof resolveQualityThresholds>} thresholds
+ * @returns {string[]} any of blank, blurry, overexposed, underexposed, skewed
+ */
+function evaluateQuality(metrics, thresholds) {
+  const flags = [];
+  const blank = metrics.ink_ratio < thresholds.min_ink_ratio;
+  if (blank) flags.push('blank');
+  // A blank page has no edges or lines; only report its blankness
+  if (!blank && metrics.sharpness < thresholds.min_sharpness) flags.push('blurry');
+  if (metrics.highlights > thresholds.max_clipping) flags.push('overexposed');
+  if (metrics.shadows > thresholds.max_clipping) flags.push('underexposed');
+  if (!blank && metrics.skew_angle != null && Math.abs(metrics.skew_angle) > thresholds.max_skew) flags.push('skewed');
+  return flags;
+}
+
+/**
+ * Run the analysis on the working image. Returns null when disabled or when
+ * the image cannot be read for analysis (the job itself carries on).
+ * @param {{ logger: import('pino').Logger, inputPath: string, thresholds: ReturnType<typeof resolveQualityThresholds> }} params
+ * @returns {Promise<null | { status: 'ok'|'review', flags: string[], sharpness: number, clipping: { shadows: number, highlights: number }, ink_ratio: number, blank: boolean, skew_angle: number|null, mean: number, stddev: number, analyzed_width: number, analyzed_height: number, thresholds: object }>}
+ */
+async function assessQuality({ logger, inputPath, thresholds }) {
+  if (!thresholds || !thresholds.enabled) return null;
+  const sharp = require('sharp');
+  let data;
+  let info;
+  try {
+    ({ data, info } = await sharp(inputPath)
+      .rotate()
+      .resize(ANALYSIS_SIZE, ANALYSIS_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .flatten({ background: '#ffffff' })
+      .greyscale()
+      .raw()
+      .toBuffer({ resolveWithObject: true }));
+  } catch (err) {
+    logger.warn({ err }, '[MACHINIST][QUALITY] Quality analysis failed; continuing');
+    return null;
+  }
+
+  const stats = exposureStats(data);
+  const metrics = {
+    sharpness: Math.round(laplacianVariance(data, info.width, info.height) * 100) / 100,
+    shadows: stats.shadows,
+    highlights: stats.highlights,
+    ink_ratio: stats.ink_ratio,
+    skew_angle: estimateSkew(data, info.width, info.height, { background: stats.background }),
+  };
+  const flags = evaluateQuality(metrics, thresholds);
+  const quality = {
+    status: flags.length ? 'review' : 'ok',
+    flags,
+    sharpness: metrics.sharpness,
+    clipping: { shadows: stats.shadows, highlights: stats.highlights },
+    ink_ratio: stats.ink_ratio,
+    blank: flags.includes('blank'),
+    skew_angle: metrics.skew_angle,
+    mean: stats.mean,
+    stddev: stats.stddev,
+    analyzed_width: info.width,
+    analyzed_height: info.height,
+    thresholds: {
+      min_sharpness: thresholds.min_sharpness,
+      max_clipping: thresholds.max_clipping,
+      min_ink_ratio: thresholds.min_ink_ratio,
+      max_skew: thresholds.max_skew,
+    },
+  };
+  if (flags.length) logger.warn({ flags, sharpness: quality.sharpness, skew: quality.skew_angle }, '[MACHINIST][QUALITY] Asset flagged for review');
+  else logger.info({ sharpness: quality.sharpness, skew: quality.skew_angle }, '[MACHINIST][QUALITY] Quality checks passed');
+  return quality;
+}
+
+/**
+ * Record the flags of an asset that needs review in `asset.quality_review`
+ * ({ flags, flagged_at }), or clear it when the latest evaluation passed so
+ * a reprocessed asset no longer shows as needing review. `asset.status` is
+ * left to the pipeline. Best effort: the derivatives are already stored, so
+ * a failed write is logged rather than failing the job.
+ * @param {{ logger: import('pino').Logger, job: object, quality: object|null }} params
+ */
+async function flagAssetForReview({ logger, job, quality }) {
+  if (!quality) return;
+  const config = require('../../core/config');
+  if (config.dryRun) return;
+  const review = quality.status === 'review' ? { flags: quality.flags, flagged_at: new Date().toISOString() } : null;
+  try {
+    const { supabase } = require('../../core/supabase');
+    const { error } = await supabase
+      .from('asset')
+      .update({ quality_review: review })
+      .eq('id', job.asset_id);
+    if (error) throw error;
+  } catch (err) {
+    logger.warn({ err, asset_id: job.asset_id }, '[MACHINIST][QUALITY] Failed to record review flags');
+  }
+}
+
+module.exports = {
+  resolveQualityThresholds,
+  laplacianVariance,
+  exposureStats,
+  estimateSkew,
+  evaluateQuality,
+  assessQuality,
+  flagAssetForReview,
+};
@@ -0,0 +1,220 @@
+/**
+ * Restoration working copies (file_purpose 'restoration').
+ * From the working image this renders:
+ *   - restoration/restored.{ext}   auto-cropped, deskewed, auto-levelled,
+ *                                  denoised and lightly sharpened, full size
+ *   - restoration/comparison.jpg   before/after side by side
+ *
+ * The restoration profile comes from job.restoration -> tenant settings
+ * `restoration` -> defaults; `restoration: false` skips the step. Each step
+ * can be switched off individually.
+ */
+const path = require('path');
+const fse = require('fs-extra');
+const ValidationError = require('../../errors/ValidationError');
+const { OUTPUT_FORMATS } = require('./machinist.profiles');
+const { estimateSkew, exposureStats } = require('./machinist.quality');
+
+const RESTORATION_FORMATS = ['jpeg', 'png', 'tiff'];
+const MAX_DESKEW = 15;
+// Auto-crop is discarded when it would remove more than this share of the image
+const MIN_CROP_AREA = 0.5;
+
+const DEFAULT_RESTORATION = {
+  enabled: true,
+  crop: true,
+  crop_threshold: 20,
+  deskew: true,
+  levels: true,
+  denoise: 3,
+  sharpen: true,
+  format: 'jpeg',
+  quality: 92,
+  comparison: true,
+  comparison_height: 1200,
+  comparison_max_width: 4000,
+};
+
+function invalid(field, message) {
+  return new ValidationError('INVALID_RESTORATION_PROFILE', `restoration.${field}`, message);
+}
+
+function intIn(field, value, min, max) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min || n > max) throw invalid(field, `restoration.${field} must be an integer between ${min} and ${max}`);
+  return n;
+}
+
+/**
+ * Resolve the restoration profile for a job.
+ * @param {{ job: object, tenantSettings?: Record<string, any> }} params
+ * @returns {typeof DEFAULT_RESTORATION & { extension: string, contentType: string }}
+ */
+function resolveRestorationProfile({ job, tenantSettings = {} }) {
+  const out = { ...DEFAULT_RESTORATION };
+  for (const layer of [tenantSettings.restoration, job && job.restoration]) {
+    if (layer === false) out.enabled = false;
+    else if (layer && typeof layer === 'object' && !Array.isArray(layer)) Object.assign(out, layer);
+    else if (layer != null && layer !== true) throw invalid('enabled', 'restoration must be an object or false');
+  }
+  out.enabled = out.enabled !== false;
+
+  // denoise: false/0 = off, true = default median window, or an odd window size
+  if (out.denoise === true) out.denoise = DEFAULT_RESTORATION.denoise;
+  out.denoise = out.denoise ? intIn('denoise', out.denoise, 3, 9) : 0;
+  if (out.denoise && out.denoise % 2 === 0) throw invalid('denoise', 'restoration.denoise must be an odd window size');
+
+  out.format = String(out.format).toLowerCase();
+  if (!RESTORATION_FORMATS.includes(out.format)) throw invalid('format', `restoration.format must be one of: ${RESTORATION_FORMATS.join(', ')}`);
+  out.quality = intIn('quality', out.quality, 1, 100);
+  out.crop_threshold = intIn('crop_threshold', out.crop_threshold, 1, 128);
+  out.comparison_height = intIn('comparison_height', out.comparison_height, 200, 4000);
+  out.comparison_max_width = intIn('comparison_max_width', out.comparison_max_width, 400, 8000);
+  for (const key of ['crop', 'deskew', 'levels', 'sharpen', 'comparison']) out[key] = !!out[key];
+
+  return { ...out, extension: OUTPUT_FORMATS[out.format].extension, contentType: OUTPUT_FORMATS[out.format].mime };
+}
+
+/**
+ * Geometry of the before/after image: both panels share one height, with a
+ * gap between them and a label band on top, scaled down to fit maxWidth.
+ * @param {{ before: { width: number, height: number }, after: { width: number, height: number }, height: number, maxWidth: number }} params
+ * @returns {{ width: number, height: number, band: number, gap: number, before: { left: number, top: number, width: number, height: number }, after: { left: number, top: number, width: number, height: number } }}
+ */
+function comparisonLayout({ before, after, height, maxWidth }) {
+  const scaled = (d, h) => Math.max(1, Math.round((d.width * h) / d.height));
+  let h = Math.min(height, before.height, after.height);
+  const gap = Math.max(8, Math.round(h / 50));
+  const natural = scaled(before, h) + gap + scaled(after, h);
+  if (natural > maxWidth) h = Math.max(1, Math.floor((h * (maxWidth - gap)) / (natural - gap)));
+  const band = Math.max(24, Math.round(h / 16));
+  const bw = scaled(before, h);
+  const aw = scaled(after, h);
+  return {
+    width: bw + gap + aw,
+    height: band + h,
+    band,
+    gap,
+    before: { left: 0, top: band, width: bw, height: h },
+    after: { left: bw + gap, top: band, width: aw, height: h },
+  };
+}
+
+function labelsSvg(layout) {
+  const size = Math.round(layout.band * 0.6);
+  const label = (text, box) => `<text x="${box.left + box.width / 2}" y="${layout.band / 2}" dominant-baseline="middle" text-anchor="middle"`
+    + ` font-family="sans-serif" font-size="${size}" fill="#333333">${text}</text>`;
+  return Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${layout.width}" height="${layout.band}">`
+    + `${label('Before', layout.before)}${label('After', layout.after)}</svg>`);
+}
+
+function applyFormat(pipeline, profile) {
+  if (profile.format === 'png') return pipeline.png({ compressionLevel: 9 });
+  if (profile.format === 'tiff') return pipeline.tiff({ compression: 'lzw' });
+  return pipeline.jpeg({ quality: profile.quality, chromaSubsampling: '4:4:4' });
+}
+
+/**
+ * Render the restored copy and the comparison image into workDir/restoration.
+ * @param {object} params
+ * @param {import('pino').Logger} params.logger
+ * @param {string} params.inputPath working image
+ * @param {string} params.workDir
+ * @param {ReturnType<typeof resolveRestorationProfile>} params.profile
+ * @param {number|null} [params.skewAngle] already measured (quality step); estimated when undefined
+ * @returns {Promise<null | { restored: object, comparison: object|null }>}
+ */
+async function generateRestoration({ logger, inputPath, workDir, profile, skewAngle }) {
+  if (!profile || !profile.enabled) return null;
+  const sharp = require('sharp');
+  const outDir = path.join(workDir, 'restoration');
+  await fse.ensureDir(outDir);
+  const operations = [];
+
+  // 1. Orient once (and trim scanner borders) so every later step sees upright pixels
+  let oriented = await sharp(inputPath).rotate().raw().toBuffer({ resolveWithObject: true });
+  const original = { width: oriented.info.width, height: oriented.info.height };
+  let crop = null;
+  if (profile.crop) {
+    const trimmed = await sharp(oriented.data, { raw: { width: oriented.info.width, height: oriented.info.height, channels: oriented.info.channels } }).trim(profile.crop_threshold).raw().toBuffer({ resolveWithObject: true });
+    const area = (trimmed.info.width * trimmed.info.height) / (oriented.info.width * oriented.info.height);
+    if (area < 1 && area >= MIN_CROP_AREA) {
+      crop = {
+        left: -(trimmed.info.trimOffsetLeft || 0),
+        top: -(trimmed.info.trimOffsetTop || 0),
+        width: trimmed.info.width,
+        height: trimmed.info.height,
+      };
+      oriented = trimmed;
+      operations.push('crop');
+    } else if (area < MIN_CROP_AREA) {
+      logger.info({ area }, '[MACHINIST][RESTORATION] Auto-crop would remove too much; skipped');
+    }
+  }
+  const { width, height, channels } = oriented.info;
+  const raw = { width, height, channels };
+
+  // 2. Skew: reuse the quality measurement when there is one
+  let angle = 0;
+  if (profile.deskew) {
+    let measured = skewAngle;
+    if (measured === undefined) {
+      const gray = await sharp(oriented.data, { raw }).resize(1024, 1024, { fit: 'inside', withoutEnlargement: true })
+        .greyscale().raw().toBuffer({ resolveWithObject: true });
+      measured = estimateSkew(gray.data, gray.info.width, gray.info.height, { background: exposureStats(gray.data).background });
+    }
+    if (measured != null && Math.abs(measured) >= 0.1 && Math.abs(measured) <= MAX_DESKEW) {
+      angle = measured;
+      operations.push('deskew');
+    }
+  }
+
+  // 3. Deskew, levels, denoise, sharpen; fill the rotated corners with the page colour
+  let pipeline = sharp(oriented.data, { raw });
+  if (angle) {
+    const { dominant } = await sharp(oriented.data, { raw }).stats();
+    pipeline = pipeline.rotate(-angle, { background: dominant });
+  }
+  if (profile.levels) { pipeline = pipeline.normalise({ lower: 1, upper: 99 }); operations.push('levels'); }
+  if (profile.denoise) { pipeline = pipeline.median(profile.denoise); operations.push('denoise'); }
+  if (profile.sharpen) { pipeline = pipeline.sharpen({ sigma: 0.8 }); operations.push('sharpen'); }
+
+  const restoredPath = path.join(outDir, `restored.${profile.extension}`);
+  const info = await applyFormat(pipeline, profile).toFile(restoredPath);
+  const restored = {
+    localPath: restoredPath,
+    contentType: profile.contentType,
+    width: info.width,
+    height: info.height,
+    operations,
+    deskew_angle: angle || 0,
+    crop,
+  };
+  logger.info({ operations, deskew_angle: restored.deskew_angle, crop }, '[MACHINIST][RESTORATION] Restored copy rendered');
+
+  let comparison = null;
+  if (profile.comparison) {
+    const layout = comparisonLayout({ before: original, after: info, height: profile.comparison_height, maxWidth: profile.comparison_max_width });
+    const before = await sharp(inputPath).rotate().resize(layout.before.width, layout.before.height, { fit: 'fill' }).toBuffer();
+    const after = await sharp(restoredPath).resize(layout.after.width, layout.after.height, { fit: 'fill' }).toBuffer();
+    const comparisonPath = path.join(outDir, 'comparison.jpg');
+    await sharp({ create: { width: layout.width, height: layout.height, channels: 3, background: { r: 255, g: 255, b: 255 } } })
+      .composite([
+        { input: labelsSvg(layout), left: 0, top: 0 },
+        { input: before, left: layout.before.left, top: layout.before.top },
+        { input: after, left: layout.after.left, top: layout.after.top },
+      ])
+      .jpeg({ quality: 85 })
+      .toFile(comparisonPath);
+    comparison = { localPath: comparisonPath, contentType: 'image/jpeg', width: layout.width, height: layout.height };
+  }
+
+  return { restored, comparison };
+}
+
+module.exports = {
+  RESTORATION_FORMATS,
+  resolveRestorationProfile,
+  comparisonLayout,
+  generateRestoration,
+};
@@ -1,11 +1,18 @@
 /**
  * Image derivative generation using Sharp.
+ * The derivative set (sizes, fit, quality, format) comes from the
+ * resolved derivative profile (see machinist.profiles.js).
  */
 const sharp = require('sharp');
 const path = require('path');
 const fse = require('fs-extra');
 const { withTimeout } = require('@safety/with-timeout');
 const LIMITS = require('@safety/runtime-limits');
+const { resolveDerivativeProfile, outputsForPurpose } = require('./machinist.profiles');
+const { watermarkApplies, buildOverlay } = require('./machinist.watermark');
+const { describeColor } = require('./machinist.color');
+
+const GREY_SPACES = ['b-w', 'grey16'];
 
 /**
  * Ensure directory exists
@@ -15,6 +22,98 @@ function ensureDir(p) {
   fse.ensureDirSync(p);
 }
 
+/**
+ * Apply the profile output encoder to a sharp pipeline.
+ * @param {import('sharp').Sharp} pipeline
+ * @param {{ format: string, quality: number }} spec
+ */
+function applyFormat(pipeline, spec) {
+  switch (spec.format) {
+    case 'png': return pipeline.png();
+    case 'webp': return pipeline.webp({ quality: spec.quality });
+    case 'avif': return pipeline.avif({ quality: spec.quality });
+    case 'tiff': return pipeline.tiff({ quality: spec.quality });
+    default: return pipeline.jpeg({ quality: spec.quality });
+  }
+}
+
+/**
+ * Resize (and optionally watermark) the input. The watermark is sized against
+ * the resized output, so the pixels are materialized first.
+ * Sources that need colour conversion (see machinist.color.js) are resized at
+ * their own precision and converted once, embedded profile to 8-bit sRGB
+ * (or 8-bit grey), so 16-bit and wide-gamut images are tone-mapped rather
+ * than truncated by the encoder.
+ * @param {string} inputPath
+ * @param {object} resize
+ * @param {object|null} watermark prepared watermark (machinist.watermark.js)
+ * @param {object|null} [color] describeColor() of the input
+ * @returns {Promise<import('sharp').Sharp>}
+ */
+async function resizedPipeline(inputPath, resize, watermark, color = null) {
+  let pipeline = sharp(inputPath);
+  const convert = color && color.needs_conversion;
+  const grey = convert && GREY_SPACES.includes(color.space);
+  if (convert && color.bit_depth === 16) pipeline = pipeline.pipelineColourspace(grey ? 'grey16' : 'rgb16');
+  pipeline = pipeline.rotate().resize(resize);
+  if (convert) pipeline = pipeline.toColourspace(grey ? 'b-w' : 'srgb');
+  if (!watermark) return pipeline;
+  const { data, info } = await pipeline.raw().toBuffer({ resolveWithObject: true });
+  const overlay = await buildOverlay(watermark, info.width, info.height);
+  return sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } }).composite([overlay]);
+}
+
+/**
+ * Render a single profile output to disk.
+ * @param {string} inputPath
+ * @param {string} outPath
+ * @param {object} spec normalized profile output
+ * @param {object|null} [watermark] prepared watermark to composite onto this output
+ * @param {object|null} [color] describeColor() of the input
+ */
+async function renderOutput(inputPath, outPath, spec, watermark = null, color = null) {
+  const resize = { fit: spec.fit, withoutEnlargement: spec.withoutEnlargement, background: spec.background };
+  if (spec.width) resize.width = spec.width;
+  if (spec.height) resize.height = spec.height;
+  await withTimeout(
+    resizedPipeline(inputPath, resize, watermark, color).then((pipeline) => applyFormat(pipeline, spec).toFile(outPath)),
+    LIMITS.SHARP_TIMEOUT_MS,
+    'Sharp processing timeout'
+  );
+  const outMeta = await sharp(outPath).metadata();
+  const rendered = {
+    localPath: outPath,
+    width: outMeta.width,
+    height: outMeta.height,
+    format: spec.format,
+    extension: spec.extension,
+    contentType: spec.contentType,
+    alternates: [],
+  };
+  if (watermark) rendered.watermark = watermark.description;
+  if (color && color.needs_conversion) rendered.converted_from = color.profile || color.space;
+
+  // Same geometry in each alternate format (e.g. viewing.webp next to viewing.jpg)
+  const base = outPath.slice(0, outPath.length - path.extname(outPath).length);
+  for (const alt of spec.alternates || []) {
+    const altOut = await renderOutput(inputPath, `${base}.${alt.extension}`, { ...spec, ...alt, alternates: [] }, watermark, color);
+    delete altOut.alternates;
+    rendered.alternates.push(altOut);
+  }
+  return rendered;
+}
+
+/**
+ * Approximate output width, used to leave small outputs unwatermarked.
+ * @param {{ width?: number, height?: number, orientation?: number }} meta
+ * @param {{ width?: number, height?: number, fit?: string }} spec
+ */
+function expectedWidth(meta, spec) {
+  const w = ((meta.orientation || 1) >= 5 ? meta.height : meta.width) || 0;
+  if (spec.fit === 'cover' || spec.fit === 'fill') return spec.width || w;
+  return spec.width ? Math.min(spec.width, w || spec.width) : w;
+}
+
 /**
  * Generate derivatives for a given input image.
  * @param {object} params
@@ -22,16 +121,24 @@ function ensureDir(p) {
  * @param {object} params.job
  * @param {string} params.inputPath
  * @param {string} params.workDir
+ * @param {object} [params.profile] resolved derivative profile (defaults from job)
+ * @param {object|null} [params.watermark] prepared watermark for viewing/thumbnail outputs
  */
-async function generateDerivatives({ logger, job, inputPath, workDir }) {
+async function generateDerivatives({ logger, job, inputPath, workDir, profile, watermark = null }) {
   if (!inputPath || !workDir) throw new Error('[MACHINIST][SHARP] inputPath and workDir required');
   ensureDir(workDir);
 
+  const activeProfile = profile || resolveDerivativeProfile({ job });
+  const purpose = (job.file_purpose || 'viewing').toLowerCase();
+  const outputs = outputsForPurpose(activeProfile, purpose);
+
   const results = {
+    profile: activeProfile.name,
     original: null,
     viewing: null,
     ai: null,
     thumbnails: [],
+    color: null,
   };
 
   // Read metadata
@@ -54,74 +161,42 @@ async function generateDerivatives({ logger, job, inputPath, workDir }) {
 
   enforceImageDimensions(meta);
 
-  const ext = path.extname(inputPath) || '.jpg';
-  const baseName = `asset-${job.asset_id}`;
+  // Derivatives are delivered as sRGB; the original keeps its own profile
+  const color = describeColor(meta);
+  results.color = color;
+  if (color.needs_conversion) {
+    logger.info({ profile: color.profile, space: color.space, bit_depth: color.bit_depth }, '[MACHINIST][SHARP] Converting derivatives to sRGB');
+  }
 
   // Always expose original info (we can upload from inputPath)
   results.original = { localPath: inputPath, width: meta.width || null, height: meta.height || null, mimeType: meta.format || null };
 
-  // Viewing: max 2000px, JPEG quality 85
-  const viewingPath = path.join(workDir, `viewing.jpg`);
-  try {
-    const viewing = sharp(inputPath).rotate();
-    const vw = meta.width || null;
-    const vh = meta.height || null;
-    let pipeline = viewing;
-    if (vw && vw > 2000) pipeline = pipeline.resize({ width: 2000 });
-    await withTimeout(
-      pipeline.jpeg({ quality: 85 }).toFile(viewingPath),
-      LIMITS.SHARP_TIMEOUT_MS,
-      'Sharp processing timeout'
-    );
-    const viewingMeta = await sharp(viewingPath).metadata();
-    results.viewing = { localPath: viewingPath, width: viewingMeta.width, height: viewingMeta.height };
-  } catch (err) {
-    logger.error({ err }, '[MACHINIST][SHARP] Failed to generate viewing image');
-    throw new Error('sharp_derivative_failed::viewing');
+  if (outputs.viewing) {
+    try {
+      const mark = watermarkApplies(watermark, 'viewing', expectedWidth(meta, outputs.viewing)) ? watermark : null;
+      results.viewing = await renderOutput(inputPath, path.join(workDir, `viewing.${outputs.viewing.extension}`), outputs.viewing, mark, color);
+    } catch (err) {
+      logger.error({ err, profile: activeProfile.name }, '[MACHINIST][SHARP] Failed to generate viewing image');
+      throw new Error('sharp_derivative_failed::viewing');
+    }
   }
 
-  // AI version only for preservation/viewing purposes
-  const purpose = (job.file_purpose || 'viewing').toLowerCase();
-  if (purpose === 'preservation' || purpose === 'viewing') {
-    const aiPath = path.join(workDir, `ai_version.jpg`);
+  if (outputs.ai) {
     try {
-      await withTimeout(
-        sharp(inputPath)
-          .resize({ width: 768, height: 768, fit: 'contain', background: { r: 255, g: 255, b: 255 } })
-          .jpeg({ quality: 80 })
-          .toFile(aiPath),
-        LIMITS.SHARP_TIMEOUT_MS,
-        'Sharp processing timeout'
-      );
-      const aiMeta = await sharp(aiPath).metadata();
-      results.ai = { localPath: aiPath, width: aiMeta.width, height: aiMeta.height };
+      results.ai = await renderOutput(inputPath, path.join(workDir, `ai_version.${outputs.ai.extension}`), outputs.ai, null, color);
     } catch (err) {
-      logger.error({ err }, '[MACHINIST][SHARP] Failed to generate AI image');
+      logger.error({ err, profile: activeProfile.name }, '[MACHINIST][SHARP] Failed to generate AI image');
       throw new Error('sharp_derivative_failed::ai');
     }
   }
 
-  // Thumbnails: 200,400,800
-  const thumbDefs = [
-    { label: 'small', width: 200 },
-    { label: 'medium', width: 400 },
-    { label: 'large', width: 800 },
-  ];
-  for (const def of thumbDefs) {
-    const tnPath = path.join(workDir, `${def.label}.jpg`);
+  for (const def of outputs.thumbnails) {
     try {
-      await withTimeout(
-        sharp(inputPath)
-          .resize({ width: def.width })
-          .jpeg({ quality: 80 })
-          .toFile(tnPath),
-        LIMITS.SHARP_TIMEOUT_MS,
-        'Sharp processing timeout'
-      );
-      const tnMeta = await sharp(tnPath).metadata();
-      results.thumbnails.push({ size: def.label, localPath: tnPath, width: tnMeta.width, height: tnMeta.height });
+      const mark = watermarkApplies(watermark, 'thumbnails', expectedWidth(meta, def)) ? watermark : null;
+      const tn = await renderOutput(inputPath, path.join(workDir, `${def.label}.${def.extension}`), def, mark, color);
+      results.thumbnails.push({ size: def.label, ...tn });
     } catch (err) {
-      logger.error({ err, size: def.label }, '[MACHINIST][SHARP] Failed to generate thumbnail');
+      logger.error({ err, size: def.label, profile: activeProfile.name }, '[MACHINIST][SHARP] Failed to generate thumbnail');
       throw new Error('sharp_derivative_failed::thumbnail');
     }
   }
@@ -1,7 +1,7 @@
 /**
  * MACHINIST STANDARD PROCESSOR
  * --------------------------------
- * Generates all non-preservation derivatives:
+ * Generates all non-preservation derivatives (per derivative profile):
  *   - viewing
  *   - thumbnails
  *   - ai
@@ -17,20 +17,29 @@ const {
   validateImageBuffer,
   detectMime,
 } = require('./machinist.utils');
-const { normalizeFilename, enforceResolution, normalizeExif } = require('./machinist.consistency');
+const { enforceResolution, normalizeExif } = require('./machinist.consistency');
 const { extractExifMetadata } = require('./machinist.exif');
 const sharp = require('sharp');
 
 const { generateDerivatives } = require('./machinist.sharp');
+const { prepareWorkingImage } = require('./machinist.decode');
 const { mergeMetadata } = require('./machinist.metadata');
-const { uploadMetadata } = require('./machinist.upload');
-
-const {
-  uploadAndRecordViewing,
-  uploadAndRecordThumbnail,
-  uploadAndRecordAI,
-} = require('./machinist.upload');
-const { downloadFile } = require('../../core/storage');
+const { hashFile } = require('../../core/checksum');
+const { PREMIS_EVENT_TYPES, recordPreservationEvent, withPreservationEvent } = require('../../preservation/premis.events');
+const { exportPreservationMetadata } = require('../../preservation/premis.export');
+const { uploadDerivativeSet, uploadTileSet, uploadRestorationSet, uploadAndRecordProduction } = require('./machinist.upload');
+const { resolveDerivativeProfile } = require('./machinist.profiles');
+const { resolveTileOptions, generateTiles } = require('./machinist.tiles');
+const { resolveWatermark, prepareWatermark } = require('./machinist.watermark');
+const { computePlaceholders } = require('./machinist.placeholders');
+const { describeColor } = require('./machinist.color');
+const { resolveQualityThresholds, assessQuality, flagAssetForReview } = require('./machinist.quality');
+const { resolveRestorationProfile, generateRestoration } = require('./machinist.restoration');
+const { resolveProductionOptions, generateProductionMaster } = require('./machinist.production');
+const { resolvePrivacyPolicy, applyPrivacyPolicy, scrubFile } = require('./machinist.privacy');
+const { loadCatalogue, embedFiles, downloadFiles } = require('./machinist.embed');
+const { getTenantSettings } = require('../../core/tenant-settings');
+const { downloadFile, listFiles } = require('../../core/storage');
 
 const { sendToDLQ } = require('../../resilience/dlq');
 const wrap = require('../../errors/wrap');
@@ -58,6 +67,15 @@ async function processStandardMachinistJob(logger, job) {
 
     const tenantId = job.tenant_id;
     const assetId = job.asset_id;
+    // Resolve the derivative profile up front so a bad profile fails before any download
+    const tenantSettings = await getTenantSettings(tenantId);
+    const profile = resolveDerivativeProfile({ job, tenantSettings });
+    const tileOptions = resolveTileOptions({ job, tenantSettings });
+    const watermarkSpec = resolveWatermark({ job, tenantSettings });
+    const qualityThresholds = resolveQualityThresholds({ job, tenantSettings });
+    const restorationProfile = resolveRestorationProfile({ job, tenantSettings });
+    const productionOptions = resolveProductionOptions({ job, tenantSettings });
+    const privacyPolicy = resolvePrivacyPolicy({ tenantSettings });
     const workDir = path.join(os.tmpdir(), `machinist-standard-${tenantId}-${assetId}-${Date.now()}`);
     ensureDir(workDir);
 
@@ -86,12 +104,6 @@ async function processStandardMachinistJob(logger, job) {
         }
       } catch (_) {}
     }
-    // Candidate extensions to try when not provided
-    const extCandidates = [];
-    if (ext) extCandidates.push(ext);
-    for (const e of ['tif', 'tiff', 'jpg', 'jpeg', 'png']) {
-      if (!extCandidates.includes(e)) extCandidates.push(e);
-    }
     let inputLocalPath = null;
     let downloaded = false;
     // Prefer using storage_path when available (authoritative)
@@ -116,44 +128,71 @@ async function processStandardMachinistJob(logger, job) {
         // fall through to constructed paths
       }
     }
-    // Fallback: try common constructed paths by extension
+    // Fallback: list the asset's landing prefix once and take its original.{ext}
     if (!downloaded) {
-      for (const e of extCandidates) {
-        const landingPath = path.posix.join(`tenant-${tenantId}`, `batch-${batchId}`, `asset-${assetId}`, `original.${e}`);
-        const localPath = path.join(workDir, `original.${e}`);
-        try {
-          await wrap(
-            () => withRetry(
-              () => downloadFile(config.b2.landingBucketId || config.b2.processedStandardBucketId, landingPath, localPath),
-              { logger, maxRetries: 2, baseDelay: 500, context: { step: 'download-original' } }
-            ),
-            logger,
-            { step: 'download-original' }
-          );
-          ext = e;
-          inputLocalPath = localPath;
-          downloaded = true;
-          break;
-        } catch (e1) {
-          continue;
-        }
+      const landingBucket = config.b2.landingBucketId || config.b2.processedStandardBucketId;
+      const originalPrefix = path.posix.join(`tenant-${tenantId}`, `batch-${batchId}`, `asset-${assetId}`, 'original.');
+      const { objects } = await wrap(
+        () => withRetry(
+          () => listFiles(landingBucket, originalPrefix, { limit: 100 }),
+          { logger, maxRetries: 2, baseDelay: 500, context: { step: 'list-original' } }
+        ),
+        logger,
+        { step: 'list-original' }
+      );
+      // Whitelisted extensions only; the job's extension wins when several are stored
+      const found = objects
+        .map((o) => ({ key: o.key, ext: sanitizeExt(o.key.slice(originalPrefix.length)) }))
+        .filter((o) => o.ext);
+      const original = found.find((o) => o.ext === ext) || found[0];
+      if (original) {
+        const localPath = path.join(workDir, `original.${original.ext}`);
+        await wrap(
+          () => withRetry(
+            () => downloadFile(landingBucket, original.key, localPath),
+            { logger, maxRetries: 2, baseDelay: 500, context: { step: 'download-original' } }
+          ),
+          logger,
+          { step: 'download-original' }
+        );
+        ext = original.ext;
+        inputLocalPath = localPath;
+        downloaded = true;
       }
     }
     if (!downloaded) {
-      throw new Error('[MACHINIST][STANDARD] Failed to download original with any known extension');
+      await recordPreservationEvent(job, { type: PREMIS_EVENT_TYPES.INGESTION, outcome: 'failure', detail: 'Original not found in landing storage' }, logger);
+      throw new Error('[MACHINIST][STANDARD] No original with a supported extension in landing storage');
     }
+    await recordPreservationEvent(job, { type: PREMIS_EVENT_TYPES.INGESTION, detail: 'Original downloaded from landing storage', object: path.basename(inputLocalPath) }, logger);
 
     const fileBuf = fs.readFileSync(inputLocalPath);
-    await validateImageBuffer(fileBuf);
-    const det = detectMime(fileBuf);
-    if (!det || !det.mime) throw new Error('UNSUPPORTED_MIME');
-    const meta = await sharp(fileBuf).metadata();
+    const det = await withPreservationEvent(job, logger, { type: PREMIS_EVENT_TYPES.VALIDATION, detail: 'Signature, MIME type and decodability checked' }, async () => {
+      await validateImageBuffer(fileBuf, { extension: ext });
+      const detected = detectMime(fileBuf, ext);
+      if (!detected || !detected.mime) throw new Error('UNSUPPORTED_MIME');
+      return detected;
+    });
+    // RAW / HEIF / JPEG 2000 are decoded to a working image; the original stays untouched
+    const working = await prepareWorkingImage({ logger, inputPath: inputLocalPath, workDir, detected: det });
+    const watermark = await prepareWatermark({ logger, spec: watermarkSpec, workDir });
+    const meta = await sharp(working.path).metadata();
     enforceResolution(meta.width, meta.height);
+    // Source ICC profile / space / depth; derivatives are converted to sRGB from it
+    const color = describeColor(meta);
+    // BlurHash / LQIP / palette for the manifest and the viewing row (best effort)
+    const placeholders = await computePlaceholders({ logger, inputPath: working.path });
+    // Sharpness / exposure / blank / skew; flags are recorded in asset.quality_review
+    const quality = await assessQuality({ logger, inputPath: working.path, thresholds: qualityThresholds });
+    if (working.decoded) {
+      try { job._decodedDimensions = { width: meta.width, height: meta.height }; } catch (_) {}
+    }
 
     // Extract EXIF (normalized)
     let exifNormalized = {};
+    let rawExif = null;
     try {
-      const rawExif = await extractExifMetadata(inputLocalPath);
+      rawExif = await extractExifMetadata(inputLocalPath);
       exifNormalized = normalizeExif(rawExif);
       // Attach for downstream fallbacks
       try { job._exifBitDepth = job._exifBitDepth || null; } catch (_) {}
@@ -161,6 +200,12 @@ async function processStandardMachinistJob(logger, job) {
       logger.warn({ err: e }, '[MACHINIST][STANDARD] EXIF extraction failed');
     }
 
+    // exiftool may be missing or silent about the profile; sharp saw it
+    if (color.profile && exifNormalized.image && !exifNormalized.image.icc_profile) exifNormalized.image.icc_profile = color.profile;
+    // GPS, serials, owner... leave the public manifest; the restricted record keeps them
+    const privacy = await applyPrivacyPolicy({ logger, job, workDir, policy: privacyPolicy, exif: exifNormalized, rawExif });
+    exifNormalized = privacy.exif;
+
     // 2a) Upload ORIGINAL into processed storage FIRST (fatal if this fails)
     //     This guarantees the source is preserved before any derivative work.
     {
@@ -188,7 +233,7 @@ async function processStandardMachinistJob(logger, job) {
                 bucketId,
                 remotePath: origRemote,
                 localPath: inputLocalPath,
-                contentType: 'application/octet-stream',
+                contentType: det.mime,
                 versionType: 'preservation',
                 purpose: 'preservation',
                 variant: 'original',
@@ -218,7 +263,7 @@ async function processStandardMachinistJob(logger, job) {
                 bucketId,
                 remotePath: origRemote,
                 localPath: inputLocalPath,
-                contentType: 'application/octet-stream',
+                contentType: det.mime,
                 versionType: purpose,
                 purpose,
                 variant: 'original',
@@ -235,88 +280,83 @@ async function processStandardMachinistJob(logger, job) {
     }
 
     // 2) Generate derivatives
-    const derivatives = await wrap(
-      () => withRetry(
-        () => generateDerivatives({ logger, job, inputPath: inputLocalPath, workDir }),
-        { logger, maxRetries: 2, baseDelay: 500, context: { step: 'sharp-derivatives' } }
-      ),
+    const derivatives = await withPreservationEvent(
+      job,
       logger,
-      { step: 'sharp-derivatives' }
+      { type: PREMIS_EVENT_TYPES.CREATION, detail: `Derivatives generated with profile ${profile.name}` },
+      () => wrap(
+        () => withRetry(
+          () => generateDerivatives({ logger, job, inputPath: working.path, workDir, profile, watermark }),
+          { logger, maxRetries: 2, baseDelay: 500, context: { step: 'sharp-derivatives' } }
+        ),
+        logger,
+        { step: 'sharp-derivatives' }
+      )
     );
 
-    // 3) Upload viewing
-    if (derivatives.viewing) {
-      const viewingRemote = path.posix.join(`tenant-${tenantId}`, `batch-${batchId}`,
-        `asset-${assetId}`,
-        'viewing',
-        `${normalizeFilename('viewing')}.jpg`
-      );
-      try {
-        // purpose=viewing, variant=processed
-        await wrap(
-          () => withRetry(
-            () => require('./machinist.upload').uploadAndRecord({ logger, job, bucketId: config.b2.processedStandardBucketId, remotePath: viewingRemote, localPath: derivatives.viewing.localPath, contentType: 'image/jpeg', versionType: 'viewing', purpose: 'viewing', variant: 'processed' }),
-            { logger, maxRetries: 2, baseDelay: 500, context: { step: 'upload-viewing' } }
-          ),
-          logger,
-          { step: 'upload-viewing' }
-        );
-      } catch (e) {
-        logger.error({ err: e }, '[MACHINIST] Viewing upload failed (continuing)');
-        try { await sendToDLQ(job, 'derivative_upload_failed:' + (e?.message || String(e)), logger); } catch (_) {}
-      }
+    // Re-processed assets already have a description: embed it into the download files
+    let catalogue = null;
+    try {
+      catalogue = await loadCatalogue({ job, tenantSettings, policy: privacyPolicy });
+      await embedFiles({ logger, files: downloadFiles(derivatives), catalogue });
+    } catch (err) {
+      logger.warn({ err }, '[MACHINIST][EMBED] Description write-back skipped');
     }
 
-    // 4) Upload AI
-    if (derivatives.ai) {
-      const aiRemote = path.posix.join(`tenant-${tenantId}`, `batch-${batchId}`,
-        `asset-${assetId}`,
-        'ai',
-        `${normalizeFilename('ai')}.jpg`
+    // 3) Upload every derivative the profile produced (viewing, AI, thumbnails)
+    await uploadDerivativeSet({ logger, job, derivatives, bucketId: config.b2.processedStandardBucketId, placeholders });
+
+    // 3b) Production purpose: full-resolution print TIFF at the requested DPI / ICC
+    if ((job.file_purpose || 'viewing').toLowerCase() === 'production' && productionOptions.enabled) {
+      const master = await withPreservationEvent(
+        job,
+        logger,
+        { type: PREMIS_EVENT_TYPES.CREATION, detail: `Print master generated at ${productionOptions.dpi} dpi (${productionOptions.color_space})` },
+        () => wrap(() => generateProductionMaster({ logger, inputPath: working.path, workDir, options: productionOptions }), logger, { step: 'production-master' })
+      );
+      // Print masters keep source EXIF; remove what the privacy policy withholds
+      const stripped = await wrap(() => scrubFile({ logger, filePath: master.localPath, policy: privacyPolicy }), logger, { step: 'production-privacy' });
+      master.metadata.privacy = { policy: privacyPolicy.name, stripped };
+      await embedFiles({ logger, files: [master], catalogue });
+      if (master.embedded) master.metadata.embedded_description = master.embedded;
+      const printRemote = path.posix.join(`tenant-${tenantId}`, `batch-${batchId}`, `asset-${assetId}`, 'production', path.basename(master.localPath));
+      await wrap(
+        () => withRetry(
+          () => uploadAndRecordProduction({ logger, job, bucketId: config.b2.processedStandardBucketId, remotePath: printRemote, localPath: master.localPath, contentType: master.contentType, metadata: master.metadata }),
+          { logger, maxRetries: 2, baseDelay: 500, context: { step: 'upload-production-master' } }
+        ),
+        logger,
+        { step: 'upload-production-master' }
       );
+    }
+
+    // 4) Optional deep-zoom tile pyramid (DZI / IIIF level-0)
+    if (tileOptions.layouts.length) {
       try {
-        await wrap(
-          () => withRetry(
-            () => uploadAndRecordAI({ logger, job, bucketId: config.b2.processedStandardBucketId, remotePath: aiRemote, localPath: derivatives.ai.localPath }),
-            { logger, maxRetries: 2, baseDelay: 500, context: { step: 'upload-ai' } }
-          ),
-          logger,
-          { step: 'upload-ai' }
-        );
-      } catch (e) {
-        logger.error({ err: e }, '[MACHINIST] AI upload failed (continuing)');
-        try { await sendToDLQ(job, 'derivative_upload_failed:' + (e?.message || String(e)), logger); } catch (_) {}
+        const tilesPrefix = path.posix.join(`tenant-${tenantId}`, `batch-${batchId}`, `asset-${assetId}`, 'tiles');
+        const tileSets = await generateTiles({ logger, inputPath: working.path, workDir, tilesPrefix, options: tileOptions, watermark });
+        await uploadTileSet({ logger, job, tileSets, bucketId: config.b2.processedStandardBucketId });
+      } catch (err) {
+        logger.warn({ err }, '[MACHINIST][STANDARD] Tile pyramid failed; continuing');
       }
     }
 
-    // 5) Upload thumbnails
-    if (Array.isArray(derivatives.thumbnails)) {
-      for (const tn of derivatives.thumbnails) {
-        const tnRemote = path.posix.join(`tenant-${tenantId}`, `batch-${batchId}`,
-          `asset-${assetId}`,
-          'thumbnails',
-          `${normalizeFilename(`thumb-${tn.size}`)}.jpg`
-        );
-        try {
-          await wrap(
-            () => withRetry(
-              () => uploadAndRecordThumbnail({ logger, job, bucketId: config.b2.processedStandardBucketId, remotePath: tnRemote, localPath: tn.localPath, size: tn.size }),
-              { logger, maxRetries: 2, baseDelay: 500, context: { step: 'upload-thumb', size: tn.size } }
-            ),
-            logger,
-            { step: 'upload-thumb' }
-          );
-        } catch (e) {
-          logger.error({ err: e, size: tn.size }, '[MACHINIST] Thumbnail upload failed (continuing)');
-          try { await sendToDLQ(job, 'derivative_upload_failed:' + (e?.message || String(e)), logger); } catch (_) {}
-        }
+    // 5) Restoration purpose: enhanced working copy and before/after comparison
+    if ((job.file_purpose || 'viewing').toLowerCase() === 'restoration' && restorationProfile.enabled) {
+      try {
+        const restoration = await withPreservationEvent(job, logger, { type: PREMIS_EVENT_TYPES.CREATION, detail: 'Restoration copy and before/after comparison generated' },
+          () => generateRestoration({ logger, inputPath: working.path, workDir, profile: restorationProfile, skewAngle: quality ? quality.skew_angle : undefined }));
+        await uploadRestorationSet({ logger, job, restoration, bucketId: config.b2.processedStandardBucketId });
+      } catch (err) {
+        logger.warn({ err }, '[MACHINIST][STANDARD] Restoration derivatives failed; continuing');
       }
     }
 
     // Attach merged metadata to ORIGINAL record and upload manifest.json to files bucket
     try {
       const aiBlock = job.ai_metadata || null;
-      const merged = await mergeMetadata({ exif: exifNormalized, ai: aiBlock, job });
+      const { sha256: originalChecksum } = await hashFile(inputLocalPath);
+      const merged = await mergeMetadata({ exif: exifNormalized, ai: aiBlock, job, checksum: originalChecksum, placeholders, quality, color, privacy: privacy.audit });
       const manifestLocal = path.join(workDir, 'manifest.json');
       await fse.writeJson(manifestLocal, merged, { spaces: 2 });
 
@@ -361,7 +401,17 @@ async function processStandardMachinistJob(logger, job) {
       logger.warn({ err }, '[MACHINIST][STANDARD] failed to attach/upload metadata');
     }
 
-    const result = { status: 'complete' };
+    // PREMIS / METS next to metadata/manifest.json
+    try {
+      await exportPreservationMetadata({ logger, assetId });
+    } catch (err) {
+      logger.warn({ err }, '[MACHINIST][STANDARD] PREMIS/METS export failed; continuing');
+    }
+
+    // Quality flags are recorded on the asset for review (cleared when it passes)
+    await flagAssetForReview({ logger, job, quality });
+
+    const result = { status: quality && quality.status === 'review' ? 'review' : 'complete', quality };
     logEnd(logger, job, result);
     try { await updateBatchStatus(job.batch_id); } catch (e) { logger.warn({ e }, '[MACHINIST][STANDARD] updateBatchStatus failed'); }
     return result;
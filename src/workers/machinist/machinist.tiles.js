@@ -0,0 +1,129 @@
+/**
+ * Deep-zoom tile pyramids (optional machinist step).
+ * Builds a DZI pyramid (image.dzi + image_files/) and/or a static IIIF
+ * level-0 tile set (info.json + {region}/{size}/0/default.jpg) from the
+ * working image using Sharp's tile output.
+ *
+ * Enabled by job.tiles -> tenant settings `tiles` -> MACHINIST_TILES env
+ * (true | 'dzi' | 'iiif' | 'both'; default off). Images whose longest edge
+ * is below TILES_MIN_DIMENSION are skipped: the viewing JPEG already covers them.
+ * Tiles are a public viewing output: when the tenant's watermark applies to
+ * viewing derivatives it is composited onto the full image before tiling, so
+ * the pyramid never republishes a clean full-resolution copy.
+ */
+const path = require('path');
+const fse = require('fs-extra');
+const { withTimeout } = require('@safety/with-timeout');
+const LIMITS = require('@safety/runtime-limits');
+const ValidationError = require('../../errors/ValidationError');
+const { watermarkApplies, buildOverlay } = require('./machinist.watermark');
+
+const TILE_LAYOUTS = ['dzi', 'iiif'];
+const DEFAULT_TILE_SIZE = parseInt(process.env.MACHINIST_TILE_SIZE || '512', 10);
+const TILES_MIN_DIMENSION = parseInt(process.env.TILES_MIN_DIMENSION || '2000', 10);
+const TILE_QUALITY = parseInt(process.env.MACHINIST_TILE_QUALITY || '85', 10);
+
+/**
+ * Resolve which tile layouts to build for a job.
+ * @param {{ job: object, tenantSettings?: Record<string, any> }} params
+ * @returns {{ layouts: string[], size: number }}
+ */
+function resolveTileOptions({ job, tenantSettings = {} }) {
+  const pick = [job && job.tiles, tenantSettings.tiles, process.env.MACHINIST_TILES].find((v) => v != null && v !== '');
+  let layouts = [];
+  const value = typeof pick === 'string' ? pick.toLowerCase() : pick;
+  if (value === true || value === 'true' || value === 'dzi') layouts = ['dzi'];
+  else if (value === 'iiif') layouts = ['iiif'];
+  else if (value === 'both') layouts = [...TILE_LAYOUTS];
+  else if (Array.isArray(value)) layouts = value.map((l) => String(l).toLowerCase());
+  else if (value != null && value !== false && value !== 'false' && value !== 'none') {
+    throw new ValidationError('INVALID_TILES_OPTION', 'tiles', `tiles must be one of: true, dzi, iiif, both, none`);
+  }
+  for (const l of layouts) {
+    if (!TILE_LAYOUTS.includes(l)) {
+      throw new ValidationError('INVALID_TILES_OPTION', 'tiles', `Unknown tile layout: ${l}`);
+    }
+  }
+
+  const size = Number((job && job.tile_size) || tenantSettings.tile_size || DEFAULT_TILE_SIZE);
+  if (!Number.isInteger(size) || size < 128 || size > 2048) {
+    throw new ValidationError('INVALID_TILES_OPTION', 'tile_size', 'tile_size must be an integer between 128 and 2048');
+  }
+  return { layouts: [...new Set(layouts)], size };
+}
+
+/**
+ * Public base for IIIF `id` values. Static level-0 tiles are served straight
+ * from storage, so this should be the CDN/bucket URL fronting processed-standard.
+ * @param {string} tilesPrefix storage key prefix of the asset's tiles directory
+ */
+function iiifTileId(tilesPrefix) {
+  const base = String(process.env.TILES_BASE_URL || '').replace(/\/+$/, '');
+  return base ? `${base}/${tilesPrefix}` : tilesPrefix;
+}
+
+/**
+ * Build tile pyramids for the working image.
+ * @param {object} params
+ * @param {import('pino').Logger} params.logger
+ * @param {string} params.inputPath working image
+ * @param {string} params.workDir
+ * @param {string} params.tilesPrefix storage prefix (…/asset-{id}/tiles)
+ * @param {{ layouts: string[], size: number }} params.options from resolveTileOptions()
+ * @param {object|null} [params.watermark] prepared watermark (machinist.watermark.js)
+ * @returns {Promise<{ layout: string, localDir: string, descriptor: string, width: number, height: number, tileSize: number, levels: number, watermark: object|null }[]>}
+ */
+async function generateTiles({ logger, inputPath, workDir, tilesPrefix, options, watermark = null }) {
+  if (!options || !options.layouts.length) return [];
+  const sharp = require('sharp');
+  const meta = await sharp(inputPath).metadata();
+  // Tiles are rendered after EXIF auto-orientation; orientations 5-8 swap the axes
+  const swap = (meta.orientation || 1) >= 5;
+  const width = swap ? meta.height : meta.width;
+  const height = swap ? meta.width : meta.height;
+  const longest = Math.max(width || 0, height || 0);
+  if (longest < TILES_MIN_DIMENSION) {
+    logger.info({ width, height, min: TILES_MIN_DIMENSION }, '[MACHINIST][TILES] Image below tiling threshold; skipping');
+    return [];
+  }
+  // Pyramid levels down to 1px (DZI convention)
+  const levels = Math.ceil(Math.log2(longest)) + 1;
+  // Sized against the full image, as the viewing derivative's mark is against its own size
+  const overlay = watermarkApplies(watermark, 'viewing', width) ? await buildOverlay(watermark, width, height) : null;
+
+  const out = [];
+  for (const layout of options.layouts) {
+    // IIIF: libvips writes <target>/info.json and refuses an existing directory,
+    // so only the parent is created; info.json id becomes <tile id>/iiif
+    const localDir = path.join(workDir, 'tiles', layout);
+    await fse.ensureDir(layout === 'iiif' ? path.dirname(localDir) : localDir);
+    const tile = layout === 'iiif'
+      ? { size: options.size, layout: 'iiif3', id: iiifTileId(tilesPrefix) }
+      : { size: options.size, overlap: 1, layout: 'dz' };
+    const target = layout === 'iiif' ? localDir : path.join(localDir, 'image.dz');
+    try {
+      await withTimeout(
+        (overlay ? sharp(inputPath).rotate().composite([overlay]) : sharp(inputPath).rotate())
+          .jpeg({ quality: TILE_QUALITY }).tile(tile).toFile(target),
+        LIMITS.TILES_TIMEOUT_MS,
+        'Sharp tiling timeout'
+      );
+    } catch (err) {
+      logger.error({ err, layout }, '[MACHINIST][TILES] Failed to build tile pyramid');
+      throw new Error(`tiles_generation_failed::${layout}`);
+    }
+    out.push({
+      layout,
+      localDir,
+      descriptor: layout === 'iiif' ? 'info.json' : 'image.dzi',
+      width,
+      height,
+      tileSize: options.size,
+      levels,
+      watermark: overlay ? watermark.description : null,
+    });
+  }
+  return out;
+}
+
+module.exports = { TILE_LAYOUTS, resolveTileOptions, generateTiles };
@@ -4,21 +4,37 @@
 const { uploadFile } = require('../../core/storage');
 const { callRpc, supabase } = require('../../core/supabase');
 const { detectMime } = require('./machinist.utils');
+const { normalizeFilename } = require('./machinist.consistency');
+const { formatVariant } = require('./machinist.profiles');
+const { withColorMetadata } = require('./machinist.color');
 const path = require('path');
-const config = require('../../core/config');
+const fs = require('fs');
+const pLimit = require('p-limit');
+const wrap = require('../../errors/wrap');
+const { withRetry } = require('../../resilience/retry');
+const { sendToDLQ } = require('../../resilience/dlq');
+const { resolveBucketName } = require('../../core/buckets');
+const { hashFile, compareChecksums } = require('../../core/checksum');
+const ChecksumMismatchError = require('../../errors/ChecksumMismatchError');
+const { PREMIS_EVENT_TYPES, recordPreservationEvent } = require('../../preservation/premis.events');
+const { classifyKey, recordStorageUsage } = require('../../core/storage-usage');
 
-function resolveBucketName(bucketId) {
-  try {
-    if (!bucketId) return null;
-    if (bucketId === config.b2.landingBucketId) return 'B2_landing_bucket';
-    if (bucketId === config.b2.processedStandardBucketId) return 'B2_processed_standard_bucket';
-    if (bucketId === config.b2.processedArchiveBucketId) return 'B2_processed_archive_bucket';
-    if (bucketId === config.b2.filesBucketId) return 'B2_files_bucket';
-    if (config.aws && config.aws.archiveBucket && bucketId === config.aws.archiveBucket) return 'AWS_archival';
-    return bucketId;
-  } catch (_) {
-    return bucketId;
+// Outputs the archivist, write-back and IIIF read back soon after upload
+const CACHED_ON_UPLOAD = new Set(['viewing', 'ai']);
+
+/**
+ * Upload a file and check the digests storage reports back against the
+ * local ones. Throws ChecksumMismatchError when they differ.
+ * @param {{ logger: import('pino').Logger, bucketId: string, remotePath: string, localPath: string, contentType: string, hashes: Record<string, string>, cache?: boolean }} params
+ * @returns {Promise<{ stored: object, verified: boolean }>} verified is false when storage reported nothing comparable
+ */
+async function uploadVerified({ logger, bucketId, remotePath, localPath, contentType, hashes, cache = false }) {
+  const stored = await uploadFile(bucketId, remotePath, localPath, contentType, { checksums: hashes, logger, cache });
+  const check = compareChecksums(hashes, stored);
+  if (check.verified === false) {
+    throw new ChecksumMismatchError(`Checksum mismatch after upload (${check.algorithm})`, { ...check, path: remotePath });
   }
+  return { stored, verified: check.verified === true || !!stored.parts_verified };
 }
 
 /**
@@ -31,17 +47,23 @@ function resolveBucketName(bucketId) {
  * @param {string} params.localPath
  * @param {string} params.contentType
  * @param {string} params.versionType
+ * @param {object} [params.metadata] stored on the version row; images also get `icc_profile`
+ *   (existing metadata is kept when omitted)
+ * @returns {Promise<{ remotePath: string, checksum: string, checksum_algorithm: 'sha256' }>}
  */
-async function uploadAndRecord({ logger, job, bucketId, remotePath, localPath, contentType, versionType, purpose, variant }) {
+async function uploadAndRecord({ logger, job, bucketId, remotePath, localPath, contentType, versionType, purpose, variant, metadata }) {
   logger.info({ tenant_id: job.tenant_id, asset_id: job.asset_id, remotePath }, '[MACHINIST][UPLOAD] Uploading file');
   // Determine effective MIME: treat octet-stream as unspecified and infer
   let effectiveContentType = contentType;
   try {
     if (!effectiveContentType || effectiveContentType === 'application/octet-stream') {
       try {
-        const fs = require('fs');
-        const buf = fs.readFileSync(localPath);
-        const det = detectMime(buf);
+        // Magic bytes and TIFF IFD0 sit at the start; never read the whole file
+        const fd = fs.openSync(localPath, 'r');
+        const head = Buffer.alloc(64 * 1024);
+        let bytesRead = 0;
+        try { bytesRead = fs.readSync(fd, head, 0, head.length, 0); } finally { fs.closeSync(fd); }
+        const det = detectMime(head.subarray(0, bytesRead));
         if (det && det.mime) {
           effectiveContentType = det.mime;
         } else {
@@ -49,14 +71,39 @@ async function uploadAndRecord({ logger, job, bucketId, remotePath, localPath, c
           if (ext === '.jpg' || ext === '.jpeg') effectiveContentType = 'image/jpeg';
           else if (ext === '.png') effectiveContentType = 'image/png';
           else if (ext === '.tif' || ext === '.tiff') effectiveContentType = 'image/tiff';
+          else if (ext === '.webp') effectiveContentType = 'image/webp';
+          else if (ext === '.avif') effectiveContentType = 'image/avif';
+          else if (ext === '.heic') effectiveContentType = 'image/heic';
+          else if (ext === '.heif') effectiveContentType = 'image/heif';
+          else if (ext === '.jp2') effectiveContentType = 'image/jp2';
         }
       } catch (_) { /* fallback below */ }
     }
   } catch (_) { /* ignore mime inference errors */ }
+  // Streaming SHA-256 is our record; SHA1/MD5 are what B2/S3 report back
+  const hashes = await hashFile(localPath, ['sha256', 'sha1', 'md5']);
   try {
-    await uploadFile(bucketId, remotePath, localPath, effectiveContentType);
+    const { verified } = await uploadVerified({
+      logger,
+      bucketId,
+      remotePath,
+      localPath,
+      contentType: effectiveContentType,
+      hashes,
+      cache: CACHED_ON_UPLOAD.has(purpose || job.file_purpose) || (variant || versionType) === 'original',
+    });
+    if (!verified) {
+      logger.warn({ remotePath }, '[MACHINIST][UPLOAD] Storage reported no comparable checksum; recorded local SHA-256 only');
+    }
   } catch (err) {
     logger.error({ err, localPath }, '[MACHINIST][UPLOAD] Upload failed');
+    await recordPreservationEvent(job, {
+      type: PREMIS_EVENT_TYPES.REPLICATION,
+      outcome: 'failure',
+      detail: `Upload of ${variant || versionType} to ${resolveBucketName(bucketId)} failed`,
+      object: remotePath,
+      extra: { error: err && err.message, sha256: hashes.sha256 },
+    }, logger);
     // Create failed version record
     try {
       const pv = purpose || job.file_purpose;
@@ -87,14 +134,21 @@ async function uploadAndRecord({ logger, job, bucketId, remotePath, localPath, c
   }
 
   // Create success record
+  let storedSize = null, previous = null;
   try {
     // Derive file_size and image dimensions when possible
-    let file_size = null, width = null, height = null, mime_type = (effectiveContentType && effectiveContentType !== 'application/octet-stream') ? effectiveContentType : null, bit_depth = null, color_space = null;
+    let file_size = null, width = null, height = null, mime_type = (effectiveContentType && effectiveContentType !== 'application/octet-stream') ? effectiveContentType : null, bit_depth = null, color_space = null, imageMeta = null;
     try { const fs = require('fs'); const s = fs.statSync(localPath); file_size = s.size; } catch (_) {}
+    // Decoded originals (RAW/HEIF/JP2): sharp sees at most an embedded preview, use the working image size
+    if (job && job._decodedDimensions && (variant || versionType) === 'original') {
+      width = job._decodedDimensions.width || null;
+      height = job._decodedDimensions.height || null;
+    }
     try {
       // Attempt to read image metadata (will throw for non-images; safe to ignore)
       const sharp = require('sharp');
       const meta = await sharp(localPath).metadata();
+      imageMeta = meta;
       width = width || meta.width || null;
       height = height || meta.height || null;
       // Map sharp metadata to our schema
@@ -127,13 +181,18 @@ async function uploadAndRecord({ logger, job, bucketId, remotePath, localPath, c
     const vr = variant || versionType;
     const { data: existing } = await supabase
       .from('asset_versions')
-      .select('id')
+      .select('id, status, file_size, storage_path, bucket_name, metadata')
       .eq('asset_id', job.asset_id)
       .eq('purpose', pv)
       .eq('variant', vr)
       .eq('type', versionType)
       .limit(1)
       .maybeSingle();
+    storedSize = file_size;
+    previous = existing || null;
+    // Embedded ICC profile name of the stored image, next to converted_from on derivatives
+    let recordMetadata = metadata || null;
+    if (imageMeta) recordMetadata = withColorMetadata(imageMeta, metadata || (existing && existing.metadata) || null);
     if (existing && existing.id) {
       await supabase.from('asset_versions').update({
         name: vr || null,
@@ -144,10 +203,11 @@ async function uploadAndRecord({ logger, job, bucketId, remotePath, localPath, c
         color_space,
         storage_path: remotePath,
         status: 'success',
-        checksum: null,
+        checksum: hashes.sha256,
         checksum_algorithm: 'sha256',
         mime_type,
         bucket_name: resolveBucketName(bucketId),
+        ...(recordMetadata ? { metadata: recordMetadata } : {}),
         updated_at: new Date().toISOString(),
       }).eq('id', existing.id);
     } else {
@@ -166,10 +226,10 @@ async function uploadAndRecord({ logger, job, bucketId, remotePath, localPath, c
           height,
           bit_depth,
           color_space,
-          metadata: null,
+          metadata: recordMetadata,
           storage_path: remotePath,
           status: 'success',
-          checksum: null,
+          checksum: hashes.sha256,
           checksum_algorithm: 'sha256',
           mime_type,
           bucket_name: resolveBucketName(bucketId),
@@ -182,74 +242,306 @@ async function uploadAndRecord({ logger, job, bucketId, remotePath, localPath, c
     logger.error({ err: rpcErr }, '[MACHINIST][UPLOAD] Failed to create success version record');
     throw rpcErr;
   }
+  // Storage accounting: re-uploading the same object only moves its byte count
+  const bucketName = resolveBucketName(bucketId);
+  const replaced = !!previous && previous.status === 'success' && previous.storage_path === remotePath && previous.bucket_name === bucketName;
+  await recordStorageUsage({
+    tenant_id: job.tenant_id,
+    bucket_name: bucketName,
+    purpose: classifyKey(remotePath).purpose,
+    bytes: (storedSize || 0) - (replaced ? Number(previous.file_size) || 0 : 0),
+    objects: replaced ? 0 : 1,
+  }, logger);
+  await recordPreservationEvent(job, {
+    type: PREMIS_EVENT_TYPES.REPLICATION,
+    detail: `Stored ${variant || versionType} in ${resolveBucketName(bucketId)}; SHA-256 ${hashes.sha256}`,
+    object: remotePath,
+    extra: { sha256: hashes.sha256 },
+  }, logger);
+  return { remotePath, checksum: hashes.sha256, checksum_algorithm: 'sha256' };
+}
+
+async function uploadAndRecordPreservation({ logger, job, bucketId, remotePath, localPath, contentType = 'application/octet-stream' }) {
+  return uploadAndRecord({ logger, job, bucketId, remotePath, localPath, contentType, versionType: 'preservation', purpose: job.file_purpose, variant: 'original' });
 }
 
-async function uploadAndRecordPreservation({ logger, job, bucketId, remotePath, localPath }) {
-  return uploadAndRecord({ logger, job, bucketId, remotePath, localPath, contentType: 'application/octet-stream', versionType: 'preservation', purpose: job.file_purpose, variant: 'original' });
+async function uploadAndRecordViewing({ logger, job, bucketId, remotePath, localPath, contentType = 'image/jpeg', format, metadata }) {
+  // Alternate formats get their own row: processed_webp, processed_avif, ...
+  const variant = format ? formatVariant('processed', format) : 'processed';
+  return uploadAndRecord({ logger, job, bucketId, remotePath, localPath, contentType, versionType: 'viewing', purpose: 'viewing', variant, metadata });
 }
 
-async function uploadAndRecordViewing({ logger, job, bucketId, remotePath, localPath }) {
-  return uploadAndRecord({ logger, job, bucketId, remotePath, localPath, contentType: 'image/jpeg', versionType: 'viewing', purpose: 'viewing', variant: 'processed' });
+async function uploadAndRecordProduction({ logger, job, bucketId, remotePath, localPath, contentType = 'image/tiff', metadata }) {
+  // DPI, print size and ICC go in metadata; color_space / bit_depth are read back from the file
+  return uploadAndRecord({ logger, job, bucketId, remotePath, localPath, contentType, versionType: 'production', purpose: 'production', variant: 'print', metadata });
 }
 
-async function uploadAndRecordAI({ logger, job, bucketId, remotePath, localPath }) {
-  return uploadAndRecord({ logger, job, bucketId, remotePath, localPath, contentType: 'image/jpeg', versionType: 'ai', purpose: 'ai', variant: 'ai' });
+async function uploadAndRecordAI({ logger, job, bucketId, remotePath, localPath, contentType = 'image/jpeg', metadata }) {
+  return uploadAndRecord({ logger, job, bucketId, remotePath, localPath, contentType, versionType: 'ai', purpose: 'ai', variant: 'ai', metadata });
 }
 
-async function uploadAndRecordThumbnail({ logger, job, bucketId, remotePath, localPath, size }) {
-  // Purpose and type as 'thumbnail', variant as size label (small|medium|large)
-  return uploadAndRecord({ logger, job, bucketId, remotePath, localPath, contentType: 'image/jpeg', versionType: 'thumbnail', purpose: 'thumbnail', variant: size });
+async function uploadAndRecordThumbnail({ logger, job, bucketId, remotePath, localPath, size, contentType = 'image/jpeg', format, metadata }) {
+  // Purpose and type as 'thumbnail', variant as the profile size label (small|medium|large|...),
+  // suffixed with the format for alternates (small_webp, small_avif, ...)
+  const variant = format ? formatVariant(size, format) : size;
+  return uploadAndRecord({ logger, job, bucketId, remotePath, localPath, contentType, versionType: 'thumbnail', purpose: 'thumbnail', variant, metadata });
 }
 
 /**
- * Upload metadata JSON and create a version record.
+ * Upload the full derivative set returned by generateDerivatives() and record
+ * one version per output, including each alternate format (WebP/AVIF) of the
+ * viewing and thumbnail outputs. A failed output is logged and sent to the
+ * DLQ; the remaining outputs still upload.
  * @param {object} params
  * @param {import('pino').Logger} params.logger
  * @param {object} params.job
+ * @param {object} params.derivatives
  * @param {string} params.bucketId
- * @param {string} params.remotePath
- * @param {string} params.localPath
+ * @param {object|null} [params.placeholders] BlurHash / LQIP / palette recorded on the viewing row
+ * @returns {Promise<{ viewing?: { path: string }, ai?: { path: string }, thumbnails: { path: string, size: string }[], alternates: { path: string, variant: string, format: string }[] }>}
  */
-async function uploadMetadata({ logger, job, bucketId, remotePath, localPath }) {
-  return uploadAndRecord({ logger, job, bucketId, remotePath, localPath, contentType: 'application/json', versionType: 'metadata', purpose: job.file_purpose, variant: 'metadata' });
+async function uploadDerivativeSet({ logger, job, derivatives, bucketId, placeholders = null }) {
+  const assetPrefix = path.posix.join(`tenant-${job.tenant_id}`, `batch-${job.batch_id || 'unknown'}`, `asset-${job.asset_id}`);
+  const versions = { thumbnails: [], alternates: [] };
+
+  async function attempt(step, fn, context = {}) {
+    try {
+      await wrap(() => withRetry(fn, { logger, maxRetries: 2, baseDelay: 500, context: { step, ...context } }), logger, { step });
+      return true;
+    } catch (e) {
+      logger.error({ err: e, step, ...context }, '[MACHINIST][UPLOAD] Derivative upload failed (continuing)');
+      try { await sendToDLQ(job, 'derivative_upload_failed:' + (e && e.message ? e.message : String(e)), logger); } catch (_) {}
+      return false;
+    }
+  }
+
+  // Watermark settings used (or null) are recorded so derivatives can be regenerated when a mark changes;
+  // converted_from names the source profile a derivative was converted to sRGB from
+  const markOf = (d) => ({
+    watermark: d.watermark || null,
+    ...(d.converted_from ? { converted_from: d.converted_from } : {}),
+    ...(d.embedded ? { embedded_description: d.embedded } : {}),
+  });
+
+  if (derivatives.viewing) {
+    const d = derivatives.viewing;
+    const remotePath = path.posix.join(assetPrefix, 'viewing', `${normalizeFilename('viewing')}.${d.extension || 'jpg'}`);
+    if (await attempt('upload-viewing', () => uploadAndRecordViewing({ logger, job, bucketId, remotePath, localPath: d.localPath, contentType: d.contentType, metadata: { ...markOf(d), placeholders } }))) {
+      versions.viewing = { path: remotePath };
+    }
+    for (const alt of d.alternates || []) {
+      const altPath = path.posix.join(assetPrefix, 'viewing', `${normalizeFilename('viewing')}.${alt.extension}`);
+      if (await attempt('upload-viewing-alt', () => uploadAndRecordViewing({ logger, job, bucketId, remotePath: altPath, localPath: alt.localPath, contentType: alt.contentType, format: alt.format, metadata: markOf(alt) }), { format: alt.format })) {
+        versions.alternates.push({ path: altPath, variant: formatVariant('processed', alt.format), format: alt.format });
+      }
+    }
+  }
+
+  if (derivatives.ai) {
+    const d = derivatives.ai;
+    const remotePath = path.posix.join(assetPrefix, 'ai', `${normalizeFilename('ai')}.${d.extension || 'jpg'}`);
+    if (await attempt('upload-ai', () => uploadAndRecordAI({ logger, job, bucketId, remotePath, localPath: d.localPath, contentType: d.contentType, metadata: markOf(d) }))) {
+      versions.ai = { path: remotePath };
+    }
+  }
+
+  for (const tn of derivatives.thumbnails || []) {
+    const remotePath = path.posix.join(assetPrefix, 'thumbnails', `${normalizeFilename(`thumb-${tn.size}`)}.${tn.extension || 'jpg'}`);
+    if (await attempt('upload-thumb', () => uploadAndRecordThumbnail({ logger, job, bucketId, remotePath, localPath: tn.localPath, size: tn.size, contentType: tn.contentType, metadata: markOf(tn) }), { size: tn.size })) {
+      versions.thumbnails.push({ path: remotePath, size: tn.size });
+    }
+    for (const alt of tn.alternates || []) {
+      const altPath = path.posix.join(assetPrefix, 'thumbnails', `${normalizeFilename(`thumb-${tn.size}`)}.${alt.extension}`);
+      if (await attempt('upload-thumb-alt', () => uploadAndRecordThumbnail({ logger, job, bucketId, remotePath: altPath, localPath: alt.localPath, size: tn.size, contentType: alt.contentType, format: alt.format, metadata: markOf(alt) }), { size: tn.size, format: alt.format })) {
+        versions.alternates.push({ path: altPath, variant: formatVariant(tn.size, alt.format), format: alt.format });
+      }
+    }
+  }
+
+  return versions;
+}
+
+const TILE_UPLOAD_CONCURRENCY = parseInt(process.env.TILE_UPLOAD_CONCURRENCY || '8', 10);
+
+function listFilesRecursive(dir) {
+  const out = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) out.push(...listFilesRecursive(full));
+    else if (entry.isFile()) out.push(full);
+  }
+  return out;
+}
+
+function tileContentType(file) {
+  const ext = path.extname(file).toLowerCase();
+  if (ext === '.dzi' || ext === '.xml') return 'application/xml';
+  if (ext === '.json') return 'application/json';
+  if (ext === '.png') return 'image/png';
+  if (ext === '.webp') return 'image/webp';
+  return 'image/jpeg';
 }
 
 /**
- * Unified upload API for Machinist pipelines.
- * Accepts a buffer + remote path + mime type.
- * Delegates to existing uploadFileToB2() when available or falls back to core/storage.
+ * Upload tile pyramids from generateTiles() under `asset-{id}/tiles/{layout}/` and
+ * record one `tiles` version per layout (variant dzi|iiif) pointing at the
+ * descriptor. Every tile is checked against the digests storage reports, as
+ * uploadAndRecord does, and the tiles' SHA-256s go into a checksum manifest
+ * (`checksums.json`, variant `{layout}_checksums`) recorded before the
+ * descriptor. Tiles upload first; the descriptor and its row are written last
+ * so a recorded version always has a complete, verified pyramid behind it.
+ * A failed layout is logged and sent to the DLQ; the job continues.
+ * @param {object} params
+ * @param {import('pino').Logger} params.logger
+ * @param {object} params.job
+ * @param {object[]} params.tileSets
+ * @param {string} params.bucketId
+ * @returns {Promise<{ path: string, layout: string, tiles: number }[]>}
  */
-async function uploadToB2({ buffer, path, mime }) {
-  // If an optimized uploader exists, use it
-  try {
-    if (typeof uploadFileToB2 === 'function') {
-      return uploadFileToB2({ fileBuffer: buffer, remotePath: path, contentType: mime });
+async function uploadTileSet({ logger, job, tileSets, bucketId }) {
+  const assetPrefix = path.posix.join(`tenant-${job.tenant_id}`, `batch-${job.batch_id || 'unknown'}`, `asset-${job.asset_id}`);
+  const limit = pLimit(TILE_UPLOAD_CONCURRENCY);
+  const recorded = [];
+
+  for (const set of tileSets || []) {
+    const step = `upload-tiles-${set.layout}`;
+    const remoteDir = path.posix.join(assetPrefix, 'tiles', set.layout);
+    const descriptorRemote = path.posix.join(remoteDir, set.descriptor);
+    const manifestRemote = path.posix.join(remoteDir, 'checksums.json');
+    try {
+      const files = listFilesRecursive(set.localDir);
+      const descriptorLocal = path.join(set.localDir, set.descriptor);
+      const tiles = files.filter((f) => f !== descriptorLocal);
+      logger.info({ layout: set.layout, tiles: tiles.length }, '[MACHINIST][UPLOAD] Uploading tile pyramid');
+      const checksums = {};
+      let unverified = 0;
+      await Promise.all(tiles.map((file) => limit(async () => {
+        const rel = path.relative(set.localDir, file).split(path.sep).join('/');
+        const hashes = await hashFile(file, ['sha256', 'sha1', 'md5']);
+        const { verified } = await withRetry(
+          () => uploadVerified({ logger, bucketId, remotePath: path.posix.join(remoteDir, rel), localPath: file, contentType: tileContentType(file), hashes }),
+          { logger, maxRetries: 2, baseDelay: 500, context: { step } }
+        );
+        if (!verified) unverified += 1;
+        checksums[rel] = hashes.sha256;
+      })));
+      if (unverified) {
+        logger.warn({ layout: set.layout, unverified }, '[MACHINIST][UPLOAD] Storage reported no comparable checksum for some tiles; recorded local SHA-256 only');
+      }
+
+      const manifestLocal = path.join(path.dirname(set.localDir), `${set.layout}-checksums.json`);
+      const sorted = Object.fromEntries(Object.keys(checksums).sort().map((k) => [k, checksums[k]]));
+      fs.writeFileSync(manifestLocal, JSON.stringify({ algorithm: 'sha256', base_path: remoteDir, files: sorted }, null, 2));
+      const record = (params) => wrap(() => withRetry(() => uploadAndRecord({
+        logger,
+        job,
+        bucketId,
+        versionType: 'tiles',
+        purpose: 'viewing',
+        ...params,
+      }), { logger, maxRetries: 2, baseDelay: 500, context: { step } }), logger, { step });
+
+      await record({
+        remotePath: manifestRemote,
+        localPath: manifestLocal,
+        contentType: 'application/json',
+        variant: `${set.layout}_checksums`,
+        metadata: { layout: set.layout, base_path: remoteDir, algorithm: 'sha256', tile_count: tiles.length },
+      });
+      await record({
+        remotePath: descriptorRemote,
+        localPath: descriptorLocal,
+        contentType: tileContentType(descriptorLocal),
+        variant: set.layout,
+        metadata: {
+          layout: set.layout,
+          base_path: remoteDir,
+          descriptor: set.descriptor,
+          tile_size: set.tileSize,
+          tile_count: tiles.length,
+          levels: set.levels,
+          width: set.width,
+          height: set.height,
+          checksums: manifestRemote,
+          watermark: set.watermark || null,
+        },
+      });
+      recorded.push({ path: descriptorRemote, layout: set.layout, tiles: tiles.length });
+    } catch (e) {
+      logger.error({ err: e, layout: set.layout }, '[MACHINIST][UPLOAD] Tile upload failed (continuing)');
+      try { await sendToDLQ(job, 'tiles_upload_failed:' + (e && e.message ? e.message : String(e)), logger); } catch (_) {}
     }
-  } catch (_) {
-    // ignore and fall back
   }
+  return recorded;
+}
 
-  // Fallback: write buffer to tmp file and use core/storage.uploadFile
-  const fs = require('fs');
-  const os = require('os');
-  const p = require('path');
-  const config = require('../../core/config');
-  const tmpPath = p.join(os.tmpdir(), `machinist-upload-${Date.now()}-${Math.random().toString(36).slice(2)}${p.extname(path) || ''}`);
-  fs.writeFileSync(tmpPath, buffer);
-  const bucketId = path.includes('/archive/')
-    ? (config.b2.processedArchiveBucketId || config.b2.processedStandardBucketId)
-    : config.b2.processedStandardBucketId;
-  await uploadFile(bucketId, path, tmpPath, mime);
-  try { fs.unlinkSync(tmpPath); } catch (_) {}
-  return { path, bucketId };
+/**
+ * Upload the restoration outputs from generateRestoration() under
+ * `asset-{id}/restoration/` as purpose `restoration`, variants `restored` and
+ * `comparison`. A failed upload is logged and sent to the DLQ; the job continues.
+ * @param {object} params
+ * @param {import('pino').Logger} params.logger
+ * @param {object} params.job
+ * @param {{ restored: object, comparison: object|null }} params.restoration
+ * @param {string} params.bucketId
+ * @returns {Promise<{ restored?: { path: string }, comparison?: { path: string } }>}
+ */
+async function uploadRestorationSet({ logger, job, restoration, bucketId }) {
+  const recorded = {};
+  if (!restoration) return recorded;
+  const assetPrefix = path.posix.join(`tenant-${job.tenant_id}`, `batch-${job.batch_id || 'unknown'}`, `asset-${job.asset_id}`, 'restoration');
+  const outputs = [
+    ['restored', restoration.restored, { operations: restoration.restored.operations, deskew_angle: restoration.restored.deskew_angle, crop: restoration.restored.crop }],
+    ['comparison', restoration.comparison, { layout: 'before-after' }],
+  ];
+  for (const [variant, out, metadata] of outputs) {
+    if (!out) continue;
+    const step = `upload-restoration-${variant}`;
+    const remotePath = path.posix.join(assetPrefix, path.basename(out.localPath));
+    try {
+      await wrap(() => withRetry(() => uploadAndRecord({
+        logger,
+        job,
+        bucketId,
+        remotePath,
+        localPath: out.localPath,
+        contentType: out.contentType,
+        versionType: 'restoration',
+        purpose: 'restoration',
+        variant,
+        metadata,
+      }), { logger, maxRetries: 2, baseDelay: 500, context: { step } }), logger, { step });
+      recorded[variant] = { path: remotePath };
+    } catch (e) {
+      logger.error({ err: e, variant }, '[MACHINIST][UPLOAD] Restoration upload failed (continuing)');
+      try { await sendToDLQ(job, 'restoration_upload_failed:' + (e && e.message ? e.message : String(e)), logger); } catch (_) {}
+    }
+  }
+  return recorded;
+}
+
+/**
+ * Upload metadata JSON and create a version record.
+ * @param {object} params
+ * @param {import('pino').Logger} params.logger
+ * @param {object} params.job
+ * @param {string} params.bucketId
+ * @param {string} params.remotePath
+ * @param {string} params.localPath
+ */
+async function uploadMetadata({ logger, job, bucketId, remotePath, localPath }) {
+  return uploadAndRecord({ logger, job, bucketId, remotePath, localPath, contentType: 'application/json', versionType: 'metadata', purpose: job.file_purpose, variant: 'metadata' });
 }
 
 module.exports = {
   uploadAndRecord,
-  uploadToB2,
   uploadAndRecordPreservation,
   uploadAndRecordViewing,
   uploadAndRecordAI,
+  uploadAndRecordProduction,
   uploadAndRecordThumbnail,
+  uploadDerivativeSet,
+  uploadTileSet,
+  uploadRestorationSet,
   uploadMetadata,
 };
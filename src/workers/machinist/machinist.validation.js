@@ -1,21 +1,34 @@
 const sharp = require('sharp');
 const ValidationError = require('../../errors/ValidationError');
+const { detectMime } = require('./machinist.mime');
 
 function isValidMagic(buffer) {
   if (!buffer || buffer.length < 4) return false;
-  const b = buffer;
-  // JPEG, PNG, TIFF signatures
-  if (b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff) return true;
-  if (b[0] === 0x89 && b[1] === 0x50 && b[2] === 0x4e && b[3] === 0x47) return true;
-  if ((b[0] === 0x49 && b[1] === 0x49 && b[2] === 0x2a && b[3] === 0x00) || (b[0] === 0x4d && b[1] === 0x4d && b[2] === 0x00 && b[3] === 0x2a)) return true;
-  return false;
+  // Same signature table as detectMime (JPEG, PNG, TIFF, WebP, HEIF, JPEG 2000, RAW)
+  return !!detectMime(buffer).mime;
 }
 
-async function validateImageBuffer(buffer) {
+/**
+ * Validate an input image buffer.
+ * Formats sharp cannot read directly (RAW, and HEIF/JPEG 2000 on libvips builds
+ * without those loaders) pass on their signature alone; their dimensions are
+ * checked after decoding (see machinist.decode.js).
+ * @param {Buffer} buffer
+ * @param {{ extension?: string }} [opts]
+ */
+async function validateImageBuffer(buffer, opts = {}) {
   try {
     if (!buffer || buffer.length === 0) throw new ValidationError('CORRUPTED_IMAGE');
     if (!isValidMagic(buffer)) throw new ValidationError('CORRUPTED_IMAGE');
-    const meta = await sharp(buffer).metadata();
+    const det = detectMime(buffer, opts.extension);
+    if (det.kind === 'raw') return { format: det.extension, width: null, height: null, deferred: true };
+    let meta;
+    try {
+      meta = await sharp(buffer).metadata();
+    } catch (err) {
+      if (det.kind === 'heif' || det.kind === 'jpeg2000') return { format: det.extension, width: null, height: null, deferred: true };
+      throw err;
+    }
     const minW = parseInt(process.env.MIN_IMAGE_WIDTH || '64', 10);
     const minH = parseInt(process.env.MIN_IMAGE_HEIGHT || '64', 10);
     if (!meta || !meta.width || !meta.height) throw new ValidationError('CORRUPTED_IMAGE');
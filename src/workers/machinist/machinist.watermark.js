@@ -0,0 +1,195 @@
+/**
+ * Tenant watermarks for viewing and thumbnail derivatives.
+ *
+ * Configured by tenant settings `watermark` (job.watermark overrides, and
+ * `watermark: false` on a job turns it off):
+ *   {
+ *     text: '© Example Museum',            // or
+ *     image: 'tenant-x/branding/mark.png', // key in the files bucket
+ *     position: 'southeast',               // sharp gravity, or 'tile'
+ *     opacity: 0.5,                        // 0..1
+ *     scale: 0.2,                          // mark width / derivative width
+ *     margin: 0.02,                        // inset / derivative width
+ *     min_width: 320,                      // smaller outputs stay clean
+ *     apply_to: ['viewing', 'thumbnails'],
+ *   }
+ * Originals, preservation copies and AI derivatives are never watermarked.
+ * The normalized settings and a fingerprint are recorded on each watermarked
+ * version so stale derivatives can be found when a tenant changes their mark.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const ValidationError = require('../../errors/ValidationError');
+
+const POSITIONS = ['center', 'north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest', 'tile'];
+const TARGETS = ['viewing', 'thumbnails'];
+const DEFAULTS = { position: 'southeast', opacity: 0.5, scale: 0.2, margin: 0.02, min_width: 320, apply_to: TARGETS };
+
+function fail(field, message) {
+  throw new ValidationError('INVALID_WATERMARK', `watermark.${field}`, message);
+}
+
+function numberIn(field, value, min, max) {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < min || n > max) fail(field, `watermark.${field} must be a number between ${min} and ${max}`);
+  return n;
+}
+
+/**
+ * Resolve the watermark for a job. Returns null when none applies.
+ * @param {{ job: object, tenantSettings?: Record<string, any> }} params
+ * @returns {null | { type: 'text'|'image', text: string|null, image: string|null, position: string, opacity: number, scale: number, margin: number, min_width: number, apply_to: string[] }}
+ */
+function resolveWatermark({ job, tenantSettings = {} }) {
+  const fromJob = job ? job.watermark : undefined;
+  if (fromJob === false) return null;
+  const tenant = tenantSettings.watermark;
+  if (!tenant && !(fromJob && typeof fromJob === 'object')) return null;
+
+  const raw = { ...DEFAULTS, ...(tenant && typeof tenant === 'object' ? tenant : {}), ...(fromJob && typeof fromJob === 'object' ? fromJob : {}) };
+  if (raw.enabled === false) return null;
+
+  const text = raw.text != null && raw.text !== '' ? String(raw.text) : null;
+  const image = raw.image != null && raw.image !== '' ? String(raw.image) : null;
+  if (!text && !image) fail('text', 'watermark needs either text or image');
+  if (text && image) fail('image', 'watermark takes text or image, not both');
+  if (text && text.length > 200) fail('text', 'watermark.text exceeds 200 chars');
+  if (image && (image.includes('..') || image.startsWith('/'))) fail('image', 'watermark.image must be a relative storage key');
+
+  const position = String(raw.position).toLowerCase();
+  if (!POSITIONS.includes(position)) fail('position', `watermark.position must be one of: ${POSITIONS.join(', ')}`);
+
+  const applyTo = (Array.isArray(raw.apply_to) ? raw.apply_to : [raw.apply_to]).map((t) => String(t).toLowerCase());
+  for (const t of applyTo) {
+    if (!TARGETS.includes(t)) fail('apply_to', `watermark.apply_to entries must be: ${TARGETS.join(', ')}`);
+  }
+
+  return {
+    type: text ? 'text' : 'image',
+    text,
+    image,
+    position,
+    opacity: numberIn('opacity', raw.opacity, 0.05, 1),
+    scale: numberIn('scale', raw.scale, 0.02, 1),
+    margin: numberIn('margin', raw.margin, 0, 0.25),
+    min_width: numberIn('min_width', raw.min_width, 0, 100000),
+    apply_to: [...new Set(applyTo)],
+  };
+}
+
+/**
+ * Stable fingerprint of the settings (and mark image bytes) used.
+ * @param {object} spec resolved watermark
+ * @param {string|null} [imageChecksum] sha256 of the mark image
+ */
+function watermarkFingerprint(spec, imageChecksum = null) {
+  const keys = ['type', 'text', 'image', 'position', 'opacity', 'scale', 'margin'];
+  const payload = JSON.stringify([...keys.map((k) => spec[k]), imageChecksum]);
+  return crypto.createHash('sha256').update(payload).digest('hex').slice(0, 16);
+}
+
+/**
+ * Fetch the mark image (if any) into workDir and freeze the description that
+ * is recorded on watermarked versions.
+ * @param {{ logger: import('pino').Logger, spec: object|null, workDir: string }} params
+ * @returns {Promise<null | { spec: object, imagePath: string|null, description: object }>}
+ */
+async function prepareWatermark({ logger, spec, workDir }) {
+  if (!spec) return null;
+  let imagePath = null;
+  let imageChecksum = null;
+  if (spec.type === 'image') {
+    const config = require('../../core/config');
+    const { downloadFile } = require('../../core/storage');
+    const { hashFile } = require('../../core/checksum');
+    imagePath = path.join(workDir, `watermark${path.posix.extname(spec.image) || '.png'}`);
+    await downloadFile(config.b2.filesBucketId || config.b2.processedStandardBucketId, spec.image, imagePath);
+    ({ sha256: imageChecksum } = await hashFile(imagePath));
+  }
+  const fingerprint = watermarkFingerprint(spec, imageChecksum);
+  logger.info({ type: spec.type, position: spec.position, fingerprint }, '[MACHINIST][WATERMARK] Watermark enabled');
+  return {
+    spec,
+    imagePath,
+    description: {
+      fingerprint,
+      type: spec.type,
+      text: spec.text,
+      image: spec.image,
+      image_checksum: imageChecksum,
+      position: spec.position,
+      opacity: spec.opacity,
+      scale: spec.scale,
+      margin: spec.margin,
+    },
+  };
+}
+
+/**
+ * Whether a rendered output of this kind and width gets the mark.
+ * @param {object|null} watermark prepared watermark
+ * @param {'viewing'|'thumbnails'|'ai'} target
+ * @param {number} width
+ */
+function watermarkApplies(watermark, target, width) {
+  if (!watermark) return false;
+  return watermark.spec.apply_to.includes(target) && width >= watermark.spec.min_width;
+}
+
+function textSvg(text, width, opacity) {
+  const fontSize = Math.max(8, Math.floor(width / Math.max(1, text.length * 0.6)));
+  const height = Math.ceil(fontSize * 1.4);
+  const escaped = text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  return Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">`
+    + `<text x="50%" y="50%" dominant-baseline="middle" text-anchor="middle" font-family="sans-serif" font-size="${fontSize}"`
+    + ` fill="#ffffff" fill-opacity="${opacity}" stroke="#000000" stroke-opacity="${opacity / 2}" stroke-width="${Math.max(1, fontSize / 25)}">`
+    + `${escaped}</text></svg>`
+  );
+}
+
+/**
+ * Composite layer for an output of the given size.
+ * @param {object} watermark prepared watermark
+ * @param {number} width output width
+ * @param {number} height output height
+ * @returns {Promise<import('sharp').OverlayOptions>}
+ */
+async function buildOverlay(watermark, width, height) {
+  const sharp = require('sharp');
+  const { spec, imagePath } = watermark;
+  const markWidth = Math.max(1, Math.round(width * spec.scale));
+  const margin = Math.round(width * spec.margin);
+
+  const mark = spec.type === 'text'
+    ? sharp(textSvg(spec.text, markWidth, spec.opacity))
+    : sharp(await fs.promises.readFile(imagePath))
+      .resize({ width: markWidth })
+      .ensureAlpha()
+      // dest-in scales the mark's own alpha by the configured opacity
+      .composite([{ input: Buffer.from([255, 255, 255, Math.round(255 * spec.opacity)]), raw: { width: 1, height: 1, channels: 4 }, tile: true, blend: 'dest-in' }]);
+  let buf = await mark.png().toBuffer();
+
+  // Margin as a transparent border; never larger than the output itself
+  if (margin) {
+    buf = await sharp(buf).extend({ top: margin, bottom: margin, left: margin, right: margin, background: { r: 0, g: 0, b: 0, alpha: 0 } }).png().toBuffer();
+  }
+  const meta = await sharp(buf).metadata();
+  if (meta.width > width || meta.height > height) {
+    buf = await sharp(buf).resize({ width, height, fit: 'inside' }).png().toBuffer();
+  }
+
+  return spec.position === 'tile'
+    ? { input: buf, tile: true }
+    : { input: buf, gravity: spec.position };
+}
+
+module.exports = {
+  WATERMARK_POSITIONS: POSITIONS,
+  resolveWatermark,
+  watermarkFingerprint,
+  prepareWatermark,
+  watermarkApplies,
+  buildOverlay,
+};
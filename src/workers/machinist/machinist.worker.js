@@ -4,6 +4,8 @@ const { initializeWorkerEnvironment } = require('../../startup/initialize');
 const { getRedisClient } = require('../../core/redis');
 const { processInstantMachinistJob } = require('./machinist.instant');
 const { processStandardMachinistJob } = require('./machinist.standard');
+const { processEmbedMetadataJob } = require('./machinist.embed');
+const { JOB_TYPES } = require('../../jobs/job.types');
 const { MACHINIST_QUEUE_INSTANT, MACHINIST_QUEUE_STANDARD } = require('../../priorities/priority.constants');
 const { DLQ_QUEUE } = require('../dlq/dlq.constants');
 
@@ -51,7 +53,10 @@ async function startMachinistWorker(logger) {
       }
 
       try {
-        if (key === MACHINIST_QUEUE_INSTANT) {
+        if (parsedJob && parsedJob.job_type === JOB_TYPES.EMBED_METADATA) {
+          // Archivist write-back: no image processing, any queue
+          await processEmbedMetadataJob(logger, parsedJob);
+        } else if (key === MACHINIST_QUEUE_INSTANT) {
           await processInstantMachinistJob(logger, parsedJob);
         } else if (key === MACHINIST_QUEUE_STANDARD) {
           await processStandardMachinistJob(logger, parsedJob);
@@ -0,0 +1,164 @@
+/**
+ * Retention sweep: expire derivatives and temporary artefacts that are past
+ * their tenant's maximum retention (core/retention.js).
+ *
+ * Only derivative purposes are swept (RETENTION_EXPIRABLE_PURPOSES); originals
+ * and preservation copies never expire here. An expired version's object is
+ * deleted and its asset_versions row is kept with status 'expired'. Tenants
+ * and assets under legal hold are skipped. Every expiry is written to the
+ * retention audit trail and recorded as a PREMIS deletion event.
+ */
+const config = require('../../core/config');
+const { supabase } = require('../../core/supabase');
+const { deleteFile } = require('../../core/storage');
+const { resolveBucketId } = require('../../core/buckets');
+const {
+  DAY_MS,
+  mergePolicy,
+  resolveRetention,
+  retentionState,
+  heldAssetIds,
+  recordRetentionAction,
+} = require('../../core/retention');
+const { PREMIS_EVENT_TYPES, recordPreservationEvent } = require('../../preservation/premis.events');
+const { recordObjectsRemoved } = require('../../core/storage-usage');
+const cleanupJobgroups = require('../archivist/jobgroup-cleanup');
+
+const ACTOR = 'relicxs-workers/retention';
+const BATCH_SIZE = parseInt(process.env.RETENTION_SWEEP_BATCH_SIZE || '200', 10);
+const EXPIRABLE_PURPOSES = String(process.env.RETENTION_EXPIRABLE_PURPOSES || 'viewing,thumbnail,production,restoration,ai')
+  .split(',').map((p) => p.trim()).filter((p) => p && p !== 'preservation');
+
+/**
+ * Purposes with a maximum retention, and the creation-time cutoff for each.
+ * Pure; exported for tests.
+ * @param {object} policy from mergePolicy
+ * @param {number} [now]
+ * @returns {Array<{ purpose: string, minDays: number, maxDays: number, cutoff: string }>}
+ */
+function expiryCutoffs(policy, now = Date.now()) {
+  const out = [];
+  for (const purpose of EXPIRABLE_PURPOSES) {
+    const { minDays, maxDays } = resolveRetention(policy, purpose);
+    if (maxDays === null) continue;
+    out.push({ purpose, minDays, maxDays, cutoff: new Date(now - maxDays * DAY_MS).toISOString() });
+  }
+  return out;
+}
+
+async function loadTenants() {
+  const { data, error } = await supabase.from('tenant').select('id, settings');
+  if (error) throw new Error(`[RETENTION] tenant lookup failed: ${error.message}`);
+  return data || [];
+}
+
+async function loadExpiredVersions(tenantId, purpose, cutoff, offset) {
+  const { data, error } = await supabase
+    .from('asset_versions')
+    .select('id, tenant_id, batch_id, asset_id, purpose, variant, storage_path, bucket_name, checksum, file_size, created_at')
+    .eq('tenant_id', tenantId)
+    .eq('purpose', purpose)
+    .eq('status', 'success')
+    .neq('variant', 'original')
+    .not('storage_path', 'is', null)
+    .lt('created_at', cutoff)
+    .order('created_at', { ascending: true })
+    .range(offset, offset + BATCH_SIZE - 1);
+  if (error) throw new Error(`[RETENTION] asset_versions lookup failed: ${error.message}`);
+  return data || [];
+}
+
+async function expireVersion(row, rule, logger) {
+  const bucketId = resolveBucketId(row.bucket_name);
+  if (!bucketId) throw new Error(`[RETENTION] bucket not configured: ${row.bucket_name}`);
+  const existed = await deleteFile(bucketId, row.storage_path);
+  const expiredAt = new Date().toISOString();
+  const { error } = await supabase
+    .from('asset_versions')
+    .update({ status: 'expired', expired_at: expiredAt, updated_at: expiredAt })
+    .eq('id', row.id);
+  if (error) throw new Error(`[RETENTION] failed to mark version expired: ${error.message}`);
+  if (existed) await recordObjectsRemoved([{ bucket: row.bucket_name, key: row.storage_path, size: row.file_size }], logger);
+
+  await recordRetentionAction({
+    action: 'derivative.expired',
+    tenant_id: row.tenant_id,
+    asset_id: row.asset_id,
+    version_id: row.id,
+    bucket_name: row.bucket_name,
+    storage_path: row.storage_path,
+    actor: ACTOR,
+    detail: { purpose: row.purpose, variant: row.variant, max_days: rule.maxDays, created_at: row.created_at, sha256: row.checksum || null, size: row.file_size || null, existed },
+  });
+  await recordPreservationEvent(row, {
+    type: PREMIS_EVENT_TYPES.DELETION,
+    detail: `${row.purpose}/${row.variant} expired after ${rule.maxDays} days (retention policy)`,
+    object: row.storage_path,
+    agent: ACTOR,
+  }, logger);
+}
+
+/**
+ * One sweep over every tenant.
+ * @param {import('pino').Logger} logger
+ * @param {{ now?: number }} [opts]
+ * @returns {Promise<{ tenants: number, expired: number, held: number, failed: number, jobgroups: object|null }>}
+ */
+async function runRetentionSweep(logger, { now = Date.now() } = {}) {
+  const summary = { tenants: 0, expired: 0, held: 0, failed: 0, jobgroups: null };
+  if (config.dryRun) {
+    logger.warn('[RETENTION] DRY_RUN enabled — skipping sweep');
+    return summary;
+  }
+
+  for (const tenant of await loadTenants()) {
+    summary.tenants += 1;
+    const settings = (tenant.settings && typeof tenant.settings === 'object') ? tenant.settings : {};
+    if (settings.legal_hold === true) {
+      logger.debug({ tenant_id: tenant.id }, '[RETENTION] Tenant under legal hold; skipped');
+      continue;
+    }
+    for (const rule of expiryCutoffs(mergePolicy(settings.retention), now)) {
+      // Expired rows leave the result set; rows left behind (held, failed) are paged past
+      let offset = 0;
+      for (;;) {
+        const rows = await loadExpiredVersions(tenant.id, rule.purpose, rule.cutoff, offset);
+        const held = await heldAssetIds(rows.map((r) => r.asset_id));
+        let left = 0;
+        for (const row of rows) {
+          if (held.has(row.asset_id)) {
+            summary.held += 1;
+            left += 1;
+            continue;
+          }
+          if (!retentionState({ createdAt: row.created_at, minDays: rule.minDays, maxDays: rule.maxDays, now }).expired) {
+            left += 1;
+            continue;
+          }
+          try {
+            await expireVersion(row, rule, logger);
+            summary.expired += 1;
+          } catch (err) {
+            summary.failed += 1;
+            left += 1;
+            logger.error({ err, version_id: row.id, asset_id: row.asset_id, path: row.storage_path }, '[RETENTION] Failed to expire version');
+          }
+        }
+        if (rows.length < BATCH_SIZE) break;
+        offset += left;
+      }
+    }
+  }
+
+  // Temporary artefacts: results of finished jobgroups
+  try {
+    summary.jobgroups = await cleanupJobgroups();
+  } catch (err) {
+    logger.error({ err }, '[RETENTION] Jobgroup cleanup failed');
+  }
+
+  logger.info(summary, '[RETENTION] Sweep complete');
+  return summary;
+}
+
+module.exports = { runRetentionSweep, expiryCutoffs };
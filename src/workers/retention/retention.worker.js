@@ -0,0 +1,62 @@
+require('../../module-aliases');
+
+const { initializeWorkerEnvironment } = require('../../startup/initialize');
+const { withRedis } = require('../../core/redis');
+const { runRetentionSweep } = require('./retention.sweeper');
+
+const SWEEP_INTERVAL_MS = parseInt(process.env.RETENTION_SWEEP_INTERVAL_MS || '86400000', 10);
+const LOCK_KEY = 'retention_sweep_lock';
+const LOCK_TTL_SEC = parseInt(process.env.RETENTION_LOCK_TTL_SEC || '3600', 10);
+
+async function acquireLock(logger) {
+  try {
+    const res = await withRedis((c) => c.set(LOCK_KEY, String(Date.now()), { NX: true, EX: LOCK_TTL_SEC }));
+    return res === 'OK';
+  } catch (err) {
+    logger.warn({ err }, '[RETENTION] Failed to acquire lock; skipping sweep');
+    return false;
+  }
+}
+
+async function releaseLock(logger) {
+  try {
+    await withRedis((c) => c.del(LOCK_KEY));
+  } catch (err) {
+    logger.warn({ err }, '[RETENTION] Failed to release lock');
+  }
+}
+
+/**
+ * Scheduled sweep: once per interval, expire what the retention policies
+ * allow. The Redis lock keeps several instances from sweeping at once.
+ */
+async function startRetentionWorker(logger) {
+  logger.info({ intervalMs: SWEEP_INTERVAL_MS }, '[RETENTION] Retention sweeper started');
+
+  /* eslint-disable no-constant-condition */
+  while (true) {
+    if (await acquireLock(logger)) {
+      try {
+        await runRetentionSweep(logger);
+      } catch (err) {
+        logger.error({ err }, '[RETENTION] Sweep failed');
+      } finally {
+        await releaseLock(logger);
+      }
+    } else {
+      logger.debug('[RETENTION] Another instance holds the lock');
+    }
+    await new Promise((r) => setTimeout(r, SWEEP_INTERVAL_MS));
+  }
+  /* eslint-enable no-constant-condition */
+}
+
+(async () => {
+  try {
+    const { logger } = await initializeWorkerEnvironment({ componentName: 'retention-worker' });
+    await startRetentionWorker(logger);
+  } catch (err) {
+    console.error('[RETENTION] Fatal error during startup:', err);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,119 @@
+/**
+ * Storage usage reconciliation: rebuild storage_usage from bucket listings.
+ *
+ * Running totals (core/storage-usage.js) drift when an adjustment fails, when
+ * objects are written outside uploadAndRecord (tile pyramids, archives) or
+ * removed by hand. The reconciliation lists every bucket, totals the objects
+ * per tenant, bucket and purpose and overwrites the table; rows with nothing
+ * left in storage are zeroed. Adjustments made while a bucket is being listed
+ * can be counted twice or not at all until the next run.
+ */
+const config = require('../../core/config');
+const { listFiles } = require('../../core/storage');
+const { resolveBucketName } = require('../../core/buckets');
+const { classifyKey, loadStorageUsage } = require('../../core/storage-usage');
+const { deletionBuckets } = require('../deletion/deletion.objects');
+
+const LIST_PAGE_SIZE = 1000;
+const WRITE_CHUNK = 500;
+
+const usageId = (tenantId, bucketName, purpose) => `${tenantId}\0${bucketName}\0${purpose}`;
+
+/**
+ * Total one bucket's objects per tenant/purpose into `totals`.
+ * Objects outside any tenant are counted in `unattributed`.
+ * @param {string} bucketId
+ * @param {{ totals?: Map<string, object>, prefix?: string }} [opts]
+ * @returns {Promise<{ totals: Map<string, { tenant_id: string, bucket_name: string, purpose: string, bytes: number, objects: number }>, unattributed: { bytes: number, objects: number } }>}
+ */
+async function scanBucketUsage(bucketId, { totals = new Map(), prefix = '' } = {}) {
+  const bucketName = resolveBucketName(bucketId);
+  const unattributed = { bytes: 0, objects: 0 };
+  let cursor = null;
+  do {
+    const page = await listFiles(bucketId, prefix, { cursor, limit: LIST_PAGE_SIZE });
+    for (const obj of page.objects) {
+      const size = Number(obj.size) || 0;
+      const { tenantId, purpose } = classifyKey(obj.key);
+      if (!tenantId) {
+        unattributed.bytes += size;
+        unattributed.objects += 1;
+        continue;
+      }
+      const id = usageId(tenantId, bucketName, purpose);
+      const cur = totals.get(id) || { tenant_id: tenantId, bucket_name: bucketName, purpose, bytes: 0, objects: 0 };
+      cur.bytes += size;
+      cur.objects += 1;
+      totals.set(id, cur);
+    }
+    cursor = page.cursor;
+  } while (cursor);
+  return { totals, unattributed };
+}
+
+async function writeUsage(rows) {
+  const { supabase } = require('../../core/supabase');
+  for (let i = 0; i < rows.length; i += WRITE_CHUNK) {
+    const { error } = await supabase
+      .from('storage_usage')
+      .upsert(rows.slice(i, i + WRITE_CHUNK), { onConflict: 'tenant_id,bucket_name,purpose' });
+    if (error) throw new Error(`[USAGE] storage_usage write failed: ${error.message}`);
+  }
+}
+
+/**
+ * List every bucket and replace the running totals with what is stored.
+ * Under DRY_RUN the buckets are listed but nothing is written.
+ * @param {import('pino').Logger} logger
+ * @returns {Promise<{ buckets: number, rows: number, bytes: number, objects: number, drifted: number, unattributed: { bytes: number, objects: number } }>}
+ */
+async function reconcileStorageUsage(logger) {
+  const totals = new Map();
+  const unattributed = { bytes: 0, objects: 0 };
+  const buckets = deletionBuckets();
+  for (const bucketId of buckets) {
+    const scan = await scanBucketUsage(bucketId, { totals });
+    unattributed.bytes += scan.unattributed.bytes;
+    unattributed.objects += scan.unattributed.objects;
+    logger.debug({ bucket: resolveBucketName(bucketId) }, '[USAGE] Bucket listed');
+  }
+
+  const reconciledAt = new Date().toISOString();
+  const rows = [...totals.values()].map((r) => ({ ...r, updated_at: reconciledAt, reconciled_at: reconciledAt }));
+  const summary = {
+    buckets: buckets.length,
+    rows: rows.length,
+    bytes: rows.reduce((n, r) => n + r.bytes, 0),
+    objects: rows.reduce((n, r) => n + r.objects, 0),
+    drifted: 0,
+    unattributed,
+  };
+  if (config.dryRun) {
+    logger.warn(summary, '[USAGE] DRY_RUN enabled — totals not written');
+    return summary;
+  }
+
+  // Rows the listing no longer backs go to zero; drift is logged per row
+  const known = new Set();
+  for (const prev of await loadStorageUsage()) {
+    const id = usageId(prev.tenant_id, prev.bucket_name, prev.purpose);
+    known.add(id);
+    const next = totals.get(id);
+    if (!next) {
+      if (Number(prev.bytes) || Number(prev.objects)) summary.drifted += 1;
+      rows.push({ tenant_id: prev.tenant_id, bucket_name: prev.bucket_name, purpose: prev.purpose, bytes: 0, objects: 0, updated_at: reconciledAt, reconciled_at: reconciledAt });
+      continue;
+    }
+    if (Number(prev.bytes) !== next.bytes || Number(prev.objects) !== next.objects) {
+      summary.drifted += 1;
+      logger.info({ tenant_id: prev.tenant_id, bucket: prev.bucket_name, purpose: prev.purpose, bytes: [Number(prev.bytes), next.bytes], objects: [Number(prev.objects), next.objects] }, '[USAGE] Corrected drift');
+    }
+  }
+  for (const id of totals.keys()) if (!known.has(id)) summary.drifted += 1;
+  await writeUsage(rows);
+
+  logger.info(summary, '[USAGE] Reconciliation complete');
+  return summary;
+}
+
+module.exports = { scanBucketUsage, reconcileStorageUsage };
@@ -0,0 +1,63 @@
+require('../../module-aliases');
+
+const { initializeWorkerEnvironment } = require('../../startup/initialize');
+const { withRedis } = require('../../core/redis');
+const { reconcileStorageUsage } = require('./usage.reconcile');
+
+const RECONCILE_INTERVAL_MS = parseInt(process.env.STORAGE_USAGE_RECONCILE_INTERVAL_MS || '86400000', 10);
+const LOCK_KEY = 'storage_usage_reconcile_lock';
+const LOCK_TTL_SEC = parseInt(process.env.STORAGE_USAGE_LOCK_TTL_SEC || '21600', 10);
+
+async function acquireLock(logger) {
+  try {
+    const res = await withRedis((c) => c.set(LOCK_KEY, String(Date.now()), { NX: true, EX: LOCK_TTL_SEC }));
+    return res === 'OK';
+  } catch (err) {
+    logger.warn({ err }, '[USAGE] Failed to acquire lock; skipping reconciliation');
+    return false;
+  }
+}
+
+async function releaseLock(logger) {
+  try {
+    await withRedis((c) => c.del(LOCK_KEY));
+  } catch (err) {
+    logger.warn({ err }, '[USAGE] Failed to release lock');
+  }
+}
+
+/**
+ * Scheduled reconciliation: once per interval, rebuild the storage usage
+ * totals from bucket listings. The Redis lock keeps several instances from
+ * listing the buckets at once.
+ */
+async function startUsageWorker(logger) {
+  logger.info({ intervalMs: RECONCILE_INTERVAL_MS }, '[USAGE] Storage usage reconciliation started');
+
+  /* eslint-disable no-constant-condition */
+  while (true) {
+    if (await acquireLock(logger)) {
+      try {
+        await reconcileStorageUsage(logger);
+      } catch (err) {
+        logger.error({ err }, '[USAGE] Reconciliation failed');
+      } finally {
+        await releaseLock(logger);
+      }
+    } else {
+      logger.debug('[USAGE] Another instance holds the lock');
+    }
+    await new Promise((r) => setTimeout(r, RECONCILE_INTERVAL_MS));
+  }
+  /* eslint-enable no-constant-condition */
+}
+
+(async () => {
+  try {
+    const { logger } = await initializeWorkerEnvironment({ componentName: 'usage-worker' });
+    await startUsageWorker(logger);
+  } catch (err) {
+    console.error('[USAGE] Fatal error during startup:', err);
+    process.exit(1);
+  }
+})();
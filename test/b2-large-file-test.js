@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'b2-large-test-'));
+process.env.B2_UPLOAD_STATE_DIR = path.join(workDir, 'state');
+
+const { largeFileOptions, useLargeFile, planParts, uploadLargeFile } = require('../src/core/b2-large-file');
+
+const KB = 1024;
+const MB = 1024 * KB;
+const sha1 = (buf) => crypto.createHash('sha1').update(buf).digest('hex');
+
+// In-memory stand-in for the backblaze-b2 client's large-file calls
+function fakeB2() {
+  const files = {};
+  const calls = { start: 0, partUrl: 0, uploads: 0, finish: null, cancelled: [] };
+  const failures = new Map(); // partNumber -> remaining failures
+  let active = 0;
+  let maxActive = 0;
+  return {
+    calls,
+    files,
+    failures,
+    maxActive: () => maxActive,
+    async startLargeFile(args) {
+      calls.start += 1;
+      const fileId = `file-${calls.start}`;
+      files[fileId] = { info: args.axiosOverride.data.fileInfo, parts: new Map() };
+      return { data: { fileId } };
+    },
+    async getUploadPartUrl({ fileId }) {
+      calls.partUrl += 1;
+      return { data: { uploadUrl: `https://pod/${fileId}/${calls.partUrl}`, authorizationToken: 'token' } };
+    },
+    async uploadPart(args) {
+      active += 1;
+      maxActive = Math.max(maxActive, active);
+      try {
+        assert.ok(args.data instanceof fs.ReadStream, 'part body is streamed');
+        const chunks = [];
+        for await (const chunk of args.data) chunks.push(chunk);
+        const body = Buffer.concat(chunks);
+        assert.strictEqual(body.length, args.contentLength);
+        assert.strictEqual(sha1(body), args.hash, 'part SHA1 matches the bytes sent');
+        const remaining = failures.get(args.partNumber) || 0;
+        if (remaining > 0) {
+          failures.set(args.partNumber, remaining - 1);
+          throw new Error('503 service_unavailable');
+        }
+        calls.uploads += 1;
+        const fileId = args.uploadUrl.split('/')[3];
+        files[fileId].parts.set(args.partNumber, args.hash);
+        return { data: {} };
+      } finally {
+        active -= 1;
+      }
+    },
+    async listParts({ fileId }) {
+      if (!files[fileId]) throw new Error('400 bad_request: no such file');
+      return { data: { parts: [...files[fileId].parts].map(([partNumber, contentSha1]) => ({ partNumber, contentSha1 })), nextPartNumber: null } };
+    },
+    async cancelLargeFile({ fileId }) {
+      if (!files[fileId]) throw new Error('400 bad_request: no such file');
+      calls.cancelled.push(fileId);
+      delete files[fileId];
+      return { data: { fileId } };
+    },
+    async finishLargeFile({ fileId, partSha1Array }) {
+      calls.finish = { fileId, partSha1Array };
+      return { data: { fileId } };
+    },
+  };
+}
+
+(async () => {
+  try {
+    // Part planning and thresholds
+    assert.deepStrictEqual(planParts(10, 4).map((p) => [p.start, p.end, p.length]), [[0, 3, 4], [4, 7, 4], [8, 9, 2]]);
+    assert.strictEqual(planParts(20000 * MB, 1 * MB).length, 10000, 'part size grows to stay within 10,000 parts');
+    const defaults = largeFileOptions({ recommendedPartSize: 100 * MB, absoluteMinimumPartSize: 5 * MB });
+    assert.strictEqual(defaults.threshold, 100 * MB);
+    assert.strictEqual(defaults.partSize, 100 * MB);
+    process.env.B2_PART_SIZE_MB = '1';
+    assert.strictEqual(largeFileOptions({ absoluteMinimumPartSize: 5 * MB }).partSize, 5 * MB, 'never below the B2 minimum');
+    delete process.env.B2_PART_SIZE_MB;
+    assert.strictEqual(useLargeFile(120 * MB, defaults), true);
+    assert.strictEqual(useLargeFile(90 * MB, defaults), false);
+    assert.strictEqual(useLargeFile(150 * MB, { threshold: 100 * MB, partSize: 200 * MB }), false, 'one part is a plain upload');
+
+    // A 1.1MB file in 256KB parts: five parts
+    const localPath = path.join(workDir, 'master.tif');
+    const bytes = crypto.randomBytes(MB + 100 * KB);
+    fs.writeFileSync(localPath, bytes);
+    const expected = planParts(bytes.length, 256 * KB).map((p) => sha1(bytes.subarray(p.start, p.end + 1)));
+    const options = { threshold: 0, partSize: 256 * KB, concurrency: 2 };
+    const params = { bucketId: 'bucket-1', fileName: 'tenant-t/batch-b/asset-a/production/master.tif', localPath, contentType: 'image/tiff', sha1: sha1(bytes), options };
+
+    // Part 3 keeps failing: the upload fails, the parts B2 received stay
+    const b2 = fakeB2();
+    b2.failures.set(3, 100);
+    await assert.rejects(uploadLargeFile({ b2, ...params }), /503/);
+    assert.strictEqual(b2.calls.finish, null);
+    assert.strictEqual(b2.files['file-1'].info.large_file_sha1, sha1(bytes));
+    assert.ok(!b2.files['file-1'].parts.has(3));
+    const before = b2.files['file-1'].parts.size;
+    assert.ok(before >= 1);
+    assert.strictEqual(fs.readdirSync(process.env.B2_UPLOAD_STATE_DIR).length, 1, 'state kept for resume');
+
+    // Retry resumes the same large file and only sends the missing parts
+    b2.failures.clear();
+    const uploadsBefore = b2.calls.uploads;
+    const resumed = await uploadLargeFile({ b2, ...params });
+    assert.strictEqual(resumed.resumed, true);
+    assert.strictEqual(resumed.fileId, 'file-1');
+    assert.strictEqual(b2.calls.start, 1, 'no second large file started');
+    assert.strictEqual(resumed.partsUploaded, 5 - before);
+    assert.strictEqual(b2.calls.uploads - uploadsBefore, 5 - before);
+    assert.deepStrictEqual(b2.calls.finish, { fileId: 'file-1', partSha1Array: expected });
+    assert.deepStrictEqual(fs.readdirSync(process.env.B2_UPLOAD_STATE_DIR), [], 'state removed once finished');
+
+    // A transient part failure is retried with a fresh part URL; parallel but bounded
+    const flaky = fakeB2();
+    flaky.failures.set(2, 1);
+    const fresh = await uploadLargeFile({ b2: flaky, ...params });
+    assert.strictEqual(fresh.resumed, false);
+    assert.strictEqual(fresh.partsUploaded, 5);
+    assert.strictEqual(flaky.calls.partUrl, 3, 'one URL per worker plus one after the failure');
+    assert.strictEqual(flaky.maxActive(), 2);
+    assert.deepStrictEqual(flaky.calls.finish.partSha1Array, expected);
+
+    // Changed content under the same name starts a new large file
+    const stale = fakeB2();
+    stale.failures.set(5, 100);
+    await assert.rejects(uploadLargeFile({ b2: stale, ...params }), /503/);
+    stale.failures.clear();
+    fs.writeFileSync(localPath, Buffer.from(bytes).fill(7, 0, 10));
+    const changedSha1 = sha1(fs.readFileSync(localPath));
+    const changed = await uploadLargeFile({ b2: stale, ...params, sha1: changedSha1 });
+    assert.strictEqual(changed.resumed, false);
+    assert.strictEqual(stale.calls.start, 2);
+    assert.deepStrictEqual(stale.calls.cancelled, ['file-1'], 'the stale large file is cancelled');
+    assert.ok(!stale.files['file-1']);
+
+    // A state file B2 no longer knows: cancel is attempted and logged, state replaced
+    const warnings = [];
+    const logger = { info() {}, warn: (obj, msg) => warnings.push(msg) };
+    const gone = fakeB2();
+    gone.failures.set(1, 100);
+    await assert.rejects(uploadLargeFile({ b2: gone, ...params, sha1: changedSha1 }), /503/);
+    delete gone.files['file-1'];
+    gone.failures.clear();
+    const restarted = await uploadLargeFile({ b2: gone, ...params, sha1: changedSha1, logger });
+    assert.strictEqual(restarted.resumed, false);
+    assert.strictEqual(restarted.fileId, 'file-2');
+    assert.deepStrictEqual(gone.calls.cancelled, []);
+    assert.ok(warnings.some((m) => /not resumable/.test(m)));
+    assert.ok(warnings.some((m) => /Could not cancel/.test(m)));
+    assert.deepStrictEqual(fs.readdirSync(process.env.B2_UPLOAD_STATE_DIR), []);
+
+    fs.rmSync(workDir, { recursive: true, force: true });
+    console.log('PASS: b2 large file');
+    process.exit(0);
+  } catch (err) {
+    fs.rmSync(workDir, { recursive: true, force: true });
+    console.error('FAIL:', err);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildBag, validateBag, encodeManifestPath, parseBagInfo, parseManifest } = require('../src/workers/machinist/machinist.bagit');
+
+(async () => {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'bagit-test-'));
+  try {
+    const src = path.join(tmp, 'src');
+    fs.mkdirSync(path.join(src, 'tiles'), { recursive: true });
+    fs.writeFileSync(path.join(src, 'original.tif'), Buffer.alloc(1000, 1));
+    fs.writeFileSync(path.join(src, 'manifest.json'), '{"a":1}');
+    fs.writeFileSync(path.join(src, 'tiles', '0_0.jpg'), 'tile');
+
+    const bagDir = path.join(tmp, 'asset-1');
+    const payload = ['original.tif', 'manifest.json', 'tiles/0_0.jpg'].map((name) => ({ source: path.join(src, name), name }));
+    const built = await buildBag({ bagDir, payload, info: [['External-Identifier', 'asset-1'], ['Bag-Group-Identifier', null]] });
+    assert.strictEqual(built.payloadOxum, '1011.3');
+
+    assert.strictEqual(fs.readFileSync(path.join(bagDir, 'bagit.txt'), 'utf8'), 'BagIt-Version: 1.0\nTag-File-Character-Encoding: UTF-8\n');
+    const info = parseBagInfo(fs.readFileSync(path.join(bagDir, 'bag-info.txt'), 'utf8'));
+    assert.strictEqual(info['External-Identifier'], 'asset-1');
+    assert.strictEqual(info['Payload-Oxum'], '1011.3');
+    assert.ok(!('Bag-Group-Identifier' in info), 'empty values omitted');
+    const manifest = parseManifest(fs.readFileSync(path.join(bagDir, 'manifest-sha256.txt'), 'utf8'));
+    assert.deepStrictEqual(manifest.map((e) => e.path), ['data/manifest.json', 'data/original.tif', 'data/tiles/0_0.jpg']);
+    assert.ok(manifest.every((e) => /^[0-9a-f]{64}$/.test(e.checksum)));
+    const tags = parseManifest(fs.readFileSync(path.join(bagDir, 'tagmanifest-sha256.txt'), 'utf8'));
+    assert.deepStrictEqual(tags.map((e) => e.path), ['bagit.txt', 'bag-info.txt', 'manifest-sha256.txt']);
+
+    assert.deepStrictEqual(await validateBag(bagDir), { valid: true, fileCount: 3 });
+
+    // Tampered payload, unlisted file, edited tag file
+    fs.writeFileSync(path.join(bagDir, 'data', 'manifest.json'), '{"a":2}');
+    await assert.rejects(validateBag(bagDir), (err) => err.code === 'BAG_INVALID' && err.problems.some((p) => /mismatch for data\/manifest.json/.test(p)));
+    fs.writeFileSync(path.join(bagDir, 'data', 'manifest.json'), '{"a":1}');
+    fs.writeFileSync(path.join(bagDir, 'data', 'extra.txt'), 'x');
+    await assert.rejects(validateBag(bagDir), (err) => err.problems.some((p) => /not listed: data\/extra.txt/.test(p)));
+    fs.rmSync(path.join(bagDir, 'data', 'extra.txt'));
+    fs.appendFileSync(path.join(bagDir, 'bag-info.txt'), 'Contact-Name: x\n');
+    await assert.rejects(validateBag(bagDir), (err) => err.problems.some((p) => /tagmanifest-sha256.txt: checksum mismatch for bag-info.txt/.test(p)));
+
+    await assert.rejects(buildBag({ bagDir: path.join(tmp, 'bad'), payload: [{ source: path.join(src, 'manifest.json'), name: '../escape' }] }), /escapes data/);
+    assert.strictEqual(encodeManifestPath('a%b\nc'), 'a%25b%0Ac');
+
+    fs.rmSync(tmp, { recursive: true, force: true });
+    console.log('PASS: bagit');
+    process.exit(0);
+  } catch (err) {
+    fs.rmSync(tmp, { recursive: true, force: true });
+    console.error('FAIL:', err);
+    process.exit(1);
+  }
+})();
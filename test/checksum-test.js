@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { hashFile, compareChecksums } = require('../src/core/checksum');
+
+(async () => {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'checksum-test-'));
+  try {
+    const file = path.join(tmp, 'blob.bin');
+    const data = crypto.randomBytes(256 * 1024 + 17);
+    fs.writeFileSync(file, data);
+
+    const digest = (a) => crypto.createHash(a).update(data).digest('hex');
+    const hashes = await hashFile(file, ['sha256', 'sha1', 'md5']);
+    assert.deepStrictEqual(hashes, { sha256: digest('sha256'), sha1: digest('sha1'), md5: digest('md5') });
+    assert.deepStrictEqual(Object.keys(await hashFile(file)), ['sha256']);
+    await assert.rejects(hashFile(path.join(tmp, 'missing.bin')));
+
+    // B2 reports sha1, S3 reports sha256 (and md5 for single-part ETags)
+    assert.strictEqual(compareChecksums(hashes, { sha1: hashes.sha1.toUpperCase() }).verified, true);
+    assert.strictEqual(compareChecksums(hashes, { sha256: hashes.sha256, md5: hashes.md5 }).algorithm, 'sha256');
+    const bad = compareChecksums(hashes, { sha256: hashes.sha256, sha1: digest('md5') + 'deadbeef' });
+    assert.strictEqual(bad.verified, false);
+    assert.strictEqual(bad.algorithm, 'sha1');
+    assert.strictEqual(compareChecksums(hashes, { sha256: null, md5: null }).verified, null);
+    assert.strictEqual(compareChecksums(hashes, undefined).verified, null);
+
+    fs.rmSync(tmp, { recursive: true, force: true });
+    console.log('PASS: checksum');
+    process.exit(0);
+  } catch (err) {
+    fs.rmSync(tmp, { recursive: true, force: true });
+    console.error('FAIL:', err);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+const assert = require('assert');
+const { parseIccProfile, describeColor, withColorMetadata } = require('../src/workers/machinist/machinist.color');
+const { normalizeExif } = require('../src/workers/machinist/machinist.consistency');
+
+// Minimal ICC profile: 128-byte header, tag table with a single desc tag
+function iccProfile({ version = 0x02100000, deviceClass = 'mntr', space = 'RGB ', pcs = 'XYZ ', desc }) {
+  const header = Buffer.alloc(128);
+  header.writeUInt32BE(version, 8);
+  header.write(deviceClass, 12, 'latin1');
+  header.write(space, 16, 'latin1');
+  header.write(pcs, 20, 'latin1');
+  header.write('acsp', 36, 'latin1');
+  const table = Buffer.alloc(4 + 12);
+  table.writeUInt32BE(1, 0);
+  table.write('desc', 4, 'latin1');
+  table.writeUInt32BE(128 + table.length, 8);
+  table.writeUInt32BE(desc.length, 12);
+  const buf = Buffer.concat([header, table, desc]);
+  buf.writeUInt32BE(buf.length, 0);
+  return buf;
+}
+
+function textDescription(text) {
+  const tag = Buffer.alloc(12 + text.length + 1);
+  tag.write('desc', 0, 'latin1');
+  tag.writeUInt32BE(text.length + 1, 8);
+  tag.write(text, 12, 'latin1');
+  return tag;
+}
+
+function multiLocalized(records) {
+  const strings = records.map(([, text]) => Buffer.from(text, 'utf16le').swap16());
+  const tag = Buffer.alloc(16 + records.length * 12);
+  tag.write('mluc', 0, 'latin1');
+  tag.writeUInt32BE(records.length, 8);
+  tag.writeUInt32BE(12, 12);
+  let offset = tag.length;
+  records.forEach(([locale], i) => {
+    tag.write(locale, 16 + i * 12, 'latin1');
+    tag.writeUInt32BE(strings[i].length, 16 + i * 12 + 4);
+    tag.writeUInt32BE(offset, 16 + i * 12 + 8);
+    offset += strings[i].length;
+  });
+  return Buffer.concat([tag, ...strings]);
+}
+
+(async () => {
+  try {
+    // ICC v2 textDescriptionType
+    const adobe = parseIccProfile(iccProfile({ desc: textDescription('Adobe RGB (1998)') }));
+    assert.strictEqual(adobe.description, 'Adobe RGB (1998)');
+    assert.strictEqual(adobe.version, '2.1');
+    assert.strictEqual(adobe.deviceClass, 'display');
+    assert.strictEqual(adobe.colorSpace, 'RGB');
+    assert.strictEqual(adobe.pcs, 'XYZ');
+
+    // ICC v4 multiLocalizedUnicode: English preferred over the first record
+    const p3 = parseIccProfile(iccProfile({ version: 0x04300000, desc: multiLocalized([['deDE', 'Anzeige P3'], ['enUS', 'Display P3']]) }));
+    assert.strictEqual(p3.description, 'Display P3');
+    assert.strictEqual(p3.version, '4.3');
+    const only = parseIccProfile(iccProfile({ version: 0x04300000, deviceClass: 'prtr', space: 'CMYK', pcs: 'Lab ', desc: multiLocalized([['frFR', 'Coated FOGRA39']]) }));
+    assert.strictEqual(only.description, 'Coated FOGRA39');
+    assert.strictEqual(only.deviceClass, 'output');
+    assert.strictEqual(only.colorSpace, 'CMYK');
+
+    // Not a profile / truncated
+    assert.strictEqual(parseIccProfile(Buffer.alloc(200)), null);
+    assert.strictEqual(parseIccProfile(Buffer.from('acsp')), null);
+    assert.strictEqual(parseIccProfile(null), null);
+    const truncated = iccProfile({ desc: textDescription('Adobe RGB (1998)') }).subarray(0, 150);
+    assert.strictEqual(parseIccProfile(truncated).description, null, 'header still readable');
+
+    // Which sources need converting
+    const srgb = describeColor({ space: 'srgb', depth: 'uchar', icc: iccProfile({ desc: textDescription('sRGB IEC61966-2.1') }) });
+    assert.strictEqual(srgb.profile, 'sRGB IEC61966-2.1');
+    assert.strictEqual(srgb.embedded_profile, true);
+    assert.strictEqual(srgb.needs_conversion, false);
+    assert.strictEqual(describeColor({ space: 'srgb', depth: 'uchar' }).needs_conversion, false, 'untagged 8-bit is sRGB');
+    assert.strictEqual(describeColor({ space: 'srgb', depth: 'uchar', icc: iccProfile({ desc: textDescription('Adobe RGB (1998)') }) }).needs_conversion, true);
+    const deep = describeColor({ space: 'rgb16', depth: 'ushort' });
+    assert.strictEqual(deep.bit_depth, 16);
+    assert.strictEqual(deep.needs_conversion, true);
+    assert.strictEqual(describeColor({ space: 'grey16', depth: 'ushort' }).needs_conversion, true);
+    assert.strictEqual(describeColor({ space: 'cmyk', depth: 'uchar' }).needs_conversion, true);
+    assert.strictEqual(describeColor({ space: 'b-w', depth: 'uchar' }).needs_conversion, false);
+    const unreadable = describeColor({ space: 'srgb', depth: 'uchar', icc: Buffer.alloc(64) });
+    assert.strictEqual(unreadable.embedded_profile, true);
+    assert.strictEqual(unreadable.profile, null);
+    assert.strictEqual(unreadable.needs_conversion, false, 'unparseable profile left to the sharp default');
+
+    // Version rows record the stored file's profile name next to converted_from
+    const adobeMeta = { space: 'srgb', depth: 'uchar', icc: iccProfile({ desc: textDescription('Adobe RGB (1998)') }) };
+    assert.deepStrictEqual(withColorMetadata(adobeMeta), { icc_profile: 'Adobe RGB (1998)' });
+    assert.deepStrictEqual(
+      withColorMetadata({ space: 'srgb', depth: 'uchar' }, { watermark: null, converted_from: describeColor(adobeMeta).profile }),
+      { watermark: null, converted_from: 'Adobe RGB (1998)', icc_profile: null },
+      'converted derivative: untagged sRGB, source profile kept'
+    );
+    assert.deepStrictEqual(withColorMetadata({ icc: Buffer.alloc(64) }, { placeholders: null }), { placeholders: null, icc_profile: null });
+
+    // Normalized EXIF carries the profile name
+    const exif = normalizeExif({ ColorSpace: 'Uncalibrated', ProfileDescription: 'Adobe RGB (1998)' });
+    assert.strictEqual(exif.image.color_space, 'Uncalibrated');
+    assert.strictEqual(exif.image.icc_profile, 'Adobe RGB (1998)');
+
+    console.log('PASS: color');
+    process.exit(0);
+  } catch (err) {
+    console.error('FAIL:', err);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+require('../src/module-aliases');
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'deletion-test-'));
+Object.assign(process.env, {
+  MINIMAL_MODE: 'true',
+  STORAGE_DRIVER: 'local',
+  LOCAL_STORAGE_ROOT: path.join(workDir, 'storage'),
+  DELETION_CERT_SECRET: 'cert-secret',
+});
+for (const name of ['B2_LANDING_BUCKET_ID', 'B2_PROCESSED_STANDARD_BUCKET_ID', 'B2_PROCESSED_ARCHIVE_BUCKET_ID', 'B2_FILES_BUCKET_ID', 'AWS_ARCHIVE_BUCKET', 'STORAGE_DRIVER_ARCHIVE', 'GLACIER_BUCKET_ID', 'DELETION_CERT_PRIVATE_KEY', 'DELETION_CERT_KEY_ID']) {
+  delete process.env[name];
+}
+
+const { uploadFile, fileExists } = require('../src/core/storage');
+const { resolveQueueForJob } = require('../src/priorities/priority.router');
+const { assetPrefixes, collectAssetObjects, mergeInventory, deleteAssetObjects } = require('../src/workers/deletion/deletion.objects');
+const { canonicalJson, certificateSigner, buildDeletionCertificate, signCertificate, verifyDeletionCertificate } = require('../src/workers/deletion/deletion.certificate');
+
+const logger = { info() {}, warn() {}, error() {}, debug() {}, child() { return logger; } };
+const sha256 = (buf) => crypto.createHash('sha256').update(buf).digest('hex');
+
+(async () => {
+  try {
+    const tenant = 't1';
+    const asset = '11111111-2222-3333-4444-555555555555';
+    const target = { tenant_id: tenant, batch_id: 'b1', asset_id: asset };
+    assert.deepStrictEqual(assetPrefixes(target), [
+      `tenant-t1/batch-b1/asset-${asset}/`,
+      `archive/tenant-t1/asset-${asset}/`,
+      `standard/tenant-t1/asset-${asset}/`,
+    ]);
+    assert.strictEqual(resolveQueueForJob({ job_type: 'deletion.asset', tenant_id: tenant, asset_id: asset }), 'jobs:deletion');
+
+    // Objects of the asset in several buckets, plus a neighbour that must survive
+    const src = path.join(workDir, 'src.bin');
+    fs.writeFileSync(src, Buffer.from('original bytes'));
+    const stored = [
+      ['landing', `tenant-t1/batch-b1/asset-${asset}/original.tif`],
+      ['processed-standard', `tenant-t1/batch-b1/asset-${asset}/viewing/viewing.jpg`],
+      ['processed-standard', `tenant-t1/batch-b1/asset-${asset}/metadata/manifest.json`],
+      ['archive', `archive/tenant-t1/asset-${asset}/preservation/asset.tar.gz`],
+      ['processed-standard', `standard/tenant-t1/asset-${asset}/ai/ai_version.jpg`],
+      ['files', 'elsewhere/moved.jpg'],
+    ];
+    for (const [bucket, key] of stored) await uploadFile(bucket, key, src, null);
+    const neighbour = 'tenant-t1/batch-b1/asset-99999999-2222-3333-4444-555555555555/original.tif';
+    await uploadFile('landing', neighbour, src, null);
+
+    const versions = [
+      { storage_path: stored[0][1], bucket_name: 'B2_landing_bucket', checksum: sha256('original bytes') },
+      { storage_path: 'elsewhere/moved.jpg', bucket_name: 'B2_files_bucket', checksum: 'ab'.repeat(32), checksum_algorithm: 'sha256' },
+      { storage_path: 'elsewhere/gone.jpg', bucket_name: 'B2_files_bucket', checksum: null },
+    ];
+    const objects = await collectAssetObjects(target, { versions });
+    assert.strictEqual(objects.length, 6, 'prefixes in every bucket plus keys named by version rows');
+    const original = objects.find((o) => o.key === stored[0][1]);
+    assert.strictEqual(original.bucket, 'B2_landing_bucket');
+    assert.strictEqual(original.sha256, sha256('original bytes'), 'recorded checksum carried over');
+    assert.strictEqual(original.size, 14);
+    assert.ok(!objects.some((o) => o.key === neighbour));
+
+    // A resumed run keeps the recorded inventory and adds what turned up since
+    const recorded = objects.slice(0, 2).map(({ bucketId, ...o }) => ({ ...o, sha256: 'recorded' }));
+    const merged = mergeInventory(recorded, objects.slice(1));
+    assert.strictEqual(merged.length, 6);
+    assert.strictEqual(merged.find((o) => o.key === objects[1].key).sha256, 'recorded', 'recorded hashes win');
+    assert.strictEqual(merged.find((o) => o.key === objects[0].key).bucketId, objects[0].bucketId, 'bucket id restored from the label');
+
+    const removed = await deleteAssetObjects(objects, logger);
+    assert.strictEqual(removed.length, 6);
+    assert.ok(removed.every((o) => o.existed && o.deleted_at));
+    for (const [bucket, key] of stored) assert.strictEqual(await fileExists(bucket, key), false, key);
+    assert.ok(await fileExists('landing', neighbour), 'other assets untouched');
+    assert.strictEqual((await collectAssetObjects(target, { versions })).length, 0, 're-running finds nothing');
+
+    // Certificates: canonical form, HMAC and Ed25519 signatures
+    assert.strictEqual(canonicalJson({ b: [2, { d: 1, c: null }], a: 'x', u: undefined }), '{"a":"x","b":[2,{"c":null,"d":1}]}');
+    const cert = buildDeletionCertificate({
+      target,
+      job: { reason: 'erasure_request', requested_by: 'dpo@example.org' },
+      objects: removed,
+      records: { asset_versions: 3, ai_description: 1, jobgroup_results: 0, asset: 'tombstoned' },
+      startedAt: new Date().toISOString(),
+      legalHold: { checked_at: new Date().toISOString(), asset: false, tenant: false },
+    });
+    assert.strictEqual(cert.totals.bytes, 6 * 14);
+    assert.strictEqual(buildDeletionCertificate({ target, job: {}, objects: [], records: {}, startedAt: cert.started_at, certificateId: cert.certificate_id }).certificate_id, cert.certificate_id);
+    assert.strictEqual(cert.dry_run, undefined);
+    const hmac = signCertificate(cert);
+    assert.strictEqual(hmac.signature.algorithm, 'hmac-sha256');
+    assert.ok(verifyDeletionCertificate(hmac, { secret: 'cert-secret' }));
+    assert.ok(!verifyDeletionCertificate(hmac, { secret: 'other' }));
+    assert.ok(!verifyDeletionCertificate({ ...hmac, objects: hmac.objects.slice(1) }, { secret: 'cert-secret' }), 'signature covers the object list');
+    const reordered = JSON.parse(JSON.stringify({ signature: hmac.signature, ...hmac }));
+    assert.ok(verifyDeletionCertificate(reordered, { secret: 'cert-secret' }), 'key order does not matter');
+
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+    process.env.DELETION_CERT_PRIVATE_KEY = privateKey.export({ type: 'pkcs8', format: 'pem' }).replace(/\n/g, '\\n');
+    const signer = certificateSigner();
+    assert.strictEqual(signer.algorithm, 'ed25519');
+    assert.match(signer.keyId, /^[0-9a-f]{16}$/);
+    const ed = signCertificate(hmac, signer);
+    const publicPem = publicKey.export({ type: 'spki', format: 'pem' });
+    assert.ok(verifyDeletionCertificate(ed, { publicKey: publicPem }));
+    assert.ok(!verifyDeletionCertificate({ ...ed, asset_id: 'x' }, { publicKey: publicPem }));
+    assert.ok(!verifyDeletionCertificate(ed, { secret: 'cert-secret' }), 'algorithm is taken from the certificate');
+    process.env.DELETION_CERT_PRIVATE_KEY = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }).privateKey.export({ type: 'pkcs8', format: 'pem' });
+    assert.throws(() => certificateSigner(), /Ed25519/);
+
+    fs.rmSync(workDir, { recursive: true, force: true });
+    console.log('PASS: deletion');
+    process.exit(0);
+  } catch (err) {
+    fs.rmSync(workDir, { recursive: true, force: true });
+    console.error('FAIL:', err);
+    process.exit(1);
+  }
+})();
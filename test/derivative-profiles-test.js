@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+const assert = require('assert');
+const ValidationError = require('../src/errors/ValidationError');
+const { resolveDerivativeProfile, outputsForPurpose, formatVariant } = require('../src/workers/machinist/machinist.profiles');
+
+(async () => {
+  try {
+    // Default profile reproduces the historical derivative set
+    const def = resolveDerivativeProfile({ job: {} });
+    assert.strictEqual(def.name, 'default');
+    assert.strictEqual(def.viewing.width, 2000);
+    assert.strictEqual(def.viewing.quality, 85);
+    assert.strictEqual(def.ai.fit, 'contain');
+    assert.deepStrictEqual(def.thumbnails.map((t) => t.width), [200, 400, 800]);
+
+    // AI output only for preservation/viewing
+    assert.ok(outputsForPurpose(def, 'viewing').ai, 'viewing produces ai');
+    assert.strictEqual(outputsForPurpose(def, 'production').ai, null, 'production skips ai');
+
+    // Tenant profile by name, job override wins
+    const archive = resolveDerivativeProfile({ job: {}, tenantSettings: { derivative_profile: 'archive' } });
+    assert.strictEqual(archive.viewing.width, 4000);
+    const market = resolveDerivativeProfile({ job: { derivative_profile: 'marketplace' }, tenantSettings: { derivative_profile: 'archive' } });
+    assert.strictEqual(market.thumbnails[0].fit, 'cover');
+    assert.strictEqual(market.thumbnails[0].height, 200);
+
+    // Inline profile extending a tenant-defined named profile
+    const custom = resolveDerivativeProfile({
+      job: { derivative_profile: { extends: 'print', ai: null } },
+      tenantSettings: { derivative_profiles: { print: { extends: 'archive', viewing: { format: 'png' } } } },
+    });
+    assert.strictEqual(custom.viewing.width, 4000);
+    assert.strictEqual(custom.viewing.extension, 'png');
+    assert.strictEqual(custom.ai, null);
+
+    // Alternate formats: none by default, job output_formats applies to viewing + thumbnails
+    assert.deepStrictEqual(def.viewing.alternates, []);
+    const modern = resolveDerivativeProfile({ job: { output_formats: ['webp', 'avif', 'jpeg'] } });
+    assert.deepStrictEqual(modern.viewing.alternates.map((a) => a.format), ['webp', 'avif'], 'primary jpeg not duplicated');
+    assert.strictEqual(modern.viewing.alternates[0].quality, 85);
+    assert.strictEqual(modern.viewing.alternates[1].quality, 50);
+    assert.strictEqual(modern.viewing.alternates[1].contentType, 'image/avif');
+    assert.deepStrictEqual(modern.thumbnails[0].alternates.map((a) => a.extension), ['webp', 'avif']);
+    assert.deepStrictEqual(modern.ai.alternates, [], 'ai never gets alternates');
+    assert.strictEqual(formatVariant('processed', 'webp'), 'processed_webp');
+
+    // Invalid profiles are rejected with ValidationError
+    for (const bad of ['nope', { viewing: { format: 'bmp' } }, { thumbnails: { sizes: [{ label: 'x', width: -1 }] } }, { viewing: { alt_formats: ['gif'] } }]) {
+      let threw = false;
+      try { resolveDerivativeProfile({ job: { derivative_profile: bad } }); } catch (e) { threw = e instanceof ValidationError; }
+      assert.strictEqual(threw, true, `profile ${JSON.stringify(bad)} should be rejected`);
+    }
+
+    console.log('PASS: derivative profiles');
+    process.exit(0);
+  } catch (err) {
+    console.error('FAIL:', err);
+    process.exit(1);
+  }
+})();
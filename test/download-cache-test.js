@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+
+const { createDiskCache } = require('../src/core/download-cache');
+const { downloadResumable, partPath } = require('../src/core/resumable-download');
+
+const KB = 1024;
+const sha1 = (buf) => crypto.createHash('sha1').update(buf).digest('hex');
+
+// Serves `bytes` from `start`; `cutAt` ends the stream with an error after that many bytes
+function server(bytes, { honourRange = true } = {}) {
+  const requests = [];
+  let cutAt = null;
+  return {
+    requests,
+    cut(n) { cutAt = n; },
+    async fetchRange(start) {
+      requests.push(start);
+      const from = honourRange ? start : 0;
+      const body = bytes.subarray(from);
+      const limit = cutAt;
+      cutAt = null;
+      let sent = false;
+      const stream = new Readable({
+        read() {
+          if (limit == null) {
+            this.push(body);
+            this.push(null);
+          } else if (!sent) {
+            sent = true;
+            this.push(body.subarray(0, limit));
+          } else {
+            // Reset after the first bytes have reached the disk
+            setTimeout(() => this.destroy(new Error('ECONNRESET')), 20);
+          }
+        },
+      });
+      return { status: from > 0 ? 206 : 200, stream };
+    },
+  };
+}
+
+(async () => {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'download-cache-test-'));
+  try {
+    const bytes = crypto.randomBytes(200 * KB);
+    const local = path.join(workDir, 'original.tif');
+    const params = { localPath: local, size: bytes.length, sha1: sha1(bytes), tag: 'file-v1' };
+
+    // A connection reset mid-transfer resumes with a Range request and appends
+    const s1 = server(bytes);
+    s1.cut(50 * KB);
+    const r1 = await downloadResumable({ fetchRange: s1.fetchRange, ...params });
+    assert.deepStrictEqual(s1.requests, [0, 50 * KB]);
+    assert.strictEqual(r1.verified, true);
+    assert.ok(fs.readFileSync(local).equals(bytes));
+    assert.ok(!fs.existsSync(partPath(local, 'file-v1')), 'part file renamed into place');
+
+    // A later retry picks up a partial file left by an earlier attempt
+    fs.rmSync(local);
+    fs.writeFileSync(partPath(local, 'file-v1'), bytes.subarray(0, 120 * KB));
+    const s2 = server(bytes);
+    const r2 = await downloadResumable({ fetchRange: s2.fetchRange, ...params });
+    assert.strictEqual(r2.resumedFrom, 120 * KB);
+    assert.deepStrictEqual(s2.requests, [120 * KB]);
+    assert.ok(fs.readFileSync(local).equals(bytes));
+
+    // Partial files are per object version; a server ignoring Range restarts from zero
+    fs.rmSync(local);
+    fs.writeFileSync(partPath(local, 'file-v1'), bytes.subarray(0, 10 * KB));
+    const s3 = server(bytes, { honourRange: false });
+    await downloadResumable({ fetchRange: s3.fetchRange, ...params });
+    assert.ok(fs.readFileSync(local).equals(bytes), '200 response overwrites the partial file');
+    assert.strictEqual((await downloadResumable({ fetchRange: server(bytes).fetchRange, ...params, localPath: path.join(workDir, 'v2.tif'), tag: 'file-v2' })).resumedFrom, 0);
+
+    // Corrupt bytes are rejected and discarded so the next retry starts clean
+    const corrupt = Buffer.from(bytes);
+    corrupt[1000] ^= 0xff;
+    const badPath = path.join(workDir, 'bad.tif');
+    await assert.rejects(downloadResumable({ fetchRange: server(corrupt).fetchRange, ...params, localPath: badPath }), (err) => err.code === 'CHECKSUM_MISMATCH' && err.algorithm === 'sha1');
+    assert.ok(!fs.existsSync(badPath));
+    assert.ok(!fs.existsSync(partPath(badPath, 'file-v1')));
+    await assert.rejects(downloadResumable({ fetchRange: server(bytes.subarray(0, 10)).fetchRange, ...params, localPath: badPath }), /connection closed after 10 of/);
+    await assert.rejects(downloadResumable({ fetchRange: server(Buffer.concat([bytes, bytes])).fetchRange, ...params, localPath: badPath }), /does not match/);
+    const unverified = await downloadResumable({ fetchRange: server(corrupt).fetchRange, ...params, localPath: badPath, verify: false });
+    assert.strictEqual(unverified.verified, false, 'fixity audits see the stored bytes as they are');
+
+    // Disk LRU keyed by bucket + key + checksum
+    const cacheDir = path.join(workDir, 'cache');
+    const cache = createDiskCache({ dir: cacheDir, maxBytes: 500 * KB });
+    const id = { bucketId: 'landing', key: 'tenant-t/batch-b/asset-a/original.tif', checksum: sha1(bytes) };
+    assert.strictEqual(await cache.fetch(id, path.join(workDir, 'miss.tif')), false);
+    assert.strictEqual(await cache.store(id, local), true);
+    const hitPath = path.join(workDir, 'hit.tif');
+    assert.strictEqual(await cache.fetch(id, hitPath, bytes.length), true);
+    assert.ok(fs.readFileSync(hitPath).equals(bytes));
+    assert.strictEqual(await cache.fetch({ ...id, checksum: sha1(corrupt) }, hitPath), false, 'a rewritten object is a different entry');
+    assert.strictEqual(await cache.fetch({ ...id, bucketId: 'processed' }, hitPath), false);
+    assert.strictEqual(await cache.fetch({ ...id, checksum: null }, hitPath), false, 'no checksum, no caching');
+    assert.strictEqual(await cache.fetch(id, hitPath, bytes.length + 1), false, 'size mismatch is a miss');
+    assert.strictEqual(await cache.fetch(id, hitPath), false, 'and the bad entry is dropped');
+
+    // Least recently used entries go first once the cache is over its bound
+    const pause = () => new Promise((r) => setTimeout(r, 20));
+    const put = async (name) => {
+      const file = path.join(workDir, `${name}.jpg`);
+      fs.writeFileSync(file, crypto.randomBytes(150 * KB));
+      const entry = { bucketId: 'processed', key: `${name}.jpg`, checksum: sha1(fs.readFileSync(file)) };
+      await cache.store(entry, file);
+      await pause();
+      return entry;
+    };
+    const a = await put('a');
+    const b = await put('b');
+    const c = await put('c');
+    assert.strictEqual(await cache.fetch(a, path.join(workDir, 'a-hit.jpg')), true);
+    await pause();
+    const d = await put('d');
+    const total = fs.readdirSync(cacheDir).reduce((n, name) => n + fs.statSync(path.join(cacheDir, name)).size, 0);
+    assert.ok(total <= 500 * KB, `cache bounded (${total})`);
+    assert.strictEqual(await cache.fetch(b, path.join(workDir, 'b-hit.jpg')), false, 'least recently used evicted');
+    for (const entry of [a, c, d]) assert.strictEqual(await cache.fetch(entry, path.join(workDir, 'x.jpg')), true);
+    assert.ok(!fs.readdirSync(cacheDir).some((n) => n.endsWith('.tmp')));
+    const big = path.join(workDir, 'big.bin');
+    fs.writeFileSync(big, Buffer.alloc(300 * KB));
+    assert.strictEqual(await cache.store({ ...id, key: 'big' }, big), false, 'files over half the cache are not kept');
+
+    const off = createDiskCache({ dir: path.join(workDir, 'off'), maxBytes: 0 });
+    assert.strictEqual(await off.store(id, local), false);
+    assert.ok(!fs.existsSync(path.join(workDir, 'off')));
+
+    fs.rmSync(workDir, { recursive: true, force: true });
+    console.log('PASS: download cache');
+    process.exit(0);
+  } catch (err) {
+    fs.rmSync(workDir, { recursive: true, force: true });
+    console.error('FAIL:', err);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+const assert = require('assert');
+const { catalogueFields, exiftoolEmbedArgs, embedEnabled, downloadFiles } = require('../src/workers/machinist/machinist.embed');
+
+(async () => {
+  try {
+    const row = {
+      title: '  Harbour at dawn\n',
+      description: 'Fishing boats moored in the harbour.\nMist over the water.',
+      keywords: ['boats', ' harbour ', 'boats', '', 42],
+      spatial_coverage: { city: 'Whitby', country: 'United Kingdom' },
+    };
+
+    // Fields: trimmed, keywords de-duplicated, location optional
+    const fields = catalogueFields(row);
+    assert.deepStrictEqual(fields, {
+      title: 'Harbour at dawn',
+      description: 'Fishing boats moored in the harbour.\nMist over the water.',
+      keywords: ['boats', 'harbour'],
+      city: 'Whitby',
+      country: 'United Kingdom',
+    });
+    const private_ = catalogueFields(row, { withLocation: false });
+    assert.strictEqual(private_.city, null);
+    assert.strictEqual(private_.country, null);
+    assert.strictEqual(catalogueFields(null), null);
+    assert.strictEqual(catalogueFields({ title: ' ', keywords: [] }), null, 'nothing to embed');
+
+    // XMP only for PNG / WebP
+    const xmp = exiftoolEmbedArgs(fields);
+    assert.ok(xmp.includes('-XMP-dc:Title=Harbour at dawn'));
+    assert.ok(xmp.includes('-XMP-dc:Subject=boats'));
+    assert.ok(xmp.includes('-XMP-dc:Subject=harbour'));
+    assert.ok(xmp.includes('-XMP-iptcCore:Location=Whitby, United Kingdom'));
+    assert.ok(xmp.includes('-XMP-photoshop:Country=United Kingdom'));
+    assert.ok(!xmp.some((a) => a.startsWith('-IPTC:')));
+
+    // IPTC IIM for JPEG / TIFF, UTF-8 and within field lengths
+    const iptc = exiftoolEmbedArgs({ ...fields, title: 'T'.repeat(100) }, { iptc: true });
+    assert.deepStrictEqual(iptc.slice(0, 2), ['-charset', 'iptc=UTF8']);
+    assert.ok(iptc.includes('-IPTC:CodedCharacterSet=UTF8'));
+    assert.ok(iptc.includes(`-IPTC:ObjectName=${'T'.repeat(64)}`));
+    assert.ok(iptc.includes(`-XMP-dc:Title=${'T'.repeat(100)}`), 'XMP keeps the full title');
+    assert.ok(iptc.includes('-IPTC:Keywords=harbour'));
+
+    // Fields missing from a newer description are cleared, not left stale
+    const cleared = exiftoolEmbedArgs(catalogueFields({ title: 'Only a title' }), { iptc: true });
+    assert.ok(cleared.includes('-XMP-dc:Description='));
+    assert.ok(cleared.includes('-XMP-dc:Subject='));
+    assert.ok(cleared.includes('-IPTC:Keywords='));
+    assert.ok(cleared.includes('-XMP-iptcCore:Location='));
+
+    // Switches
+    assert.strictEqual(embedEnabled({}), true);
+    assert.strictEqual(embedEnabled({ embed_metadata: false }), false);
+
+    // Download files: viewing and its alternate formats only
+    const viewing = { localPath: '/tmp/viewing.jpg', contentType: 'image/jpeg', alternates: [{ localPath: '/tmp/viewing.webp', contentType: 'image/webp' }] };
+    assert.deepStrictEqual(downloadFiles({ viewing, thumbnails: [{}] }).map((f) => f.localPath), ['/tmp/viewing.jpg', '/tmp/viewing.webp']);
+    assert.deepStrictEqual(downloadFiles({ viewing: null }), []);
+
+    console.log('PASS: embed');
+    process.exit(0);
+  } catch (err) {
+    console.error('FAIL:', err);
+    process.exit(1);
+  }
+})();
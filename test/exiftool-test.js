@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'exiftool-test-'));
+process.env.EXIFTOOL_BIN = path.join(workDir, 'missing-exiftool');
+
+const { createExiftool, commandLines } = require('../src/workers/machinist/machinist.exiftool');
+const { parseExifBuffer, jpegExifSegment } = require('../src/workers/machinist/machinist.exif.fallback');
+const { extractExifMetadata } = require('../src/workers/machinist/machinist.exif');
+const { normalizeExif } = require('../src/workers/machinist/machinist.consistency');
+const { extractPrivateExif } = require('../src/workers/machinist/machinist.privacy');
+
+// Stand-in for `exiftool -stay_open True -@ -`: echoes each command's
+// arguments as JSON; `sleep` never answers, `crash` exits mid-command.
+const FAKE_EXIFTOOL = `#!/usr/bin/env node
+let args = [];
+let buffer = '';
+process.stdin.setEncoding('utf8');
+process.stdin.on('data', (d) => {
+  buffer += d;
+  let nl;
+  while ((nl = buffer.indexOf('\\n')) !== -1) {
+    const line = buffer.slice(0, nl);
+    buffer = buffer.slice(nl + 1);
+    if (line === 'False' && args[args.length - 1] === '-stay_open') process.exit(0);
+    const exec = /^-execute(\\d+)$/.exec(line);
+    if (!exec) { args.push(line); continue; }
+    const command = args;
+    args = [];
+    if (command.includes('crash')) process.exit(3);
+    if (command.includes('sleep')) continue;
+    const echo = command[command.indexOf('-echo4') + 1];
+    process.stdout.write(JSON.stringify([{ args: command.slice(0, command.indexOf('-echo4')), pid: process.pid }]) + '\\n{ready' + exec[1] + '}\\n');
+    process.stderr.write((command.includes('fail') ? 'Error: bad file\\n' : '') + echo + '\\n');
+  }
+});
+`;
+
+// Minimal little-endian TIFF/EXIF block: IFD0 -> Exif IFD, GPS IFD
+const ascii = (s) => Buffer.from(`${s}\0`, 'latin1');
+const short = (n) => { const b = Buffer.alloc(2); b.writeUInt16LE(n); return b; };
+const long = (n) => { const b = Buffer.alloc(4); b.writeUInt32LE(n); return b; };
+const rational = (...pairs) => Buffer.concat(pairs.map(([n, d]) => Buffer.concat([long(n), long(d)])));
+
+function ifd(entries, start) {
+  const head = 2 + entries.length * 12 + 4;
+  const dir = Buffer.alloc(head);
+  const data = [];
+  let dataAt = start + head;
+  dir.writeUInt16LE(entries.length, 0);
+  entries.forEach(([tag, type, count, value], i) => {
+    const at = 2 + i * 12;
+    dir.writeUInt16LE(tag, at);
+    dir.writeUInt16LE(type, at + 2);
+    dir.writeUInt32LE(count, at + 4);
+    if (value.length <= 4) value.copy(dir, at + 8);
+    else { dir.writeUInt32LE(dataAt, at + 8); data.push(value); dataAt += value.length; }
+  });
+  return Buffer.concat([dir, ...data]);
+}
+
+function exifBlock() {
+  const ifd0Entries = (exifAt, gpsAt) => [
+    [0x010f, 2, 6, ascii('Canon')],
+    [0x0110, 2, 7, ascii('EOS R5')],
+    [0x0112, 3, 1, short(6)],
+    [0x8769, 4, 1, long(exifAt)],
+    [0x8825, 4, 1, long(gpsAt)],
+  ];
+  const exifEntries = [
+    [0x829a, 5, 1, rational([1, 250])],
+    [0x829d, 5, 1, rational([56, 10])],
+    [0x8827, 3, 1, short(400)],
+    [0x9003, 2, 20, ascii('2024:05:01 10:00:00')],
+    [0x920a, 5, 1, rational([50, 1])],
+    [0xa001, 3, 1, short(1)],
+    [0xa431, 2, 13, ascii('012345678901')],
+  ];
+  const gpsEntries = [
+    [0x0001, 2, 2, ascii('N')],
+    [0x0002, 5, 3, rational([51, 1], [30, 1], [2646, 100])],
+    [0x0003, 2, 2, ascii('W')],
+    [0x0004, 5, 3, rational([0, 1], [7, 1], [3993, 100])],
+    [0x0006, 5, 1, rational([352, 10])],
+  ];
+  const ifd0Length = ifd(ifd0Entries(0, 0), 8).length;
+  const exifIfd = ifd(exifEntries, 8 + ifd0Length);
+  const gpsAt = 8 + ifd0Length + exifIfd.length;
+  const header = Buffer.from([0x49, 0x49, 42, 0, 8, 0, 0, 0]);
+  return Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), header, ifd(ifd0Entries(8 + ifd0Length, gpsAt), 8), exifIfd, ifd(gpsEntries, gpsAt)]);
+}
+
+(async () => {
+  try {
+    // Argument file: one argument per line, values with line breaks C-escaped
+    assert.strictEqual(commandLines(['-json', '/tmp/a b.jpg'], 7), '-json\n/tmp/a b.jpg\n-echo4\n{ready7}\n-execute7\n');
+    const escaped = commandLines(['-XMP-dc:Description=line one\nline two C:\\dir', '-XMP-dc:Title=a\\b', '/tmp/x.jpg'], 1).split('\n');
+    assert.strictEqual(escaped[0], '-ec');
+    assert.strictEqual(escaped[1], '-XMP-dc:Description=line one\\nline two C:\\\\dir');
+    assert.strictEqual(escaped[2], '-XMP-dc:Title=a\\\\b', 'every value escaped once -ec is on');
+    assert.throws(() => commandLines(['-json', '/tmp/evil\n-delete_original'], 1), /line breaks/);
+    assert.throws(() => commandLines('-json /tmp/a.jpg', 1), /array of strings/);
+
+    // Managed process against a stand-in binary
+    const bin = path.join(workDir, 'exiftool');
+    fs.writeFileSync(bin, FAKE_EXIFTOOL, { mode: 0o755 });
+    const tool = createExiftool({ bin, timeoutMs: 1500 });
+
+    const [a, b, c] = await Promise.all([tool.run(['-json', '/tmp/1.jpg']), tool.run(['-json', '/tmp/2.jpg']), tool.run(['-json', '/tmp/3.jpg'])]);
+    assert.deepStrictEqual([a, b, c].map((r) => JSON.parse(r.stdout)[0].args[1]), ['/tmp/1.jpg', '/tmp/2.jpg', '/tmp/3.jpg'], 'FIFO order');
+    assert.strictEqual(new Set([a, b, c].map((r) => JSON.parse(r.stdout)[0].pid)).size, 1, 'one process serves every command');
+    assert.strictEqual(tool.stats().starts, 1);
+    assert.strictEqual((await tool.run(['fail'])).stderr, 'Error: bad file');
+
+    // Timeout kills the process; the next command gets a fresh one
+    await assert.rejects(tool.run(['sleep']), (err) => err.code === 'TIMEOUT');
+    const after = await tool.run(['-ver']);
+    assert.deepStrictEqual(JSON.parse(after.stdout)[0].args, ['-ver']);
+    assert.strictEqual(tool.stats().starts, 2);
+
+    // Unexpected exit fails the command in flight and restarts
+    await assert.rejects(tool.run(['crash']), /exited/);
+    await tool.run(['-ver']);
+    assert.strictEqual(tool.stats().starts, 3);
+    tool.close();
+
+    // Missing binary
+    const none = createExiftool({ bin: path.join(workDir, 'nope') });
+    await assert.rejects(none.run(['-ver']), (err) => err.code === 'EXIFTOOL_MISSING');
+    await assert.rejects(none.run(['-ver']), (err) => err.code === 'EXIFTOOL_MISSING');
+
+    // Pure-JS fallback: core tags under exiftool's names and formats
+    const block = exifBlock();
+    const parsed = parseExifBuffer(block);
+    assert.strictEqual(parsed.Make, 'Canon');
+    assert.strictEqual(parsed.Model, 'EOS R5');
+    assert.strictEqual(parsed.Orientation, 'Rotate 90 CW');
+    assert.strictEqual(parsed.ExposureTime, '1/250');
+    assert.strictEqual(parsed.FNumber, 5.6);
+    assert.strictEqual(parsed.ISO, 400);
+    assert.strictEqual(parsed.FocalLength, '50.0 mm');
+    assert.strictEqual(parsed.DateTimeOriginal, '2024:05:01 10:00:00');
+    assert.strictEqual(parsed.ColorSpace, 'sRGB');
+    assert.strictEqual(parsed.SerialNumber, '012345678901');
+    assert.strictEqual(parsed.GPSLatitude, '51 deg 30\' 26.46" N');
+    assert.strictEqual(parsed.GPSLongitude, '0 deg 7\' 39.93" W');
+    assert.strictEqual(parsed.GPSAltitude, '35.2 m Above Sea Level');
+    assert.deepStrictEqual(parseExifBuffer(Buffer.from('not exif at all')), {});
+    assert.deepStrictEqual(parseExifBuffer(block.subarray(0, 30)), {}, 'truncated block');
+
+    const normalized = normalizeExif(parsed);
+    assert.strictEqual(normalized.camera.camera_make, 'Canon');
+    assert.strictEqual(normalized.camera.body_serial, undefined);
+    assert.strictEqual(normalized.exposure.f_number, 5.6);
+    assert.strictEqual(normalized.location, undefined);
+    const restricted = extractPrivateExif(parsed);
+    assert.strictEqual(restricted.camera.body_serial, '012345678901');
+    assert.strictEqual(restricted.location.gps_latitude, parsed.GPSLatitude);
+
+    // JPEG APP1 segment, and extraction without exiftool
+    const app1 = Buffer.concat([Buffer.from([0xff, 0xe1]), Buffer.alloc(2), block]);
+    app1.writeUInt16BE(block.length + 2, 2);
+    const jpeg = Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x04, 0x00, 0x00]), app1, Buffer.from([0xff, 0xda, 0x00, 0x02, 0xff, 0xd9])]);
+    assert.deepStrictEqual(jpegExifSegment(jpeg), block);
+    assert.strictEqual(jpegExifSegment(Buffer.from([0xff, 0xd8, 0xff, 0xda])), null);
+
+    const jpegPath = path.join(workDir, '-photo.jpg');
+    fs.writeFileSync(jpegPath, jpeg);
+    const extracted = await extractExifMetadata(jpegPath);
+    assert.strictEqual(extracted.Make, 'Canon');
+    assert.strictEqual(extracted.GPSLatitude, parsed.GPSLatitude);
+
+    fs.rmSync(workDir, { recursive: true, force: true });
+    console.log('PASS: exiftool');
+    process.exit(0);
+  } catch (err) {
+    fs.rmSync(workDir, { recursive: true, force: true });
+    console.error('FAIL:', err);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+const assert = require('assert');
+const { FIXITY_STATUS, fixityCutoff, fixityAlgorithm, evaluateFixity } = require('../src/workers/fixity/fixity.utils');
+
+(async () => {
+  try {
+    const sha = 'a'.repeat(64);
+    const row = { checksum: sha, checksum_algorithm: 'sha256' };
+
+    assert.strictEqual(evaluateFixity(row, { sha256: sha.toUpperCase() }).status, FIXITY_STATUS.VERIFIED);
+    const bad = evaluateFixity(row, { sha256: 'b'.repeat(64) });
+    assert.strictEqual(bad.status, FIXITY_STATUS.FAILED);
+    assert.strictEqual(bad.expected, sha);
+    assert.strictEqual(evaluateFixity(row, {}).status, FIXITY_STATUS.FAILED, 'digest not computed');
+    assert.strictEqual(evaluateFixity(row, null).status, FIXITY_STATUS.MISSING);
+
+    // Legacy rows without a checksum, or with an algorithm we cannot compute
+    assert.strictEqual(evaluateFixity({ checksum: null }, { sha256: sha }).status, FIXITY_STATUS.UNVERIFIED);
+    assert.strictEqual(evaluateFixity({ checksum: sha, checksum_algorithm: 'crc32' }, { sha256: sha }).status, FIXITY_STATUS.UNVERIFIED);
+    assert.strictEqual(fixityAlgorithm({ checksum: sha }), 'sha256');
+    assert.strictEqual(fixityAlgorithm({ checksum: sha, checksum_algorithm: 'SHA1' }), 'sha1');
+
+    const now = Date.parse('2025-03-31T00:00:00Z');
+    assert.strictEqual(fixityCutoff(30, now), '2025-03-01T00:00:00.000Z');
+
+    console.log('PASS: fixity');
+    process.exit(0);
+  } catch (err) {
+    console.error('FAIL:', err);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+const assert = require('assert');
+const { resolveImageRequest, canonicalKey, IiifError } = require('../src/endpoints/iiif/iiif.params');
+const { createLruCache } = require('../src/endpoints/iiif/iiif.cache');
+const { buildAssetManifest, buildBatchManifest } = require('../src/endpoints/iiif/iiif.presentation');
+
+const SRC = { width: 4000, height: 3000 };
+const LIMITS = { maxWidth: 2000, maxHeight: 2000, maxArea: 2000 * 2000 };
+
+function req(region, size, rotation = '0', qualityFormat = 'default.jpg') {
+  return resolveImageRequest({ region, size, rotation, qualityFormat }, SRC, LIMITS);
+}
+
+function rejects(fn, status = 400) {
+  let err = null;
+  try { fn(); } catch (e) { err = e; }
+  assert.ok(err instanceof IiifError, 'expected IiifError');
+  assert.strictEqual(err.status, status);
+}
+
+(async () => {
+  try {
+    // Region forms
+    assert.deepStrictEqual(req('full', 'max').region, { left: 0, top: 0, width: 4000, height: 3000 });
+    assert.deepStrictEqual(req('square', 'max').region, { left: 500, top: 0, width: 3000, height: 3000 });
+    assert.deepStrictEqual(req('pct:50,50,50,50', 'max').region, { left: 2000, top: 1500, width: 2000, height: 1500 });
+    assert.deepStrictEqual(req('3500,2500,1000,1000', 'max').region, { left: 3500, top: 2500, width: 500, height: 500 }, 'clipped');
+    rejects(() => req('5000,0,10,10', 'max'));
+
+    // Size forms; max is capped by server limits
+    assert.deepStrictEqual(req('full', 'max').size, { width: 2000, height: 1500 });
+    assert.deepStrictEqual(req('full', '400,').size, { width: 400, height: 300 });
+    assert.deepStrictEqual(req('full', ',300').size, { width: 400, height: 300 });
+    assert.deepStrictEqual(req('full', 'pct:10').size, { width: 400, height: 300 });
+    assert.deepStrictEqual(req('full', '!500,500').size, { width: 500, height: 375 });
+    assert.deepStrictEqual(req('0,0,100,100', '^200,').size, { width: 200, height: 200 });
+    rejects(() => req('0,0,100,100', '200,'), 400);
+    rejects(() => req('full', '3000,'), 400);
+
+    // Rotation, quality, format
+    assert.deepStrictEqual(req('full', '100,', '!90').rotation, { degrees: 90, mirror: true });
+    assert.strictEqual(req('full', '100,', '0', 'gray.png').contentType, 'image/png');
+    rejects(() => req('full', '100,', '400'));
+    rejects(() => req('full', '100,', '0', 'sepia.jpg'));
+    rejects(() => req('full', '100,', '0', 'default.gif'));
+    assert.deepStrictEqual(req('pct%3A50,50,50,50', 'max').region, { left: 2000, top: 1500, width: 2000, height: 1500 });
+    rejects(() => req('full', '%E0%A4%A', '0'), 400);
+
+    assert.strictEqual(canonicalKey('a', req('full', '400,')), 'a/0,0,4000,3000/400,300/0/default.jpg');
+
+    // LRU evicts least recently used by bytes
+    const evicted = [];
+    const cache = createLruCache({ maxBytes: 10, onEvict: (k) => evicted.push(k) });
+    cache.set('a', 'A', 4);
+    cache.set('b', 'B', 4);
+    cache.get('a');
+    cache.set('c', 'C', 4);
+    assert.deepStrictEqual(evicted, ['b']);
+    assert.strictEqual(cache.get('a'), 'A');
+    assert.strictEqual(cache.set('huge', 'X', 11), false);
+
+    // Presentation manifests
+    const assetId = '00000000-0000-4000-8000-000000000001';
+    const m = buildAssetManifest({
+      baseUrl: 'https://w.example',
+      asset: { id: assetId, width: 4000, height: 3000 },
+      description: { title: 'Harbour, 1910', description: 'Boats at dusk', keywords: ['harbour', 'boats'] },
+    });
+    assert.strictEqual(m.type, 'Manifest');
+    assert.deepStrictEqual(m.label, { none: ['Harbour, 1910'] });
+    assert.deepStrictEqual(m.summary, { none: ['Boats at dusk'] });
+    const body = m.items[0].items[0].items[0].body;
+    assert.strictEqual(body.service[0].id, `https://w.example/iiif/${assetId}`);
+    assert.strictEqual(m.items[0].width, 4000);
+    assert.strictEqual(m.metadata[0].value.none[0], 'harbour, boats');
+
+    const b = buildBatchManifest({ baseUrl: 'https://w.example', batch: { id: 'b1', name: 'Box 3' }, entries: [{ asset: { id: assetId, width: 10, height: 10 } }] });
+    assert.strictEqual(b.items.length, 1);
+    assert.ok(b.items[0].id.startsWith('https://w.example/iiif/presentation/batch/b1/canvas/'));
+
+    console.log('PASS: iiif');
+    process.exit(0);
+  } catch (err) {
+    console.error('FAIL:', err);
+    process.exit(1);
+  }
+})();
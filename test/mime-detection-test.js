@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+const assert = require('assert');
+const { detectMime, validateMime, isRawFormat } = require('../src/workers/machinist/machinist.mime');
+
+function pad(buf, len = 64) {
+  return Buffer.concat([buf, Buffer.alloc(Math.max(0, len - buf.length))]);
+}
+
+// Minimal TIFF header with a single IFD0 entry
+function tiff({ le = true, tag, type = 2, count = 4, value = Buffer.alloc(4) }) {
+  const b = Buffer.alloc(64);
+  if (le) {
+    b.write('II', 0, 'latin1'); b.writeUInt16LE(42, 2); b.writeUInt32LE(8, 4);
+    b.writeUInt16LE(1, 8); b.writeUInt16LE(tag, 10); b.writeUInt16LE(type, 12); b.writeUInt32LE(count, 14);
+  } else {
+    b.write('MM', 0, 'latin1'); b.writeUInt16BE(42, 2); b.writeUInt32BE(8, 4);
+    b.writeUInt16BE(1, 8); b.writeUInt16BE(tag, 10); b.writeUInt16BE(type, 12); b.writeUInt32BE(count, 14);
+  }
+  if (count <= 4) value.copy(b, 18);
+  else { (le ? b.writeUInt32LE(32, 18) : b.writeUInt32BE(32, 18)); value.copy(b, 32); }
+  return b;
+}
+
+(async () => {
+  try {
+    const ftyp = (brand) => pad(Buffer.concat([Buffer.from([0, 0, 0, 0x18]), Buffer.from('ftyp' + brand, 'latin1')]));
+
+    assert.strictEqual(detectMime(pad(Buffer.from([0xff, 0xd8, 0xff, 0xe0]))).mime, 'image/jpeg');
+    assert.strictEqual(detectMime(pad(Buffer.from('RIFF\0\0\0\0WEBPVP8 ', 'latin1'))).extension, 'webp');
+    assert.strictEqual(detectMime(ftyp('heic')).mime, 'image/heic');
+    assert.strictEqual(detectMime(ftyp('mif1')).mime, 'image/heif');
+    assert.strictEqual(detectMime(ftyp('mif1'), 'heic').extension, 'heic');
+    assert.strictEqual(detectMime(ftyp('crx ')).extension, 'cr3');
+    assert.strictEqual(detectMime(pad(Buffer.from([0, 0, 0, 0x0c, 0x6a, 0x50, 0x20, 0x20, 0x0d, 0x0a, 0x87, 0x0a]))).mime, 'image/jp2');
+    assert.strictEqual(detectMime(pad(Buffer.from([0xff, 0x4f, 0xff, 0x51]))).extension, 'j2k');
+    assert.strictEqual(detectMime(pad(Buffer.from('FUJIFILMCCD-RAW 0201', 'latin1'))).extension, 'raf');
+    assert.strictEqual(detectMime(pad(Buffer.from('IIRO\x08\0\0\0', 'latin1'))).extension, 'orf');
+    assert.strictEqual(detectMime(pad(Buffer.from([0x49, 0x49, 0x55, 0x00]))).extension, 'rw2');
+
+    // TIFF family: CR2 marker, DNGVersion tag, camera Make, plain TIFF
+    const cr2 = tiff({ tag: 0x0100, type: 3, count: 1 });
+    cr2.write('CR', 8, 'latin1'); cr2[10] = 2;
+    assert.strictEqual(detectMime(cr2).extension, 'cr2');
+    assert.strictEqual(detectMime(tiff({ tag: 0xc612, type: 1, value: Buffer.from([1, 4, 0, 0]) })).extension, 'dng');
+    assert.strictEqual(detectMime(tiff({ le: false, tag: 0xc612, type: 1, value: Buffer.from([1, 4, 0, 0]) })).extension, 'dng');
+    const nikon = tiff({ le: false, tag: 0x010f, count: 18, value: Buffer.from('NIKON CORPORATION\0', 'latin1') });
+    assert.strictEqual(detectMime(nikon).mime, 'image/x-nikon-nef');
+    assert.strictEqual(detectMime(nikon, 'tif').extension, 'tiff', 'declared TIFF from a Nikon stays TIFF');
+    assert.strictEqual(detectMime(tiff({ tag: 0x010f, count: 5, value: Buffer.from('SONY\0', 'latin1') })).extension, 'arw');
+    const plain = tiff({ tag: 0x0100, type: 3, count: 1 });
+    assert.strictEqual(detectMime(plain).extension, 'tiff');
+    assert.strictEqual(detectMime(plain, 'arw').extension, 'arw', 'ARW hint on TIFF structure');
+
+    assert.strictEqual(isRawFormat(detectMime(cr2)), true);
+    assert.strictEqual(isRawFormat(detectMime(plain)), false);
+    assert.strictEqual(detectMime(pad(Buffer.from('GIF89a', 'latin1'))).mime, null);
+    assert.strictEqual(validateMime('image/x-adobe-dng'), true);
+    assert.throws(() => validateMime('image/gif'), /UNSUPPORTED_MIME/);
+
+    console.log('PASS: mime detection');
+    process.exit(0);
+  } catch (err) {
+    console.error('FAIL:', err);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+const assert = require('assert');
+const { encodeBlurhash, dominantPalette } = require('../src/workers/machinist/machinist.placeholders');
+
+const BASE83 = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~';
+const decode83 = (s) => [...s].reduce((n, c) => n * 83 + BASE83.indexOf(c), 0);
+
+function solid(width, height, rgb, channels = 3) {
+  const buf = Buffer.alloc(width * height * channels);
+  for (let p = 0; p < buf.length; p += channels) {
+    buf[p] = rgb[0]; buf[p + 1] = rgb[1]; buf[p + 2] = rgb[2];
+    if (channels === 4) buf[p + 3] = 255;
+  }
+  return buf;
+}
+
+(async () => {
+  try {
+    // Solid colour: the DC component is the colour itself
+    const hash = encodeBlurhash(solid(8, 6, [200, 100, 50]), 8, 6);
+    assert.strictEqual(hash.length, 6 + 2 * (4 * 3 - 1));
+    assert.strictEqual(hash[0], 'L', '4x3 components');
+    const dc = decode83(hash.slice(2, 6));
+    assert.deepStrictEqual([dc >> 16, (dc >> 8) & 255, dc & 255], [200, 100, 50]);
+    assert.strictEqual(encodeBlurhash(solid(4, 4, [0, 0, 0], 4), 4, 4, { channels: 4, componentsX: 1, componentsY: 1 }), '000000');
+
+    // Mirrored halves share the DC but not the AC components
+    const half = (leftWhite) => {
+      const buf = Buffer.alloc(8 * 4 * 3);
+      for (let y = 0; y < 4; y++) for (let x = 0; x < 8; x++) if ((x < 4) === leftWhite) buf.fill(255, (y * 8 + x) * 3, (y * 8 + x) * 3 + 3);
+      return buf;
+    };
+    const left = encodeBlurhash(half(true), 8, 4);
+    const right = encodeBlurhash(half(false), 8, 4);
+    assert.strictEqual(left.slice(2, 6), right.slice(2, 6));
+    assert.notStrictEqual(left.slice(6), right.slice(6));
+    const split = half(false);
+    assert.throws(() => encodeBlurhash(split, 8, 4, { componentsX: 10 }));
+
+    // Palette: 3/4 red, 1/4 blue, with a near-red shade folded into red
+    const px = Buffer.concat([solid(6, 1, [220, 20, 20]), solid(3, 1, [230, 25, 22]), solid(3, 1, [10, 20, 200])]);
+    const palette = dominantPalette(px);
+    assert.strictEqual(palette.length, 2);
+    assert.strictEqual(palette[0].share, 0.75);
+    assert.strictEqual(palette[1].hex, '#0a14c8');
+    assert.deepStrictEqual(dominantPalette(Buffer.alloc(8), { channels: 4 }), [], 'fully transparent');
+
+    console.log('PASS: placeholders');
+    process.exit(0);
+  } catch (err) {
+    console.error('FAIL:', err);
+    process.exit(1);
+  }
+})();
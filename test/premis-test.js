@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+const assert = require('assert');
+const { xmlEscape, buildPremisXml, buildMetsXml } = require('../src/preservation/premis.xml');
+
+(async () => {
+  try {
+    const sha = 'c'.repeat(64);
+    const versions = [
+      { status: 'success', purpose: 'viewing', variant: 'processed', storage_path: 't/b/a/viewing/processed.jpg', bucket_name: 'B2_processed_standard_bucket', mime_type: 'image/jpeg', checksum: sha, file_size: 20 },
+      { status: 'success', purpose: 'viewing', variant: 'original', storage_path: 't/b/a/original.tif', bucket_name: 'B2_processed_standard_bucket', mime_type: 'image/tiff', checksum: sha, checksum_algorithm: 'sha256', file_size: 100 },
+      { status: 'failed', purpose: 'viewing', variant: 'small', storage_path: 't/b/a/thumbnails/small.jpg' },
+    ];
+    const events = [
+      { id: 'ev-1', asset_id: 'a', event_type: 'ingestion', event_datetime: '2025-01-01T00:00:00Z', outcome: 'success', object_identifier: 't/b/a/original.tif', agent: 'relicxs-workers/machinist' },
+      { asset_id: 'a', event_type: 'validation', event_datetime: '2025-01-01T00:00:01Z', outcome: 'failure', detail: 'bad <magic> & more', extra: { error: 'UNSUPPORTED_MIME' } },
+    ];
+
+    const premis = buildPremisXml({ asset: { id: 'a' }, versions, events, agentVersion: '0.1.0' });
+    assert.ok(premis.startsWith('<?xml version="1.0" encoding="UTF-8"?>'));
+    assert.ok(premis.includes('xmlns:premis="http://www.loc.gov/premis/v3"'));
+    assert.strictEqual((premis.match(/<premis:object /g) || []).length, 2, 'failed versions are not described');
+    assert.ok(premis.includes('<premis:messageDigestAlgorithm>SHA-256</premis:messageDigestAlgorithm>'));
+    assert.ok(premis.includes('valueURI="http://id.loc.gov/vocabulary/preservation/eventType/ing"'));
+    assert.ok(premis.includes('bad &lt;magic&gt; &amp; more'));
+    assert.ok(premis.includes('<premis:eventOutcomeDetailNote>UNSUPPORTED_MIME</premis:eventOutcomeDetailNote>'));
+    // The derivative points at its source, the original does not
+    assert.strictEqual((premis.match(/<premis:relationshipType>derivation</g) || []).length, 1);
+    assert.ok(premis.includes('<premis:agentName>relicxs-workers/machinist</premis:agentName>'));
+    // Objects, then events, then agents (schema order)
+    assert.ok(premis.indexOf('<premis:object ') < premis.indexOf('<premis:event>'));
+    assert.ok(premis.lastIndexOf('<premis:event>') < premis.indexOf('<premis:agent>'));
+
+    const mets = buildMetsXml({ asset: { id: 'a', title: 'A & B' }, versions, createdAt: '2025-01-02T00:00:00Z' });
+    assert.ok(mets.includes('OBJID="a" LABEL="A &amp; B"'));
+    assert.ok(mets.includes('<mets:fileGrp USE="viewing/original">'));
+    assert.ok(mets.includes('CHECKSUM="' + sha + '" CHECKSUMTYPE="SHA-256"'));
+    assert.ok(mets.includes('xlink:href="B2_processed_standard_bucket/t/b/a/original.tif"'));
+    assert.ok(mets.includes('MDTYPE="PREMIS"') && mets.includes('xlink:href="premis.xml"'));
+    assert.strictEqual((mets.match(/<mets:fptr /g) || []).length, 2);
+    assert.ok(mets.indexOf('<mets:metsHdr') < mets.indexOf('<mets:amdSec') && mets.indexOf('<mets:fileSec>') < mets.indexOf('<mets:structMap'));
+
+    assert.strictEqual(xmlEscape('a\u0001"\''), 'a&quot;&apos;');
+
+    console.log('PASS: premis/mets');
+    process.exit(0);
+  } catch (err) {
+    console.error('FAIL:', err);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+const assert = require('assert');
+const {
+  resolvePrivacyPolicy,
+  extractPrivateExif,
+  splitExif,
+  exiftoolStripArgs,
+  restrictedRecordPath,
+  privacyAudit,
+} = require('../src/workers/machinist/machinist.privacy');
+const { normalizeExif } = require('../src/workers/machinist/machinist.consistency');
+
+(async () => {
+  try {
+    // Policy resolution
+    const standard = resolvePrivacyPolicy({});
+    assert.strictEqual(standard.name, 'standard');
+    assert.deepStrictEqual(standard.strip, ['gps', 'serials', 'owner']);
+    assert.strictEqual(standard.restricted_record, true);
+    assert.deepStrictEqual(resolvePrivacyPolicy({ tenantSettings: { privacy: 'strict' } }).strip, ['gps', 'serials', 'owner', 'creator']);
+    const off = resolvePrivacyPolicy({ tenantSettings: { privacy: false } });
+    assert.strictEqual(off.name, 'none');
+    assert.deepStrictEqual(off.strip, []);
+    assert.strictEqual(off.restricted_record, true, 'identifying values still go to the restricted record');
+    const custom = resolvePrivacyPolicy({ tenantSettings: { privacy: { strip: ['gps', 'gps'], restricted_record: false } } });
+    assert.strictEqual(custom.name, 'custom');
+    assert.deepStrictEqual(custom.strip, ['gps']);
+    assert.strictEqual(custom.restricted_record, false);
+    assert.strictEqual(resolvePrivacyPolicy({ tenantSettings: { privacy: { preset: 'strict' } } }).name, 'strict');
+    for (const privacy of ['public', { strip: ['faces'] }, { strip: 'gps' }, { preset: 'lax' }, ['gps']]) {
+      assert.throws(() => resolvePrivacyPolicy({ tenantSettings: { privacy } }), /INVALID_PRIVACY_POLICY/, JSON.stringify(privacy));
+    }
+
+    // Normalized EXIF never carries location, serials or owner
+    const raw = {
+      Make: 'Canon',
+      Model: 'EOS R5',
+      SerialNumber: '012345678901',
+      LensSerialNumber: '0000c1d2e3',
+      OwnerName: 'Jane Doe',
+      Artist: 'Jane Doe',
+      GPSLatitude: '51 deg 30\' 26.46" N',
+      GPSLongitude: '0 deg 7\' 39.93" W',
+      City: 'London',
+      DateTimeOriginal: '2024:05:01 10:00:00',
+    };
+    const exif = normalizeExif(raw);
+    assert.strictEqual(exif.location, undefined);
+    assert.deepStrictEqual(exif.camera, { camera_make: 'Canon', camera_model: 'EOS R5' });
+    assert.strictEqual(exif.identity.creator, 'Jane Doe');
+    assert.deepStrictEqual(extractPrivateExif(raw), {
+      camera: { body_serial: '012345678901', lens_serial: '0000c1d2e3', owner_name: 'Jane Doe' },
+      location: { gps_latitude: raw.GPSLatitude, gps_longitude: raw.GPSLongitude, city: 'London' },
+    });
+    assert.deepStrictEqual(extractPrivateExif(null), {});
+
+    // Standard policy: identifying values go to the restricted record; creator kept
+    const split = splitExif(exif, standard, raw);
+    assert.deepStrictEqual(split.public, exif);
+    assert.strictEqual(split.restricted.location.gps_latitude, raw.GPSLatitude);
+    assert.deepStrictEqual(split.restricted.camera, { body_serial: '012345678901', lens_serial: '0000c1d2e3', owner_name: 'Jane Doe' });
+    assert.deepStrictEqual(split.removed.sort(), ['camera.body_serial', 'camera.lens_serial', 'camera.owner_name', 'location.city', 'location.gps_latitude', 'location.gps_longitude'].sort());
+    assert.strictEqual(exif.identity.creator, 'Jane Doe', 'input left untouched');
+
+    const strict = splitExif(exif, resolvePrivacyPolicy({ tenantSettings: { privacy: 'strict' } }), raw);
+    assert.strictEqual(strict.public.identity.creator, undefined);
+    assert.strictEqual(strict.restricted.identity.creator, 'Jane Doe');
+    assert.strictEqual(strict.restricted.camera.owner_name, 'Jane Doe');
+    const none = splitExif(exif, off, raw);
+    assert.deepStrictEqual(none.public, exif);
+    assert.strictEqual(none.restricted.location.city, 'London', 'policy none never publishes location');
+    assert.deepStrictEqual(splitExif({}, standard), { public: {}, restricted: {}, removed: [] });
+
+    // exiftool deletion arguments per category
+    const args = exiftoolStripArgs(standard);
+    assert.ok(args.includes('-gps:all='));
+    assert.ok(args.includes('-SerialNumber='));
+    assert.ok(args.includes('-OwnerName='));
+    assert.ok(!args.includes('-Artist='));
+    assert.deepStrictEqual(exiftoolStripArgs(off), []);
+
+    // Audit block and restricted record location
+    const job = { tenant_id: 't1', batch_id: 'b1', asset_id: 'a1' };
+    assert.strictEqual(restrictedRecordPath(job), 'tenant-t1/batch-b1/asset-a1/preservation/metadata/restricted.json');
+    const audit = privacyAudit(standard, { removed: split.removed, restrictedPath: restrictedRecordPath(job) });
+    assert.strictEqual(audit.policy, 'standard');
+    assert.deepStrictEqual(audit.categories, standard.strip);
+    assert.strictEqual(audit.fields_removed.length, 6);
+    assert.ok(!Number.isNaN(Date.parse(audit.applied_at)));
+
+    console.log('PASS: privacy');
+    process.exit(0);
+  } catch (err) {
+    console.error('FAIL:', err);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+const assert = require('assert');
+const { resolveProductionOptions, printGeometry } = require('../src/workers/machinist/machinist.production');
+
+(async () => {
+  try {
+    const defaults = resolveProductionOptions({ job: {}, tenantSettings: {} });
+    assert.strictEqual(defaults.enabled, true);
+    assert.strictEqual(defaults.dpi, 300);
+    assert.strictEqual(defaults.compression, 'lzw');
+    assert.strictEqual(defaults.icc_profile, 'srgb', 'ICC follows the colour space');
+
+    const cmyk = resolveProductionOptions({
+      job: { production: { color_space: 'CMYK', width_mm: 254, height_mm: 203.2 } },
+      tenantSettings: { production: { dpi: 600, compression: 'deflate' } },
+    });
+    assert.strictEqual(cmyk.dpi, 600);
+    assert.strictEqual(cmyk.compression, 'deflate');
+    assert.strictEqual(cmyk.icc_profile, 'cmyk');
+    assert.strictEqual(cmyk.width_in, 10);
+    assert.strictEqual(cmyk.height_in, 8);
+    assert.strictEqual(resolveProductionOptions({ job: { production: { icc_profile: 'tenant-1/icc/FOGRA39.icc' } } }).icc_profile, 'tenant-1/icc/FOGRA39.icc');
+    assert.strictEqual(resolveProductionOptions({ job: { production: false } }).enabled, false);
+
+    const invalid = [
+      { dpi: 10 },
+      { bit_depth: 12 },
+      { color_space: 'cmyk', bit_depth: 16 },
+      { compression: 'jpeg', bit_depth: 16 },
+      { compression: 'rle' },
+      { icc_profile: '../etc/profile.icc' },
+      { icc_profile: 'tenant-1/notes.txt' },
+      { width_in: -2 },
+    ];
+    for (const production of invalid) {
+      assert.throws(() => resolveProductionOptions({ job: { production } }), /INVALID_PRODUCTION_OPTIONS/, JSON.stringify(production));
+    }
+
+    // No physical size: keep source pixels, report the print size at the DPI
+    assert.deepStrictEqual(printGeometry({ width: 6000, height: 4500, dpi: 300 }),
+      { width: 6000, height: 4500, resized: false, upscaled: false, print_width_in: 20, print_height_in: 15 });
+    // Fit inside 10x10in at 300 dpi
+    const fit = printGeometry({ width: 6000, height: 4500, dpi: 300, widthIn: 10, heightIn: 10 });
+    assert.strictEqual(fit.width, 3000);
+    assert.strictEqual(fit.height, 2250);
+    // Too small for the size: kept unless upscaling is allowed
+    assert.strictEqual(printGeometry({ width: 1000, height: 800, dpi: 300, widthIn: 10 }).width, 1000);
+    const up = printGeometry({ width: 1000, height: 800, dpi: 300, widthIn: 10, allowUpscale: true });
+    assert.strictEqual(up.width, 3000);
+    assert.strictEqual(up.upscaled, true);
+
+    console.log('PASS: production');
+    process.exit(0);
+  } catch (err) {
+    console.error('FAIL:', err);
+    process.exit(1);
+  }
+})();
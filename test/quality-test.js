@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+const assert = require('assert');
+const {
+  resolveQualityThresholds, laplacianVariance, exposureStats, estimateSkew, evaluateQuality,
+} = require('../src/workers/machinist/machinist.quality');
+
+const W = 400;
+const H = 300;
+
+function page(fill = 255) {
+  return Buffer.alloc(W * H, fill);
+}
+
+// Dark 3px "text lines" every 20px, rotated clockwise by `degrees`
+function linedPage(degrees) {
+  const buf = page();
+  const t = Math.tan((degrees * Math.PI) / 180);
+  for (let base = 30; base < H - 30; base += 20) {
+    for (let x = 40; x < W - 40; x++) {
+      const y0 = Math.round(base + x * t);
+      for (let dy = 0; dy < 3; dy++) {
+        const y = y0 + dy;
+        if (y >= 0 && y < H) buf[y * W + x] = 20;
+      }
+    }
+  }
+  return buf;
+}
+
+(async () => {
+  try {
+    const defaults = resolveQualityThresholds({ job: {}, tenantSettings: {} });
+    assert.strictEqual(defaults.enabled, true);
+    const tenant = resolveQualityThresholds({ job: { quality: { max_skew: 5 } }, tenantSettings: { quality: { min_sharpness: 10 } } });
+    assert.strictEqual(tenant.min_sharpness, 10);
+    assert.strictEqual(tenant.max_skew, 5);
+    assert.strictEqual(resolveQualityThresholds({ job: { quality: false }, tenantSettings: {} }).enabled, false);
+    assert.throws(() => resolveQualityThresholds({ job: { quality: { max_clipping: -1 } } }), /INVALID_QUALITY_THRESHOLD/);
+
+    // Sharpness: hard edges score far above a smooth gradient
+    const checker = Buffer.alloc(64 * 64);
+    const gradient = Buffer.alloc(64 * 64);
+    for (let y = 0; y < 64; y++) for (let x = 0; x < 64; x++) {
+      checker[y * 64 + x] = ((x >> 2) + (y >> 2)) % 2 ? 255 : 0;
+      gradient[y * 64 + x] = x * 4;
+    }
+    assert.ok(laplacianVariance(checker, 64, 64) > 1000);
+    assert.strictEqual(laplacianVariance(gradient, 64, 64), 0);
+
+    // Exposure and blank detection
+    const white = exposureStats(page(255));
+    assert.strictEqual(white.highlights, 1);
+    assert.strictEqual(white.ink_ratio, 0);
+    assert.strictEqual(exposureStats(page(0)).shadows, 1);
+    const text = exposureStats(linedPage(0));
+    assert.strictEqual(text.background, 255);
+    assert.ok(text.ink_ratio > 0.05);
+
+    // Skew: straight, clockwise and anticlockwise lines; nothing to measure on a blank page
+    assert.strictEqual(estimateSkew(linedPage(0), W, H), 0);
+    assert.ok(Math.abs(estimateSkew(linedPage(4), W, H) - 4) <= 0.5);
+    assert.ok(Math.abs(estimateSkew(linedPage(-3), W, H) + 3) <= 0.5);
+    assert.strictEqual(estimateSkew(page(), W, H), null);
+
+    const good = { sharpness: 500, shadows: 0, highlights: 0.1, ink_ratio: 0.1, skew_angle: 0.5 };
+    assert.deepStrictEqual(evaluateQuality(good, defaults), []);
+    assert.deepStrictEqual(evaluateQuality({ ...good, sharpness: 5, skew_angle: 6 }, defaults), ['blurry', 'skewed']);
+    assert.deepStrictEqual(evaluateQuality({ ...good, highlights: 0.9 }, defaults), ['overexposed']);
+    assert.deepStrictEqual(evaluateQuality({ ...good, ink_ratio: 0, sharpness: 0, highlights: 1 }, defaults), ['blank', 'overexposed']);
+
+    console.log('PASS: quality');
+    process.exit(0);
+  } catch (err) {
+    console.error('FAIL:', err);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+const assert = require('assert');
+const { resolveRestorationProfile, comparisonLayout } = require('../src/workers/machinist/machinist.restoration');
+
+(async () => {
+  try {
+    const profile = resolveRestorationProfile({ job: {}, tenantSettings: {} });
+    assert.strictEqual(profile.enabled, true);
+    assert.strictEqual(profile.denoise, 3);
+    assert.strictEqual(profile.extension, 'jpg');
+
+    const tiff = resolveRestorationProfile({ job: { restoration: { format: 'TIFF', denoise: false } }, tenantSettings: { restoration: { crop: false } } });
+    assert.strictEqual(tiff.format, 'tiff');
+    assert.strictEqual(tiff.contentType, 'image/tiff');
+    assert.strictEqual(tiff.denoise, 0);
+    assert.strictEqual(tiff.crop, false);
+    assert.strictEqual(resolveRestorationProfile({ job: { restoration: false }, tenantSettings: {} }).enabled, false);
+
+    for (const restoration of [{ denoise: 4 }, { denoise: 11 }, { format: 'gif' }, { quality: 0 }, 'yes']) {
+      assert.throws(() => resolveRestorationProfile({ job: { restoration }, tenantSettings: {} }), /INVALID_RESTORATION_PROFILE/, JSON.stringify(restoration));
+    }
+
+    // Panels share a height; the after panel starts past the gap
+    const layout = comparisonLayout({ before: { width: 3000, height: 2000 }, after: { width: 2900, height: 1950 }, height: 1200, maxWidth: 8000 });
+    assert.strictEqual(layout.before.height, 1200);
+    assert.strictEqual(layout.after.height, 1200);
+    assert.strictEqual(layout.before.width, 1800);
+    assert.strictEqual(layout.after.left, layout.before.width + layout.gap);
+    assert.strictEqual(layout.width, layout.after.left + layout.after.width);
+    assert.strictEqual(layout.height, layout.band + 1200);
+
+    // Wide pairs shrink to fit; small images are never enlarged
+    const wide = comparisonLayout({ before: { width: 6000, height: 1000 }, after: { width: 6000, height: 1000 }, height: 1000, maxWidth: 4000 });
+    assert.ok(wide.width <= 4000, `width ${wide.width}`);
+    const small = comparisonLayout({ before: { width: 300, height: 200 }, after: { width: 300, height: 200 }, height: 1200, maxWidth: 4000 });
+    assert.strictEqual(small.before.height, 200);
+
+    console.log('PASS: restoration');
+    process.exit(0);
+  } catch (err) {
+    console.error('FAIL:', err);
+    process.exit(1);
+  }
+})();
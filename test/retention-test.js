@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+require('../src/module-aliases');
+const assert = require('assert');
+
+// DRY_RUN: the tenant policy is the default below and nothing is read from Supabase
+Object.assign(process.env, {
+  MINIMAL_MODE: 'true',
+  DRY_RUN: 'true',
+  RETENTION_DEFAULT_POLICY: JSON.stringify({ min_days: 30, purposes: { preservation: { min_days: 3650 }, viewing: { max_days: 365 } } }),
+});
+
+const {
+  DAY_MS,
+  mergePolicy,
+  resolveRetention,
+  assetMinimumDays,
+  retentionState,
+  assertDeletionAllowed,
+} = require('../src/core/retention');
+
+(async () => {
+  try {
+    const defaults = mergePolicy();
+    assert.deepStrictEqual(resolveRetention(defaults, 'viewing'), { minDays: 30, maxDays: 365 });
+    assert.deepStrictEqual(resolveRetention(defaults, 'preservation'), { minDays: 3650, maxDays: null });
+    assert.deepStrictEqual(resolveRetention(defaults, 'thumbnail'), { minDays: 30, maxDays: null }, 'overall values are the defaults');
+    assert.strictEqual(assetMinimumDays(defaults), 3650, 'deleting an asset waits for the longest minimum');
+
+    // Tenant settings override the default per purpose, and a maximum never undercuts the minimum
+    const tenant = mergePolicy({ max_days: 90, purposes: { viewing: { min_days: 120 }, ai: { max_days: 7 } } });
+    assert.deepStrictEqual(resolveRetention(tenant, 'viewing'), { minDays: 120, maxDays: 365 });
+    assert.deepStrictEqual(resolveRetention(tenant, 'ai'), { minDays: 30, maxDays: 30 });
+    assert.deepStrictEqual(resolveRetention(tenant, 'thumbnail'), { minDays: 30, maxDays: 90 });
+    assert.deepStrictEqual(resolveRetention(mergePolicy({}, {}), 'viewing'), { minDays: 0, maxDays: null });
+    assert.deepStrictEqual(resolveRetention(mergePolicy({ max_days: null }, { max_days: 10 }), 'x'), { minDays: 0, maxDays: null }, 'null clears a default');
+
+    const now = Date.parse('2026-06-01T00:00:00Z');
+    const created = new Date(now - 100 * DAY_MS).toISOString();
+    let s = retentionState({ createdAt: created, minDays: 30, maxDays: 90, now });
+    assert.strictEqual(s.deletable, true);
+    assert.strictEqual(s.expired, true);
+    assert.strictEqual(s.retainUntil, new Date(now - 70 * DAY_MS).toISOString());
+    s = retentionState({ createdAt: created, minDays: 120, maxDays: 365, now });
+    assert.strictEqual(s.deletable, false);
+    assert.strictEqual(s.expired, false);
+    assert.strictEqual(retentionState({ createdAt: created, minDays: 0, maxDays: 90, held: true, now }).expired, false, 'legal hold blocks expiry');
+    assert.strictEqual(retentionState({ createdAt: null, minDays: 30, maxDays: 90, now }).deletable, false, 'undated objects keep their minimum');
+    assert.strictEqual(retentionState({ createdAt: null, minDays: 0, maxDays: 90, now }).expired, false, 'undated objects never expire');
+
+    // Whole-asset deletion: legal hold first, then the longest minimum
+    const target = { tenant_id: 't', asset_id: 'a' };
+    await assert.rejects(assertDeletionAllowed(target, { legal_hold: true, created_at: '2000-01-01T00:00:00Z' }), (err) => err.code === 'LEGAL_HOLD' && err.scope === 'asset');
+    await assert.rejects(assertDeletionAllowed(target, { created_at: created }, { now }), (err) => err.code === 'RETENTION_PERIOD' && err.retainUntil === new Date(now + 3550 * DAY_MS).toISOString());
+    const ok = await assertDeletionAllowed(target, { created_at: '2000-01-01T00:00:00Z' }, { now });
+    assert.strictEqual(ok.asset, false);
+    assert.strictEqual(ok.tenant, false);
+    assert.ok((await assertDeletionAllowed(target, null, { now })).checked_at, 'leftovers of a missing asset row may go');
+
+    console.log('PASS: retention');
+    process.exit(0);
+  } catch (err) {
+    console.error('FAIL:', err);
+    process.exit(1);
+  }
+})();
@@ -21,7 +21,9 @@ const { getRedisClient } = require('../src/core/redis');
 
     // Extension whitelist
     assert.strictEqual(sanitizeExt('jpg') !== '', true, 'jpg allowed');
-    assert.strictEqual(sanitizeExt('heic'), '', 'heic not allowed');
+    assert.strictEqual(sanitizeExt('heic'), 'heic', 'heic allowed');
+    assert.strictEqual(sanitizeExt('.DNG'), 'dng', 'RAW allowed');
+    assert.strictEqual(sanitizeExt('exe'), '', 'exe not allowed');
 
     // DLQ entry minimal fields
     const job = { tenant_id: '00000000-0000-4000-8000-000000000000', asset_id: '00000000-0000-4000-8000-000000000001', job_type: 'test_sec' };
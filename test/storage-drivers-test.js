@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-drivers-test-'));
+// Offline setup: everything local except processed standard, which is routed to MinIO
+Object.assign(process.env, {
+  MINIMAL_MODE: 'true',
+  STORAGE_DRIVER: 'local',
+  STORAGE_DRIVER_PROCESSED_STANDARD: 's3',
+  S3_ENDPOINT: 'http://127.0.0.1:9',
+  LOCAL_STORAGE_ROOT: path.join(workDir, 'storage'),
+});
+for (const name of ['B2_APPLICATION_KEY_ID', 'B2_APPLICATION_KEY', 'B2_LANDING_BUCKET_ID', 'B2_PROCESSED_STANDARD_BUCKET_ID', 'B2_PROCESSED_ARCHIVE_BUCKET_ID', 'B2_FILES_BUCKET_ID', 'AWS_ARCHIVE_BUCKET', 'STORAGE_DRIVER_ARCHIVE']) {
+  delete process.env[name];
+}
+
+const config = require('../src/core/config');
+const { createLocalDriver } = require('../src/core/storage-drivers/local');
+const { createS3Driver } = require('../src/core/storage-drivers/s3');
+const { uploadFile, downloadFile, fileExists, headFile, listFiles, deleteFile, copyFile, archiveToGlacier, driverFor } = require('../src/core/storage');
+
+const digest = (alg, buf) => crypto.createHash(alg).update(buf).digest('hex');
+
+(async () => {
+  try {
+    // Config: no B2 credentials needed, bucket ids default to the logical names
+    assert.strictEqual(config.storage.buckets.landing, 'local');
+    assert.strictEqual(config.storage.buckets.archive, 'local', 'archive follows a local default');
+    assert.strictEqual(config.b2.landingBucketId, 'landing');
+    assert.strictEqual(config.aws.archiveBucket, 'archive');
+    assert.strictEqual(config.storage.s3.forcePathStyle, true);
+    assert.strictEqual(driverFor('landing').name, 'local');
+    assert.strictEqual(driverFor('files').name, 'local');
+    assert.strictEqual(driverFor('processed-standard').name, 's3');
+    assert.strictEqual(driverFor('something-else').name, 'local', 'unknown ids use STORAGE_DRIVER');
+    assert.strictEqual(driverFor('landing'), driverFor('files'), 'one instance per driver');
+
+    // Upload reports the digests of the stored bytes
+    const bytes = crypto.randomBytes(64 * 1024);
+    const src = path.join(workDir, 'original.tif');
+    fs.writeFileSync(src, bytes);
+    const key = 'tenant-t/batch-b/asset-a/original.tif';
+    const stored = await uploadFile('landing', key, src, 'image/tiff');
+    assert.deepStrictEqual(stored, { provider: 'local', sha256: digest('sha256', bytes), sha1: digest('sha1', bytes), md5: digest('md5', bytes) });
+    assert.ok(fs.readFileSync(path.join(config.storage.localRoot, 'landing', ...key.split('/'))).equals(bytes));
+
+    assert.strictEqual(await fileExists('landing', key), true);
+    assert.strictEqual(await fileExists('landing', 'tenant-t/missing.tif'), false);
+    const meta = await headFile('landing', key);
+    assert.strictEqual(meta.key, key);
+    assert.strictEqual(meta.size, bytes.length);
+    assert.strictEqual(await headFile('landing', 'tenant-t/missing.tif'), null);
+
+    const out = path.join(workDir, 'out.tif');
+    assert.strictEqual(await downloadFile('landing', key, out), true);
+    assert.ok(fs.readFileSync(out).equals(bytes));
+    const local = createLocalDriver({ root: config.storage.localRoot });
+    await assert.rejects(local.download('landing', 'tenant-t/missing.tif', out), (err) => err.code === 'NOT_FOUND');
+
+    // Keys cannot escape their bucket
+    await assert.rejects(local.upload('landing', '../files/escape.tif', src), /Invalid object key/);
+    await assert.rejects(local.upload('../outside', 'x.tif', src), /Invalid local bucket/);
+    assert.ok(!fs.existsSync(path.join(workDir, 'outside')));
+
+    // Listing is ordered, prefix-filtered and paged
+    for (const name of ['a.jpg', 'b.jpg', 'c.jpg']) await uploadFile('files', `tenant-t/previews/${name}`, src);
+    await uploadFile('files', 'tenant-u/previews/z.jpg', src);
+    const page1 = await listFiles('files', 'tenant-t/', { limit: 2 });
+    assert.deepStrictEqual(page1.objects.map((o) => o.key), ['tenant-t/previews/a.jpg', 'tenant-t/previews/b.jpg']);
+    assert.strictEqual(page1.objects[0].size, bytes.length);
+    const page2 = await listFiles('files', 'tenant-t/', { limit: 2, cursor: page1.cursor });
+    assert.deepStrictEqual(page2.objects.map((o) => o.key), ['tenant-t/previews/c.jpg']);
+    assert.strictEqual(page2.cursor, null);
+    assert.strictEqual((await listFiles('files', 'tenant-t/previews/b')).objects.length, 1);
+    assert.deepStrictEqual((await listFiles('archive', '')).objects, [], 'an empty bucket lists nothing');
+
+    // Copy within and across buckets
+    const copied = await copyFile('files', 'tenant-t/previews/a.jpg', 'files', 'tenant-t/previews/a-copy.jpg');
+    assert.strictEqual(copied.sha256, digest('sha256', bytes));
+    await copyFile('files', 'tenant-t/previews/b.jpg', 'processed-archive', 'tenant-t/b.jpg');
+    assert.strictEqual(await fileExists('processed-archive', 'tenant-t/b.jpg'), true);
+
+    // Delete prunes empty directories and reports whether anything was removed
+    assert.strictEqual(await deleteFile('files', 'tenant-u/previews/z.jpg'), true);
+    assert.strictEqual(await deleteFile('files', 'tenant-u/previews/z.jpg'), false);
+    assert.ok(!fs.existsSync(path.join(config.storage.localRoot, 'files', 'tenant-u')));
+    assert.ok(fs.existsSync(path.join(config.storage.localRoot, 'files')));
+
+    // The archive bucket is local too, so preservation copies work offline
+    const archived = await archiveToGlacier('tenant-t/asset-a/preservation.tar.gz', src, { checksums: { sha256: digest('sha256', bytes) } });
+    assert.strictEqual(archived.provider, 'local');
+    assert.strictEqual(await fileExists('archive', 'tenant-t/asset-a/preservation.tar.gz'), true);
+
+    // S3 ETags are only taken as the MD5 for unencrypted and SSE-S3 objects
+    const md5 = digest('md5', bytes);
+    const heads = {
+      '/bucket/plain.tif': {},
+      '/bucket/sse-s3.tif': { 'x-amz-server-side-encryption': 'AES256' },
+      '/bucket/sse-kms.tif': { 'x-amz-server-side-encryption': 'aws:kms' },
+      '/bucket/sse-c.tif': { 'x-amz-server-side-encryption-customer-algorithm': 'AES256' },
+    };
+    const server = http.createServer((req, res) => {
+      const extra = heads[req.url.split('?')[0]];
+      res.writeHead(extra ? 200 : 404, { ETag: `"${md5}"`, 'Content-Length': '0', ...(extra || {}) });
+      res.end();
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    try {
+      const s3 = createS3Driver({ endpoint: `http://127.0.0.1:${server.address().port}`, accessKeyId: 'test', secretAccessKey: 'test', forcePathStyle: true });
+      assert.strictEqual((await s3.head('bucket', 'plain.tif')).md5, md5);
+      assert.strictEqual((await s3.head('bucket', 'sse-s3.tif')).md5, md5);
+      assert.strictEqual((await s3.head('bucket', 'sse-kms.tif')).md5, null, 'SSE-KMS ETag is not the MD5');
+      assert.strictEqual((await s3.head('bucket', 'sse-c.tif')).md5, null, 'SSE-C ETag is not the MD5');
+      assert.strictEqual((await s3.head('bucket', 'sse-kms.tif')).etag, md5);
+    } finally {
+      server.close();
+    }
+
+    fs.rmSync(workDir, { recursive: true, force: true });
+    console.log('PASS: storage drivers');
+    process.exit(0);
+  } catch (err) {
+    fs.rmSync(workDir, { recursive: true, force: true });
+    console.error('FAIL:', err);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+require('../src/module-aliases');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-usage-test-'));
+Object.assign(process.env, {
+  MINIMAL_MODE: 'true',
+  DRY_RUN: 'true',
+  STORAGE_DRIVER: 'local',
+  LOCAL_STORAGE_ROOT: path.join(workDir, 'storage'),
+  B2_PROCESSED_STANDARD_BUCKET_ID: 'standard-bucket',
+  B2_PROCESSED_ARCHIVE_BUCKET_ID: 'archive-bucket',
+});
+for (const name of ['B2_LANDING_BUCKET_ID', 'B2_FILES_BUCKET_ID', 'AWS_ARCHIVE_BUCKET', 'STORAGE_DRIVER_ARCHIVE', 'GLACIER_BUCKET_ID']) {
+  delete process.env[name];
+}
+
+const { uploadFile } = require('../src/core/storage');
+const { classifyKey, summarizeUsage, publishUsageGauges } = require('../src/core/storage-usage');
+const { scanBucketUsage, reconcileStorageUsage } = require('../src/workers/usage/usage.reconcile');
+const { registry } = require('../src/metrics/prometheus');
+
+const logger = { info() {}, warn() {}, error() {}, debug() {}, child() { return logger; } };
+
+(async () => {
+  try {
+    const t1 = '11111111-1111-1111-1111-111111111111';
+    const t2 = '22222222-2222-2222-2222-222222222222';
+    const a = 'aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa';
+    assert.deepStrictEqual(classifyKey(`tenant-${t1}/batch-b1/asset-${a}/viewing/viewing.jpg`), { tenantId: t1, purpose: 'viewing' });
+    assert.deepStrictEqual(classifyKey(`tenant-${t1}/batch-b1/asset-${a}/thumbnails/thumb-small.jpg`), { tenantId: t1, purpose: 'thumbnail' });
+    assert.deepStrictEqual(classifyKey(`tenant-${t1}/batch-b1/asset-${a}/tiles/iiif/0/0.jpg`), { tenantId: t1, purpose: 'tiles' });
+    assert.deepStrictEqual(classifyKey(`tenant-${t1}/batch-b1/asset-${a}/original.tif`), { tenantId: t1, purpose: 'original' });
+    assert.deepStrictEqual(classifyKey(`tenant-${t1}/batch-b1/asset-${a}/preservation/metadata/restricted.json`), { tenantId: t1, purpose: 'preservation' });
+    assert.deepStrictEqual(classifyKey(`archive/tenant-${t1}/asset-${a}/preservation/bag.tar`), { tenantId: t1, purpose: 'preservation' });
+    assert.deepStrictEqual(classifyKey(`standard/tenant-${t1}/asset-${a}/ai/ai_version.jpg`), { tenantId: t1, purpose: 'ai' });
+    assert.deepStrictEqual(classifyKey(`tenant-${t1}/batch-b1/asset-${a}/notes.txt`), { tenantId: t1, purpose: 'other' });
+    assert.deepStrictEqual(classifyKey(`deletion-certificates/tenant-${t1}/c.json`), { tenantId: null, purpose: 'other' }, 'only tenant-rooted keys are billed');
+
+    // Listings are totalled per tenant, bucket label and purpose
+    const src = path.join(workDir, 'src.bin');
+    const put = async (bucketId, key, size) => {
+      fs.writeFileSync(src, Buffer.alloc(size, 1));
+      await uploadFile(bucketId, key, src, 'application/octet-stream');
+    };
+    await put('standard-bucket', `tenant-${t1}/batch-b1/asset-${a}/viewing/viewing.jpg`, 100);
+    await put('standard-bucket', `tenant-${t1}/batch-b1/asset-${a}/viewing/viewing.webp`, 50);
+    await put('standard-bucket', `tenant-${t1}/batch-b1/asset-${a}/thumbnails/thumb-small.jpg`, 10);
+    await put('standard-bucket', `tenant-${t2}/batch-b2/asset-${a}/ai/ai.jpg`, 7);
+    await put('standard-bucket', 'scratch/loose.bin', 3);
+    await put('archive-bucket', `archive/tenant-${t1}/asset-${a}/preservation/bag.tar`, 1000);
+
+    const { totals, unattributed } = await scanBucketUsage('standard-bucket');
+    const rows = [...totals.values()].sort((x, y) => (x.tenant_id + x.purpose).localeCompare(y.tenant_id + y.purpose));
+    assert.deepStrictEqual(rows, [
+      { tenant_id: t1, bucket_name: 'B2_processed_standard_bucket', purpose: 'thumbnail', bytes: 10, objects: 1 },
+      { tenant_id: t1, bucket_name: 'B2_processed_standard_bucket', purpose: 'viewing', bytes: 150, objects: 2 },
+      { tenant_id: t2, bucket_name: 'B2_processed_standard_bucket', purpose: 'ai', bytes: 7, objects: 1 },
+    ]);
+    assert.deepStrictEqual(unattributed, { bytes: 3, objects: 1 });
+
+    // DRY_RUN reconciliation lists every bucket and writes nothing
+    const summary = await reconcileStorageUsage(logger);
+    assert.ok(summary.buckets >= 2);
+    assert.strictEqual(summary.bytes, 1167);
+    assert.strictEqual(summary.objects, 5);
+    assert.deepStrictEqual(summary.unattributed, { bytes: 3, objects: 1 });
+
+    const report = summarizeUsage([
+      ...rows,
+      { tenant_id: t1, bucket_name: 'B2_processed_archive_bucket', purpose: 'preservation', bytes: '1000', objects: '1', reconciled_at: '2026-01-02T00:00:00Z' },
+    ]);
+    assert.deepStrictEqual(report.totals, { bytes: 1167, objects: 5 });
+    const r1 = report.tenants.find((t) => t.tenant_id === t1);
+    assert.strictEqual(r1.bytes, 1160);
+    assert.deepStrictEqual(r1.buckets, {
+      B2_processed_standard_bucket: { bytes: 160, objects: 3 },
+      B2_processed_archive_bucket: { bytes: 1000, objects: 1 },
+    });
+    assert.deepStrictEqual(r1.purposes.preservation, { bytes: 1000, objects: 1 });
+    assert.strictEqual(r1.reconciled_at, '2026-01-02T00:00:00Z');
+
+    publishUsageGauges(rows);
+    const metrics = await registry.metrics();
+    assert.ok(metrics.includes(`relicxs_storage_bytes{tenant="${t1}",bucket="B2_processed_standard_bucket",purpose="viewing"} 150`), 'bytes gauge');
+    assert.ok(metrics.includes(`relicxs_storage_objects{tenant="${t2}",bucket="B2_processed_standard_bucket",purpose="ai"} 1`), 'objects gauge');
+    publishUsageGauges([]);
+    assert.ok(!(await registry.metrics()).includes(`tenant="${t1}"`), 'gauges reset between refreshes');
+
+    console.log('PASS: storage usage');
+    fs.rmSync(workDir, { recursive: true, force: true });
+    process.exit(0);
+  } catch (err) {
+    console.error('FAIL:', err);
+    fs.rmSync(workDir, { recursive: true, force: true });
+    process.exit(1);
+  }
+})();
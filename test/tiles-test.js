@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+require('../src/module-aliases');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.TILES_MIN_DIMENSION = '256';
+delete process.env.MACHINIST_TILES;
+delete process.env.MACHINIST_TILE_SIZE;
+const TILES_MODULE = '../src/workers/machinist/machinist.tiles';
+const { resolveTileOptions, generateTiles } = require(TILES_MODULE);
+
+const logger = { info() {}, warn() {}, error() {}, debug() {}, child() { return logger; } };
+
+// Brightest channel value across the full-resolution DZI level
+async function brightest(set) {
+  const sharp = require('sharp');
+  const dir = path.join(set.localDir, 'image_files', String(set.levels - 1));
+  let max = 0;
+  for (const f of fs.readdirSync(dir)) {
+    const data = await sharp(path.join(dir, f)).raw().toBuffer();
+    for (const v of data) if (v > max) max = v;
+  }
+  return max;
+}
+
+(async () => {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tiles-test-'));
+  try {
+    // Options: off by default, job -> tenant settings -> MACHINIST_TILES
+    assert.deepStrictEqual(resolveTileOptions({ job: {} }), { layouts: [], size: 512 });
+    assert.deepStrictEqual(resolveTileOptions({ job: { tiles: true } }).layouts, ['dzi']);
+    assert.deepStrictEqual(resolveTileOptions({ job: { tiles: 'IIIF' } }).layouts, ['iiif']);
+    assert.deepStrictEqual(resolveTileOptions({ job: { tiles: 'both' } }).layouts, ['dzi', 'iiif']);
+    assert.deepStrictEqual(resolveTileOptions({ job: { tiles: ['iiif', 'iiif'] } }).layouts, ['iiif']);
+    assert.deepStrictEqual(resolveTileOptions({ job: {}, tenantSettings: { tiles: 'dzi', tile_size: 1024 } }), { layouts: ['dzi'], size: 1024 });
+    assert.deepStrictEqual(resolveTileOptions({ job: { tiles: 'none' }, tenantSettings: { tiles: 'both' } }).layouts, [], 'job overrides tenant');
+    assert.deepStrictEqual(resolveTileOptions({ job: { tiles: false }, tenantSettings: { tiles: 'both' } }).layouts, []);
+    process.env.MACHINIST_TILES = 'iiif';
+    assert.deepStrictEqual(resolveTileOptions({ job: {} }).layouts, ['iiif']);
+    assert.deepStrictEqual(resolveTileOptions({ job: {}, tenantSettings: { tiles: 'dzi' } }).layouts, ['dzi'], 'tenant overrides env');
+    delete process.env.MACHINIST_TILES;
+    process.env.MACHINIST_TILE_SIZE = '256';
+    delete require.cache[require.resolve(TILES_MODULE)];
+    assert.strictEqual(require(TILES_MODULE).resolveTileOptions({ job: { tiles: true } }).size, 256, 'MACHINIST_TILE_SIZE default');
+    delete process.env.MACHINIST_TILE_SIZE;
+    for (const job of [{ tiles: 'zoomify' }, { tiles: 3 }, { tiles: ['dzi', 'zoomify'] }, { tiles: true, tile_size: 64 }, { tiles: true, tile_size: 4096 }, { tiles: true, tile_size: 300.5 }, { tiles: true, tile_size: 'big' }]) {
+      assert.throws(() => resolveTileOptions({ job }), (err) => err.message === 'INVALID_TILES_OPTION', JSON.stringify(job));
+    }
+
+    // Tile pyramids are a viewing output: a watermarked job never tiles the clean source
+    const sharp = require('sharp');
+    const source = path.join(workDir, 'source.png');
+    const markPath = path.join(workDir, 'mark.png');
+    await sharp({ create: { width: 512, height: 512, channels: 3, background: '#000000' } }).png().toFile(source);
+    await sharp({ create: { width: 64, height: 64, channels: 4, background: { r: 255, g: 255, b: 255, alpha: 1 } } }).png().toFile(markPath);
+    const watermark = {
+      spec: { type: 'image', text: null, image: 'mark.png', position: 'center', opacity: 1, scale: 0.5, margin: 0, min_width: 0, apply_to: ['viewing'] },
+      imagePath: markPath,
+      description: { fingerprint: 'test-mark' },
+    };
+    const options = { layouts: ['dzi'], size: 256 };
+
+    const [marked] = await generateTiles({ logger, inputPath: source, workDir: path.join(workDir, 'marked'), tilesPrefix: 'tiles', options, watermark });
+    assert.ok(await brightest(marked) > 200, 'mark composited into the full-resolution tiles');
+    assert.deepStrictEqual(marked.watermark, { fingerprint: 'test-mark' });
+
+    const thumbsOnly = { ...watermark, spec: { ...watermark.spec, apply_to: ['thumbnails'] } };
+    const [clean] = await generateTiles({ logger, inputPath: source, workDir: path.join(workDir, 'clean'), tilesPrefix: 'tiles', options, watermark: thumbsOnly });
+    assert.ok(await brightest(clean) < 30, 'a mark limited to thumbnails leaves the tiles clean');
+    assert.strictEqual(clean.watermark, null);
+
+    console.log('PASS: tiles');
+    fs.rmSync(workDir, { recursive: true, force: true });
+    process.exit(0);
+  } catch (err) {
+    console.error('FAIL:', err);
+    fs.rmSync(workDir, { recursive: true, force: true });
+    process.exit(1);
+  }
+})();
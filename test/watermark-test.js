@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+const assert = require('assert');
+const { resolveWatermark, watermarkFingerprint, watermarkApplies } = require('../src/workers/machinist/machinist.watermark');
+
+(async () => {
+  try {
+    assert.strictEqual(resolveWatermark({ job: {}, tenantSettings: {} }), null);
+
+    const tenantSettings = { watermark: { text: '© Example Museum', opacity: 0.4 } };
+    const spec = resolveWatermark({ job: {}, tenantSettings });
+    assert.strictEqual(spec.type, 'text');
+    assert.strictEqual(spec.position, 'southeast');
+    assert.strictEqual(spec.opacity, 0.4);
+    assert.deepStrictEqual(spec.apply_to, ['viewing', 'thumbnails']);
+
+    // Job overrides and opt-out
+    assert.strictEqual(resolveWatermark({ job: { watermark: { position: 'tile' } }, tenantSettings }).position, 'tile');
+    assert.strictEqual(resolveWatermark({ job: { watermark: false }, tenantSettings }), null);
+    assert.strictEqual(resolveWatermark({ job: {}, tenantSettings: { watermark: { text: 'x', enabled: false } } }), null);
+
+    const invalid = [
+      { watermark: { opacity: 0.5 } },
+      { watermark: { text: 'a', image: 'b.png' } },
+      { watermark: { image: '../secret.png' } },
+      { watermark: { text: 'a', position: 'middle' } },
+      { watermark: { text: 'a', opacity: 2 } },
+      { watermark: { text: 'a', apply_to: ['ai'] } },
+    ];
+    for (const settings of invalid) {
+      assert.throws(() => resolveWatermark({ job: {}, tenantSettings: settings }), /INVALID_WATERMARK/, JSON.stringify(settings));
+    }
+
+    const fp = watermarkFingerprint(spec);
+    assert.strictEqual(fp, watermarkFingerprint({ ...spec }));
+    assert.notStrictEqual(fp, watermarkFingerprint({ ...spec, opacity: 0.5 }));
+    assert.notStrictEqual(watermarkFingerprint(spec, 'a'), watermarkFingerprint(spec, 'b'));
+
+    const prepared = { spec: { ...spec, apply_to: ['viewing'] } };
+    assert.strictEqual(watermarkApplies(prepared, 'viewing', 2000), true);
+    assert.strictEqual(watermarkApplies(prepared, 'viewing', 200), false, 'below min_width');
+    assert.strictEqual(watermarkApplies(prepared, 'thumbnails', 2000), false);
+    assert.strictEqual(watermarkApplies(prepared, 'ai', 2000), false);
+    assert.strictEqual(watermarkApplies(null, 'viewing', 2000), false);
+
+    console.log('PASS: watermark');
+    process.exit(0);
+  } catch (err) {
+    console.error('FAIL:', err);
+    process.exit(1);
+  }
+})();